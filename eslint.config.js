@@ -14,6 +14,10 @@ module.exports = [
                 require: 'readonly',
                 __dirname: 'readonly',
                 __filename: 'readonly',
+                fetch: 'readonly',
+                AbortSignal: 'readonly',
+                setInterval: 'readonly',
+                clearInterval: 'readonly',
                 // Jest globals
                 describe: 'readonly',
                 expect: 'readonly',
@@ -9,6 +9,7 @@ const messageRoutes = require('./routes/message.routes');
 const organizationRoutes = require('./routes/organization.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
 const exportRoutes = require('./routes/export.routes'); // Add the new export routes
+const sharedRoutes = require('./routes/shared.routes');
 const config = require('./config/config');
 const { version } = require('./config/version');
 const setupSwagger = require('./docs/swagger');
@@ -42,9 +43,12 @@ app.use(
 // Request logger middleware
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 
-// Body parser middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Body parser middleware; attachment uploads are streamed to storage as they are, whatever their type
+const attachmentUploadPath = new RegExp(`^/${config.apiEffectivePath}/chats/[^/]+/attachments/?$`);
+const isAttachmentUpload = req => req.method === 'POST' && attachmentUploadPath.test(req.path);
+const unlessAttachmentUpload = parser => (req, res, next) => (isAttachmentUpload(req) ? next() : parser(req, res, next));
+app.use(unlessAttachmentUpload(express.json()));
+app.use(unlessAttachmentUpload(express.urlencoded({ extended: true })));
 
 // Global rate limiting
 app.use(defaultLimiter);
@@ -56,6 +60,7 @@ app.use(`/${config.apiEffectivePath}/organizations`, organizationRoutes);
 app.use(`/${config.apiEffectivePath}/analytics`, analyticsRoutes);
 app.use(`/${config.apiEffectivePath}/export`, exportRoutes);
 app.use(`/${config.apiEffectivePath}/messages`, messageRoutes);
+app.use(`/${config.apiEffectivePath}/shared`, sharedRoutes);
 
 // Setup Swagger documentation using centralized config
 setupSwagger(app);
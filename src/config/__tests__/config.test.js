@@ -72,6 +72,18 @@ describe('Config Module', () => {
         expect(config.jwtSecret).toBe('test_jwt_secret');
         expect(config.rateLimitWindowMs).toBe(15 * 60 * 1000);
         expect(config.rateLimitMax).toBe(100);
+        expect(config.accessTokenExpiresIn).toBe('15m');
+        expect(config.refreshTokenTtlDays).toBe(30);
+        expect(config.passwordResetTokenExpiresIn).toBe('1h');
+        expect(config.emailVerificationTokenExpiresIn).toBe('24h');
+        expect(config.twoFactorChallengeExpiresIn).toBe('5m');
+        expect(config.loginMaxAttempts).toBe(5);
+        expect(config.loginLockoutMinutes).toBe(1);
+        expect(config.loginMaxLockoutMinutes).toBe(60);
+        expect(config.twoFactorIssuer).toBe('ChatLogger');
+        expect(config.impersonationTokenExpiresIn).toBe('15m');
+        expect(config.invitationTtlDays).toBe(7);
+        expect(config.mail.transport).toBe('console');
         expect(config.apiBasePath).toBe('api');
         expect(config.apiVersion).toBe('v1');
         expect(config.apiDocumentationPath).toBe('/api/docs');
@@ -65,6 +65,44 @@ const config = {
     port: parseInt(process.env.PORT, 10) || 3000,
     mongodbUri: getMongoDbUri(),
     jwtSecret: getJwtSecret(),
+    accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+    passwordResetTokenExpiresIn: process.env.PASSWORD_RESET_TOKEN_EXPIRES_IN || '1h',
+    emailVerificationTokenExpiresIn: process.env.EMAIL_VERIFICATION_TOKEN_EXPIRES_IN || '24h',
+    loginMaxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5,
+    loginLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 1,
+    loginMaxLockoutMinutes: parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES, 10) || 60,
+    twoFactorChallengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m',
+    twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'ChatLogger',
+    impersonationTokenExpiresIn: process.env.IMPERSONATION_TOKEN_EXPIRES_IN || '15m',
+    invitationTtlDays: parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7,
+    trashRetentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+    trashPurgeIntervalMinutes: parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10) || 60,
+    streamTimeoutMinutes: parseInt(process.env.STREAM_TIMEOUT_MINUTES, 10) || 10,
+    idempotencyKeyRetentionHours: parseInt(process.env.IDEMPOTENCY_KEY_RETENTION_HOURS, 10) || 24,
+    attachmentMaxBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 10 * 1024 * 1024, // 10 MB
+    attachmentAllowedTypes: (process.env.ATTACHMENT_ALLOWED_TYPES || 'image/*,audio/*,text/*,application/pdf,application/json')
+        .split(',')
+        .map(type => type.trim().toLowerCase())
+        .filter(Boolean),
+    appUrl: process.env.APP_URL || null,
+    oidcRedirectUri: process.env.OIDC_REDIRECT_URI || null,
+    mail: {
+        transport: process.env.MAIL_TRANSPORT || 'console', // smtp, file or console
+        from: process.env.MAIL_FROM || 'ChatLogger <no-reply@localhost>',
+        fileDir: process.env.MAIL_FILE_DIR || 'mail',
+        smtp: {
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || null,
+            pass: process.env.SMTP_PASS || null,
+        },
+    },
+    storage: {
+        driver: process.env.STORAGE_DRIVER || 'local', // local
+        dir: process.env.ATTACHMENT_STORAGE_DIR || 'uploads',
+    },
     nodeEnv: process.env.NODE_ENV || 'development',
     rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000, // 15 minutes
     rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100,
@@ -101,6 +139,10 @@ logger.debug('Final config loaded:', {
     apiVersion: config.apiVersion,
     rateLimitWindowMs: config.rateLimitWindowMs,
     rateLimitMax: config.rateLimitMax,
+    accessTokenExpiresIn: config.accessTokenExpiresIn,
+    refreshTokenTtlDays: config.refreshTokenTtlDays,
+    mailTransport: config.mail.transport,
+    storageDriver: config.storage.driver,
     apiDocumentationPath: config.apiDocumentationPath,
     apiDocumentationUrl: config.apiDocumentationUrl,
     mongodbUriSet: !!config.mongodbUri,
@@ -0,0 +1,67 @@
+/**
+ * Central registry of the permissions checked by the API and the roles granting them.
+ *
+ * Organization permissions can be granted to any role of an organization, including custom roles.
+ * Platform permissions act across organizations and only belong to the built-in `superadmin` role.
+ * Holding an `:any` permission implies the matching `:own` permission.
+ */
+
+// Permission name -> description
+const ORGANIZATION_PERMISSIONS = {
+    'chats:read:own': 'Read own chats and their messages',
+    'chats:read:any': 'Read every chat of the organization and its messages',
+    'chats:write:own': 'Create, update and delete own chats and their messages',
+    'chats:write:any': 'Update and delete every chat of the organization and its messages',
+    'analytics:read': 'View organization analytics',
+    'export:run': 'Export chats, messages and user activity',
+    'users:read': 'List, search and view users of the organization',
+    'users:manage': 'Create users and update, deactivate or change the role of other users',
+    'users:unlock': 'Unlock accounts locked after failed logins',
+    'users:sessions:revoke': 'Log users out of all of their sessions',
+    'org:read': 'View the organization',
+    'org:update': 'Update the organization details and settings',
+    'org:keys:rotate': 'Regenerate the organization API key',
+    'org:sso:manage': 'Configure single sign-on',
+    'org:invitations:manage': 'Invite users and revoke invitations',
+    'org:roles:manage': 'Customize roles and their permissions',
+    'org:teams:manage': 'Create teams, change their members and assign chats to any team',
+    'org:pricing:manage': 'Edit the model pricing table used to compute message costs',
+    'org:fields:manage': 'Define the custom fields of chats',
+    'org:audit:read': 'View and export the audit log',
+};
+
+const PLATFORM_PERMISSIONS = {
+    'organizations:create': 'Create organizations',
+    'organizations:read:any': 'List and view every organization',
+    'organizations:manage:any': 'Manage every organization and its users',
+    'users:manage:superadmins': 'Create superadmins and grant the superadmin role',
+    'users:impersonate': 'Act as another user to see what they see',
+};
+
+const PERMISSIONS = { ...ORGANIZATION_PERMISSIONS, ...PLATFORM_PERMISSIONS };
+
+// Permissions of the built-in roles; organizations can override `user` and `admin`
+const DEFAULT_ROLE_PERMISSIONS = {
+    user: ['chats:read:own', 'chats:write:own', 'org:read'],
+    admin: Object.keys(ORGANIZATION_PERMISSIONS).filter(permission => permission !== 'chats:write:any'),
+    superadmin: Object.keys(PERMISSIONS),
+};
+
+// Roles whose permissions cannot be customized
+const PLATFORM_ROLES = ['superadmin'];
+
+// Valid names for custom roles, e.g. `support` or `data-analyst`
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+// Requests authenticated with an organization API key act as a backend service of the organization
+const ORGANIZATION_KEY_PERMISSIONS = ['chats:read:any', 'chats:write:any'];
+
+module.exports = {
+    ORGANIZATION_PERMISSIONS,
+    PLATFORM_PERMISSIONS,
+    PERMISSIONS,
+    DEFAULT_ROLE_PERMISSIONS,
+    PLATFORM_ROLES,
+    ROLE_NAME_PATTERN,
+    ORGANIZATION_KEY_PERMISSIONS,
+};
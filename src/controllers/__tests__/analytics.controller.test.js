@@ -76,6 +76,26 @@ describe('Analytics Controller', () => {
             expect(Chat.aggregate).toHaveBeenCalled();
             expect(res.status).toHaveBeenCalledWith(200);
         });
+
+        test('should limit chat activity to a team', async () => {
+            req.query = { teamId: '507f1f77bcf86cd799439011' };
+
+            await analyticsController.getChatActivityByDate(req, res);
+
+            const [match] = Chat.aggregate.mock.calls[0][0];
+            expect(String(match.$match.teamId)).toBe('507f1f77bcf86cd799439011');
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should reject an invalid team ID', async () => {
+            req.query = { teamId: 'not-an-id' };
+
+            await analyticsController.getChatActivityByDate(req, res);
+
+            expect(Chat.aggregate).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid team ID' });
+        });
     });
 
     describe('getMessageStatsByRole', () => {
@@ -90,8 +110,8 @@ describe('Analytics Controller', () => {
             
             // Fix: Setup Message.aggregate mock correctly
             Message.aggregate = jest.fn().mockResolvedValue([
-                { role: 'user', count: 10, avgTokens: 15.5, totalTokens: 155, avgLatency: 0 },
-                { role: 'assistant', count: 9, avgTokens: 120.3, totalTokens: 1083, avgLatency: 550.2 }
+                { role: 'user', count: 10, avgTokens: 15.5, totalTokens: 155, avgLatency: 0, totalCost: 0.0004 },
+                { role: 'assistant', count: 9, avgTokens: 120.3, totalTokens: 1083, avgLatency: 550.2, totalCost: 0.0021 }
             ]);
         });
         
@@ -107,9 +127,107 @@ describe('Analytics Controller', () => {
             expect(Message.aggregate).toHaveBeenCalled();
             expect(res.status).toHaveBeenCalledWith(200);
             expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
-                data: expect.any(Array)
+                data: expect.any(Array),
+                metadata: expect.objectContaining({ totalMessages: 19, totalTokens: 1238, totalCost: 0.0025 })
+            }));
+        });
+
+        test('should only count the chats of a team', async () => {
+            req.query = { teamId: '507f1f77bcf86cd799439011' };
+
+            await analyticsController.getMessageStatsByRole(req, res);
+
+            expect(String(Chat.find.mock.calls[0][0].teamId)).toBe('507f1f77bcf86cd799439011');
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+    });
+
+    describe('getCostStats', () => {
+        beforeEach(() => {
+            Chat.distinct = jest.fn().mockResolvedValue(['chat1', 'chat2']);
+            Message.aggregate = jest.fn().mockResolvedValue([
+                { model: 'gpt-4o', count: 12, promptTokens: 3000, completionTokens: 1200, totalCost: 0.0195, unpricedCount: 0 },
+                { model: null, count: 5, promptTokens: 400, completionTokens: 0, totalCost: 0, unpricedCount: 5 }
+            ]);
+        });
+
+        test('should return token counts and costs per model', async () => {
+            req.query = { startDate: '2025-04-01', endDate: '2025-04-10' };
+
+            await analyticsController.getCostStats(req, res);
+
+            const [match, group] = Message.aggregate.mock.calls[0][0];
+            expect(match.$match).toEqual({
+                chatId: { $in: ['chat1', 'chat2'] },
+                deletedAt: null,
+                createdAt: { $gte: new Date('2025-04-01'), $lte: new Date('2025-04-10') }
+            });
+            expect(group.$group._id).toBe('$aiModel');
+            expect(group.$group.totalCost).toEqual({ $sum: '$cost' });
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                metadata: expect.objectContaining({ totalMessages: 17, totalCost: 0.0195, unpricedMessages: 5 })
             }));
         });
+
+        test('should only count the chats of a team', async () => {
+            req.query = { teamId: '507f1f77bcf86cd799439011' };
+
+            await analyticsController.getCostStats(req, res);
+
+            expect(String(Chat.distinct.mock.calls[0][1].teamId)).toBe('507f1f77bcf86cd799439011');
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+    });
+
+    describe('getToolCallStats', () => {
+        beforeEach(() => {
+            Chat.distinct = jest.fn().mockResolvedValue(['chat1', 'chat2']);
+            Message.aggregate = jest.fn().mockResolvedValue([
+                { name: 'search', count: 10, successCount: 7, errorCount: 2, pendingCount: 1, errorRate: 0.2222, avgDurationMs: 350, maxDurationMs: 900 },
+                { name: 'get_weather', count: 4, successCount: 4, errorCount: 0, pendingCount: 0, errorRate: 0, avgDurationMs: 120, maxDurationMs: 200 }
+            ]);
+        });
+
+        test('should return call counts, error rates and durations per tool', async () => {
+            req.query = { startDate: '2025-04-01', endDate: '2025-04-10' };
+
+            await analyticsController.getToolCallStats(req, res);
+
+            expect(Chat.distinct).toHaveBeenCalledWith('_id', { organizationId: 'org123', deletedAt: null });
+            const [match, unwind, group] = Message.aggregate.mock.calls[0][0];
+            expect(match.$match).toEqual({
+                chatId: { $in: ['chat1', 'chat2'] },
+                deletedAt: null,
+                createdAt: { $gte: new Date('2025-04-01'), $lte: new Date('2025-04-10') },
+                'toolCalls.0': { $exists: true }
+            });
+            expect(unwind).toEqual({ $unwind: '$toolCalls' });
+            expect(group.$group._id).toBe('$toolCalls.name');
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+                data: expect.arrayContaining([expect.objectContaining({ name: 'search', errorRate: 0.2222 })]),
+                metadata: expect.objectContaining({ totalTools: 2, totalCalls: 14, totalErrors: 2 })
+            }));
+        });
+
+        test('should only count the chats of a team', async () => {
+            req.query = { teamId: '507f1f77bcf86cd799439011' };
+
+            await analyticsController.getToolCallStats(req, res);
+
+            expect(String(Chat.distinct.mock.calls[0][1].teamId)).toBe('507f1f77bcf86cd799439011');
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should handle invalid date formats', async () => {
+            req.query = { startDate: 'not-a-date' };
+
+            await analyticsController.getToolCallStats(req, res);
+
+            expect(Message.aggregate).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
     });
 
     describe('getTopUsersByActivity', () => {
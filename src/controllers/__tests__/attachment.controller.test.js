@@ -0,0 +1,220 @@
+const { PassThrough, Readable } = require('stream');
+const attachmentController = require('../attachment.controller');
+const Attachment = require('../../models/attachment.model');
+const Chat = require('../../models/chat.model');
+const Message = require('../../models/message.model');
+const Team = require('../../models/team.model');
+const { setStorage } = require('../../utils/storage');
+
+// Mock dependencies
+jest.mock('../../models/attachment.model');
+jest.mock('../../models/chat.model');
+jest.mock('../../models/message.model');
+jest.mock('../../models/team.model');
+jest.mock('../../models/organization.model');
+jest.mock('../../utils/logger');
+
+describe('Attachment Controller', () => {
+    let req, res, chat, storage;
+
+    const createUpload = (body, headers) => {
+        const upload = Object.assign(new PassThrough(), {
+            params: { chatId: 'chat123' },
+            query: { filename: 'diagram.png' },
+            user: { _id: 'user123', organizationId: 'org123' },
+            organization: { _id: 'org123', settings: new Map([['attachmentMaxBytes', 10]]) },
+            complete: true,
+            get: name => headers[name.toLowerCase()],
+        });
+        upload.end(body);
+        return upload;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        req = {
+            params: { chatId: 'chat123', attachmentId: 'attachment123' },
+            query: {},
+            user: { _id: 'user123', organizationId: 'org123' },
+            organization: { _id: 'org123', settings: new Map() },
+        };
+
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        };
+
+        chat = { _id: 'chat123', userId: 'user123', organizationId: 'org123' };
+
+        storage = {
+            name: 'memory',
+            files: {},
+            save: jest.fn(async (key, stream) => {
+                const chunks = [];
+                for await (const chunk of stream) {
+                    chunks.push(String(chunk));
+                }
+                storage.files[key] = chunks.join('');
+            }),
+            read: jest.fn(async key => Readable.from([storage.files[key]])),
+            remove: jest.fn(async key => {
+                delete storage.files[key];
+            }),
+        };
+        setStorage(storage);
+
+        Team.distinct = jest.fn().mockResolvedValue([]);
+        Chat.findOne = jest.fn().mockResolvedValue(chat);
+        Attachment.create = jest.fn(data => Promise.resolve({ _id: 'attachment123', ...data }));
+        Attachment.deleteOne = jest.fn().mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        setStorage(null);
+    });
+
+    describe('uploadAttachment', () => {
+        test('should store the request body and record the attachment', async () => {
+            const upload = createUpload('PNG data', { 'content-type': 'image/png', 'content-length': '8' });
+
+            await attachmentController.uploadAttachment(upload, res);
+
+            const { storageKey } = Attachment.create.mock.calls[0][0];
+            expect(storageKey).toMatch(/^org123\/chat123\/[0-9a-f-]{36}$/);
+            expect(storage.files[storageKey]).toBe('PNG data');
+            expect(Attachment.create).toHaveBeenCalledWith({
+                chatId: 'chat123',
+                organizationId: 'org123',
+                uploadedBy: 'user123',
+                filename: 'diagram.png',
+                mimeType: 'image/png',
+                size: 8,
+                storage: 'memory',
+                storageKey,
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should refuse types the organization does not allow', async () => {
+            const upload = createUpload('MZ', { 'content-type': 'application/x-msdownload' });
+
+            await attachmentController.uploadAttachment(upload, res);
+
+            expect(storage.save).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(415);
+        });
+
+        test('should refuse files announced as larger than the limit of the organization', async () => {
+            const upload = createUpload('PNG data', { 'content-type': 'image/png', 'content-length': '11' });
+
+            await attachmentController.uploadAttachment(upload, res);
+
+            expect(storage.save).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(413);
+        });
+
+        test('should remove files found to be larger than the limit while they are stored', async () => {
+            const upload = createUpload('Much more PNG data', { 'content-type': 'image/png' });
+
+            await attachmentController.uploadAttachment(upload, res);
+
+            expect(storage.remove).toHaveBeenCalledWith(storage.save.mock.calls[0][0]);
+            expect(Attachment.create).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(413);
+        });
+
+        test('should return 404 for chats the requester may not change', async () => {
+            Chat.findOne = jest.fn().mockResolvedValue(null);
+            const upload = createUpload('PNG data', { 'content-type': 'image/png' });
+
+            await attachmentController.uploadAttachment(upload, res);
+
+            expect(storage.save).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    test('should list the attachments of a chat', async () => {
+        const sort = jest.fn().mockResolvedValue([{ filename: 'diagram.png' }]);
+        Attachment.find = jest.fn().mockReturnValue({ sort });
+
+        await attachmentController.getChatAttachments(req, res);
+
+        expect(Attachment.find).toHaveBeenCalledWith({ chatId: 'chat123' });
+        expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+        expect(res.json).toHaveBeenCalledWith({ attachments: [{ filename: 'diagram.png' }] });
+    });
+
+    test('should return 404 for attachments of other chats', async () => {
+        Attachment.findOne = jest.fn().mockResolvedValue(null);
+
+        await attachmentController.getAttachmentById(req, res);
+
+        expect(Attachment.findOne).toHaveBeenCalledWith({ _id: 'attachment123', chatId: 'chat123' });
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should send the stored file as a download', async () => {
+        storage.files['org123/chat123/file'] = 'PNG data';
+        Attachment.findOne = jest.fn().mockResolvedValue({
+            _id: 'attachment123',
+            filename: 'diagram.png',
+            mimeType: 'image/png',
+            size: 8,
+            storageKey: 'org123/chat123/file',
+        });
+        const download = Object.assign(new PassThrough(), {
+            attachment: jest.fn(),
+            set: jest.fn(),
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        });
+
+        await attachmentController.downloadAttachment(req, download);
+
+        expect(download.attachment).toHaveBeenCalledWith('diagram.png');
+        expect(download.set).toHaveBeenCalledWith({ 'Content-Type': 'image/png', 'Content-Length': '8' });
+        const chunks = [];
+        for await (const chunk of download) {
+            chunks.push(String(chunk));
+        }
+        expect(chunks.join('')).toBe('PNG data');
+    });
+
+    test('should return 404 when the file of an attachment is missing from storage', async () => {
+        storage.read = jest.fn().mockRejectedValue(Object.assign(new Error('Nothing stored'), { name: 'NotFound' }));
+        Attachment.findOne = jest.fn().mockResolvedValue({ _id: 'attachment123', storageKey: 'gone' });
+
+        await attachmentController.downloadAttachment(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+        expect(res.json).toHaveBeenCalledWith({ message: 'Attachment file not found' });
+    });
+
+    describe('deleteAttachment', () => {
+        beforeEach(() => {
+            Attachment.findOne = jest.fn().mockResolvedValue({ _id: 'attachment123', storageKey: 'org123/chat123/file' });
+        });
+
+        test('should delete the file and the attachment', async () => {
+            Message.exists = jest.fn().mockResolvedValue(null);
+
+            await attachmentController.deleteAttachment(req, res);
+
+            expect(Message.exists).toHaveBeenCalledWith({ chatId: 'chat123', 'contentParts.attachmentId': 'attachment123' });
+            expect(storage.remove).toHaveBeenCalledWith('org123/chat123/file');
+            expect(Attachment.deleteOne).toHaveBeenCalledWith({ _id: 'attachment123' });
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should keep attachments that messages refer to', async () => {
+            Message.exists = jest.fn().mockResolvedValue({ _id: 'message123' });
+
+            await attachmentController.deleteAttachment(req, res);
+
+            expect(storage.remove).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(409);
+        });
+    });
+});
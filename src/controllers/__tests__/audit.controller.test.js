@@ -0,0 +1,127 @@
+const auditController = require('../audit.controller');
+const AuditEvent = require('../../models/audit-event.model');
+const Organization = require('../../models/organization.model');
+
+// Mock dependencies
+jest.mock('../../models/audit-event.model');
+jest.mock('../../models/organization.model');
+jest.mock('../../utils/logger');
+
+const ORG_ID = '507f1f77bcf86cd799439011';
+
+describe('Audit Controller', () => {
+    let req, res;
+
+    // Chainable stand-in for AuditEvent.find()
+    const mockFind = result => {
+        const chain = {
+            sort: jest.fn().mockReturnThis(),
+            limit: jest.fn().mockReturnThis(),
+            skip: jest.fn().mockResolvedValue(result),
+            lean: jest.fn().mockResolvedValue(result),
+        };
+        AuditEvent.find = jest.fn().mockReturnValue(chain);
+        return chain;
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        req = {
+            params: { id: ORG_ID },
+            query: {},
+            user: { _id: 'admin123', role: 'admin', organizationId: ORG_ID },
+        };
+
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+            send: jest.fn(),
+            setHeader: jest.fn(),
+        };
+
+        Organization.findById = jest.fn().mockResolvedValue({ _id: ORG_ID });
+        AuditEvent.countDocuments = jest.fn().mockResolvedValue(0);
+    });
+
+    test('should list the events of the organization newest first', async () => {
+        const events = [{ action: 'user.updated' }];
+        const chain = mockFind(events);
+        AuditEvent.countDocuments = jest.fn().mockResolvedValue(41);
+        req.query = { page: 2, limit: 20 };
+
+        await auditController.getAuditLog(req, res);
+
+        expect(AuditEvent.find).toHaveBeenCalledWith({ organizationId: ORG_ID });
+        expect(chain.sort).toHaveBeenCalledWith({ createdAt: -1 });
+        expect(chain.skip).toHaveBeenCalledWith(20);
+        expect(res.status).toHaveBeenCalledWith(200);
+        expect(res.json).toHaveBeenCalledWith({
+            events,
+            totalPages: 3,
+            currentPage: 2,
+            totalEvents: 41,
+        });
+    });
+
+    test('should filter by action, actor, target and date range', async () => {
+        mockFind([]);
+        req.query = {
+            action: 'user.*,export.run',
+            actorId: 'admin456',
+            targetType: 'user',
+            targetId: 'user789',
+            from: '2024-01-01',
+            to: '2024-02-01',
+        };
+
+        await auditController.getAuditLog(req, res);
+
+        const query = AuditEvent.find.mock.calls[0][0];
+        expect(query.action.$in[0]).toEqual(/^user\./);
+        expect(query.action.$in[1]).toBe('export.run');
+        expect(query['actor.userId']).toBe('admin456');
+        expect(query['target.type']).toBe('user');
+        expect(query['target.id']).toBe('user789');
+        expect(query.createdAt).toEqual({
+            $gte: new Date('2024-01-01'),
+            $lte: new Date('2024-02-01'),
+        });
+    });
+
+    test('should export the events as CSV', async () => {
+        mockFind([
+            {
+                createdAt: new Date('2024-01-01T00:00:00.000Z'),
+                action: 'user.updated',
+                actor: { type: 'user', userId: 'admin123', username: 'admin', role: 'admin' },
+                target: { type: 'user', id: 'user456', label: 'jane' },
+                ip: '127.0.0.1',
+                diff: { role: { from: 'user', to: 'admin' } },
+            },
+        ]);
+        req.query = { format: 'csv' };
+
+        await auditController.getAuditLog(req, res);
+
+        expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/csv');
+        expect(res.setHeader).toHaveBeenCalledWith(
+            'Content-Disposition',
+            expect.stringMatching(/^attachment; filename=audit_log_.*\.csv$/),
+        );
+        const [header, row] = res.send.mock.calls[0][0].split('\n');
+        expect(header.startsWith('createdAt,action,actorType,actorId')).toBe(true);
+        expect(row).toContain('2024-01-01T00:00:00.000Z,user.updated,user,admin123,admin,admin');
+        expect(row).toContain('"{""role"":{""from"":""user"",""to"":""admin""}}"');
+    });
+
+    test('should not show the audit log of another organization', async () => {
+        mockFind([]);
+        req.params.id = '507f1f77bcf86cd799439099';
+
+        await auditController.getAuditLog(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(AuditEvent.find).not.toHaveBeenCalled();
+    });
+});
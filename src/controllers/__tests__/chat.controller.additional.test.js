@@ -1,13 +1,23 @@
 const chatController = require('../chat.controller');
 const Chat = require('../../models/chat.model');
-// Removing unused import
-// const Message = require('../../models/message.model');
+const Team = require('../../models/team.model');
+const Message = require('../../models/message.model');
+const MessageVersion = require('../../models/message-version.model');
+const Comment = require('../../models/comment.model');
+const ShareLink = require('../../models/share-link.model');
+const Attachment = require('../../models/attachment.model');
+const { setStorage } = require('../../utils/storage');
 const logger = require('../../utils/logger');
 const paginateResults = require('../../middleware/pagination');
 
 // Mock dependencies
 jest.mock('../../models/chat.model');
+jest.mock('../../models/team.model');
 jest.mock('../../models/message.model');
+jest.mock('../../models/message-version.model');
+jest.mock('../../models/comment.model');
+jest.mock('../../models/share-link.model');
+jest.mock('../../models/attachment.model');
 jest.mock('../../utils/logger');
 jest.mock('../../middleware/pagination');
 
@@ -17,6 +27,7 @@ describe('Chat Controller - Additional Tests', () => {
     beforeEach(() => {
         // Reset mocks
         jest.clearAllMocks();
+        Team.distinct = jest.fn().mockResolvedValue([]);
 
         // Common request/response objects
         req = {
@@ -50,6 +61,144 @@ describe('Chat Controller - Additional Tests', () => {
         });
     });
 
+    describe('createChat - Organization API key', () => {
+        test('should create a chat attributed to an external end user', async () => {
+            req.user = undefined;
+            req.organization = { _id: 'org456' };
+            req.body = {
+                title: 'Support conversation',
+                source: 'api',
+                model: 'gpt-4o',
+                externalUserId: 'customer-42',
+            };
+
+            Chat.mockImplementation(data => ({
+                ...data,
+                save: jest.fn().mockResolvedValue(true),
+            }));
+
+            await chatController.createChat(req, res);
+
+            expect(Chat).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    userId: null,
+                    createdVia: 'organization',
+                    externalUserId: 'customer-42',
+                    organizationId: 'org456',
+                    aiModel: 'gpt-4o',
+                }),
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+    });
+
+    describe('createChat - System prompt and custom fields', () => {
+        beforeEach(() => {
+            req.organization = {
+                _id: 'org123',
+                customFields: new Map([
+                    ['priority', { type: 'string', required: true, enum: ['low', 'high'] }],
+                    ['score', { type: 'number', required: false, enum: [] }],
+                ]),
+            };
+
+            Chat.mockImplementation(data => ({
+                ...data,
+                save: jest.fn().mockResolvedValue(true),
+            }));
+        });
+
+        test('should store the system prompt and custom field values', async () => {
+            req.body = {
+                title: 'Ticket',
+                systemPrompt: 'You are a support agent.',
+                customFields: { priority: 'high', score: 3 },
+            };
+
+            await chatController.createChat(req, res);
+
+            expect(Chat).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    systemPrompt: 'You are a support agent.',
+                    customFields: { priority: 'high', score: 3 },
+                }),
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should reject values that do not match the field definitions', async () => {
+            req.body = { title: 'Ticket', customFields: { priority: 'urgent', color: 'red' } };
+
+            await chatController.createChat(req, res);
+
+            expect(Chat).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                message: 'Invalid custom fields',
+                details: ['"priority" must be one of low, high', '"color" is not a custom field of the organization'],
+            });
+        });
+
+        test('should require the required custom fields', async () => {
+            req.body = { title: 'Ticket' };
+
+            await chatController.createChat(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid custom fields', details: ['"priority" is required'] });
+        });
+    });
+
+    describe('createChat - Teams', () => {
+        beforeEach(() => {
+            req.body = { title: 'Team chat', teamId: 'team123' };
+            req.permissions = new Set(['chats:write:own']);
+
+            Chat.mockImplementation(data => ({
+                ...data,
+                save: jest.fn().mockResolvedValue(true),
+            }));
+        });
+
+        test('should assign the chat to a team of the user', async () => {
+            Team.findOne = jest.fn().mockResolvedValue({ _id: 'team123', hasMember: jest.fn().mockReturnValue(true) });
+
+            await chatController.createChat(req, res);
+
+            expect(Team.findOne).toHaveBeenCalledWith({ _id: 'team123', organizationId: 'org123' });
+            expect(Chat).toHaveBeenCalledWith(expect.objectContaining({ teamId: 'team123' }));
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should not assign the chat to a team of another organization', async () => {
+            Team.findOne = jest.fn().mockResolvedValue(null);
+
+            await chatController.createChat(req, res);
+
+            expect(Chat).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Team not found' });
+        });
+
+        test('should not assign the chat to a team the user is not a member of', async () => {
+            Team.findOne = jest.fn().mockResolvedValue({ _id: 'team123', hasMember: jest.fn().mockReturnValue(false) });
+
+            await chatController.createChat(req, res);
+
+            expect(Chat).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+
+        test('should let team managers assign chats to any team', async () => {
+            req.permissions = new Set(['chats:write:own', 'org:teams:manage']);
+            Team.findOne = jest.fn().mockResolvedValue({ _id: 'team123', hasMember: jest.fn().mockReturnValue(false) });
+
+            await chatController.createChat(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+    });
+
     describe('getUserChats - Error Handling', () => {
         test('should handle server errors', async () => {
             // Create an error that will be thrown during execution
@@ -81,6 +230,43 @@ describe('Chat Controller - Additional Tests', () => {
             expect(res.status).toHaveBeenCalledWith(200);
             expect(res.json).toHaveBeenCalledWith(req.paginatedResults);
         });
+
+        test('should include the chats of the teams of the user', async () => {
+            req.query.teamId = 'team123';
+            Team.distinct = jest.fn().mockResolvedValue(['team123']);
+
+            paginateResults.mockImplementation(() => (req, res, next) => next());
+
+            await chatController.getUserChats(req, res);
+
+            expect(paginateResults).toHaveBeenCalledWith(Chat, {
+                organizationId: 'org123',
+                deletedAt: null,
+                $or: [
+                    { userId: 'user123' },
+                    { teamId: { $in: ['team123'] } },
+                    { 'sharedWith.userId': 'user123' },
+                ],
+                teamId: 'team123',
+            });
+        });
+
+        test('should list every organization chat for an organization API key', async () => {
+            req.user = undefined;
+            req.organization = { _id: 'org456' };
+            req.query.externalUserId = 'customer-42';
+
+            paginateResults.mockImplementation(() => (req, res, next) => next());
+
+            await chatController.getUserChats(req, res);
+
+            expect(paginateResults).toHaveBeenCalledWith(Chat, {
+                organizationId: 'org456',
+                deletedAt: null,
+                externalUserId: 'customer-42',
+            });
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
     });
 
     describe('getChatById - Error Handling', () => {
@@ -144,6 +330,103 @@ describe('Chat Controller - Additional Tests', () => {
             expect(mockChat.isActive).toBe(false);
             expect(mockChat.save).toHaveBeenCalled();
         });
+
+        test('should change the model of the chat', async () => {
+            req.params.chatId = 'chat123';
+            req.body = { model: 'gpt-4o-mini' };
+
+            const mockChat = {
+                _id: 'chat123',
+                aiModel: 'gpt-4o',
+                save: jest.fn().mockResolvedValue(true),
+            };
+
+            Chat.findOne = jest.fn().mockResolvedValue(mockChat);
+
+            await chatController.updateChat(req, res);
+
+            expect(mockChat.aiModel).toBe('gpt-4o-mini');
+            expect(mockChat.save).toHaveBeenCalled();
+        });
+
+        test('should change the system prompt of the chat', async () => {
+            req.params.chatId = 'chat123';
+            req.body = { systemPrompt: null };
+
+            const mockChat = {
+                _id: 'chat123',
+                systemPrompt: 'You are a support agent.',
+                save: jest.fn().mockResolvedValue(true),
+            };
+
+            Chat.findOne = jest.fn().mockResolvedValue(mockChat);
+
+            await chatController.updateChat(req, res);
+
+            expect(mockChat.systemPrompt).toBeNull();
+            expect(mockChat.save).toHaveBeenCalled();
+        });
+
+        test('should merge custom field values into the stored ones', async () => {
+            req.params.chatId = 'chat123';
+            req.organization = {
+                _id: 'org123',
+                customFields: new Map([
+                    ['priority', { type: 'string', required: true, enum: [] }],
+                    ['score', { type: 'number', required: false, enum: [] }],
+                ]),
+            };
+            req.body = { customFields: { score: 5 } };
+
+            const mockChat = {
+                _id: 'chat123',
+                customFields: { priority: 'low' },
+                save: jest.fn().mockResolvedValue(true),
+            };
+
+            Chat.findOne = jest.fn().mockResolvedValue(mockChat);
+
+            await chatController.updateChat(req, res);
+
+            expect(mockChat.customFields).toEqual({ priority: 'low', score: 5 });
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should not save invalid custom field values', async () => {
+            req.params.chatId = 'chat123';
+            req.body = { customFields: { priority: 'high' } };
+
+            const mockChat = {
+                _id: 'chat123',
+                customFields: {},
+                save: jest.fn().mockResolvedValue(true),
+            };
+
+            Chat.findOne = jest.fn().mockResolvedValue(mockChat);
+
+            await chatController.updateChat(req, res);
+
+            expect(mockChat.save).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        test('should unassign the chat from its team', async () => {
+            req.params.chatId = 'chat123';
+            req.body = { teamId: null };
+
+            const mockChat = {
+                _id: 'chat123',
+                teamId: 'team123',
+                save: jest.fn().mockResolvedValue(true),
+            };
+
+            Chat.findOne = jest.fn().mockResolvedValue(mockChat);
+
+            await chatController.updateChat(req, res);
+
+            expect(mockChat.teamId).toBeNull();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
     });
 
     describe('deleteChat - Error Handling', () => {
@@ -160,6 +443,214 @@ describe('Chat Controller - Additional Tests', () => {
         });
     });
 
+    describe('forkChat', () => {
+        const createdAt = new Date('2025-01-01T00:00:00Z');
+        const messages = [
+            { _id: 'm1', parentMessageId: null, role: 'user', content: 'question', createdAt },
+            { _id: 'm2', parentMessageId: 'm1', role: 'assistant', content: 'answer', createdAt },
+            { _id: 'm3', parentMessageId: 'm1', role: 'assistant', content: 'regenerated answer', createdAt },
+        ];
+        let savedChat;
+
+        beforeEach(() => {
+            req.params = { chatId: 'chat123' };
+            req.body = { messageId: 'm3' };
+
+            Chat.findOne = jest.fn().mockResolvedValue({
+                _id: 'chat123',
+                userId: 'user456',
+                organizationId: 'org123',
+                title: 'Original',
+                source: 'web',
+                tags: ['support'],
+                systemPrompt: 'You are a support agent.',
+                metadata: {},
+                customFields: { priority: 'high' },
+            });
+            Chat.mockImplementation(data => {
+                savedChat = { _id: 'fork123', ...data, save: jest.fn().mockResolvedValue(true) };
+                return savedChat;
+            });
+            Message.find = jest.fn().mockReturnValue({ sort: jest.fn().mockResolvedValue(messages) });
+            Message.mockImplementation(data => ({ _id: `copy-${data.content}`, ...data }));
+            Message.insertMany = jest.fn().mockResolvedValue([]);
+        });
+
+        test('should copy the path to the message into a new chat of the requester', async () => {
+            await chatController.forkChat(req, res);
+
+            expect(savedChat).toEqual(
+                expect.objectContaining({
+                    userId: 'user123',
+                    organizationId: 'org123',
+                    title: 'Original',
+                    systemPrompt: 'You are a support agent.',
+                    customFields: { priority: 'high' },
+                    forkedFrom: { chatId: 'chat123', messageId: 'm3' },
+                }),
+            );
+            expect(Message.insertMany).toHaveBeenCalledWith([
+                expect.objectContaining({ chatId: 'fork123', parentMessageId: null, content: 'question', createdAt }),
+                expect.objectContaining({
+                    chatId: 'fork123',
+                    parentMessageId: 'copy-question',
+                    content: 'regenerated answer',
+                }),
+            ]);
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ messageCount: 2 }));
+        });
+
+        test('should copy content parts, their attachments and the status of messages', async () => {
+            const storage = {
+                name: 'memory',
+                read: jest.fn().mockResolvedValue('file stream'),
+                save: jest.fn().mockResolvedValue(),
+            };
+            setStorage(storage);
+            messages[0].contentParts = [{ type: 'image', attachmentId: 'att1', detail: 'high' }];
+            messages[2].status = 'streaming';
+            messages[2].chunkCount = 3;
+            Attachment.find = jest.fn().mockResolvedValue([
+                {
+                    _id: 'att1',
+                    uploadedBy: 'user456',
+                    filename: 'photo.png',
+                    mimeType: 'image/png',
+                    size: 42,
+                    storageKey: 'org123/chat123/photo',
+                },
+            ]);
+            Attachment.create = jest.fn().mockResolvedValue({ _id: 'att2' });
+
+            await chatController.forkChat(req, res);
+
+            expect(Attachment.find).toHaveBeenCalledWith({ _id: { $in: ['att1'] }, chatId: 'chat123' });
+            expect(storage.read).toHaveBeenCalledWith('org123/chat123/photo');
+            expect(storage.save).toHaveBeenCalledWith(expect.stringMatching(/^org123\/fork123\//), 'file stream');
+            expect(Attachment.create).toHaveBeenCalledWith(
+                expect.objectContaining({ chatId: 'fork123', filename: 'photo.png', storage: 'memory' }),
+            );
+            expect(Message.insertMany).toHaveBeenCalledWith([
+                expect.objectContaining({
+                    contentParts: [{ type: 'image', attachmentId: 'att2', detail: 'high' }],
+                }),
+                expect.objectContaining({ status: 'incomplete', chunkCount: 3 }),
+            ]);
+            expect(res.status).toHaveBeenCalledWith(201);
+
+            delete messages[0].contentParts;
+            delete messages[2].status;
+            delete messages[2].chunkCount;
+            setStorage(null);
+        });
+
+        test('should use the given title', async () => {
+            req.body.title = 'Alternative';
+
+            await chatController.forkChat(req, res);
+
+            expect(savedChat.title).toBe('Alternative');
+        });
+
+        test('should return 404 when the message is not in the chat', async () => {
+            req.body.messageId = 'm9';
+
+            await chatController.forkChat(req, res);
+
+            expect(Chat).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Message not found' });
+        });
+
+        test('should return 404 when the chat is not readable', async () => {
+            Chat.findOne = jest.fn().mockResolvedValue(null);
+
+            await chatController.forkChat(req, res);
+
+            expect(Message.find).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('Trash', () => {
+        let chat;
+
+        beforeEach(() => {
+            req.params.chatId = 'chat123';
+            req.permissions = new Set(['chats:read:own', 'chats:write:own']);
+
+            chat = {
+                _id: 'chat123',
+                deletedAt: new Date(),
+                deletedBy: 'user123',
+                save: jest.fn().mockResolvedValue(true),
+            };
+            Chat.findOne = jest.fn().mockResolvedValue(chat);
+        });
+
+        test('should list the chats in the trash the user may change', async () => {
+            paginateResults.mockImplementation(() => (req, res, next) => next());
+
+            await chatController.getTrashedChats(req, res);
+
+            expect(paginateResults).toHaveBeenCalledWith(
+                Chat,
+                { organizationId: 'org123', deletedAt: { $ne: null }, userId: 'user123' },
+                { sort: { deletedAt: -1 } },
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should restore a chat from the trash', async () => {
+            await chatController.restoreChat(req, res);
+
+            expect(Chat.findOne).toHaveBeenCalledWith({
+                _id: 'chat123',
+                organizationId: 'org123',
+                deletedAt: { $ne: null },
+                userId: 'user123',
+            });
+            expect(chat.deletedAt).toBeNull();
+            expect(chat.deletedBy).toBeNull();
+            expect(chat.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should return 404 for chats that are not in the trash', async () => {
+            Chat.findOne = jest.fn().mockResolvedValue(null);
+
+            await chatController.restoreChat(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+
+        test('should permanently delete a chat with its messages, versions, attachments, comments and share links', async () => {
+            const storage = { remove: jest.fn().mockResolvedValue() };
+            setStorage(storage);
+            Attachment.find = jest.fn().mockResolvedValue([{ _id: 'attachment123', storageKey: 'org123/chat123/file' }]);
+            Attachment.deleteMany = jest.fn().mockResolvedValue({ deletedCount: 1 });
+            Message.deleteMany = jest.fn().mockResolvedValue({});
+            MessageVersion.deleteMany = jest.fn().mockResolvedValue({});
+            Comment.deleteMany = jest.fn().mockResolvedValue({});
+            ShareLink.deleteMany = jest.fn().mockResolvedValue({});
+            Chat.deleteMany = jest.fn().mockResolvedValue({ deletedCount: 1 });
+
+            await chatController.purgeChat(req, res);
+
+            expect(Message.deleteMany).toHaveBeenCalledWith({ chatId: { $in: ['chat123'] } });
+            expect(MessageVersion.deleteMany).toHaveBeenCalledWith({ chatId: { $in: ['chat123'] } });
+            expect(storage.remove).toHaveBeenCalledWith('org123/chat123/file');
+            expect(Attachment.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['attachment123'] } });
+            expect(Comment.deleteMany).toHaveBeenCalledWith({ chatId: { $in: ['chat123'] } });
+            expect(ShareLink.deleteMany).toHaveBeenCalledWith({ chatId: { $in: ['chat123'] } });
+            expect(Chat.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['chat123'] } });
+            expect(res.status).toHaveBeenCalledWith(200);
+
+            setStorage(null);
+        });
+    });
+
     describe('searchChats - Error Handling', () => {
         test('should handle server errors', async () => {
             req.query.query = 'test';
@@ -178,4 +669,57 @@ describe('Chat Controller - Additional Tests', () => {
             expect(res.status).toHaveBeenCalledWith(500);
         });
     });
+
+    describe('searchChats - Custom fields', () => {
+        beforeEach(() => {
+            req.permissions = new Set(['chats:read:own']);
+            req.organization = {
+                _id: 'org123',
+                customFields: new Map([
+                    ['priority', { type: 'string', required: false, enum: ['low', 'high'] }],
+                    ['score', { type: 'number', required: false, enum: [] }],
+                ]),
+            };
+            paginateResults.mockImplementation(() => (req, res, next) => next());
+        });
+
+        test('should match chats by the values of custom fields', async () => {
+            req.query = { query: 'refund', 'fields.priority': 'high', 'fields.score': '3' };
+
+            await chatController.searchChats(req, res);
+
+            expect(paginateResults).toHaveBeenCalledWith(
+                Chat,
+                expect.objectContaining({
+                    'customFields.priority': 'high',
+                    'customFields.score': 3,
+                    $and: [expect.objectContaining({ $or: expect.any(Array) })],
+                }),
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should search by custom fields alone', async () => {
+            req.query = { 'fields.priority': 'low' };
+
+            await chatController.searchChats(req, res);
+
+            const query = paginateResults.mock.calls[0][1];
+            expect(query['customFields.priority']).toBe('low');
+            expect(query.$and).toBeUndefined();
+        });
+
+        test('should reject filters on unknown fields or with invalid values', async () => {
+            req.query = { 'fields.color': 'red', 'fields.score': 'many' };
+
+            await chatController.searchChats(req, res);
+
+            expect(paginateResults).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({
+                message: 'Invalid custom field filters',
+                details: ['"color" is not a custom field of the organization', '"score" must be a number'],
+            });
+        });
+    });
 });
@@ -159,19 +159,24 @@ describe('Chat Controller', () => {
     });
 
     describe('deleteChat', () => {
+        let chat;
+
         beforeEach(() => {
             req.params.chatId = 'chat123';
 
-            Chat.findOne = jest.fn().mockResolvedValue({ _id: 'chat123' });
+            chat = { _id: 'chat123', deletedAt: null, save: jest.fn().mockResolvedValue(true) };
+            Chat.findOne = jest.fn().mockResolvedValue(chat);
             Message.deleteMany = jest.fn().mockResolvedValue({});
             Chat.findByIdAndDelete = jest.fn().mockResolvedValue({});
         });
 
-        test('should delete chat and its messages', async () => {
+        test('should move the chat to the trash and keep its messages', async () => {
             await chatController.deleteChat(req, res);
 
-            expect(Message.deleteMany).toHaveBeenCalled();
-            expect(Chat.findByIdAndDelete).toHaveBeenCalledWith('chat123');
+            expect(chat.deletedAt).toBeInstanceOf(Date);
+            expect(chat.save).toHaveBeenCalled();
+            expect(Message.deleteMany).not.toHaveBeenCalled();
+            expect(Chat.findByIdAndDelete).not.toHaveBeenCalled();
             expect(res.status).toHaveBeenCalledWith(200);
         });
     });
@@ -0,0 +1,106 @@
+const commentController = require('../comment.controller');
+const Chat = require('../../models/chat.model');
+const Comment = require('../../models/comment.model');
+const Team = require('../../models/team.model');
+
+// Mock dependencies
+jest.mock('../../models/chat.model');
+jest.mock('../../models/comment.model');
+jest.mock('../../models/team.model');
+jest.mock('../../models/organization.model');
+jest.mock('../../utils/logger');
+
+describe('Comment Controller', () => {
+    let req, res, chat;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        req = {
+            params: { chatId: 'chat123' },
+            body: { content: 'Looks resolved to me' },
+            user: { _id: 'reader123', organizationId: 'org123' },
+            organization: { _id: 'org123', settings: new Map() },
+            permissions: new Set(['chats:read:own', 'chats:write:own']),
+        };
+
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        };
+
+        chat = {
+            _id: 'chat123',
+            userId: 'author123',
+            organizationId: 'org123',
+            sharedWith: [{ userId: 'reader123', permission: 'comment' }],
+            getShare: jest.fn(userId => chat.sharedWith.find(share => share.userId === userId) || null),
+        };
+
+        Team.distinct = jest.fn().mockResolvedValue([]);
+        Chat.findOne = jest.fn().mockResolvedValue(chat);
+        Comment.create = jest.fn(data => Promise.resolve({ _id: 'comment123', ...data }));
+    });
+
+    test('should list the comments of a readable chat', async () => {
+        const sort = jest.fn().mockResolvedValue([{ content: 'First' }]);
+        Comment.find = jest.fn().mockReturnValue({ sort });
+
+        await commentController.getChatComments(req, res);
+
+        expect(Chat.findOne).toHaveBeenCalledWith({
+            _id: 'chat123',
+            organizationId: 'org123',
+            deletedAt: null,
+            $or: [{ userId: 'reader123' }, { 'sharedWith.userId': 'reader123' }],
+        });
+        expect(sort).toHaveBeenCalledWith({ createdAt: 1 });
+        expect(res.json).toHaveBeenCalledWith({ comments: [{ content: 'First' }] });
+    });
+
+    test('should let users the chat is shared with for comments add one', async () => {
+        await commentController.addComment(req, res);
+
+        expect(Comment.create).toHaveBeenCalledWith({
+            chatId: 'chat123',
+            organizationId: 'org123',
+            userId: 'reader123',
+            content: 'Looks resolved to me',
+        });
+        expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('should not let read-only users comment', async () => {
+        chat.sharedWith[0].permission = 'read';
+
+        await commentController.addComment(req, res);
+
+        expect(Comment.create).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should let the author comment', async () => {
+        req.user._id = 'author123';
+
+        await commentController.addComment(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('should refuse organization API keys', async () => {
+        req.user = undefined;
+
+        await commentController.addComment(req, res);
+
+        expect(Chat.findOne).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should return 404 for chats the user cannot read', async () => {
+        Chat.findOne = jest.fn().mockResolvedValue(null);
+
+        await commentController.addComment(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+    });
+});
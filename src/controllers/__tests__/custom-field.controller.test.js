@@ -0,0 +1,149 @@
+const customFieldController = require('../custom-field.controller');
+const Organization = require('../../models/organization.model');
+const Chat = require('../../models/chat.model');
+const AuditEvent = require('../../models/audit-event.model');
+
+// Mock dependencies
+jest.mock('../../models/organization.model');
+jest.mock('../../models/chat.model');
+jest.mock('../../models/membership.model');
+jest.mock('../../models/audit-event.model');
+jest.mock('../../utils/logger');
+
+const ORG_ID = '507f1f77bcf86cd799439011';
+const OTHER_ORG = '507f1f77bcf86cd799439022';
+
+describe('Custom Field Controller', () => {
+    let req, res, organization;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        organization = {
+            _id: ORG_ID,
+            customFields: new Map([
+                ['priority', { type: 'string', required: true, enum: ['low', 'high'], description: 'Ticket priority' }],
+            ]),
+            save: jest.fn().mockResolvedValue(true),
+        };
+
+        req = {
+            params: { id: ORG_ID, name: 'priority' },
+            body: {},
+            user: { _id: 'admin123', role: 'admin', organizationId: ORG_ID },
+            permissions: new Set(['org:read', 'org:fields:manage']),
+        };
+
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        };
+
+        Organization.findById = jest.fn().mockResolvedValue(organization);
+        Chat.updateMany = jest.fn().mockResolvedValue({});
+        AuditEvent.create = jest.fn().mockResolvedValue({});
+    });
+
+    describe('listCustomFields', () => {
+        test('should list the custom fields of the organization', async () => {
+            await customFieldController.listCustomFields(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({
+                customFields: [
+                    {
+                        name: 'priority',
+                        type: 'string',
+                        required: true,
+                        enum: ['low', 'high'],
+                        description: 'Ticket priority',
+                    },
+                ],
+            });
+        });
+
+        test('should not show the custom fields of other organizations', async () => {
+            req.params.id = OTHER_ORG;
+
+            await customFieldController.listCustomFields(req, res);
+
+            expect(Organization.findById).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('updateCustomField', () => {
+        test('should define a new custom field and record it', async () => {
+            req.params.name = 'score';
+            req.body = { type: 'number' };
+
+            await customFieldController.updateCustomField(req, res);
+
+            expect(organization.customFields.get('score')).toEqual({
+                type: 'number',
+                required: false,
+                enum: [],
+                description: '',
+            });
+            expect(organization.save).toHaveBeenCalled();
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: 'custom_field.created',
+                    target: { type: 'custom_field', id: 'score', label: 'score' },
+                }),
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should replace the definition of an existing field and record the change', async () => {
+            req.body = { type: 'string', required: false, enum: ['low', 'medium', 'high'], description: 'Ticket priority' };
+
+            await customFieldController.updateCustomField(req, res);
+
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: 'custom_field.updated',
+                    diff: {
+                        required: { from: true, to: false },
+                        enum: { from: ['low', 'high'], to: ['low', 'medium', 'high'] },
+                    },
+                }),
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should reject invalid field names', async () => {
+            req.params.name = 'customFields.$where';
+            req.body = { type: 'string' };
+
+            await customFieldController.updateCustomField(req, res);
+
+            expect(organization.save).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('deleteCustomField', () => {
+        test('should delete the field and its values on chats', async () => {
+            await customFieldController.deleteCustomField(req, res);
+
+            expect(organization.customFields.has('priority')).toBe(false);
+            expect(organization.save).toHaveBeenCalled();
+            expect(Chat.updateMany).toHaveBeenCalledWith(
+                { organizationId: ORG_ID, 'customFields.priority': { $exists: true } },
+                { $unset: { 'customFields.priority': '' } },
+            );
+            expect(AuditEvent.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'custom_field.deleted' }));
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should return 404 for fields that are not defined', async () => {
+            req.params.name = 'score';
+
+            await customFieldController.deleteCustomField(req, res);
+
+            expect(Chat.updateMany).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+});
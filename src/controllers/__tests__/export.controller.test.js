@@ -2,12 +2,14 @@ const { exportChatsAndMessages, exportUserActivity } = require('../export.contro
 const Chat = require('../../models/chat.model');
 const Message = require('../../models/message.model');
 const User = require('../../models/user.model');
+const AuditEvent = require('../../models/audit-event.model');
 const logger = require('../../utils/logger');
 
 // Mock the dependencies
 jest.mock('../../models/chat.model');
 jest.mock('../../models/message.model');
 jest.mock('../../models/user.model');
+jest.mock('../../models/audit-event.model');
 jest.mock('../../utils/logger');
 
 // Setup logger mock functions
@@ -159,6 +161,7 @@ describe('Export Controller', () => {
                     tokens: 5,
                     latency: 100,
                     model: 'gpt-4',
+                    cost: 0.00015,
                     createdAt: new Date('2025-03-15'),
                 },
             ];
@@ -185,8 +188,17 @@ describe('Export Controller', () => {
             expect(mockResponse.json).toHaveBeenCalledWith(
                 expect.objectContaining({
                     message: 'Export successful',
-                    metadata: expect.any(Object),
-                    data: expect.any(Array),
+                    metadata: expect.objectContaining({ totalCost: 0.00015 }),
+                    data: [expect.objectContaining({ totalCost: 0.00015 })],
+                }),
+            );
+
+            // Verify the export was recorded in the audit log
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: 'export.run',
+                    organizationId: 'org123',
+                    metadata: expect.objectContaining({ type: 'chats', format: 'json', totalChats: 1, totalMessages: 1 }),
                 }),
             );
         });
@@ -227,6 +239,7 @@ describe('Export Controller', () => {
                     tokens: 10,
                     latency: 150,
                     model: 'gpt-4',
+                    cost: 0.0006,
                     createdAt: new Date('2025-03-15'),
                 },
             ];
@@ -249,8 +262,10 @@ describe('Export Controller', () => {
             );
             expect(mockResponse.setHeader).toHaveBeenCalledWith('Content-Type', 'text/csv');
 
-            // Verify CSV format sent
-            expect(mockResponse.send).toHaveBeenCalled();
+            // Verify CSV format sent, with the cost of each message
+            const [header, , row] = mockResponse.send.mock.calls[0][0].split('\n');
+            expect(header.split(',')).toContain('cost');
+            expect(row).toContain(',0.0006,');
         });
 
         it('should handle escaping special characters in CSV format', async () => {
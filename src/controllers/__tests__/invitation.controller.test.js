@@ -0,0 +1,419 @@
+const invitationController = require('../invitation.controller');
+const Invitation = require('../../models/invitation.model');
+const Organization = require('../../models/organization.model');
+const User = require('../../models/user.model');
+const Membership = require('../../models/membership.model');
+const AuditEvent = require('../../models/audit-event.model');
+const { issueAuthTokens } = require('../../utils/auth-tokens');
+const { sendMail } = require('../../utils/mailer');
+
+// Mock dependencies
+jest.mock('../../models/invitation.model');
+jest.mock('../../models/organization.model');
+jest.mock('../../models/user.model');
+jest.mock('../../models/membership.model');
+jest.mock('../../models/audit-event.model');
+jest.mock('../../utils/auth-tokens');
+jest.mock('../../utils/mailer');
+jest.mock('../../config/config', () => ({
+    jwtSecret: 'test-secret',
+    invitationTtlDays: 7,
+    appUrl: 'https://app.example.com',
+}));
+jest.mock('../../utils/logger');
+
+const ORG_ID = '507f1f77bcf86cd799439011';
+
+describe('Invitation Controller', () => {
+    let req, res, invitation;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        req = {
+            body: {},
+            params: { id: ORG_ID },
+            query: {},
+            user: { _id: 'admin123', role: 'admin', organizationId: ORG_ID },
+        };
+
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        };
+
+        invitation = {
+            _id: 'invite123',
+            organizationId: ORG_ID,
+            email: 'invitee@example.com',
+            role: 'admin',
+            status: 'pending',
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+            isPending: jest.fn().mockReturnValue(true),
+            save: jest.fn().mockResolvedValue(true),
+        };
+
+        Invitation.generateToken = jest.fn().mockReturnValue('invite-token');
+        Invitation.hashToken = jest.fn(token => `hash:${token}`);
+        Organization.findOne = jest.fn().mockResolvedValue({ _id: ORG_ID, name: 'Acme' });
+    });
+
+    describe('createInvitation', () => {
+        beforeEach(() => {
+            req.body = { email: 'Invitee@Example.com', role: 'admin' };
+            User.findOne = jest.fn().mockResolvedValue(null);
+            Membership.findOne = jest.fn().mockResolvedValue(null);
+            Invitation.updateMany = jest.fn().mockResolvedValue({});
+            Invitation.updateOne = jest.fn().mockResolvedValue({});
+            Invitation.create = jest.fn(async doc => ({ ...invitation, ...doc }));
+            sendMail.mockResolvedValue({});
+        });
+
+        test('should store a hashed token and email the invitation link', async () => {
+            await invitationController.createInvitation(req, res);
+
+            expect(Invitation.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    organizationId: ORG_ID,
+                    email: 'invitee@example.com',
+                    role: 'admin',
+                    tokenHash: 'hash:invite-token',
+                    invitedBy: 'admin123',
+                })
+            );
+            const { expiresAt } = Invitation.create.mock.calls[0][0];
+            expect(expiresAt.getTime() - Date.now()).toBeGreaterThan(6.9 * 24 * 60 * 60 * 1000);
+            expect(sendMail).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    to: 'invitee@example.com',
+                    text: expect.stringContaining('https://app.example.com/accept-invitation?token=invite-token'),
+                })
+            );
+            expect(Invitation.updateOne).toHaveBeenCalledWith({ _id: 'invite123' }, { emailSent: true });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ emailSent: true }));
+            expect(res.json.mock.calls[0][0]).not.toHaveProperty('token');
+        });
+
+        test('should revoke earlier pending invitations for the same address', async () => {
+            await invitationController.createInvitation(req, res);
+
+            expect(Invitation.updateMany).toHaveBeenCalledWith(
+                { organizationId: ORG_ID, email: 'invitee@example.com', acceptedAt: null, revokedAt: null },
+                { revokedAt: expect.any(Date) }
+            );
+        });
+
+        test('should still create the invitation when the email cannot be sent', async () => {
+            sendMail.mockRejectedValue(new Error('SMTP down'));
+
+            await invitationController.createInvitation(req, res);
+
+            expect(Invitation.updateOne).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({ token: 'invite-token', emailSent: false })
+            );
+        });
+
+        test('should return 409 when the user is already a member of the organization', async () => {
+            User.findOne = jest.fn().mockResolvedValue({ _id: 'user123', organizationId: ORG_ID });
+
+            await invitationController.createInvitation(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(Invitation.create).not.toHaveBeenCalled();
+        });
+
+        test('should invite existing users of other organizations to join', async () => {
+            User.findOne = jest.fn().mockResolvedValue({ _id: 'user123', organizationId: 'other-org' });
+
+            await invitationController.createInvitation(req, res);
+
+            expect(Membership.findOne).toHaveBeenCalledWith({ userId: 'user123', organizationId: ORG_ID });
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should not let admins invite into other organizations', async () => {
+            req.params.id = '507f1f77bcf86cd799439099';
+
+            await invitationController.createInvitation(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(Invitation.create).not.toHaveBeenCalled();
+        });
+
+        test('should not invite with a role granting more than the inviter has', async () => {
+            req.user.role = 'user';
+
+            await invitationController.createInvitation(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json.mock.calls[0][0].message).toContain('grants permissions you do not have');
+            expect(Invitation.create).not.toHaveBeenCalled();
+        });
+
+        test('should refuse roles that do not exist in the organization', async () => {
+            req.body.role = 'ghost';
+
+            await invitationController.createInvitation(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Unknown role: ghost' });
+        });
+
+        test('should let superadmins invite into any organization', async () => {
+            req.user = { _id: 'super123', role: 'superadmin', organizationId: 'other' };
+
+            await invitationController.createInvitation(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+    });
+
+    describe('listInvitations', () => {
+        beforeEach(() => {
+            const query = {
+                sort: jest.fn().mockReturnThis(),
+                limit: jest.fn().mockReturnThis(),
+                skip: jest.fn().mockResolvedValue([invitation]),
+            };
+            Invitation.find = jest.fn().mockReturnValue(query);
+            Invitation.countDocuments = jest.fn().mockResolvedValue(1);
+        });
+
+        test('should list pending invitations by default', async () => {
+            await invitationController.listInvitations(req, res);
+
+            expect(Invitation.find).toHaveBeenCalledWith({
+                organizationId: ORG_ID,
+                acceptedAt: null,
+                revokedAt: null,
+                expiresAt: { $gt: expect.any(Date) },
+            });
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({ invitations: [invitation], totalInvitations: 1 })
+            );
+        });
+
+        test('should filter by status', async () => {
+            req.query.status = 'accepted';
+
+            await invitationController.listInvitations(req, res);
+
+            expect(Invitation.find).toHaveBeenCalledWith({
+                organizationId: ORG_ID,
+                acceptedAt: { $ne: null },
+            });
+        });
+    });
+
+    describe('revokeInvitation', () => {
+        beforeEach(() => {
+            req.params.invitationId = 'invite123';
+            Invitation.findOne = jest.fn().mockResolvedValue(invitation);
+        });
+
+        test('should revoke a pending invitation', async () => {
+            await invitationController.revokeInvitation(req, res);
+
+            expect(Invitation.findOne).toHaveBeenCalledWith({ _id: 'invite123', organizationId: ORG_ID });
+            expect(invitation.revokedAt).toBeInstanceOf(Date);
+            expect(invitation.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should return 409 when the invitation is no longer pending', async () => {
+            invitation.isPending.mockReturnValue(false);
+            invitation.status = 'accepted';
+
+            await invitationController.revokeInvitation(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invitation is already accepted' });
+        });
+
+        test('should return 404 when the invitation does not exist', async () => {
+            Invitation.findOne = jest.fn().mockResolvedValue(null);
+
+            await invitationController.revokeInvitation(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('acceptInvitation', () => {
+        let savedUser;
+
+        beforeEach(() => {
+            req = {
+                body: { token: 'invite-token', username: 'invitee', password: 'password123' },
+                ip: '127.0.0.1',
+                headers: { 'user-agent': 'curl/8.5.0' },
+            };
+            Invitation.findOne = jest.fn().mockResolvedValue(invitation);
+            Invitation.findOneAndUpdate = jest.fn().mockResolvedValue({ ...invitation, emailSent: true });
+            Invitation.updateOne = jest.fn().mockResolvedValue({});
+            User.findOne = jest.fn().mockResolvedValue(null);
+            User.mockImplementation(data => {
+                savedUser = { _id: 'newuser123', ...data, save: jest.fn().mockResolvedValue(true) };
+                return savedUser;
+            });
+            issueAuthTokens.mockResolvedValue({ token: 'access-token', refreshToken: 'refresh-token', expiresIn: '15m' });
+        });
+
+        test('should register the user with the invited email and role', async () => {
+            await invitationController.acceptInvitation(req, res);
+
+            expect(Invitation.findOne).toHaveBeenCalledWith({ tokenHash: 'hash:invite-token' });
+            expect(User).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    username: 'invitee',
+                    email: 'invitee@example.com',
+                    organizationId: ORG_ID,
+                    role: 'admin',
+                    emailVerified: true,
+                })
+            );
+            expect(Invitation.updateOne).toHaveBeenCalledWith({ _id: 'invite123' }, { acceptedBy: 'newuser123' });
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({ token: 'access-token', refreshToken: 'refresh-token' })
+            );
+        });
+
+        test('should not verify the email when the token was handed to the inviter', async () => {
+            Invitation.findOneAndUpdate = jest.fn().mockResolvedValue({ ...invitation, emailSent: false });
+
+            await invitationController.acceptInvitation(req, res);
+
+            expect(User).toHaveBeenCalledWith(
+                expect.objectContaining({ emailVerified: false, emailVerifiedAt: null })
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should reject invitations that are no longer pending', async () => {
+            invitation.isPending.mockReturnValue(false);
+
+            await invitationController.acceptInvitation(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(User).not.toHaveBeenCalled();
+        });
+
+        test('should reject unknown tokens', async () => {
+            Invitation.findOne = jest.fn().mockResolvedValue(null);
+
+            await invitationController.acceptInvitation(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid or expired invitation' });
+        });
+
+        test('should reject an invitation accepted concurrently', async () => {
+            Invitation.findOneAndUpdate = jest.fn().mockResolvedValue(null);
+
+            await invitationController.acceptInvitation(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(User).not.toHaveBeenCalled();
+        });
+
+        test('should return 409 when the username is taken', async () => {
+            User.findOne = jest.fn().mockResolvedValue({ _id: 'existing' });
+
+            await invitationController.acceptInvitation(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(Invitation.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        test('should point existing accounts to joining instead', async () => {
+            User.findOne = jest.fn().mockResolvedValue({ _id: 'existing', email: 'invitee@example.com' });
+
+            await invitationController.acceptInvitation(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(res.json.mock.calls[0][0].message).toContain('join the organization');
+        });
+
+        test('should release the invitation when the user cannot be saved', async () => {
+            User.mockImplementation(data => ({
+                ...data,
+                save: jest.fn().mockRejectedValue(new Error('Duplicate key')),
+            }));
+
+            await invitationController.acceptInvitation(req, res);
+
+            expect(Invitation.updateOne).toHaveBeenCalledWith({ _id: 'invite123' }, { acceptedAt: null });
+            expect(res.status).toHaveBeenCalledWith(500);
+        });
+    });
+
+    describe('joinOrganization', () => {
+        beforeEach(() => {
+            req = {
+                body: { token: 'invite-token' },
+                headers: {},
+                user: { _id: 'user123', username: 'consultant', email: 'invitee@example.com', role: 'user', organizationId: 'home-org' },
+            };
+            invitation.invitedBy = 'admin123';
+            Invitation.findOne = jest.fn().mockResolvedValue(invitation);
+            Invitation.findOneAndUpdate = jest.fn().mockResolvedValue(invitation);
+            Membership.findOne = jest.fn().mockResolvedValue(null);
+            Membership.create = jest.fn(async doc => doc);
+        });
+
+        test('should add the user to the organization with the invited role', async () => {
+            await invitationController.joinOrganization(req, res);
+
+            expect(Invitation.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: 'invite123', acceptedAt: null, revokedAt: null },
+                { acceptedAt: expect.any(Date), acceptedBy: 'user123' },
+                { new: true }
+            );
+            expect(Membership.create).toHaveBeenCalledWith({
+                userId: 'user123',
+                organizationId: ORG_ID,
+                role: 'admin',
+                addedBy: 'admin123',
+            });
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'membership.created', organizationId: ORG_ID })
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({ organization: { id: ORG_ID, name: 'Acme', role: 'admin' } })
+            );
+        });
+
+        test('should refuse invitations sent to another email address', async () => {
+            req.user.email = 'someone@example.com';
+
+            await invitationController.joinOrganization(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(Membership.create).not.toHaveBeenCalled();
+        });
+
+        test('should return 409 for existing members', async () => {
+            Membership.findOne = jest.fn().mockResolvedValue({ organizationId: ORG_ID, role: 'user' });
+
+            await invitationController.joinOrganization(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(Invitation.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        test('should reject invitations that are no longer pending', async () => {
+            invitation.isPending.mockReturnValue(false);
+
+            await invitationController.joinOrganization(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(Membership.create).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,234 @@
+const membershipController = require('../membership.controller');
+const Membership = require('../../models/membership.model');
+const Organization = require('../../models/organization.model');
+const Team = require('../../models/team.model');
+const User = require('../../models/user.model');
+const AuditEvent = require('../../models/audit-event.model');
+const { switchSessionOrganization, resetSessionOrganization } = require('../../utils/auth-tokens');
+
+// Mock dependencies
+jest.mock('../../models/membership.model');
+jest.mock('../../models/organization.model');
+jest.mock('../../models/team.model');
+jest.mock('../../models/user.model');
+jest.mock('../../models/audit-event.model');
+jest.mock('../../utils/auth-tokens');
+jest.mock('../../utils/logger');
+
+const HOME_ORG = '507f1f77bcf86cd799439011';
+const CLIENT_ORG = '507f1f77bcf86cd799439022';
+
+describe('Membership Controller', () => {
+    let req, res, user;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        // The user acts in the client organization through their membership
+        user = { _id: 'user123', username: 'consultant', role: 'user', organizationId: HOME_ORG };
+
+        req = {
+            params: {},
+            body: {},
+            query: {},
+            headers: {},
+            sessionId: 'session123',
+            user: { ...user, role: 'admin', organizationId: CLIENT_ORG },
+        };
+
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        };
+
+        User.findById = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    });
+
+    describe('listOrganizations', () => {
+        test('should list the own organization and memberships, marking the current one', async () => {
+            Membership.find = jest.fn().mockResolvedValue([{ organizationId: CLIENT_ORG, role: 'admin' }]);
+            Organization.find = jest.fn().mockResolvedValue([
+                { _id: HOME_ORG, name: 'Consultancy' },
+                { _id: CLIENT_ORG, name: 'Client' },
+            ]);
+
+            await membershipController.listOrganizations(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({
+                organizations: [
+                    { id: HOME_ORG, name: 'Consultancy', role: 'user', home: true, current: false },
+                    { id: CLIENT_ORG, name: 'Client', role: 'admin', home: false, current: true },
+                ],
+            });
+        });
+
+        test('should leave out deactivated organizations', async () => {
+            Membership.find = jest.fn().mockResolvedValue([{ organizationId: CLIENT_ORG, role: 'admin' }]);
+            Organization.find = jest.fn().mockResolvedValue([{ _id: HOME_ORG, name: 'Consultancy' }]);
+
+            await membershipController.listOrganizations(req, res);
+
+            expect(res.json.mock.calls[0][0].organizations).toHaveLength(1);
+        });
+    });
+
+    describe('switchOrganization', () => {
+        beforeEach(() => {
+            req.body = { organizationId: CLIENT_ORG };
+            switchSessionOrganization.mockResolvedValue({ token: 'client-token', expiresIn: '15m' });
+        });
+
+        test('should issue a token acting in an organization the user is a member of', async () => {
+            Membership.findOne = jest.fn().mockResolvedValue({ organizationId: CLIENT_ORG, role: 'admin' });
+            Organization.findOne = jest.fn().mockResolvedValue({ _id: CLIENT_ORG, name: 'Client' });
+
+            await membershipController.switchOrganization(req, res);
+
+            expect(Membership.findOne).toHaveBeenCalledWith({ userId: 'user123', organizationId: CLIENT_ORG });
+            expect(switchSessionOrganization).toHaveBeenCalledWith(user, 'session123', CLIENT_ORG);
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    token: 'client-token',
+                    organization: { id: CLIENT_ORG, name: 'Client', role: 'admin' },
+                })
+            );
+        });
+
+        test('should switch back to the own organization without a membership', async () => {
+            req.body = { organizationId: HOME_ORG };
+            Organization.findOne = jest.fn().mockResolvedValue({ _id: HOME_ORG, name: 'Consultancy' });
+
+            await membershipController.switchOrganization(req, res);
+
+            expect(Membership.findOne).not.toHaveBeenCalled();
+            expect(switchSessionOrganization).toHaveBeenCalledWith(user, 'session123', HOME_ORG);
+        });
+
+        test('should return 404 for organizations the user is not a member of', async () => {
+            Membership.findOne = jest.fn().mockResolvedValue(null);
+
+            await membershipController.switchOrganization(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(switchSessionOrganization).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('leaveOrganization', () => {
+        test('should end the membership and move sessions back to the own organization', async () => {
+            req.params.organizationId = CLIENT_ORG;
+            Membership.findOneAndDelete = jest.fn().mockResolvedValue({ organizationId: CLIENT_ORG, role: 'admin' });
+
+            await membershipController.leaveOrganization(req, res);
+
+            expect(Membership.findOneAndDelete).toHaveBeenCalledWith({ userId: 'user123', organizationId: CLIENT_ORG });
+            expect(resetSessionOrganization).toHaveBeenCalledWith(user, CLIENT_ORG);
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'membership.removed', organizationId: CLIENT_ORG })
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should not let users leave their own organization', async () => {
+            req.params.organizationId = HOME_ORG;
+
+            await membershipController.leaveOrganization(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(Membership.findOneAndDelete).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('member management', () => {
+        let membership;
+
+        beforeEach(() => {
+            req.user = { _id: 'admin123', role: 'admin', organizationId: CLIENT_ORG };
+            req.params = { id: CLIENT_ORG, userId: 'user123' };
+            membership = {
+                userId: 'user123',
+                organizationId: CLIENT_ORG,
+                role: 'user',
+                save: jest.fn().mockResolvedValue(true),
+            };
+            Organization.findById = jest.fn().mockResolvedValue({ _id: CLIENT_ORG, roles: new Map() });
+        });
+
+        test('should list members with their user details', async () => {
+            const query = {
+                sort: jest.fn().mockReturnThis(),
+                limit: jest.fn().mockReturnThis(),
+                skip: jest.fn().mockResolvedValue([membership]),
+            };
+            Membership.find = jest.fn().mockReturnValue(query);
+            Membership.countDocuments = jest.fn().mockResolvedValue(1);
+            User.find = jest.fn().mockReturnValue({
+                select: jest.fn().mockResolvedValue([
+                    { _id: 'user123', username: 'consultant', email: 'c@example.com', isActive: true },
+                ]),
+            });
+
+            await membershipController.listMembers(req, res);
+
+            expect(Membership.find).toHaveBeenCalledWith({ organizationId: CLIENT_ORG });
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    members: [expect.objectContaining({ userId: 'user123', username: 'consultant', role: 'user' })],
+                    totalMembers: 1,
+                })
+            );
+        });
+
+        test('should change the role of a member', async () => {
+            req.body = { role: 'admin' };
+            Membership.findOne = jest.fn().mockResolvedValue(membership);
+
+            await membershipController.updateMember(req, res);
+
+            expect(membership.role).toBe('admin');
+            expect(membership.save).toHaveBeenCalled();
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: 'membership.updated',
+                    diff: { role: { from: 'user', to: 'admin' } },
+                })
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should not give members more permissions than the requester has', async () => {
+            req.user.role = 'user';
+            req.body = { role: 'admin' };
+            Membership.findOne = jest.fn().mockResolvedValue(membership);
+
+            await membershipController.updateMember(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(membership.save).not.toHaveBeenCalled();
+        });
+
+        test('should remove a member and move their sessions back', async () => {
+            Membership.findOneAndDelete = jest.fn().mockResolvedValue(membership);
+
+            await membershipController.removeMember(req, res);
+
+            expect(Membership.findOneAndDelete).toHaveBeenCalledWith({ organizationId: CLIENT_ORG, userId: 'user123' });
+            expect(resetSessionOrganization).toHaveBeenCalledWith(user, CLIENT_ORG);
+            expect(Team.updateMany).toHaveBeenCalledWith(
+                { organizationId: CLIENT_ORG, members: 'user123' },
+                { $pull: { members: 'user123' } },
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should not manage members of other organizations', async () => {
+            req.params.id = HOME_ORG;
+
+            await membershipController.removeMember(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+});
@@ -1,11 +1,26 @@
+// Load Joi before the automocked models: their Map paths break its cloning when it is loaded after them
+require('../../middleware/validation');
 const messageController = require('../message.controller');
 const Message = require('../../models/message.model');
+const MessageVersion = require('../../models/message-version.model');
+const Attachment = require('../../models/attachment.model');
 const Chat = require('../../models/chat.model');
+const Team = require('../../models/team.model');
+const ModelPrice = require('../../models/model-price.model');
+const { Readable } = require('stream');
+const { appendChunk } = require('../../utils/message-streams');
+const { removeMessageAttachments } = require('../../utils/trash');
 
 // Mock dependencies
 jest.mock('../../models/message.model');
+jest.mock('../../models/message-version.model');
+jest.mock('../../models/attachment.model');
 jest.mock('../../models/chat.model');
+jest.mock('../../models/team.model');
+jest.mock('../../models/model-price.model');
 jest.mock('../../utils/logger');
+jest.mock('../../utils/message-streams');
+jest.mock('../../utils/trash');
 jest.mock('../../middleware/pagination', () => jest.fn(() => (req, res, next) => next()));
 
 describe('Message Controller', () => {
@@ -14,6 +29,7 @@ describe('Message Controller', () => {
     beforeEach(() => {
         // Reset mocks
         jest.clearAllMocks();
+        Team.distinct = jest.fn().mockResolvedValue([]);
         
         // Common request/response objects
         req = {
@@ -65,7 +81,8 @@ describe('Message Controller', () => {
             expect(Chat.findOne).toHaveBeenCalledWith({
                 _id: 'chat123',
                 userId: 'user123',
-                organizationId: 'org123'
+                organizationId: 'org123',
+                deletedAt: null
             });
             
             expect(Message).toHaveBeenCalledWith(expect.objectContaining({
@@ -83,6 +100,110 @@ describe('Message Controller', () => {
             );
         });
         
+        test('should add a message as a backend service with an organization API key', async () => {
+            req.user = undefined;
+            req.organization = { _id: 'org123' };
+
+            await messageController.addMessage(req, res);
+
+            expect(Chat.findOne).toHaveBeenCalledWith({
+                _id: 'chat123',
+                organizationId: 'org123',
+                deletedAt: null
+            });
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+        
+        test('should return the stored message when its client ID was already added', async () => {
+            req.body.clientMessageId = 'client-1';
+            const existing = { _id: 'message000', clientMessageId: 'client-1' };
+            Message.findOne = jest.fn().mockResolvedValue(existing);
+
+            await messageController.addMessage(req, res);
+
+            expect(Message.findOne).toHaveBeenCalledWith({ chatId: 'chat123', clientMessageId: 'client-1' });
+            expect(Message).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Message already added', data: existing });
+        });
+
+        test('should store the client ID of new messages', async () => {
+            req.body.clientMessageId = 'client-1';
+            Message.findOne = jest.fn().mockResolvedValue(null);
+
+            await messageController.addMessage(req, res);
+
+            expect(Message).toHaveBeenCalledWith(expect.objectContaining({ clientMessageId: 'client-1' }));
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should return 409 when another request added the client ID first', async () => {
+            req.body.clientMessageId = 'client-1';
+            Message.findOne = jest.fn().mockResolvedValue(null);
+            Message.mockImplementation(() => ({
+                save: jest.fn().mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }))
+            }));
+
+            await messageController.addMessage(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+        });
+
+        test('should attach a message to a parent message of the chat', async () => {
+            req.body.parentMessageId = 'parent123';
+            Message.countDocuments = jest.fn().mockResolvedValue(1);
+
+            await messageController.addMessage(req, res);
+
+            expect(Message.countDocuments).toHaveBeenCalledWith({
+                _id: { $in: ['parent123'] },
+                chatId: 'chat123',
+                deletedAt: null
+            });
+            expect(Message).toHaveBeenCalledWith(expect.objectContaining({ parentMessageId: 'parent123' }));
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should return 400 when the parent message is not in the chat', async () => {
+            req.body.parentMessageId = 'parent123';
+            Message.countDocuments = jest.fn().mockResolvedValue(0);
+
+            await messageController.addMessage(req, res);
+
+            expect(Message).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Parent message not found in this chat' });
+        });
+
+        test('should add a message made of content parts', async () => {
+            req.body = {
+                role: 'user',
+                contentParts: [
+                    { type: 'text', text: 'What is in this picture?' },
+                    { type: 'image', attachmentId: 'attachment123', detail: 'high' },
+                    { type: 'image', url: 'https://example.com/photo.jpg' }
+                ]
+            };
+            Attachment.countDocuments = jest.fn().mockResolvedValue(1);
+
+            await messageController.addMessage(req, res);
+
+            expect(Attachment.countDocuments).toHaveBeenCalledWith({ _id: { $in: ['attachment123'] }, chatId: 'chat123' });
+            expect(Message).toHaveBeenCalledWith(expect.objectContaining({ contentParts: req.body.contentParts }));
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should return 400 when an attachment was not uploaded to the chat', async () => {
+            req.body.contentParts = [{ type: 'file', attachmentId: 'attachment123' }];
+            Attachment.countDocuments = jest.fn().mockResolvedValue(0);
+
+            await messageController.addMessage(req, res);
+
+            expect(Message).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Attachment not found in this chat' });
+        });
+
         test('should return 404 when chat not found', async () => {
             Chat.findOne = jest.fn().mockResolvedValue(null);
             
@@ -112,6 +233,12 @@ describe('Message Controller', () => {
     
     describe('getChatMessages', () => {
         beforeEach(() => {
+            Chat.findOne = jest.fn().mockResolvedValue({
+                _id: 'chat123',
+                userId: 'user123',
+                organizationId: 'org123'
+            });
+
             req.paginatedResults = {
                 data: [
                     { _id: 'message1', content: 'Hello' },
@@ -127,6 +254,20 @@ describe('Message Controller', () => {
             expect(res.status).toHaveBeenCalledWith(200);
             expect(res.json).toHaveBeenCalledWith(req.paginatedResults);
         });
+
+        test('should return 404 when the chat is not accessible', async () => {
+            Chat.findOne = jest.fn().mockResolvedValue(null);
+
+            await messageController.getChatMessages(req, res, next);
+
+            expect(Chat.findOne).toHaveBeenCalledWith({
+                _id: 'chat123',
+                $or: [{ userId: 'user123' }, { 'sharedWith.userId': 'user123' }],
+                organizationId: 'org123',
+                deletedAt: null
+            });
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
         
         test('should handle server errors', async () => {
             const mockError = new Error('Pagination error');
@@ -169,7 +310,8 @@ describe('Message Controller', () => {
             expect(Chat.findOne).toHaveBeenCalled();
             expect(Message.findOne).toHaveBeenCalledWith({
                 _id: 'message123',
-                chatId: 'chat123'
+                chatId: 'chat123',
+                deletedAt: null
             });
             
             expect(res.status).toHaveBeenCalledWith(200);
@@ -211,6 +353,8 @@ describe('Message Controller', () => {
     });
     
     describe('updateMessage', () => {
+        let mockMessage;
+
         beforeEach(() => {
             req.body = {
                 content: 'Updated message content',
@@ -223,16 +367,18 @@ describe('Message Controller', () => {
                 organizationId: 'org123'
             };
             
-            const mockMessage = {
+            mockMessage = {
                 _id: 'message123',
                 chatId: 'chat123',
                 content: 'Original content',
                 metadata: {},
+                version: 2,
                 save: jest.fn().mockResolvedValue(true)
             };
             
             Chat.findOne = jest.fn().mockResolvedValue(mockChat);
             Message.findOne = jest.fn().mockResolvedValue(mockMessage);
+            MessageVersion.create = jest.fn().mockResolvedValue({});
         });
         
         test('should update a message', async () => {
@@ -247,6 +393,41 @@ describe('Message Controller', () => {
                 })
             );
         });
+
+        test('should keep the previous state as a version', async () => {
+            await messageController.updateMessage(req, res);
+
+            expect(MessageVersion.create).toHaveBeenCalledWith({
+                messageId: 'message123',
+                chatId: 'chat123',
+                version: 2,
+                content: 'Original content',
+                metadata: {},
+                changedBy: 'user123',
+                reason: 'edit'
+            });
+            expect(mockMessage.version).toBe(3);
+            expect(mockMessage.content).toBe('Updated message content');
+        });
+
+        test('should not add a version when nothing changes', async () => {
+            req.body = { content: 'Original content' };
+
+            await messageController.updateMessage(req, res);
+
+            expect(MessageVersion.create).not.toHaveBeenCalled();
+            expect(mockMessage.version).toBe(2);
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should return 409 when another edit saved the same version first', async () => {
+            MessageVersion.create = jest.fn().mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+            await messageController.updateMessage(req, res);
+
+            expect(mockMessage.save).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(409);
+        });
         
         test('should return 404 when chat not found', async () => {
             Chat.findOne = jest.fn().mockResolvedValue(null);
@@ -266,6 +447,8 @@ describe('Message Controller', () => {
     });
     
     describe('deleteMessage', () => {
+        let mockMessage;
+
         beforeEach(() => {
             const mockChat = {
                 _id: 'chat123',
@@ -273,9 +456,11 @@ describe('Message Controller', () => {
                 organizationId: 'org123'
             };
             
-            const mockMessage = {
+            mockMessage = {
                 _id: 'message123',
-                chatId: 'chat123'
+                chatId: 'chat123',
+                deletedAt: null,
+                save: jest.fn().mockResolvedValue(true)
             };
             
             Chat.findOne = jest.fn().mockResolvedValue(mockChat);
@@ -283,16 +468,19 @@ describe('Message Controller', () => {
             Message.findByIdAndDelete = jest.fn().mockResolvedValue({});
         });
         
-        test('should delete a message', async () => {
+        test('should move a message to the trash', async () => {
             await messageController.deleteMessage(req, res);
             
             expect(Chat.findOne).toHaveBeenCalled();
-            expect(Message.findOne).toHaveBeenCalled();
-            expect(Message.findByIdAndDelete).toHaveBeenCalledWith('message123');
+            expect(Message.findOne).toHaveBeenCalledWith({ _id: 'message123', chatId: 'chat123', deletedAt: null });
+            expect(Message.findByIdAndDelete).not.toHaveBeenCalled();
+            expect(mockMessage.deletedAt).toBeInstanceOf(Date);
+            expect(mockMessage.deletedBy).toBe('user123');
+            expect(mockMessage.save).toHaveBeenCalled();
             expect(res.status).toHaveBeenCalledWith(200);
             expect(res.json).toHaveBeenCalledWith(
                 expect.objectContaining({
-                    message: expect.stringContaining('deleted successfully')
+                    message: expect.stringContaining('moved to trash')
                 })
             );
         });
@@ -352,6 +540,68 @@ describe('Message Controller', () => {
             );
         });
         
+        test('should check the parent messages of a batch once each', async () => {
+            req.body.messages[0].parentMessageId = 'parent123';
+            req.body.messages[1].parentMessageId = 'parent123';
+            Message.countDocuments = jest.fn().mockResolvedValue(1);
+
+            await messageController.batchAddMessages(req, res);
+
+            expect(Message.countDocuments).toHaveBeenCalledWith(
+                expect.objectContaining({ _id: { $in: ['parent123'] } })
+            );
+            expect(Message.insertMany).toHaveBeenCalledWith([
+                expect.objectContaining({ parentMessageId: 'parent123' }),
+                expect.objectContaining({ parentMessageId: 'parent123' })
+            ]);
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should check the attachments of a batch once each', async () => {
+            req.body.messages[0].contentParts = [{ type: 'audio', attachmentId: 'attachment123', transcript: 'Hi' }];
+            req.body.messages[1].contentParts = [{ type: 'file', attachmentId: 'attachment123' }];
+            Attachment.countDocuments = jest.fn().mockResolvedValue(0);
+
+            await messageController.batchAddMessages(req, res);
+
+            expect(Attachment.countDocuments).toHaveBeenCalledWith({ _id: { $in: ['attachment123'] }, chatId: 'chat123' });
+            expect(Message.insertMany).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        test('should skip messages whose client IDs are already stored or repeated', async () => {
+            req.body.messages = [
+                { role: 'user', content: 'Message 1', clientMessageId: 'client-1' },
+                { role: 'assistant', content: 'Message 2', clientMessageId: 'client-2' },
+                { role: 'assistant', content: 'Message 2 again', clientMessageId: 'client-2' },
+                { role: 'user', content: 'Message 3' }
+            ];
+            Message.distinct = jest.fn().mockResolvedValue(['client-1']);
+
+            await messageController.batchAddMessages(req, res);
+
+            expect(Message.distinct).toHaveBeenCalledWith('clientMessageId', {
+                chatId: 'chat123',
+                clientMessageId: { $in: ['client-1', 'client-2', 'client-2'] }
+            });
+            expect(Message.insertMany).toHaveBeenCalledWith([
+                expect.objectContaining({ content: 'Message 2', clientMessageId: 'client-2' }),
+                expect.objectContaining({ content: 'Message 3', clientMessageId: null })
+            ]);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ count: 2, skipped: 2 }));
+        });
+
+        test('should answer 200 without inserting when every message was already stored', async () => {
+            req.body.messages = [{ role: 'user', content: 'Message 1', clientMessageId: 'client-1' }];
+            Message.distinct = jest.fn().mockResolvedValue(['client-1']);
+
+            await messageController.batchAddMessages(req, res);
+
+            expect(Message.insertMany).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ count: 0, skipped: 1 }));
+        });
+
         test('should return 400 when no messages provided', async () => {
             req.body.messages = [];
             
@@ -373,4 +623,562 @@ describe('Message Controller', () => {
             expect(res.status).toHaveBeenCalledWith(404);
         });
     });
+
+    describe('Tool calls', () => {
+        const callMessage = {
+            _id: 'assistant123',
+            toolCalls: [
+                { id: 'call_1', name: 'search', durationMs: null },
+                { id: 'call_2', name: 'get_weather', durationMs: 80 }
+            ]
+        };
+
+        beforeEach(() => {
+            Chat.findOne = jest.fn().mockResolvedValue({
+                _id: 'chat123',
+                userId: 'user123',
+                organizationId: 'org123',
+                save: jest.fn().mockResolvedValue(true)
+            });
+            Message.find = jest.fn().mockReturnValue({ sort: jest.fn().mockResolvedValue([callMessage]) });
+            Message.updateOne = jest.fn().mockResolvedValue({});
+        });
+
+        test('should record the answer of a tool message on the call it answers', async () => {
+            req.body = { role: 'tool', content: '3 results', toolCallId: 'call_1', latency: 350 };
+            Message.mockImplementation(data => ({ _id: 'tool123', ...data, save: jest.fn().mockResolvedValue(true) }));
+
+            await messageController.addMessage(req, res);
+
+            expect(Message.find).toHaveBeenCalledWith({
+                chatId: 'chat123',
+                deletedAt: null,
+                'toolCalls.id': { $in: ['call_1'] }
+            });
+            expect(Message).toHaveBeenCalledWith(expect.objectContaining({ toolCallId: 'call_1' }));
+            expect(Message.updateOne).toHaveBeenCalledWith(
+                { _id: 'assistant123', 'toolCalls.id': 'call_1' },
+                {
+                    $set: {
+                        'toolCalls.$.result': '3 results',
+                        'toolCalls.$.status': 'success',
+                        'toolCalls.$.error': null,
+                        'toolCalls.$.durationMs': 350,
+                        'toolCalls.$.resultMessageId': 'tool123'
+                    }
+                }
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should record failed tool calls and keep durations logged with the call', async () => {
+            req.body = { role: 'tool', content: 'Service unavailable', toolCallId: 'call_2', isError: true, latency: 500 };
+            Message.mockImplementation(data => ({ _id: 'tool123', ...data, save: jest.fn().mockResolvedValue(true) }));
+
+            await messageController.addMessage(req, res);
+
+            expect(Message.updateOne.mock.calls[0][1].$set).toEqual(expect.objectContaining({
+                'toolCalls.$.result': null,
+                'toolCalls.$.status': 'error',
+                'toolCalls.$.error': 'Service unavailable',
+                'toolCalls.$.durationMs': 80
+            }));
+        });
+
+        test('should return 400 when the answered call is not in the chat', async () => {
+            req.body = { role: 'tool', content: '3 results', toolCallId: 'call_9' };
+
+            await messageController.addMessage(req, res);
+
+            expect(Message).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Tool call not found in this chat' });
+        });
+
+        test('should link tool messages to calls made earlier in the same batch', async () => {
+            req.body = {
+                messages: [
+                    { role: 'assistant', content: 'Searching', toolCalls: [{ id: 'call_3', name: 'search' }] },
+                    { role: 'tool', content: 'No results', toolCallId: 'call_3' }
+                ]
+            };
+            Message.insertMany = jest.fn().mockResolvedValue([
+                { _id: 'assistant456', toolCalls: [{ id: 'call_3', name: 'search', durationMs: null }] },
+                { _id: 'tool456', content: 'No results', toolCallId: 'call_3', latency: 0 }
+            ]);
+
+            await messageController.batchAddMessages(req, res);
+
+            expect(Message.find).not.toHaveBeenCalled();
+            expect(Message.updateOne).toHaveBeenCalledWith(
+                { _id: 'assistant456', 'toolCalls.id': 'call_3' },
+                { $set: expect.objectContaining({ 'toolCalls.$.result': 'No results', 'toolCalls.$.resultMessageId': 'tool456' }) }
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should list the tool calls of a chat', async () => {
+            req.query = { status: 'error' };
+            Message.aggregate = jest.fn().mockResolvedValue([{ id: 'call_2', name: 'get_weather', status: 'error' }]);
+
+            await messageController.getToolCalls(req, res);
+
+            const pipeline = Message.aggregate.mock.calls[0][0];
+            expect(pipeline[0]).toEqual({
+                $match: { chatId: 'chat123', deletedAt: null, 'toolCalls.0': { $exists: true } }
+            });
+            expect(pipeline).toContainEqual({ $match: { 'toolCalls.status': 'error' } });
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({
+                chatId: 'chat123',
+                total: 1,
+                toolCalls: [{ id: 'call_2', name: 'get_weather', status: 'error' }]
+            });
+        });
+    });
+
+    describe('Branches', () => {
+        const messages = [
+            { _id: 'm1', parentMessageId: null, content: 'question' },
+            { _id: 'm2', parentMessageId: 'm1', content: 'answer' },
+            { _id: 'm3', parentMessageId: 'm1', content: 'regenerated answer' }
+        ];
+
+        beforeEach(() => {
+            Chat.findOne = jest.fn().mockResolvedValue({ _id: 'chat123', userId: 'user123', organizationId: 'org123' });
+            Message.find = jest.fn().mockReturnValue({ sort: jest.fn().mockResolvedValue(messages) });
+        });
+
+        test('should return the messages of a chat as a tree', async () => {
+            await messageController.getMessageTree(req, res);
+
+            expect(Message.find).toHaveBeenCalledWith({ chatId: 'chat123', deletedAt: null });
+            expect(res.status).toHaveBeenCalledWith(200);
+            const { roots, totalMessages } = res.json.mock.calls[0][0];
+            expect(totalMessages).toBe(3);
+            expect(roots).toHaveLength(1);
+            expect(roots[0].children.map(node => node.message.content)).toEqual(['answer', 'regenerated answer']);
+        });
+
+        test('should return the path to a message', async () => {
+            req.params.messageId = 'm3';
+
+            await messageController.getMessagePath(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ messages: [messages[0], messages[2]] });
+        });
+
+        test('should return 404 for messages that are not in the chat', async () => {
+            req.params.messageId = 'm9';
+
+            await messageController.getMessagePath(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Message not found' });
+        });
+
+        test('should return 404 when the chat is not accessible', async () => {
+            Chat.findOne = jest.fn().mockResolvedValue(null);
+
+            await messageController.getMessageTree(req, res);
+
+            expect(Message.find).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('Versions', () => {
+        let mockMessage;
+        const earlier = { messageId: 'message123', version: 1, content: 'First draft', metadata: { draft: true } };
+
+        beforeEach(() => {
+            req.params.version = '1';
+            Chat.findOne = jest.fn().mockResolvedValue({ _id: 'chat123', userId: 'user123', organizationId: 'org123' });
+            mockMessage = {
+                _id: 'message123',
+                chatId: 'chat123',
+                content: 'Second draft',
+                metadata: {},
+                version: 2,
+                save: jest.fn().mockResolvedValue(true)
+            };
+            Message.findOne = jest.fn().mockResolvedValue(mockMessage);
+            MessageVersion.findOne = jest.fn().mockResolvedValue(earlier);
+            MessageVersion.create = jest.fn().mockResolvedValue({});
+        });
+
+        test('should list the earlier versions of a message', async () => {
+            MessageVersion.find = jest.fn().mockReturnValue({ sort: jest.fn().mockResolvedValue([earlier]) });
+
+            await messageController.getMessageVersions(req, res);
+
+            expect(MessageVersion.find).toHaveBeenCalledWith({ messageId: 'message123' });
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ currentVersion: 2, versions: [earlier] });
+        });
+
+        test('should get a version by number', async () => {
+            await messageController.getMessageVersion(req, res);
+
+            expect(MessageVersion.findOne).toHaveBeenCalledWith({ messageId: 'message123', version: 1 });
+            expect(res.json).toHaveBeenCalledWith({ version: earlier });
+        });
+
+        test('should return 404 for unknown versions', async () => {
+            MessageVersion.findOne = jest.fn().mockResolvedValue(null);
+
+            await messageController.getMessageVersion(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Version not found' });
+        });
+
+        test('should return 400 for invalid version numbers', async () => {
+            req.params.version = 'latest';
+
+            await messageController.getMessageVersion(req, res);
+
+            expect(Chat.findOne).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        test('should revert to a version and keep the replaced state', async () => {
+            await messageController.revertMessage(req, res);
+
+            expect(MessageVersion.create).toHaveBeenCalledWith(
+                expect.objectContaining({ version: 2, content: 'Second draft', reason: 'revert' })
+            );
+            expect(mockMessage.content).toBe('First draft');
+            expect(mockMessage.metadata).toEqual({ draft: true });
+            expect(mockMessage.version).toBe(3);
+            expect(mockMessage.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should only revert messages of chats the user may change', async () => {
+            Chat.findOne = jest.fn().mockResolvedValue(null);
+
+            await messageController.revertMessage(req, res);
+
+            expect(Chat.findOne).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user123' }));
+            expect(MessageVersion.create).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('Streaming', () => {
+        let mockChat, streamed;
+
+        beforeEach(() => {
+            mockChat = { _id: 'chat123', userId: 'user123', organizationId: 'org123', save: jest.fn().mockResolvedValue(true) };
+            Chat.findOne = jest.fn().mockResolvedValue(mockChat);
+            streamed = {
+                _id: 'message123',
+                chatId: 'chat123',
+                content: 'Hello',
+                metadata: {},
+                status: 'streaming',
+                chunkCount: 2,
+                createdAt: new Date(Date.now() - 1500),
+                save: jest.fn().mockResolvedValue(true)
+            };
+            Message.mockImplementation(data => ({ _id: 'message123', ...data, save: jest.fn().mockResolvedValue(true) }));
+        });
+
+        // Request whose body is streamed as NDJSON lines
+        const ndjsonRequest = lines =>
+            Object.assign(Readable.from(lines.map(line => `${line}\n`)), {
+                params: { chatId: 'chat123' },
+                user: req.user,
+                is: type => type === 'application/x-ndjson'
+            });
+
+        test('should open a pending assistant message', async () => {
+            req.is = jest.fn().mockReturnValue(false);
+            req.body = { clientMessageId: undefined };
+
+            await messageController.startMessageStream(req, res);
+
+            expect(Message).toHaveBeenCalledWith(
+                expect.objectContaining({ chatId: 'chat123', role: 'assistant', content: '', status: 'streaming' })
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should append a chunk', async () => {
+            req.body = { content: ' world', sequence: 2 };
+            appendChunk.mockResolvedValue({ chunkCount: 3, content: 'Hello world' });
+
+            await messageController.appendMessageChunk(req, res);
+
+            expect(appendChunk).toHaveBeenCalledWith({ _id: 'message123', chatId: 'chat123' }, ' world', 2);
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Chunk appended', chunkCount: 3, contentLength: 11 });
+        });
+
+        test('should accept retried chunks without appending them twice', async () => {
+            req.body = { content: 'Hel', sequence: 0 };
+            appendChunk.mockResolvedValue(null);
+            Message.findOne = jest.fn().mockResolvedValue(streamed);
+
+            await messageController.appendMessageChunk(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Chunk already appended', chunkCount: 2 });
+        });
+
+        test('should refuse chunks out of order or for finalized messages', async () => {
+            req.body = { content: '!', sequence: 5 };
+            appendChunk.mockResolvedValue(null);
+            Message.findOne = jest.fn().mockResolvedValue(streamed);
+
+            await messageController.appendMessageChunk(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Chunk out of order, expected sequence 2' });
+
+            streamed.status = 'complete';
+            await messageController.appendMessageChunk(req, res);
+
+            expect(res.json).toHaveBeenLastCalledWith({ message: 'Message is not streaming' });
+        });
+
+        test('should finalize a message with its tokens and measure the latency', async () => {
+            req.body = { tokens: 12, completionTokens: 12 };
+            Message.findOne = jest.fn().mockResolvedValue(streamed);
+
+            await messageController.finalizeMessageStream(req, res);
+
+            expect(streamed.status).toBe('complete');
+            expect(streamed.tokens).toBe(12);
+            expect(streamed.latency).toBeGreaterThanOrEqual(1500);
+            expect(streamed.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should mark aborted streams incomplete', async () => {
+            req.body = { aborted: true, latency: 800 };
+            Message.findOne = jest.fn().mockResolvedValue(streamed);
+
+            await messageController.finalizeMessageStream(req, res);
+
+            expect(streamed.status).toBe('incomplete');
+            expect(streamed.latency).toBe(800);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Message marked incomplete' }));
+        });
+
+        test('should not finalize messages that are not streaming', async () => {
+            streamed.status = 'complete';
+            Message.findOne = jest.fn().mockResolvedValue(streamed);
+
+            await messageController.finalizeMessageStream(req, res);
+
+            expect(streamed.save).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(409);
+        });
+
+        test('should read a whole stream uploaded as NDJSON', async () => {
+            Message.findById = jest.fn().mockResolvedValue(streamed);
+
+            await messageController.startMessageStream(
+                ndjsonRequest([
+                    '{"role":"assistant","metadata":{"model":"gpt-4"}}',
+                    '{"content":"Hel"}',
+                    '',
+                    '{"content":"lo"}',
+                    '{"done":true,"tokens":2}'
+                ]),
+                res
+            );
+
+            expect(Message).toHaveBeenCalledWith(expect.objectContaining({ status: 'streaming', metadata: { model: 'gpt-4' } }));
+            // Small chunks are buffered and saved together
+            expect(appendChunk).toHaveBeenCalledTimes(1);
+            expect(appendChunk).toHaveBeenCalledWith({ _id: 'message123' }, 'Hello');
+            expect(streamed.status).toBe('complete');
+            expect(streamed.tokens).toBe(2);
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should keep the content of an NDJSON upload without a done line as incomplete', async () => {
+            Message.findById = jest.fn().mockResolvedValue(streamed);
+
+            await messageController.startMessageStream(ndjsonRequest(['{}', '{"content":"Hel"}']), res);
+
+            expect(appendChunk).toHaveBeenCalledWith({ _id: 'message123' }, 'Hel');
+            expect(streamed.status).toBe('incomplete');
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should stop at invalid NDJSON lines and keep what was received', async () => {
+            Message.findById = jest.fn().mockResolvedValue(streamed);
+
+            await messageController.startMessageStream(
+                ndjsonRequest(['{}', '{"content":"Hel"}', 'not json', '{"content":"lo"}']),
+                res
+            );
+
+            expect(appendChunk).toHaveBeenCalledWith({ _id: 'message123' }, 'Hel');
+            expect(streamed.status).toBe('incomplete');
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({ message: 'Validation error', details: ['Invalid JSON line'] })
+            );
+        });
+    });
+
+    describe('Trash', () => {
+        let mockMessage;
+
+        beforeEach(() => {
+            Chat.findOne = jest.fn().mockResolvedValue({ _id: 'chat123', userId: 'user123', organizationId: 'org123' });
+            mockMessage = {
+                _id: 'message123',
+                chatId: 'chat123',
+                deletedAt: new Date(),
+                deletedBy: 'user123',
+                save: jest.fn().mockResolvedValue(true)
+            };
+        });
+
+        test('should restore a message from the trash', async () => {
+            Message.findOne = jest.fn().mockResolvedValue(mockMessage);
+
+            await messageController.restoreMessage(req, res);
+
+            expect(Message.findOne).toHaveBeenCalledWith({
+                _id: 'message123',
+                chatId: 'chat123',
+                deletedAt: { $ne: null }
+            });
+            expect(mockMessage.deletedAt).toBeNull();
+            expect(mockMessage.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should permanently delete a message in the trash with its versions', async () => {
+            Message.findOneAndDelete = jest.fn().mockResolvedValue(mockMessage);
+            MessageVersion.deleteMany = jest.fn().mockResolvedValue({});
+
+            await messageController.purgeMessage(req, res);
+
+            expect(Message.findOneAndDelete).toHaveBeenCalledWith({
+                _id: 'message123',
+                chatId: 'chat123',
+                deletedAt: { $ne: null }
+            });
+            expect(MessageVersion.deleteMany).toHaveBeenCalledWith({ messageId: 'message123' });
+            expect(removeMessageAttachments).toHaveBeenCalledWith([mockMessage]);
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should return 404 for messages that are not in the trash', async () => {
+            Message.findOneAndDelete = jest.fn().mockResolvedValue(null);
+
+            await messageController.purgeMessage(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+
+        test('should not manage the trash of chats the user may not change', async () => {
+            Chat.findOne = jest.fn().mockResolvedValue(null);
+            Message.findOne = jest.fn();
+
+            await messageController.restoreMessage(req, res);
+
+            expect(Message.findOne).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('Pricing', () => {
+        let mockChat, sort;
+
+        beforeEach(() => {
+            mockChat = {
+                _id: 'chat123',
+                userId: 'user123',
+                organizationId: 'org123',
+                aiModel: 'gpt-4o',
+                save: jest.fn().mockResolvedValue(true)
+            };
+            Chat.findOne = jest.fn().mockResolvedValue(mockChat);
+            sort = jest.fn().mockResolvedValue({ aiModel: 'gpt-4o', inputPricePer1K: 0.0025, outputPricePer1K: 0.01 });
+            ModelPrice.findOne = jest.fn().mockReturnValue({ sort });
+            Message.mockImplementation(data => ({ _id: 'message123', ...data, save: jest.fn().mockResolvedValue(true) }));
+        });
+
+        test('should store the model of the chat and the cost of new messages', async () => {
+            req.body = { role: 'assistant', content: 'Hi', promptTokens: 1000, completionTokens: 200 };
+
+            await messageController.addMessage(req, res);
+
+            expect(ModelPrice.findOne).toHaveBeenCalledWith(
+                expect.objectContaining({ organizationId: 'org123', aiModel: 'gpt-4o' })
+            );
+            const { data } = res.json.mock.calls[0][0];
+            expect(data.aiModel).toBe('gpt-4o');
+            expect(data.cost).toBe(0.0045);
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should leave the cost of messages of unpriced models empty', async () => {
+            req.body = { role: 'assistant', content: 'Hi', model: 'local-llm', completionTokens: 200 };
+            sort.mockResolvedValue(null);
+
+            await messageController.addMessage(req, res);
+
+            const { data } = res.json.mock.calls[0][0];
+            expect(data.aiModel).toBe('local-llm');
+            expect(data.cost).toBeNull();
+        });
+
+        test('should price the messages of a batch', async () => {
+            req.body = {
+                messages: [
+                    { role: 'user', content: 'Hi', promptTokens: 2000 },
+                    { role: 'assistant', content: 'Hello', model: 'gpt-4o-mini', completionTokens: 100 }
+                ]
+            };
+            sort.mockImplementation(() =>
+                Promise.resolve(
+                    ModelPrice.findOne.mock.calls.length === 1
+                        ? { inputPricePer1K: 0.0025, outputPricePer1K: 0.01 }
+                        : { inputPricePer1K: 0.00015, outputPricePer1K: 0.0006 }
+                )
+            );
+            Message.insertMany = jest.fn(docs => Promise.resolve(docs));
+
+            await messageController.batchAddMessages(req, res);
+
+            expect(Message.insertMany).toHaveBeenCalledWith([
+                expect.objectContaining({ aiModel: 'gpt-4o', cost: 0.005 }),
+                expect.objectContaining({ aiModel: 'gpt-4o-mini', cost: 0.00006 })
+            ]);
+        });
+
+        test('should price streamed messages when they are finalized', async () => {
+            const streamed = {
+                _id: 'message123',
+                chatId: 'chat123',
+                content: 'Hello',
+                aiModel: 'gpt-4o',
+                metadata: {},
+                status: 'streaming',
+                createdAt: new Date('2025-04-01'),
+                save: jest.fn().mockResolvedValue(true)
+            };
+            Message.findOne = jest.fn().mockResolvedValue(streamed);
+            req.body = { promptTokens: 400, completionTokens: 100 };
+
+            await messageController.finalizeMessageStream(req, res);
+
+            expect(ModelPrice.findOne).toHaveBeenCalledWith(
+                expect.objectContaining({ effectiveFrom: { $lte: streamed.createdAt } })
+            );
+            expect(streamed.cost).toBe(0.002);
+            expect(streamed.save).toHaveBeenCalled();
+        });
+    });
 });
@@ -2,6 +2,8 @@ const mongoose = require('mongoose');
 const organizationController = require('../organization.controller');
 const Organization = require('../../models/organization.model');
 const User = require('../../models/user.model');
+const AuditEvent = require('../../models/audit-event.model');
+const { hashApiKey } = require('../../utils/api-key');
 const setupTestDB = require('../../../tests/setupTests');
 
 // Partially unmock models to use the real implementations with in-memory MongoDB
@@ -88,10 +90,18 @@ describe('Organization Controller', () => {
                 }),
             );
 
+            // The key is returned once but only its hash is stored
+            expect(res.json.mock.calls[0][0].organization.apiKey).toBe('generated-api-key');
+
             // Verify in database
-            const org = await Organization.findOne({ name: 'Test Organization' });
+            const org = await Organization.findOne({ name: 'Test Organization' }).select(
+                '+apiKeyHash',
+            );
             expect(org).toBeTruthy();
-            expect(org.apiKey).toBe('generated-api-key');
+            expect(org.apiKeyHash).toBe(hashApiKey('generated-api-key'));
+
+            const events = await AuditEvent.find({ organizationId: org._id });
+            expect(events.map(event => event.action)).toEqual(['organization.created']);
         });
 
         test('should return 409 when organization already exists', async () => {
@@ -202,6 +212,12 @@ describe('Organization Controller', () => {
                     organization: expect.any(Object),
                 }),
             );
+
+            // Neither the API key nor its hash is exposed
+            const organization = res.json.mock.calls[0][0].organization.toJSON();
+            expect(organization).not.toHaveProperty('apiKey');
+            expect(organization).not.toHaveProperty('apiKeyHash');
+            expect(organization.apiKeyPrefix).toBe('test-api-key');
         });
 
         test('should get any organization for superadmin', async () => {
@@ -350,12 +366,33 @@ describe('Organization Controller', () => {
                 }),
             );
 
-            const updatedOrg = await Organization.findById(mockOrganization._id);
-            expect(updatedOrg.apiKey).toBe('new-api-key');
+            const updatedOrg = await Organization.findById(mockOrganization._id).select(
+                '+apiKeyHash',
+            );
+            expect(updatedOrg.apiKeyHash).toBe(hashApiKey('new-api-key'));
 
             Organization.generateApiKey = originalGenerateApiKey;
         });
 
+        test('should record the rotation in the audit log', async () => {
+            req.user.organizationId = mockOrganization._id;
+            req.params.id = mockOrganization._id.toString();
+
+            await organizationController.regenerateApiKey(req, res);
+
+            const events = await AuditEvent.find({ organizationId: mockOrganization._id }).lean();
+            expect(events).toHaveLength(1);
+            expect(events[0]).toEqual(
+                expect.objectContaining({
+                    action: 'organization.api_key_regenerated',
+                    metadata: { apiKeyPrefix: res.json.mock.calls[0][0].apiKeyPrefix },
+                }),
+            );
+            expect(events[0].target).toEqual(
+                expect.objectContaining({ type: 'organization', id: mockOrganization._id.toString() }),
+            );
+        });
+
         test('should allow superadmin to regenerate API key for any organization', async () => {
             req.user.role = 'superadmin';
             req.params.id = mockOrganization._id.toString();
@@ -0,0 +1,148 @@
+const pricingController = require('../pricing.controller');
+const ModelPrice = require('../../models/model-price.model');
+const AuditEvent = require('../../models/audit-event.model');
+
+// Mock dependencies
+jest.mock('../../models/model-price.model');
+jest.mock('../../models/membership.model');
+jest.mock('../../models/organization.model');
+jest.mock('../../models/audit-event.model');
+jest.mock('../../utils/logger');
+
+const ORG = '507f1f77bcf86cd799439011';
+const OTHER_ORG = '507f1f77bcf86cd799439022';
+
+describe('Pricing Controller', () => {
+    let req, res, price;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        req = {
+            params: { id: ORG, priceId: 'price123' },
+            body: {},
+            query: {},
+            headers: {},
+            user: { _id: 'admin123', username: 'admin', role: 'admin', organizationId: ORG },
+            permissions: new Set(['org:read', 'org:pricing:manage']),
+        };
+
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        };
+
+        price = {
+            _id: 'price123',
+            aiModel: 'gpt-4o',
+            inputPricePer1K: 0.0025,
+            outputPricePer1K: 0.01,
+            effectiveFrom: new Date('2025-01-01'),
+            save: jest.fn().mockResolvedValue(true),
+        };
+
+        AuditEvent.create = jest.fn().mockResolvedValue({});
+    });
+
+    test('should not let users access the pricing of another organization', async () => {
+        req.params.id = OTHER_ORG;
+
+        await pricingController.listPrices(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should list the prices of a model, newest first', async () => {
+        req.query = { model: 'gpt-4o' };
+        const sort = jest.fn().mockResolvedValue([price]);
+        ModelPrice.find = jest.fn().mockReturnValue({ sort });
+
+        await pricingController.listPrices(req, res);
+
+        expect(ModelPrice.find).toHaveBeenCalledWith({ organizationId: ORG, aiModel: 'gpt-4o' });
+        expect(sort).toHaveBeenCalledWith({ aiModel: 1, effectiveFrom: -1 });
+        expect(res.json).toHaveBeenCalledWith({ prices: [price] });
+    });
+
+    describe('createPrice', () => {
+        test('should add a price and record it', async () => {
+            req.body = { model: 'gpt-4o', inputPricePer1K: 0.0025, outputPricePer1K: 0.01, effectiveFrom: '2025-01-01' };
+            ModelPrice.create = jest.fn().mockResolvedValue(price);
+
+            await pricingController.createPrice(req, res);
+
+            expect(ModelPrice.create).toHaveBeenCalledWith({
+                organizationId: ORG,
+                aiModel: 'gpt-4o',
+                inputPricePer1K: 0.0025,
+                outputPricePer1K: 0.01,
+                effectiveFrom: '2025-01-01',
+                createdBy: 'admin123',
+            });
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: 'pricing.created',
+                    target: expect.objectContaining({ type: 'model_price', label: 'gpt-4o' }),
+                }),
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should make prices without a date effective immediately', async () => {
+            req.body = { model: 'gpt-4o', inputPricePer1K: 0.0025, outputPricePer1K: 0.01 };
+            ModelPrice.create = jest.fn().mockResolvedValue(price);
+
+            await pricingController.createPrice(req, res);
+
+            expect(ModelPrice.create.mock.calls[0][0].effectiveFrom).toBeInstanceOf(Date);
+        });
+
+        test('should return 409 when the model already has a price from that date', async () => {
+            req.body = { model: 'gpt-4o', inputPricePer1K: 0.0025, outputPricePer1K: 0.01 };
+            ModelPrice.create = jest.fn().mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+            await pricingController.createPrice(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+        });
+    });
+
+    describe('updatePrice', () => {
+        test('should change the prices and record the change', async () => {
+            req.body = { outputPricePer1K: 0.012 };
+            ModelPrice.findOne = jest.fn().mockResolvedValue(price);
+
+            await pricingController.updatePrice(req, res);
+
+            expect(ModelPrice.findOne).toHaveBeenCalledWith({ _id: 'price123', organizationId: ORG });
+            expect(price.outputPricePer1K).toBe(0.012);
+            expect(price.save).toHaveBeenCalled();
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: 'pricing.updated',
+                    diff: { outputPricePer1K: { from: 0.01, to: 0.012 } },
+                }),
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should return 404 when the price is not in the organization', async () => {
+            req.body = { outputPricePer1K: 0.012 };
+            ModelPrice.findOne = jest.fn().mockResolvedValue(null);
+
+            await pricingController.updatePrice(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    test('should delete a price', async () => {
+        ModelPrice.findOneAndDelete = jest.fn().mockResolvedValue(price);
+
+        await pricingController.deletePrice(req, res);
+
+        expect(ModelPrice.findOneAndDelete).toHaveBeenCalledWith({ _id: 'price123', organizationId: ORG });
+        expect(AuditEvent.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'pricing.deleted' }));
+        expect(res.status).toHaveBeenCalledWith(200);
+    });
+});
@@ -0,0 +1,191 @@
+const roleController = require('../role.controller');
+const Organization = require('../../models/organization.model');
+const User = require('../../models/user.model');
+const AuditEvent = require('../../models/audit-event.model');
+const { DEFAULT_ROLE_PERMISSIONS } = require('../../config/permissions');
+
+// Mock dependencies
+jest.mock('../../models/organization.model');
+jest.mock('../../models/user.model');
+jest.mock('../../models/audit-event.model');
+jest.mock('../../utils/logger');
+
+const ORG_ID = '507f1f77bcf86cd799439011';
+
+describe('Role Controller', () => {
+    let req, res, organization;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        organization = {
+            _id: ORG_ID,
+            roles: new Map([['support', { description: 'Support staff', permissions: ['chats:read:any', 'org:read'] }]]),
+            save: jest.fn().mockResolvedValue(true),
+        };
+
+        req = {
+            params: { id: ORG_ID },
+            body: {},
+            user: { _id: 'admin123', role: 'admin', organizationId: ORG_ID },
+        };
+
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        };
+
+        Organization.findById = jest.fn().mockResolvedValue(organization);
+        User.exists = jest.fn().mockResolvedValue(null);
+    });
+
+    describe('listRoles', () => {
+        test('should list the grantable permissions and the roles of the organization', async () => {
+            await roleController.listRoles(req, res);
+
+            const { permissions, roles } = res.json.mock.calls[0][0];
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(permissions).toContainEqual(expect.objectContaining({ name: 'export:run' }));
+            expect(permissions).not.toContainEqual(expect.objectContaining({ name: 'organizations:create' }));
+            expect(roles.map(role => role.name)).toEqual(['user', 'admin', 'support']);
+            expect(roles[2]).toEqual({
+                name: 'support',
+                description: 'Support staff',
+                permissions: ['chats:read:any', 'org:read'],
+                builtIn: false,
+                customized: true,
+            });
+        });
+
+        test('should not show the roles of other organizations', async () => {
+            req.params.id = '507f1f77bcf86cd799439099';
+
+            await roleController.listRoles(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('updateRole', () => {
+        test('should create a custom role', async () => {
+            req.params.role = 'analyst';
+            req.body = { permissions: ['analytics:read', 'export:run'], description: 'Analysts' };
+
+            await roleController.updateRole(req, res);
+
+            expect(organization.roles.get('analyst')).toEqual({
+                description: 'Analysts',
+                permissions: ['analytics:read', 'export:run'],
+            });
+            expect(organization.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: 'role.updated',
+                    organizationId: ORG_ID,
+                    target: { type: 'role', id: 'analyst', label: 'analyst' },
+                    diff: expect.objectContaining({
+                        permissions: { from: [], to: ['analytics:read', 'export:run'] },
+                    }),
+                }),
+            );
+        });
+
+        test('should customize a built-in role', async () => {
+            req.params.role = 'user';
+            req.body = { permissions: ['chats:read:own'] };
+
+            await roleController.updateRole(req, res);
+
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    role: expect.objectContaining({ name: 'user', builtIn: true, customized: true, permissions: ['chats:read:own'] }),
+                })
+            );
+        });
+
+        test('should not let users grant permissions they do not have', async () => {
+            req.user.role = 'support';
+            organization.roles.set('support', { permissions: ['chats:read:any', 'org:roles:manage'] });
+            req.params.role = 'support';
+            req.body = { permissions: ['chats:read:any', 'org:roles:manage', 'export:run'] };
+
+            await roleController.updateRole(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json.mock.calls[0][0].message).toContain('export:run');
+            expect(organization.save).not.toHaveBeenCalled();
+        });
+
+        test('should not let users remove role management from their own role', async () => {
+            req.params.role = 'admin';
+            req.body = { permissions: ['org:read'] };
+
+            await roleController.updateRole(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(organization.save).not.toHaveBeenCalled();
+        });
+
+        test('should refuse to customize the superadmin role', async () => {
+            req.params.role = 'superadmin';
+            req.body = { permissions: [] };
+
+            await roleController.updateRole(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        test('should refuse invalid role names', async () => {
+            req.params.role = 'Not A Role';
+            req.body = { permissions: [] };
+
+            await roleController.updateRole(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('deleteRole', () => {
+        test('should delete an unused custom role', async () => {
+            req.params.role = 'support';
+
+            await roleController.deleteRole(req, res);
+
+            expect(User.exists).toHaveBeenCalledWith({ organizationId: ORG_ID, role: 'support' });
+            expect(organization.roles.has('support')).toBe(false);
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should keep custom roles that are still assigned', async () => {
+            req.params.role = 'support';
+            User.exists = jest.fn().mockResolvedValue({ _id: 'user123' });
+
+            await roleController.deleteRole(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(organization.roles.has('support')).toBe(true);
+        });
+
+        test('should reset a customized built-in role to its defaults', async () => {
+            organization.roles.set('user', { permissions: ['chats:read:own'] });
+            req.params.role = 'user';
+
+            await roleController.deleteRole(req, res);
+
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    role: expect.objectContaining({ permissions: DEFAULT_ROLE_PERMISSIONS.user, customized: false }),
+                })
+            );
+        });
+
+        test('should return 404 for unknown custom roles', async () => {
+            req.params.role = 'ghost';
+
+            await roleController.deleteRole(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+const sessionController = require('../session.controller');
+const Session = require('../../models/session.model');
+const User = require('../../models/user.model');
+const { revokeSession, revokeUserSessions } = require('../../utils/auth-tokens');
+
+// Mock dependencies
+jest.mock('../../models/session.model');
+jest.mock('../../models/user.model');
+jest.mock('../../models/organization.model');
+jest.mock('../../utils/auth-tokens');
+jest.mock('../../models/audit-event.model');
+jest.mock('../../utils/logger');
+
+describe('Session Controller', () => {
+    let req, res;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        req = {
+            params: {},
+            sessionId: 'session-current',
+            user: { _id: 'user123', role: 'user', organizationId: 'org123' },
+        };
+
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        };
+    });
+
+    describe('listSessions', () => {
+        test('should list the active sessions of the current user and mark the current one', async () => {
+            const sessions = [
+                { _id: 's1', sessionId: 'session-current', device: 'Firefox on Linux', impersonatedBy: null },
+                { _id: 's2', sessionId: 'session-other', device: 'Chrome on Android', impersonatedBy: 'super123' },
+            ];
+            const sort = jest.fn().mockResolvedValue(sessions);
+            Session.find = jest.fn().mockReturnValue({ sort });
+
+            await sessionController.listSessions(req, res);
+
+            expect(Session.find).toHaveBeenCalledWith({
+                userId: 'user123',
+                revokedAt: null,
+                expiresAt: { $gt: expect.any(Date) },
+            });
+            expect(sort).toHaveBeenCalledWith({ lastSeenAt: -1 });
+            const body = res.json.mock.calls[0][0];
+            expect(body.sessions[0]).toEqual(expect.objectContaining({ id: 's1', current: true, impersonated: false }));
+            expect(body.sessions[1]).toEqual(expect.objectContaining({ id: 's2', current: false, impersonated: true }));
+            expect(body.sessions[0].sessionId).toBeUndefined();
+        });
+    });
+
+    describe('deleteSession', () => {
+        beforeEach(() => {
+            req.params.sessionId = 's2';
+        });
+
+        test('should revoke a session of the current user', async () => {
+            Session.findOne = jest.fn().mockResolvedValue({ _id: 's2', sessionId: 'session-other' });
+
+            await sessionController.deleteSession(req, res);
+
+            expect(Session.findOne).toHaveBeenCalledWith({ _id: 's2', userId: 'user123', revokedAt: null });
+            expect(revokeSession).toHaveBeenCalledWith('session-other');
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should return 404 for sessions of other users or already revoked ones', async () => {
+            Session.findOne = jest.fn().mockResolvedValue(null);
+
+            await sessionController.deleteSession(req, res);
+
+            expect(revokeSession).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('deleteUserSessions', () => {
+        beforeEach(() => {
+            req.params.id = 'user456';
+            req.user = { _id: 'admin123', role: 'admin', organizationId: 'org123' };
+            User.findOne = jest.fn().mockResolvedValue({ _id: 'user456', role: 'user' });
+        });
+
+        test('should end every session of a user of the organization', async () => {
+            await sessionController.deleteUserSessions(req, res);
+
+            expect(User.findOne).toHaveBeenCalledWith({ _id: 'user456', organizationId: 'org123' });
+            expect(revokeUserSessions).toHaveBeenCalledWith('user456', { revokedBy: 'admin123' });
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should let superadmins end sessions of users in any organization', async () => {
+            req.user = { _id: 'super123', role: 'superadmin', organizationId: 'org999' };
+
+            await sessionController.deleteUserSessions(req, res);
+
+            expect(User.findOne).toHaveBeenCalledWith({ _id: 'user456' });
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should not let admins end the sessions of superadmins', async () => {
+            User.findOne = jest.fn().mockResolvedValue({ _id: 'user456', role: 'superadmin' });
+
+            await sessionController.deleteUserSessions(req, res);
+
+            expect(revokeUserSessions).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+
+        test('should return 404 when the user is not in the organization', async () => {
+            User.findOne = jest.fn().mockResolvedValue(null);
+
+            await sessionController.deleteUserSessions(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+});
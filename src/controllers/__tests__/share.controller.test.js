@@ -0,0 +1,251 @@
+const shareController = require('../share.controller');
+const Chat = require('../../models/chat.model');
+const Message = require('../../models/message.model');
+const Organization = require('../../models/organization.model');
+const ShareLink = require('../../models/share-link.model');
+const User = require('../../models/user.model');
+const AuditEvent = require('../../models/audit-event.model');
+
+// Mock dependencies
+jest.mock('../../models/chat.model');
+jest.mock('../../models/message.model');
+jest.mock('../../models/organization.model');
+jest.mock('../../models/share-link.model');
+jest.mock('../../models/team.model');
+jest.mock('../../models/membership.model');
+jest.mock('../../models/user.model');
+jest.mock('../../models/audit-event.model');
+jest.mock('../../utils/logger');
+
+const ORG = '507f1f77bcf86cd799439011';
+
+describe('Share Controller', () => {
+    let req, res, chat;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        req = {
+            params: { chatId: 'chat123' },
+            body: {},
+            query: {},
+            headers: {},
+            user: { _id: 'author123', username: 'author', role: 'user', organizationId: ORG },
+            organization: { _id: ORG, settings: new Map() },
+            permissions: new Set(['chats:read:own', 'chats:write:own']),
+        };
+
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        };
+
+        chat = {
+            _id: 'chat123',
+            userId: 'author123',
+            organizationId: ORG,
+            title: 'Refund request',
+            sharedWith: [],
+            getShare: jest.fn(userId => chat.sharedWith.find(share => share.userId === userId) || null),
+            save: jest.fn().mockResolvedValue(true),
+        };
+
+        Chat.findOne = jest.fn().mockResolvedValue(chat);
+        AuditEvent.create = jest.fn().mockResolvedValue({});
+        User.findById = jest.fn().mockReturnValue({
+            select: jest.fn().mockResolvedValue({ _id: 'reader123', organizationId: ORG, role: 'user' }),
+        });
+        ShareLink.generateToken = jest.fn().mockReturnValue('link-token');
+        ShareLink.hashToken = jest.fn(token => `hash:${token}`);
+    });
+
+    describe('shareWithUser', () => {
+        beforeEach(() => {
+            req.params.userId = 'reader123';
+            req.body = { permission: 'comment' };
+        });
+
+        test('should share a chat the user may change', async () => {
+            await shareController.shareWithUser(req, res);
+
+            expect(Chat.findOne).toHaveBeenCalledWith({
+                _id: 'chat123',
+                organizationId: ORG,
+                deletedAt: null,
+                userId: 'author123',
+            });
+            expect(chat.sharedWith).toEqual([{ userId: 'reader123', permission: 'comment', sharedBy: 'author123' }]);
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: 'chat.shared',
+                    diff: { permission: { from: null, to: 'comment' } },
+                }),
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should change the permission of an existing share', async () => {
+            chat.sharedWith = [{ userId: 'reader123', permission: 'read' }];
+
+            await shareController.shareWithUser(req, res);
+
+            expect(chat.sharedWith).toEqual([{ userId: 'reader123', permission: 'comment' }]);
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should refuse users outside the organization', async () => {
+            User.findById = jest.fn().mockReturnValue({
+                select: jest.fn().mockResolvedValue({ _id: 'reader123', organizationId: 'other-org', role: 'user' }),
+            });
+
+            await shareController.shareWithUser(req, res);
+
+            expect(chat.save).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        test('should refuse to share a chat with its author', async () => {
+            req.params.userId = 'author123';
+
+            await shareController.shareWithUser(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        test('should refuse when the organization disabled sharing', async () => {
+            req.organization.settings.set('allowChatSharing', false);
+
+            await shareController.shareWithUser(req, res);
+
+            expect(Chat.findOne).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+
+        test('should return 404 for chats the user may not change', async () => {
+            Chat.findOne = jest.fn().mockResolvedValue(null);
+
+            await shareController.shareWithUser(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('unshareWithUser', () => {
+        test('should remove the share', async () => {
+            req.params.userId = 'reader123';
+            chat.sharedWith = [{ userId: 'reader123', permission: 'read' }];
+
+            await shareController.unshareWithUser(req, res);
+
+            expect(chat.sharedWith).toEqual([]);
+            expect(AuditEvent.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'chat.unshared' }));
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should return 404 when the chat is not shared with the user', async () => {
+            req.params.userId = 'reader123';
+
+            await shareController.unshareWithUser(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('createShareLink', () => {
+        test('should create an expiring link and return its token once', async () => {
+            req.body = { expiresInDays: 7 };
+            ShareLink.create = jest.fn(data => Promise.resolve({ _id: 'link123', ...data }));
+
+            await shareController.createShareLink(req, res);
+
+            const data = ShareLink.create.mock.calls[0][0];
+            expect(data).toEqual(
+                expect.objectContaining({ chatId: 'chat123', organizationId: ORG, tokenHash: 'hash:link-token' }),
+            );
+            expect(data.expiresAt.getTime()).toBeGreaterThan(Date.now() + 6 * 24 * 60 * 60 * 1000);
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({ token: 'link-token', path: expect.stringMatching(/\/shared\/link-token$/) }),
+            );
+        });
+
+        test('should create links without expiry by default', async () => {
+            ShareLink.create = jest.fn(data => Promise.resolve({ _id: 'link123', ...data }));
+
+            await shareController.createShareLink(req, res);
+
+            expect(ShareLink.create.mock.calls[0][0].expiresAt).toBeNull();
+        });
+    });
+
+    describe('revokeShareLink', () => {
+        test('should revoke an active link of the chat', async () => {
+            req.params.linkId = 'link123';
+            ShareLink.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: 'link123' });
+
+            await shareController.revokeShareLink(req, res);
+
+            expect(ShareLink.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: 'link123', chatId: 'chat123', revokedAt: null },
+                { revokedAt: expect.any(Date) },
+                { new: true },
+            );
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'chat.share_link_revoked' }),
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+    });
+
+    describe('getSharedTranscript', () => {
+        let link;
+
+        beforeEach(() => {
+            req = { params: { token: 'link-token' } };
+            link = { _id: 'link123', chatId: 'chat123', organizationId: ORG, isUsable: jest.fn().mockReturnValue(true) };
+
+            ShareLink.findOne = jest.fn().mockResolvedValue(link);
+            ShareLink.updateOne = jest.fn().mockResolvedValue({});
+            Organization.findOne = jest.fn().mockResolvedValue({ _id: ORG, settings: new Map() });
+            Message.find = jest.fn().mockReturnValue({
+                select: jest.fn().mockReturnValue({
+                    sort: jest.fn().mockResolvedValue([
+                        { role: 'user', name: null, content: 'Hello', createdAt: 'then', metadata: { secret: true } },
+                    ]),
+                }),
+            });
+        });
+
+        test('should return the transcript without chat or message metadata', async () => {
+            await shareController.getSharedTranscript(req, res);
+
+            expect(ShareLink.findOne).toHaveBeenCalledWith({ tokenHash: 'hash:link-token' });
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({
+                chat: { title: 'Refund request', source: undefined, createdAt: undefined },
+                messages: [{ role: 'user', name: null, content: 'Hello', createdAt: 'then' }],
+            });
+            expect(ShareLink.updateOne).toHaveBeenCalledWith({ _id: 'link123' }, { lastAccessedAt: expect.any(Date) });
+        });
+
+        test('should return 404 for revoked or expired links', async () => {
+            link.isUsable.mockReturnValue(false);
+
+            await shareController.getSharedTranscript(req, res);
+
+            expect(Chat.findOne).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+
+        test('should return 404 when the organization disabled sharing', async () => {
+            Organization.findOne = jest.fn().mockResolvedValue({
+                _id: ORG,
+                settings: new Map([['allowChatSharing', false]]),
+            });
+
+            await shareController.getSharedTranscript(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+});
@@ -0,0 +1,400 @@
+const { URL } = require('url');
+const ssoController = require('../sso.controller');
+const Organization = require('../../models/organization.model');
+const OidcState = require('../../models/oidc-state.model');
+const User = require('../../models/user.model');
+const { issueAuthTokens } = require('../../utils/auth-tokens');
+const { clearOidcCache } = require('../../utils/oidc');
+const { startMockOidcIssuer } = require('../../../tests/mocks/oidc-issuer');
+
+// Mock dependencies; the identity provider itself is a local mock issuer
+jest.mock('../../models/organization.model');
+jest.mock('../../models/user.model');
+jest.mock('../../utils/auth-tokens');
+jest.mock('../../config/config', () => ({
+    jwtSecret: 'test-secret',
+    oidcRedirectUri: null,
+    twoFactorChallengeExpiresIn: '5m',
+}));
+jest.mock('../../utils/logger');
+
+const ORG_ID = '507f1f77bcf86cd799439011';
+
+// Minimal stand-in for an ObjectId with `equals`
+const objectId = id => ({ equals: other => String(other) === id, toString: () => id });
+
+describe('SSO Controller', () => {
+    let issuer, res, organization, pendingStates;
+
+    beforeAll(async () => {
+        issuer = await startMockOidcIssuer();
+    });
+
+    afterAll(async () => {
+        await issuer.close();
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        clearOidcCache();
+
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+            redirect: jest.fn(),
+        };
+
+        organization = {
+            _id: objectId(ORG_ID),
+            oidc: {
+                enabled: true,
+                issuer: issuer.issuer,
+                clientId: issuer.clientId,
+                clientSecret: issuer.clientSecret,
+                scopes: ['openid', 'email', 'profile'],
+                roleClaim: 'groups',
+                roleMapping: new Map([['chat-admins', 'admin']]),
+                defaultRole: 'user',
+                allowJitProvisioning: true,
+            },
+            select: jest.fn().mockReturnThis(),
+            save: jest.fn().mockResolvedValue(true),
+        };
+        Organization.findOne = jest.fn().mockReturnValue(organization);
+        Organization.findById = jest.fn().mockReturnValue(organization);
+
+        // Keep pending logins in memory instead of MongoDB
+        pendingStates = new Map();
+        OidcState.create = jest.fn(async doc => {
+            pendingStates.set(doc.stateHash, { ...doc, isExpired: () => doc.expiresAt.getTime() <= Date.now() });
+        });
+        OidcState.findOneAndDelete = jest.fn(async ({ stateHash }) => {
+            const doc = pendingStates.get(stateHash) || null;
+            pendingStates.delete(stateHash);
+            return doc;
+        });
+
+        User.findOne = jest.fn().mockResolvedValue(null);
+        User.exists = jest.fn().mockResolvedValue(null);
+        User.mockImplementation(data => ({
+            _id: 'newuser123',
+            isActive: true,
+            ...data,
+            save: jest.fn().mockResolvedValue(true),
+        }));
+
+        issueAuthTokens.mockResolvedValue({ token: 'access-token', refreshToken: 'refresh-token', expiresIn: '15m' });
+    });
+
+    // Start a login, let the mock issuer approve it and return the callback query
+    const loginAtIssuer = async claims => {
+        issuer.setNextClaims(claims);
+        const startReq = {
+            params: { organizationId: ORG_ID },
+            query: { redirect: 'false' },
+            protocol: 'http',
+            baseUrl: '/api/v1/users',
+            get: () => 'localhost:3000',
+        };
+
+        await ssoController.startSsoLogin(startReq, res);
+        return followAuthorizationUrl();
+    };
+
+    // Let the mock issuer approve the authorization URL just returned and return the callback query
+    const followAuthorizationUrl = async () => {
+        const { authorizationUrl } = res.json.mock.calls[0][0];
+        res.json.mockClear();
+        res.status.mockClear();
+
+        const response = await fetch(authorizationUrl, { redirect: 'manual' });
+        const callback = new URL(response.headers.get('location'));
+        expect(callback.pathname).toBe('/api/v1/users/sso/callback');
+        return Object.fromEntries(callback.searchParams);
+    };
+
+    describe('startSsoLogin', () => {
+        test('should redirect to the identity provider with PKCE', async () => {
+            const req = {
+                params: { organizationId: ORG_ID },
+                query: {},
+                protocol: 'http',
+                baseUrl: '/api/v1/users',
+                get: () => 'localhost:3000',
+            };
+
+            await ssoController.startSsoLogin(req, res);
+
+            const url = new URL(res.redirect.mock.calls[0][1]);
+            expect(res.redirect.mock.calls[0][0]).toBe(302);
+            expect(url.origin).toBe(issuer.issuer);
+            expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+            expect(url.searchParams.get('redirect_uri')).toBe('http://localhost:3000/api/v1/users/sso/callback');
+            expect(OidcState.create).toHaveBeenCalledWith(
+                expect.objectContaining({ codeVerifier: expect.any(String), nonce: url.searchParams.get('nonce') })
+            );
+        });
+
+        test('should return 404 when SSO is not enabled', async () => {
+            Organization.findOne = jest.fn().mockReturnValue(null);
+
+            await ssoController.startSsoLogin({ params: { organizationId: ORG_ID }, query: {} }, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('completeSsoLogin', () => {
+        test('should provision a new user with the mapped role', async () => {
+            const query = await loginAtIssuer({
+                sub: 'sub-1',
+                email: 'Jane@Example.com',
+                email_verified: true,
+                preferred_username: 'jane',
+                groups: ['staff', 'chat-admins'],
+            });
+
+            await ssoController.completeSsoLogin({ query, headers: {} }, res);
+
+            expect(User).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    username: 'jane',
+                    email: 'Jane@Example.com',
+                    role: 'admin',
+                    emailVerified: true,
+                    oidcIssuer: issuer.issuer,
+                    oidcSubject: 'sub-1',
+                })
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({ token: 'access-token', refreshToken: 'refresh-token', provisioned: true })
+            );
+        });
+
+        test('should log in a linked user and sync the role', async () => {
+            const existing = {
+                _id: 'user123',
+                role: 'admin',
+                isActive: true,
+                organizationId: objectId(ORG_ID),
+                save: jest.fn().mockResolvedValue(true),
+            };
+            User.findOne = jest.fn().mockResolvedValue(existing);
+            const query = await loginAtIssuer({ sub: 'sub-1', email: 'jane@example.com', groups: ['staff'] });
+
+            await ssoController.completeSsoLogin({ query, headers: {} }, res);
+
+            expect(User.findOne).toHaveBeenCalledWith({ oidcIssuer: issuer.issuer, oidcSubject: 'sub-1' });
+            expect(existing.role).toBe('user');
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ provisioned: false }));
+        });
+
+        test('should not link existing accounts by email, even when the provider verified it', async () => {
+            const existing = { _id: 'user123', organizationId: objectId(ORG_ID), save: jest.fn() };
+            User.findOne = jest.fn().mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+            const query = await loginAtIssuer({ sub: 'sub-2', email: 'jane@example.com', email_verified: true });
+
+            await ssoController.completeSsoLogin({ query, headers: {} }, res);
+
+            expect(existing.save).not.toHaveBeenCalled();
+            expect(User).not.toHaveBeenCalled();
+            expect(issueAuthTokens).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({
+                message: expect.stringContaining('link it to single sign-on first'),
+            });
+        });
+
+        test('should refuse to log in platform administrators', async () => {
+            const superadmin = {
+                _id: 'super123',
+                role: 'superadmin',
+                isActive: true,
+                organizationId: objectId(ORG_ID),
+                save: jest.fn().mockResolvedValue(true),
+            };
+            User.findOne = jest.fn().mockResolvedValue(superadmin);
+            const query = await loginAtIssuer({ sub: 'sub-1', email: 'root@example.com', groups: ['chat-admins'] });
+
+            await ssoController.completeSsoLogin({ query, headers: {} }, res);
+
+            expect(superadmin.role).toBe('superadmin');
+            expect(superadmin.save).not.toHaveBeenCalled();
+            expect(issueAuthTokens).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(401);
+        });
+
+        test('should not provision users when JIT provisioning is disabled', async () => {
+            organization.oidc.allowJitProvisioning = false;
+            const query = await loginAtIssuer({ sub: 'sub-3', email: 'new@example.com', email_verified: true });
+
+            await ssoController.completeSsoLogin({ query, headers: {} }, res);
+
+            expect(User).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(401);
+        });
+
+        test('should reject a state that was already used', async () => {
+            const query = await loginAtIssuer({ sub: 'sub-1', email: 'jane@example.com', email_verified: true });
+            await ssoController.completeSsoLogin({ query, headers: {} }, res);
+            res.status.mockClear();
+
+            await ssoController.completeSsoLogin({ query, headers: {} }, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid or expired SSO state' });
+        });
+
+        test('should report errors returned by the identity provider', async () => {
+            await ssoController.completeSsoLogin(
+                { query: { error: 'access_denied', error_description: 'User cancelled' } },
+                res
+            );
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'SSO login failed: User cancelled' });
+        });
+    });
+
+    describe('startSsoLink', () => {
+        let user, req;
+
+        beforeEach(() => {
+            user = {
+                _id: 'user123',
+                role: 'user',
+                isActive: true,
+                organizationId: objectId(ORG_ID),
+                oidcSubject: null,
+                save: jest.fn().mockResolvedValue(true),
+            };
+            User.findById = jest.fn().mockResolvedValue(user);
+            User.exists = jest.fn().mockResolvedValue(null);
+            req = {
+                user: { _id: 'user123' },
+                protocol: 'http',
+                baseUrl: '/api/v1/users',
+                get: () => 'localhost:3000',
+            };
+        });
+
+        test('should link the account of the logged-in user to the identity at the provider', async () => {
+            issuer.setNextClaims({ sub: 'sub-9', email: 'other@example.com' });
+            await ssoController.startSsoLink(req, res);
+
+            expect(OidcState.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user123' }));
+            const query = await followAuthorizationUrl();
+
+            await ssoController.completeSsoLogin({ query, headers: {} }, res);
+
+            expect(user.oidcIssuer).toBe(issuer.issuer);
+            expect(user.oidcSubject).toBe('sub-9');
+            expect(user.save).toHaveBeenCalled();
+            expect(issueAuthTokens).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Account linked to single sign-on' });
+        });
+
+        test('should not link an identity that already belongs to another account', async () => {
+            issuer.setNextClaims({ sub: 'sub-9', email: 'other@example.com' });
+            await ssoController.startSsoLink(req, res);
+            const query = await followAuthorizationUrl();
+            User.exists = jest.fn().mockResolvedValue({ _id: 'other123' });
+
+            await ssoController.completeSsoLogin({ query, headers: {} }, res);
+
+            expect(user.save).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(401);
+        });
+
+        test('should refuse platform administrators', async () => {
+            user.role = 'superadmin';
+
+            await ssoController.startSsoLink(req, res);
+
+            expect(OidcState.create).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+
+        test('should refuse accounts that are already linked', async () => {
+            user.oidcSubject = 'sub-1';
+
+            await ssoController.startSsoLink(req, res);
+
+            expect(OidcState.create).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(409);
+        });
+    });
+
+    describe('SSO configuration', () => {
+        let req;
+
+        beforeEach(() => {
+            req = {
+                params: { id: ORG_ID },
+                body: {},
+                user: { _id: 'admin123', role: 'admin', organizationId: objectId(ORG_ID) },
+            };
+        });
+
+        test('should return the configuration without the client secret', async () => {
+            await ssoController.getSsoConfig(req, res);
+
+            const { sso } = res.json.mock.calls[0][0];
+            expect(sso).toEqual(
+                expect.objectContaining({ issuer: issuer.issuer, hasClientSecret: true, roleMapping: { 'chat-admins': 'admin' } })
+            );
+            expect(sso.clientSecret).toBeUndefined();
+        });
+
+        test('should update the configuration after discovering the issuer', async () => {
+            req.body = { issuer: issuer.issuer, clientId: 'new-client', enabled: true };
+
+            await ssoController.updateSsoConfig(req, res);
+
+            expect(organization.oidc.clientId).toBe('new-client');
+            expect(organization.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should map groups to roles the configuring user may assign', async () => {
+            req.body = { roleMapping: { 'chat-admins': 'admin', staff: 'user' } };
+
+            await ssoController.updateSsoConfig(req, res);
+
+            expect(organization.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should refuse to map groups to roles the configuring user may not assign', async () => {
+            organization.roles = new Map([['sso-manager', { permissions: ['org:read', 'org:sso:manage'] }]]);
+            req.user.role = 'sso-manager';
+            req.body = { roleMapping: { everyone: 'admin' } };
+
+            await ssoController.updateSsoConfig(req, res);
+
+            expect(organization.oidc.roleMapping).toEqual(new Map([['chat-admins', 'admin']]));
+            expect(organization.save).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+
+        test('should refuse to enable SSO without an issuer', async () => {
+            organization.oidc = { enabled: false, scopes: ['openid'] };
+            req.body = { enabled: true };
+
+            await ssoController.updateSsoConfig(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(organization.save).not.toHaveBeenCalled();
+        });
+
+        test('should deny admins of other organizations', async () => {
+            req.params.id = '507f1f77bcf86cd799439099';
+
+            await ssoController.updateSsoConfig(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+});
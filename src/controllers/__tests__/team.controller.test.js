@@ -0,0 +1,239 @@
+const teamController = require('../team.controller');
+const Team = require('../../models/team.model');
+const Chat = require('../../models/chat.model');
+const User = require('../../models/user.model');
+const Membership = require('../../models/membership.model');
+const AuditEvent = require('../../models/audit-event.model');
+
+// Mock dependencies
+jest.mock('../../models/team.model');
+jest.mock('../../models/chat.model');
+jest.mock('../../models/user.model');
+jest.mock('../../models/membership.model');
+jest.mock('../../models/organization.model');
+jest.mock('../../models/audit-event.model');
+jest.mock('../../utils/logger');
+
+const ORG = '507f1f77bcf86cd799439011';
+const OTHER_ORG = '507f1f77bcf86cd799439022';
+
+describe('Team Controller', () => {
+    let req, res, team;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        req = {
+            params: { id: ORG, teamId: 'team123' },
+            body: {},
+            query: {},
+            headers: {},
+            user: { _id: 'admin123', username: 'admin', role: 'admin', organizationId: ORG },
+            permissions: new Set(['org:read', 'org:teams:manage']),
+        };
+
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        };
+
+        team = {
+            _id: 'team123',
+            name: 'Support',
+            description: '',
+            members: ['user1'],
+            hasMember: jest.fn(userId => team.members.includes(userId)),
+            save: jest.fn().mockResolvedValue(true),
+        };
+
+        // user1 belongs to the organization, user2 to another one
+        User.find = jest.fn().mockReturnValue({
+            select: jest.fn().mockResolvedValue([
+                { _id: 'user1', organizationId: ORG, role: 'user' },
+                { _id: 'user2', organizationId: OTHER_ORG, role: 'user' },
+            ]),
+        });
+        Membership.findOne = jest.fn().mockResolvedValue(null);
+        AuditEvent.create = jest.fn().mockResolvedValue({});
+    });
+
+    test('should not let users access the teams of another organization', async () => {
+        req.params.id = OTHER_ORG;
+
+        await teamController.listTeams(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    describe('listTeams', () => {
+        test('should list the teams of the organization by name', async () => {
+            const sort = jest.fn().mockResolvedValue([team]);
+            Team.find = jest.fn().mockReturnValue({ sort });
+
+            await teamController.listTeams(req, res);
+
+            expect(Team.find).toHaveBeenCalledWith({ organizationId: ORG });
+            expect(sort).toHaveBeenCalledWith({ name: 1 });
+            expect(res.json).toHaveBeenCalledWith({ teams: [team] });
+        });
+    });
+
+    describe('createTeam', () => {
+        test('should create a team with members of the organization', async () => {
+            req.body = { name: 'Support', members: ['user1'] };
+            Team.create = jest.fn().mockResolvedValue(team);
+
+            await teamController.createTeam(req, res);
+
+            expect(Team.create).toHaveBeenCalledWith({
+                organizationId: ORG,
+                name: 'Support',
+                description: '',
+                members: ['user1'],
+                createdBy: 'admin123',
+            });
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'team.created', target: expect.objectContaining({ type: 'team' }) }),
+            );
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should reject users who are not members of the organization', async () => {
+            req.body = { name: 'Support', members: ['user1', 'user2'] };
+            Team.create = jest.fn();
+
+            await teamController.createTeam(req, res);
+
+            expect(Team.create).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json.mock.calls[0][0].message).toContain('user2');
+        });
+
+        test('should accept members of the organization who belong to another one', async () => {
+            req.body = { name: 'Support', members: ['user2'] };
+            Membership.findOne = jest.fn().mockResolvedValue({ organizationId: ORG, role: 'user' });
+            Team.create = jest.fn().mockResolvedValue(team);
+
+            await teamController.createTeam(req, res);
+
+            expect(Membership.findOne).toHaveBeenCalledWith({ userId: 'user2', organizationId: ORG });
+            expect(res.status).toHaveBeenCalledWith(201);
+        });
+
+        test('should return 409 when the name is taken', async () => {
+            req.body = { name: 'Support' };
+            Team.create = jest.fn().mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+            await teamController.createTeam(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+        });
+    });
+
+    describe('updateTeam', () => {
+        test('should rename the team and record the change', async () => {
+            req.body = { name: 'Customer Support' };
+            Team.findOne = jest.fn().mockResolvedValue(team);
+
+            await teamController.updateTeam(req, res);
+
+            expect(team.name).toBe('Customer Support');
+            expect(team.save).toHaveBeenCalled();
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: 'team.updated',
+                    diff: { name: { from: 'Support', to: 'Customer Support' } },
+                }),
+            );
+        });
+
+        test('should return 404 when the team is not in the organization', async () => {
+            Team.findOne = jest.fn().mockResolvedValue(null);
+
+            await teamController.updateTeam(req, res);
+
+            expect(Team.findOne).toHaveBeenCalledWith({ _id: 'team123', organizationId: ORG });
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('deleteTeam', () => {
+        test('should delete the team and unassign its chats', async () => {
+            Team.findOneAndDelete = jest.fn().mockResolvedValue(team);
+            Chat.updateMany = jest.fn().mockResolvedValue({});
+
+            await teamController.deleteTeam(req, res);
+
+            expect(Chat.updateMany).toHaveBeenCalledWith({ organizationId: ORG, teamId: 'team123' }, { teamId: null });
+            expect(AuditEvent.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'team.deleted' }));
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+    });
+
+    describe('addTeamMember', () => {
+        beforeEach(() => {
+            Team.findOne = jest.fn().mockResolvedValue(team);
+            User.find = jest.fn().mockReturnValue({
+                select: jest.fn().mockResolvedValue([{ _id: 'user3', organizationId: ORG, role: 'user' }]),
+            });
+        });
+
+        test('should add a user of the organization', async () => {
+            req.body = { userId: 'user3' };
+
+            await teamController.addTeamMember(req, res);
+
+            expect(team.members).toEqual(['user1', 'user3']);
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'team.member_added', metadata: { userId: 'user3' } }),
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should return 409 for existing members', async () => {
+            req.body = { userId: 'user1' };
+            User.find = jest.fn().mockReturnValue({
+                select: jest.fn().mockResolvedValue([{ _id: 'user1', organizationId: ORG, role: 'user' }]),
+            });
+
+            await teamController.addTeamMember(req, res);
+
+            expect(team.save).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(409);
+        });
+
+        test('should reject users outside the organization', async () => {
+            req.body = { userId: 'user4' };
+            User.find = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+            await teamController.addTeamMember(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('removeTeamMember', () => {
+        test('should remove a member from the team', async () => {
+            req.params.userId = 'user1';
+            Team.findOne = jest.fn().mockResolvedValue(team);
+
+            await teamController.removeTeamMember(req, res);
+
+            expect(team.members).toEqual([]);
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({ action: 'team.member_removed' }),
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should return 404 when the user is not in the team', async () => {
+            req.params.userId = 'user9';
+            Team.findOne = jest.fn().mockResolvedValue(team);
+
+            await teamController.removeTeamMember(req, res);
+
+            expect(team.save).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+});
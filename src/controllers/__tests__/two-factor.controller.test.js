@@ -0,0 +1,266 @@
+const twoFactorController = require('../two-factor.controller');
+const User = require('../../models/user.model');
+const RefreshToken = require('../../models/refresh-token.model');
+const accountTokens = require('../../utils/account-tokens');
+const { isTwoFactorRequired } = require('../../utils/two-factor');
+const { generateCode, generateSecret } = require('../../utils/totp');
+const { generateRecoveryCodes } = jest.requireActual('../../utils/two-factor');
+
+// Mock dependencies
+jest.mock('../../models/user.model');
+jest.mock('../../models/refresh-token.model');
+jest.mock('../../models/session.model');
+jest.mock('../../utils/account-tokens');
+jest.mock('../../utils/two-factor', () => ({
+    ...jest.requireActual('../../utils/two-factor'),
+    isTwoFactorRequired: jest.fn(),
+}));
+jest.mock('../../config/config', () => ({
+    jwtSecret: 'test-secret',
+    accessTokenExpiresIn: '15m',
+    refreshTokenTtlDays: 30,
+    twoFactorIssuer: 'ChatLogger',
+    loginMaxAttempts: 5,
+    loginLockoutMinutes: 1,
+    loginMaxLockoutMinutes: 60,
+}));
+jest.mock('../../utils/logger');
+
+describe('Two-Factor Controller', () => {
+    let req, res, mockUser;
+
+    // Make User.findById / findOne return the mock user through `.select()`
+    const mockUserLookup = () => {
+        const query = { select: jest.fn().mockResolvedValue(mockUser) };
+        User.findById = jest.fn().mockReturnValue(query);
+        User.findOne = jest.fn().mockReturnValue(query);
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        req = {
+            body: {},
+            params: {},
+            headers: {},
+            user: { _id: 'user123', role: 'admin', organizationId: 'org123' },
+        };
+
+        res = {
+            status: jest.fn().mockReturnThis(),
+            json: jest.fn(),
+        };
+
+        mockUser = {
+            _id: 'user123',
+            username: 'admin',
+            email: 'admin@example.com',
+            role: 'admin',
+            organizationId: 'org123',
+            twoFactorEnabled: false,
+            comparePassword: jest.fn().mockResolvedValue(true),
+            save: jest.fn().mockResolvedValue(true),
+        };
+        mockUserLookup();
+        User.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+        User.findOneAndUpdate = jest.fn().mockResolvedValue({ failedLoginAttempts: 1, lockedUntil: null });
+        isTwoFactorRequired.mockResolvedValue(false);
+    });
+
+    describe('setupTwoFactor', () => {
+        test('should store a new secret and return the otpauth URI', async () => {
+            await twoFactorController.setupTwoFactor(req, res);
+
+            expect(mockUser.twoFactorSecret).toMatch(/^[A-Z2-7]{32}$/);
+            expect(mockUser.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    secret: mockUser.twoFactorSecret,
+                    otpauthUri: expect.stringContaining('otpauth://totp/ChatLogger:admin%40example.com'),
+                })
+            );
+        });
+
+        test('should refuse when two-factor authentication is already enabled', async () => {
+            mockUser.twoFactorEnabled = true;
+
+            await twoFactorController.setupTwoFactor(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(409);
+            expect(mockUser.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('enableTwoFactor', () => {
+        test('should enable two-factor authentication and return recovery codes', async () => {
+            mockUser.twoFactorSecret = generateSecret();
+            req.body = { code: generateCode(mockUser.twoFactorSecret) };
+
+            await twoFactorController.enableTwoFactor(req, res);
+
+            expect(mockUser.twoFactorEnabled).toBe(true);
+            expect(mockUser.twoFactorRecoveryCodes).toHaveLength(10);
+            expect(res.status).toHaveBeenCalledWith(200);
+            const { recoveryCodes } = res.json.mock.calls[0][0];
+            expect(recoveryCodes).toHaveLength(10);
+            // Only hashes are stored
+            expect(mockUser.twoFactorRecoveryCodes).not.toContain(recoveryCodes[0]);
+        });
+
+        test('should reject an invalid code', async () => {
+            mockUser.twoFactorSecret = generateSecret();
+            req.body = { code: '000000' };
+            const validCode = generateCode(mockUser.twoFactorSecret);
+            if (validCode === '000000') req.body.code = '111111';
+
+            await twoFactorController.enableTwoFactor(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(mockUser.twoFactorEnabled).toBe(false);
+        });
+
+        test('should require setup to have been started', async () => {
+            req.body = { code: '123456' };
+
+            await twoFactorController.enableTwoFactor(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Two-factor setup has not been started' });
+        });
+    });
+
+    describe('disableTwoFactor', () => {
+        beforeEach(() => {
+            mockUser.twoFactorEnabled = true;
+            mockUser.twoFactorSecret = generateSecret();
+            mockUser.twoFactorRecoveryCodes = [];
+        });
+
+        test('should disable two-factor authentication with the password and a code', async () => {
+            req.body = { password: 'password123', code: generateCode(mockUser.twoFactorSecret) };
+
+            await twoFactorController.disableTwoFactor(req, res);
+
+            expect(mockUser.comparePassword).toHaveBeenCalledWith('password123');
+            expect(mockUser.twoFactorEnabled).toBe(false);
+            expect(mockUser.twoFactorSecret).toBeUndefined();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should refuse when the organization requires two-factor authentication', async () => {
+            isTwoFactorRequired.mockResolvedValue(true);
+            req.body = { password: 'password123', code: generateCode(mockUser.twoFactorSecret) };
+
+            await twoFactorController.disableTwoFactor(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(mockUser.twoFactorEnabled).toBe(true);
+        });
+
+        test('should reject a wrong password', async () => {
+            mockUser.comparePassword.mockResolvedValue(false);
+            req.body = { password: 'wrong', code: generateCode(mockUser.twoFactorSecret) };
+
+            await twoFactorController.disableTwoFactor(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(mockUser.twoFactorEnabled).toBe(true);
+        });
+    });
+
+    describe('regenerateRecoveryCodes', () => {
+        test('should replace the recovery codes', async () => {
+            mockUser.twoFactorEnabled = true;
+            mockUser.twoFactorSecret = generateSecret();
+            mockUser.twoFactorRecoveryCodes = ['old-hash'];
+            req.body = { code: generateCode(mockUser.twoFactorSecret) };
+
+            await twoFactorController.regenerateRecoveryCodes(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(mockUser.twoFactorRecoveryCodes).toHaveLength(10);
+            expect(mockUser.twoFactorRecoveryCodes).not.toContain('old-hash');
+        });
+    });
+
+    describe('completeTwoFactorLogin', () => {
+        beforeEach(() => {
+            mockUser.twoFactorEnabled = true;
+            mockUser.twoFactorSecret = generateSecret();
+            accountTokens.decodeAccountToken.mockReturnValue({ sub: 'user123', purpose: 'two-factor-challenge' });
+            accountTokens.isAccountTokenCurrent.mockReturnValue(true);
+            RefreshToken.generateToken = jest.fn().mockReturnValue('refresh-token');
+            RefreshToken.hashToken = jest.fn().mockReturnValue('hashed-refresh-token');
+            RefreshToken.create = jest.fn().mockResolvedValue({});
+        });
+
+        test('should issue tokens for a valid code', async () => {
+            mockUser.twoFactorRecoveryCodes = [];
+            req.body = { challengeToken: 'challenge', code: generateCode(mockUser.twoFactorSecret) };
+
+            await twoFactorController.completeTwoFactorLogin(req, res);
+
+            expect(accountTokens.decodeAccountToken).toHaveBeenCalledWith('challenge', 'two-factor-challenge');
+            expect(User.findOne).toHaveBeenCalledWith({ _id: 'user123', isActive: true });
+            expect(mockUser.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    message: 'Login successful',
+                    token: expect.any(String),
+                    refreshToken: 'refresh-token',
+                })
+            );
+        });
+
+        test('should accept a recovery code once', async () => {
+            const { codes, hashes } = generateRecoveryCodes();
+            mockUser.twoFactorRecoveryCodes = hashes;
+            req.body = { challengeToken: 'challenge', recoveryCode: codes[0] };
+
+            await twoFactorController.completeTwoFactorLogin(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ recoveryCodesRemaining: 9 }));
+        });
+
+        test('should reject an invalid challenge token', async () => {
+            accountTokens.decodeAccountToken.mockReturnValue(null);
+            req.body = { challengeToken: 'bad', code: '123456' };
+
+            await twoFactorController.completeTwoFactorLogin(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid or expired challenge' });
+        });
+
+        test('should reject an invalid code', async () => {
+            mockUser.twoFactorRecoveryCodes = [];
+            req.body = { challengeToken: 'challenge', recoveryCode: 'aaaaa-bbbbb' };
+
+            await twoFactorController.completeTwoFactorLogin(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid two-factor code' });
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+            expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: mockUser._id },
+                expect.objectContaining({ $inc: { failedLoginAttempts: 1 } }),
+                expect.any(Object)
+            );
+            expect(mockUser.failedLoginAttempts).toBe(1);
+        });
+
+        test('should refuse locked accounts', async () => {
+            res.set = jest.fn();
+            mockUser.lockedUntil = new Date(Date.now() + 60 * 1000);
+            req.body = { challengeToken: 'challenge', code: generateCode(mockUser.twoFactorSecret) };
+
+            await twoFactorController.completeTwoFactorLogin(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(423);
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -4,13 +4,19 @@ const User = require('../../models/user.model');
 // const jwt = require('jsonwebtoken');
 // const config = require('../../config/config');
 const logger = require('../../utils/logger');
+const AuditEvent = require('../../models/audit-event.model');
 
 // Mock dependencies
 jest.mock('../../models/user.model');
+jest.mock('../../models/refresh-token.model');
+jest.mock('../../models/session.model');
+jest.mock('../../models/organization.model');
+jest.mock('../../utils/mailer');
 jest.mock('jsonwebtoken');
 jest.mock('../../config/config', () => ({
     jwtSecret: 'mock-jwt-secret',
 }));
+jest.mock('../../models/audit-event.model');
 jest.mock('../../utils/logger');
 
 describe('User Controller - Additional Tests', () => {
@@ -137,6 +143,7 @@ describe('User Controller - Additional Tests', () => {
                 _id: 'user123',
                 email: 'user@example.com',
                 comparePassword: jest.fn().mockResolvedValue(false),
+                save: jest.fn().mockResolvedValue(true),
             };
 
             User.findOne = jest.fn().mockResolvedValue(mockUser);
@@ -171,12 +178,14 @@ describe('User Controller - Additional Tests', () => {
         test('should generate API key', async () => {
             // Setup
             req.user.generateApiKey = jest.fn().mockResolvedValue('new-api-key-123');
+            req.user.save = jest.fn().mockResolvedValue(true);
 
             // Execute
             await userController.generateApiKey(req, res);
 
             // Assert
             expect(req.user.generateApiKey).toHaveBeenCalled();
+            expect(req.user.save).toHaveBeenCalled();
             expect(res.status).toHaveBeenCalledWith(200);
             expect(res.json).toHaveBeenCalledWith(
                 expect.objectContaining({
@@ -213,7 +222,7 @@ describe('User Controller - Additional Tests', () => {
             expect(res.status).toHaveBeenCalledWith(403);
             expect(res.json).toHaveBeenCalledWith(
                 expect.objectContaining({
-                    message: expect.stringContaining('Admin privileges required'),
+                    message: expect.stringContaining("'users:read' permission required"),
                 }),
             );
         });
@@ -388,6 +397,13 @@ describe('User Controller - Additional Tests', () => {
             expect(User.findById).toHaveBeenCalledWith('any-user');
             expect(mockUser.role).toBe('admin');
             expect(res.status).toHaveBeenCalledWith(200);
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: 'user.updated',
+                    target: expect.objectContaining({ type: 'user', id: 'any-user' }),
+                    diff: { role: { from: 'user', to: 'admin' } },
+                }),
+            );
         });
 
         test('should return 404 if user not found', async () => {
@@ -442,6 +458,7 @@ describe('User Controller - Additional Tests', () => {
             // Assert
             expect(User.findById).toHaveBeenCalledWith('user123');
             expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json.mock.calls[0][0].user.lockout).toBeUndefined();
             expect(res.json).toHaveBeenCalledWith(
                 expect.objectContaining({
                     user: expect.objectContaining({
@@ -476,6 +493,9 @@ describe('User Controller - Additional Tests', () => {
                 organizationId: 'org123',
             });
             expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json.mock.calls[0][0].user.lockout).toEqual(
+                expect.objectContaining({ locked: false, failedLoginAttempts: 0 }),
+            );
         });
 
         test('should return 404 if user not found', async () => {
@@ -632,6 +652,13 @@ describe('User Controller - Additional Tests', () => {
 
             expect(mockUser.save).toHaveBeenCalled();
             expect(res.status).toHaveBeenCalledWith(201);
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: 'user.created',
+                    organizationId: 'org123',
+                    target: expect.objectContaining({ type: 'user', id: 'new-admin-id' }),
+                }),
+            );
         });
 
         test('should handle existing user', async () => {
@@ -1,12 +1,25 @@
 const userController = require('../user.controller');
 const User = require('../../models/user.model');
+const RefreshToken = require('../../models/refresh-token.model');
+const Session = require('../../models/session.model');
+const ApiKey = require('../../models/api-key.model');
+const Organization = require('../../models/organization.model');
+const accountTokens = require('../../utils/account-tokens');
+const { sendMail } = require('../../utils/mailer');
 const jwt = require('jsonwebtoken');
 const config = require('../../config/config');
 
 // Mock dependencies
 jest.mock('../../models/user.model');
+jest.mock('../../models/refresh-token.model');
+jest.mock('../../models/session.model');
+jest.mock('../../models/api-key.model');
+jest.mock('../../models/organization.model');
+jest.mock('../../utils/account-tokens');
+jest.mock('../../utils/mailer');
 jest.mock('jsonwebtoken');
 jest.mock('../../config/config');
+jest.mock('../../models/audit-event.model');
 jest.mock('../../utils/logger');
 
 describe('User Controller', () => {
@@ -21,6 +34,7 @@ describe('User Controller', () => {
             body: {},
             params: {},
             query: {},
+            headers: {},
             user: { _id: 'user123', organizationId: 'org123', role: 'user' }
         };
         
@@ -40,6 +54,7 @@ describe('User Controller', () => {
             };
             
             User.findOne = jest.fn().mockResolvedValue(null);
+            Organization.findById = jest.fn().mockResolvedValue(null);
             User.mockImplementation(() => ({
                 save: jest.fn().mockResolvedValue(true),
                 _id: 'newuser123',
@@ -107,9 +122,23 @@ describe('User Controller', () => {
             );
         });
         
+        test('should return 403 when the organization disabled open registration', async () => {
+            Organization.findById = jest.fn().mockResolvedValue({
+                settings: new Map([['allowOpenRegistration', false]])
+            });
+
+            await userController.register(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({
+                message: 'Registration in this organization requires an invitation'
+            });
+            expect(User).not.toHaveBeenCalled();
+        });
+
         test('should handle server errors', async () => {
             User.findOne = jest.fn().mockRejectedValue(new Error('Database error'));
-            
+
             await userController.register(req, res);
             
             expect(res.status).toHaveBeenCalledWith(500);
@@ -163,7 +192,88 @@ describe('User Controller', () => {
                 })
             );
         });
+
+        test('should record the session with the client it was started from', async () => {
+            req.ip = '203.0.113.7';
+            req.headers['user-agent'] = 'Mozilla/5.0 (X11; Linux x86_64; rv:128.0) Gecko/20100101 Firefox/128.0';
+
+            await userController.login(req, res);
+
+            const { family } = RefreshToken.create.mock.calls[0][0];
+            expect(Session.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    sessionId: family,
+                    userId: 'user123',
+                    device: 'Firefox on Linux',
+                    ip: '203.0.113.7',
+                    userAgent: req.headers['user-agent']
+                })
+            );
+        });
         
+        test('should refuse unverified accounts when the organization requires verification', async () => {
+            Organization.findById = jest.fn().mockResolvedValue({
+                settings: new Map([['requireEmailVerification', true]])
+            });
+
+            await userController.login(req, res);
+
+            expect(Organization.findById).toHaveBeenCalledWith('org123');
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Email address has not been verified' });
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+        });
+
+        test('should allow unverified accounts when the organization does not require verification', async () => {
+            Organization.findById = jest.fn().mockResolvedValue({ settings: new Map() });
+
+            await userController.login(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should return a challenge instead of tokens when 2FA is enabled', async () => {
+            User.findOne = jest.fn().mockResolvedValue({
+                _id: 'user123',
+                organizationId: 'org123',
+                emailVerified: true,
+                twoFactorEnabled: true,
+                comparePassword: jest.fn().mockResolvedValue(true)
+            });
+            accountTokens.createAccountToken.mockReturnValue('challenge-token');
+
+            await userController.login(req, res);
+
+            expect(accountTokens.createAccountToken).toHaveBeenCalledWith(
+                expect.objectContaining({ _id: 'user123' }),
+                'two-factor-challenge'
+            );
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    twoFactorRequired: true,
+                    challengeToken: 'challenge-token'
+                })
+            );
+            expect(res.json.mock.calls[0][0].token).toBeUndefined();
+        });
+
+        test('should not look up the organization for verified accounts', async () => {
+            User.findOne = jest.fn().mockResolvedValue({
+                _id: 'user123',
+                organizationId: 'org123',
+                emailVerified: true,
+                comparePassword: jest.fn().mockResolvedValue(true)
+            });
+            Organization.findById = jest.fn();
+
+            await userController.login(req, res);
+
+            expect(Organization.findById).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
         test('should return 401 when user not found', async () => {
             User.findOne = jest.fn().mockResolvedValue(null);
             
@@ -180,9 +290,11 @@ describe('User Controller', () => {
         test('should return 401 when password is incorrect', async () => {
             const mockUser = {
                 _id: 'user123',
-                comparePassword: jest.fn().mockResolvedValue(false)
+                comparePassword: jest.fn().mockResolvedValue(false),
+                save: jest.fn().mockResolvedValue(true)
             };
             User.findOne = jest.fn().mockResolvedValue(mockUser);
+            User.findOneAndUpdate = jest.fn().mockResolvedValue({ failedLoginAttempts: 1, lockedUntil: null });
             
             await userController.login(req, res);
             
@@ -192,9 +304,401 @@ describe('User Controller', () => {
                     message: expect.stringContaining('Invalid credentials')
                 })
             );
+            // The counter is incremented in the database, not saved from the loaded document
+            expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: 'user123' },
+                expect.objectContaining({ $inc: { failedLoginAttempts: 1 } }),
+                expect.any(Object)
+            );
+            expect(mockUser.failedLoginAttempts).toBe(1);
+            expect(mockUser.save).not.toHaveBeenCalled();
+        });
+
+        test('should lock the account once the allowed attempts are used up', async () => {
+            const mockUser = {
+                _id: 'user123',
+                failedLoginAttempts: config.loginMaxAttempts - 1,
+                comparePassword: jest.fn().mockResolvedValue(false),
+                save: jest.fn().mockResolvedValue(true)
+            };
+            User.findOne = jest.fn().mockResolvedValue(mockUser);
+            User.findOneAndUpdate = jest.fn().mockResolvedValue({
+                failedLoginAttempts: config.loginMaxAttempts,
+                lockedUntil: null
+            });
+            User.updateOne = jest.fn().mockResolvedValue({});
+
+            await userController.login(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(mockUser.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { _id: 'user123' },
+                { $max: { lockedUntil: mockUser.lockedUntil } }
+            );
+        });
+
+        test('should refuse locked accounts without checking the password', async () => {
+            res.set = jest.fn();
+            const mockUser = {
+                _id: 'user123',
+                failedLoginAttempts: 5,
+                lockedUntil: new Date(Date.now() + 60 * 1000),
+                comparePassword: jest.fn().mockResolvedValue(true)
+            };
+            User.findOne = jest.fn().mockResolvedValue(mockUser);
+
+            await userController.login(req, res);
+
+            expect(mockUser.comparePassword).not.toHaveBeenCalled();
+            expect(res.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
+            expect(res.status).toHaveBeenCalledWith(423);
+        });
+
+        test('should clear failed attempts after a successful login', async () => {
+            const mockUser = {
+                _id: 'user123',
+                emailVerified: true,
+                failedLoginAttempts: 3,
+                lockedUntil: new Date(Date.now() - 1000),
+                comparePassword: jest.fn().mockResolvedValue(true),
+                save: jest.fn().mockResolvedValue(true)
+            };
+            User.findOne = jest.fn().mockResolvedValue(mockUser);
+
+            await userController.login(req, res);
+
+            expect(mockUser.failedLoginAttempts).toBe(0);
+            expect(mockUser.lockedUntil).toBeNull();
+            expect(mockUser.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
         });
     });
     
+    describe('refreshToken', () => {
+        let currentToken;
+
+        beforeEach(() => {
+            req.body = { refreshToken: 'refresh-token' };
+            req.ip = '127.0.0.1';
+
+            currentToken = {
+                _id: 'token123',
+                userId: 'user123',
+                family: 'session123',
+                isExpired: jest.fn().mockReturnValue(false)
+            };
+
+            RefreshToken.hashToken = jest.fn().mockReturnValue('hashed-token');
+            RefreshToken.generateToken = jest.fn().mockReturnValue('new-refresh-token');
+            RefreshToken.findOne = jest.fn().mockResolvedValue(currentToken);
+            RefreshToken.findOneAndUpdate = jest.fn().mockResolvedValue(currentToken);
+            RefreshToken.create = jest.fn().mockResolvedValue({ _id: 'token456', tokenHash: 'new-hashed-token' });
+            RefreshToken.deleteOne = jest.fn().mockResolvedValue({});
+            RefreshToken.updateMany = jest.fn().mockResolvedValue({});
+            User.findById = jest.fn().mockResolvedValue({ _id: 'user123', organizationId: 'org123', isActive: true });
+            // The session was switched to another organization of the user
+            Session.findOneAndUpdate = jest.fn().mockResolvedValue({ sessionId: 'session123', organizationId: 'org456' });
+            jwt.sign = jest.fn().mockReturnValue('fake-token');
+            config.jwtSecret = 'test-secret';
+        });
+
+        test('should rotate the refresh token', async () => {
+            await userController.refreshToken(req, res);
+
+            expect(RefreshToken.findOne).toHaveBeenCalledWith({ tokenHash: 'hashed-token', revokedAt: null });
+            expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: 'token123', revokedAt: null },
+                { revokedAt: expect.any(Date), replacedByHash: 'new-hashed-token' }
+            );
+            expect(RefreshToken.create).toHaveBeenCalledWith(expect.objectContaining({
+                userId: 'user123',
+                family: 'session123'
+            }));
+            expect(jwt.sign).toHaveBeenCalledWith(
+                { userId: 'user123', sid: 'session123', org: 'org456' },
+                'test-secret',
+                expect.any(Object)
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    token: 'fake-token',
+                    refreshToken: 'new-refresh-token'
+                })
+            );
+        });
+
+        test('should keep the session alive while the token is rotated', async () => {
+            await userController.refreshToken(req, res);
+
+            // The replacement exists before the current token is revoked
+            expect(RefreshToken.create.mock.invocationCallOrder[0]).toBeLessThan(
+                RefreshToken.findOneAndUpdate.mock.invocationCallOrder[0]
+            );
+        });
+
+        test('should revoke the session when a used token is presented again', async () => {
+            RefreshToken.findOne = jest.fn()
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({ userId: 'user123', family: 'session123' });
+
+            await userController.refreshToken(req, res);
+
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { family: 'session123', revokedAt: null },
+                { revokedAt: expect.any(Date) }
+            );
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+        });
+
+        test('should discard the replacement when another request rotated the token first', async () => {
+            RefreshToken.findOneAndUpdate = jest.fn().mockResolvedValue(null);
+
+            await userController.refreshToken(req, res);
+
+            expect(RefreshToken.deleteOne).toHaveBeenCalledWith({ _id: 'token456' });
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { family: 'session123', revokedAt: null },
+                { revokedAt: expect.any(Date) }
+            );
+            expect(res.status).toHaveBeenCalledWith(401);
+        });
+
+        test('should return 401 for an unknown token', async () => {
+            RefreshToken.findOne = jest.fn().mockResolvedValue(null);
+
+            await userController.refreshToken(req, res);
+
+            expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({ message: 'Invalid refresh token' })
+            );
+        });
+
+        test('should return 401 for an expired token', async () => {
+            currentToken.isExpired.mockReturnValue(true);
+
+            await userController.refreshToken(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+        });
+
+        test('should end the session when the user has been deactivated', async () => {
+            User.findById = jest.fn().mockResolvedValue({ _id: 'user123', isActive: false });
+
+            await userController.refreshToken(req, res);
+
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { family: 'session123', revokedAt: null },
+                { revokedAt: expect.any(Date) }
+            );
+            expect(res.status).toHaveBeenCalledWith(401);
+        });
+    });
+
+    describe('logout', () => {
+        beforeEach(() => {
+            req.sessionId = 'session123';
+            RefreshToken.updateMany = jest.fn().mockResolvedValue({});
+        });
+
+        test('should revoke the current session', async () => {
+            await userController.logout(req, res);
+
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { family: 'session123', revokedAt: null },
+                { revokedAt: expect.any(Date) }
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should revoke all sessions when requested', async () => {
+            req.body = { allSessions: true };
+
+            await userController.logout(req, res);
+
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { userId: 'user123', revokedAt: null },
+                { revokedAt: expect.any(Date) }
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should not let impersonators end all sessions of the user', async () => {
+            req.body = { allSessions: true };
+            req.impersonator = { _id: 'super123' };
+
+            await userController.logout(req, res);
+
+            expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(403);
+        });
+    });
+
+    describe('password reset', () => {
+        let mockUser;
+
+        beforeEach(() => {
+            mockUser = {
+                _id: 'user123',
+                username: 'testuser',
+                email: 'test@example.com',
+                password: 'old-hash',
+                emailVerified: false,
+                save: jest.fn().mockResolvedValue(true)
+            };
+            RefreshToken.updateMany = jest.fn().mockResolvedValue({});
+        });
+
+        test('should email a reset token to an existing user', async () => {
+            req.body = { email: 'test@example.com' };
+            User.findOne = jest.fn().mockResolvedValue(mockUser);
+            accountTokens.createAccountToken.mockReturnValue('reset-token');
+
+            await userController.forgotPassword(req, res);
+
+            expect(accountTokens.createAccountToken).toHaveBeenCalledWith(mockUser, 'password-reset');
+            expect(sendMail).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    to: 'test@example.com',
+                    text: expect.stringContaining('reset-token')
+                })
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should give the same response when the email cannot be sent', async () => {
+            req.body = { email: 'test@example.com' };
+            User.findOne = jest.fn().mockResolvedValue(mockUser);
+            sendMail.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+            await userController.forgotPassword(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({
+                message: expect.stringContaining('If an account with that email exists')
+            });
+        });
+
+        test('should give the same response for unknown emails without sending mail', async () => {
+            req.body = { email: 'unknown@example.com' };
+            User.findOne = jest.fn().mockResolvedValue(null);
+
+            await userController.forgotPassword(req, res);
+
+            expect(sendMail).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith({
+                message: expect.stringContaining('If an account with that email exists')
+            });
+        });
+
+        test('should reset the password and end all sessions', async () => {
+            req.body = { token: 'reset-token', password: 'newpassword' };
+            accountTokens.decodeAccountToken.mockReturnValue({ sub: 'user123', purpose: 'password-reset' });
+            accountTokens.isAccountTokenCurrent.mockReturnValue(true);
+            User.findOne = jest.fn().mockResolvedValue(mockUser);
+
+            await userController.resetPassword(req, res);
+
+            expect(accountTokens.decodeAccountToken).toHaveBeenCalledWith('reset-token', 'password-reset');
+            expect(mockUser.password).toBe('newpassword');
+            expect(mockUser.emailVerified).toBe(true);
+            expect(mockUser.save).toHaveBeenCalled();
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { userId: 'user123', revokedAt: null },
+                { revokedAt: expect.any(Date) }
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should reject an invalid reset token', async () => {
+            req.body = { token: 'bad-token', password: 'newpassword' };
+            accountTokens.decodeAccountToken.mockReturnValue(null);
+
+            await userController.resetPassword(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.json).toHaveBeenCalledWith({ message: 'Invalid or expired token' });
+        });
+
+        test('should reject a reset token that was already used', async () => {
+            req.body = { token: 'used-token', password: 'newpassword' };
+            accountTokens.decodeAccountToken.mockReturnValue({ sub: 'user123', purpose: 'password-reset' });
+            accountTokens.isAccountTokenCurrent.mockReturnValue(false);
+            User.findOne = jest.fn().mockResolvedValue(mockUser);
+
+            await userController.resetPassword(req, res);
+
+            expect(mockUser.save).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+    });
+
+    describe('email verification', () => {
+        let mockUser;
+
+        beforeEach(() => {
+            mockUser = {
+                _id: 'user123',
+                username: 'testuser',
+                email: 'test@example.com',
+                emailVerified: false,
+                save: jest.fn().mockResolvedValue(true)
+            };
+        });
+
+        test('should mark the email as verified', async () => {
+            req.body = { token: 'verify-token' };
+            accountTokens.decodeAccountToken.mockReturnValue({ sub: 'user123', purpose: 'email-verification' });
+            accountTokens.isAccountTokenCurrent.mockReturnValue(true);
+            User.findById = jest.fn().mockResolvedValue(mockUser);
+
+            await userController.verifyEmail(req, res);
+
+            expect(accountTokens.decodeAccountToken).toHaveBeenCalledWith('verify-token', 'email-verification');
+            expect(mockUser.emailVerified).toBe(true);
+            expect(mockUser.emailVerifiedAt).toEqual(expect.any(Date));
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should reject an invalid verification token', async () => {
+            req.body = { token: 'bad-token' };
+            accountTokens.decodeAccountToken.mockReturnValue(null);
+
+            await userController.verifyEmail(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        test('should resend the verification email to unverified users', async () => {
+            req.body = { email: 'test@example.com' };
+            User.findOne = jest.fn().mockResolvedValue(mockUser);
+            accountTokens.createAccountToken.mockReturnValue('verify-token');
+
+            await userController.resendVerificationEmail(req, res);
+
+            expect(accountTokens.createAccountToken).toHaveBeenCalledWith(mockUser, 'email-verification');
+            expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'test@example.com' }));
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should not resend the verification email to verified users', async () => {
+            req.body = { email: 'test@example.com' };
+            mockUser.emailVerified = true;
+            User.findOne = jest.fn().mockResolvedValue(mockUser);
+
+            await userController.resendVerificationEmail(req, res);
+
+            expect(sendMail).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+    });
+
     describe('getProfile', () => {
         test('should return user profile', async () => {
             req.user = {
@@ -223,22 +727,107 @@ describe('User Controller', () => {
     describe('generateApiKey', () => {
         test('should generate API key for user', async () => {
             req.user = {
-                generateApiKey: jest.fn().mockResolvedValue('new-api-key-123')
+                apiKeyPrefix: 'clu_1234abcd',
+                generateApiKey: jest.fn().mockResolvedValue('new-api-key-123'),
+                save: jest.fn().mockResolvedValue(true)
             };
             
             await userController.generateApiKey(req, res);
             
             expect(req.user.generateApiKey).toHaveBeenCalled();
+            expect(req.user.save).toHaveBeenCalled();
             expect(res.status).toHaveBeenCalledWith(200);
             expect(res.json).toHaveBeenCalledWith(
                 expect.objectContaining({
                     message: expect.stringContaining('generated successfully'),
-                    apiKey: 'new-api-key-123'
+                    apiKey: 'new-api-key-123',
+                    apiKeyPrefix: 'clu_1234abcd'
                 })
             );
         });
     });
     
+    describe('API keys', () => {
+        test('should list active API keys without exposing them', async () => {
+            const sort = jest.fn().mockResolvedValue([
+                { _id: 'key1', name: 'Logger', key: 'secret', scopes: ['chats:write'] }
+            ]);
+            ApiKey.find = jest.fn().mockReturnValue({ sort });
+
+            await userController.listApiKeys(req, res);
+
+            expect(ApiKey.find).toHaveBeenCalledWith({ userId: 'user123', revokedAt: null });
+            expect(res.status).toHaveBeenCalledWith(200);
+            const { apiKeys } = res.json.mock.calls[0][0];
+            expect(apiKeys).toEqual([
+                expect.objectContaining({ id: 'key1', name: 'Logger', scopes: ['chats:write'] })
+            ]);
+            expect(apiKeys[0]).not.toHaveProperty('key');
+        });
+
+        test('should include revoked API keys when requested', async () => {
+            req.query.includeRevoked = 'true';
+            ApiKey.find = jest.fn().mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+
+            await userController.listApiKeys(req, res);
+
+            expect(ApiKey.find).toHaveBeenCalledWith({ userId: 'user123' });
+        });
+
+        test('should create a scoped API key and return it once', async () => {
+            req.body = { name: 'Logger', scopes: ['chats:write', 'messages:write'] };
+            ApiKey.generateKey = jest.fn().mockReturnValue('generated-key');
+            ApiKey.mockImplementation(data => ({
+                _id: 'key1',
+                ...data,
+                save: jest.fn().mockResolvedValue(true)
+            }));
+
+            await userController.createApiKey(req, res);
+
+            expect(ApiKey).toHaveBeenCalledWith(expect.objectContaining({
+                userId: 'user123',
+                organizationId: 'org123',
+                name: 'Logger',
+                key: 'generated-key',
+                scopes: ['chats:write', 'messages:write'],
+                expiresAt: null
+            }));
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    apiKey: expect.objectContaining({ id: 'key1', key: 'generated-key' })
+                })
+            );
+        });
+
+        test('should revoke an API key owned by the user', async () => {
+            req.params.keyId = 'key1';
+            const mockKey = { _id: 'key1', revokedAt: null, save: jest.fn().mockResolvedValue(true) };
+            ApiKey.findOne = jest.fn().mockResolvedValue(mockKey);
+
+            await userController.revokeApiKey(req, res);
+
+            expect(ApiKey.findOne).toHaveBeenCalledWith({
+                _id: 'key1',
+                userId: 'user123',
+                revokedAt: null
+            });
+            expect(mockKey.revokedAt).toBeInstanceOf(Date);
+            expect(mockKey.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+        });
+
+        test('should return 404 when revoking an unknown API key', async () => {
+            req.params.keyId = 'key1';
+            ApiKey.findOne = jest.fn().mockResolvedValue(null);
+
+            await userController.revokeApiKey(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
     describe('getUsersInOrganization', () => {
         beforeEach(() => {
             req.user = {
@@ -292,12 +881,125 @@ describe('User Controller', () => {
             expect(res.status).toHaveBeenCalledWith(403);
             expect(res.json).toHaveBeenCalledWith(
                 expect.objectContaining({
-                    message: expect.stringContaining('Admin privileges required')
+                    message: expect.stringContaining("'users:read' permission required")
                 })
             );
         });
     });
     
+    describe('unlockUser', () => {
+        let lockedUser;
+
+        beforeEach(() => {
+            req.params = { id: 'user456' };
+            req.user = { _id: 'admin123', role: 'admin', organizationId: 'org123' };
+            lockedUser = {
+                _id: 'user456',
+                username: 'locked',
+                failedLoginAttempts: 7,
+                lockedUntil: new Date(Date.now() + 60 * 1000),
+                save: jest.fn().mockResolvedValue(true)
+            };
+            User.findOne = jest.fn().mockResolvedValue(lockedUser);
+        });
+
+        test('should unlock a user of the admin organization', async () => {
+            await userController.unlockUser(req, res);
+
+            expect(User.findOne).toHaveBeenCalledWith({ _id: 'user456', organizationId: 'org123' });
+            expect(lockedUser.failedLoginAttempts).toBe(0);
+            expect(lockedUser.lockedUntil).toBeNull();
+            expect(lockedUser.save).toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(200);
+            expect(res.json).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    user: expect.objectContaining({
+                        lockout: expect.objectContaining({ locked: false, failedLoginAttempts: 0 })
+                    })
+                })
+            );
+        });
+
+        test('should return 404 when the user is not found', async () => {
+            User.findOne = jest.fn().mockResolvedValue(null);
+
+            await userController.unlockUser(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
+    describe('impersonateUser', () => {
+        let targetUser;
+
+        beforeEach(() => {
+            req.params = { id: 'user456' };
+            req.user = { _id: 'super123', role: 'superadmin', organizationId: 'org123' };
+            req.ip = '127.0.0.1';
+            targetUser = {
+                _id: 'user456',
+                username: 'customer',
+                email: 'customer@example.com',
+                role: 'user',
+                organizationId: 'org456',
+                isActive: true
+            };
+            User.findById = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(targetUser) });
+            RefreshToken.create = jest.fn(async doc => doc);
+            RefreshToken.generateToken = jest.fn().mockReturnValue('unused-token');
+            RefreshToken.hashToken = jest.fn().mockReturnValue('unused-hash');
+            jwt.sign = jest.fn().mockReturnValue('impersonation-token');
+            jwt.decode = jest.fn().mockReturnValue({ exp: Math.floor(Date.now() / 1000) + 900 });
+            config.jwtSecret = 'test-secret';
+            config.impersonationTokenExpiresIn = '15m';
+        });
+
+        test('should issue a marked token bound to a session that cannot be refreshed', async () => {
+            await userController.impersonateUser(req, res);
+
+            expect(jwt.sign).toHaveBeenCalledWith(
+                { userId: 'user456', sid: expect.any(String), imp: 'super123' },
+                'test-secret',
+                { expiresIn: '15m' }
+            );
+            expect(RefreshToken.create).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'user456', createdByIp: '127.0.0.1' })
+            );
+            expect(Session.create).toHaveBeenCalledWith(
+                expect.objectContaining({ userId: 'user456', impersonatedBy: 'super123' })
+            );
+            expect(res.status).toHaveBeenCalledWith(200);
+            const body = res.json.mock.calls[0][0];
+            expect(body).toEqual(expect.objectContaining({ token: 'impersonation-token', expiresIn: '15m' }));
+            expect(body.refreshToken).toBeUndefined();
+        });
+
+        test('should not impersonate other superadmins', async () => {
+            targetUser.role = 'superadmin';
+
+            await userController.impersonateUser(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(jwt.sign).not.toHaveBeenCalled();
+        });
+
+        test('should not impersonate deactivated users', async () => {
+            targetUser.isActive = false;
+
+            await userController.impersonateUser(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(400);
+        });
+
+        test('should return 404 when the user is not found', async () => {
+            User.findById = jest.fn().mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+            await userController.impersonateUser(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(404);
+        });
+    });
+
     describe('updateUser', () => {
         beforeEach(() => {
             req.params = { id: 'user123' };
@@ -337,6 +1039,27 @@ describe('User Controller', () => {
             );
         });
         
+        test('should require verification again when the email changes', async () => {
+            const mockUser = await User.findById();
+            mockUser.emailVerified = true;
+
+            await userController.updateUser(req, res);
+
+            expect(mockUser.email).toBe('updated@example.com');
+            expect(mockUser.emailVerified).toBe(false);
+            expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'updated@example.com' }));
+        });
+
+        test('should not let impersonators change the email address', async () => {
+            const mockUser = await User.findById();
+            req.impersonator = { _id: 'super123' };
+
+            await userController.updateUser(req, res);
+
+            expect(res.status).toHaveBeenCalledWith(403);
+            expect(mockUser.save).not.toHaveBeenCalled();
+        });
+
         test('should return 403 when regular user tries to update another user', async () => {
             req.params.id = 'anotheruser';
             
@@ -358,6 +1081,10 @@ describe('User Controller', () => {
             };
             req.params.id = 'user123';
             req.body.role = 'editor';
+            // 'editor' is a custom role of the organization
+            Organization.findById = jest.fn().mockResolvedValue({
+                roles: new Map([['editor', { permissions: ['chats:read:any'] }]])
+            });
             
             await userController.updateUser(req, res);
             
@@ -1,14 +1,25 @@
 // filepath: c:\Users\kjana\Projects\ChatLogger\src\controllers\analytics.controller.js
+const mongoose = require('mongoose');
 const Chat = require('../models/chat.model');
 const Message = require('../models/message.model');
 const logger = require('../utils/logger');
 
+/**
+ * Build the condition limiting chats to a team when the `teamId` filter is given
+ */
+const getTeamMatch = teamId => (teamId ? { teamId: new mongoose.Types.ObjectId(teamId) } : {});
+
+/**
+ * Round a sum of costs like the totals computed by the aggregations
+ */
+const roundCost = cost => Number(cost.toFixed(6));
+
 /**
  * Get chat activity metrics per day within a date range
  */
 const getChatActivityByDate = async (req, res) => {
     try {
-        const { startDate, endDate } = req.query;
+        const { startDate, endDate, teamId } = req.query;
         const organizationId = req.organization ? req.organization._id : req.user.organizationId;
         
         // Validate date inputs
@@ -18,12 +29,18 @@ const getChatActivityByDate = async (req, res) => {
         if (isNaN(start.getTime()) || isNaN(end.getTime())) {
             return res.status(400).json({ message: 'Invalid date format' });
         }
+
+        if (teamId && !mongoose.Types.ObjectId.isValid(teamId)) {
+            return res.status(400).json({ message: 'Invalid team ID' });
+        }
         
         // Aggregate chat activity by date
         const chatActivity = await Chat.aggregate([
             {
                 $match: {
                     organizationId: organizationId,
+                    deletedAt: null,
+                    ...getTeamMatch(teamId),
                     createdAt: { $gte: start, $lte: end }
                 }
             },
@@ -81,7 +98,7 @@ const getChatActivityByDate = async (req, res) => {
  */
 const getMessageStatsByRole = async (req, res) => {
     try {
-        const { startDate, endDate } = req.query;
+        const { startDate, endDate, teamId } = req.query;
         const organizationId = req.organization ? req.organization._id : req.user.organizationId;
         
         // Validate date inputs
@@ -91,10 +108,16 @@ const getMessageStatsByRole = async (req, res) => {
         if (isNaN(start.getTime()) || isNaN(end.getTime())) {
             return res.status(400).json({ message: 'Invalid date format' });
         }
+
+        if (teamId && !mongoose.Types.ObjectId.isValid(teamId)) {
+            return res.status(400).json({ message: 'Invalid team ID' });
+        }
         
         // First, get all chat IDs for this organization
         const chats = await Chat.find({ 
             organizationId: organizationId,
+            deletedAt: null,
+            ...getTeamMatch(teamId),
             createdAt: { $gte: start, $lte: end }
         }).select('_id');
         
@@ -105,6 +128,7 @@ const getMessageStatsByRole = async (req, res) => {
             {
                 $match: {
                     chatId: { $in: chatIds },
+                    deletedAt: null,
                     createdAt: { $gte: start, $lte: end }
                 }
             },
@@ -114,7 +138,8 @@ const getMessageStatsByRole = async (req, res) => {
                     count: { $sum: 1 },
                     avgTokens: { $avg: "$tokens" },
                     totalTokens: { $sum: "$tokens" },
-                    avgLatency: { $avg: "$latency" }
+                    avgLatency: { $avg: "$latency" },
+                    totalCost: { $sum: "$cost" }
                 }
             },
             {
@@ -124,7 +149,8 @@ const getMessageStatsByRole = async (req, res) => {
                     count: 1,
                     avgTokens: { $round: ["$avgTokens", 2] },
                     totalTokens: 1,
-                    avgLatency: { $round: ["$avgLatency", 2] }
+                    avgLatency: { $round: ["$avgLatency", 2] },
+                    totalCost: { $round: ["$totalCost", 6] }
                 }
             }
         ]);
@@ -137,7 +163,8 @@ const getMessageStatsByRole = async (req, res) => {
                 endDate: end,
                 totalChats: chatIds.length,
                 totalMessages: messageStats.reduce((sum, item) => sum + item.count, 0),
-                totalTokens: messageStats.reduce((sum, item) => sum + item.totalTokens, 0)
+                totalTokens: messageStats.reduce((sum, item) => sum + item.totalTokens, 0),
+                totalCost: roundCost(messageStats.reduce((sum, item) => sum + item.totalCost, 0))
             }
         });
     } catch (error) {
@@ -146,12 +173,186 @@ const getMessageStatsByRole = async (req, res) => {
     }
 };
 
+/**
+ * Get token counts and costs per model
+ */
+const getCostStats = async (req, res) => {
+    try {
+        const { startDate, endDate, teamId } = req.query;
+        const organizationId = req.organization ? req.organization._id : req.user.organizationId;
+        
+        // Validate date inputs
+        const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // Default to last 30 days
+        const end = endDate ? new Date(endDate) : new Date();
+        
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            return res.status(400).json({ message: 'Invalid date format' });
+        }
+
+        if (teamId && !mongoose.Types.ObjectId.isValid(teamId)) {
+            return res.status(400).json({ message: 'Invalid team ID' });
+        }
+        
+        const chatIds = await Chat.distinct('_id', {
+            organizationId: organizationId,
+            deletedAt: null,
+            ...getTeamMatch(teamId)
+        });
+        
+        // Sum the stored costs of messages sent within the range by model
+        const costStats = await Message.aggregate([
+            {
+                $match: {
+                    chatId: { $in: chatIds },
+                    deletedAt: null,
+                    createdAt: { $gte: start, $lte: end }
+                }
+            },
+            {
+                $group: {
+                    _id: "$aiModel",
+                    count: { $sum: 1 },
+                    promptTokens: { $sum: "$promptTokens" },
+                    completionTokens: { $sum: "$completionTokens" },
+                    totalCost: { $sum: "$cost" },
+                    // Messages of models without a price in the pricing table
+                    unpricedCount: { $sum: { $cond: [{ $eq: [{ $ifNull: ["$cost", null] }, null] }, 1, 0] } }
+                }
+            },
+            {
+                $sort: { totalCost: -1, _id: 1 }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    model: "$_id",
+                    count: 1,
+                    promptTokens: 1,
+                    completionTokens: 1,
+                    totalCost: { $round: ["$totalCost", 6] },
+                    unpricedCount: 1
+                }
+            }
+        ]);
+        
+        res.status(200).json({
+            message: 'Cost statistics retrieved successfully',
+            data: costStats,
+            metadata: {
+                startDate: start,
+                endDate: end,
+                totalMessages: costStats.reduce((sum, item) => sum + item.count, 0),
+                totalCost: roundCost(costStats.reduce((sum, item) => sum + item.totalCost, 0)),
+                unpricedMessages: costStats.reduce((sum, item) => sum + item.unpricedCount, 0)
+            }
+        });
+    } catch (error) {
+        logger.error(`Get cost stats error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+/**
+ * Get call counts, error rates and durations per tool
+ */
+const getToolCallStats = async (req, res) => {
+    try {
+        const { startDate, endDate, teamId } = req.query;
+        const organizationId = req.organization ? req.organization._id : req.user.organizationId;
+        
+        // Validate date inputs
+        const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000); // Default to last 30 days
+        const end = endDate ? new Date(endDate) : new Date();
+        
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            return res.status(400).json({ message: 'Invalid date format' });
+        }
+
+        if (teamId && !mongoose.Types.ObjectId.isValid(teamId)) {
+            return res.status(400).json({ message: 'Invalid team ID' });
+        }
+        
+        const chatIds = await Chat.distinct('_id', {
+            organizationId: organizationId,
+            deletedAt: null,
+            ...getTeamMatch(teamId)
+        });
+        
+        // Aggregate the tool calls of messages sent within the range by tool name
+        const toolStats = await Message.aggregate([
+            {
+                $match: {
+                    chatId: { $in: chatIds },
+                    deletedAt: null,
+                    createdAt: { $gte: start, $lte: end },
+                    'toolCalls.0': { $exists: true }
+                }
+            },
+            {
+                $unwind: "$toolCalls"
+            },
+            {
+                $group: {
+                    _id: "$toolCalls.name",
+                    count: { $sum: 1 },
+                    successCount: { $sum: { $cond: [{ $eq: ["$toolCalls.status", "success"] }, 1, 0] } },
+                    errorCount: { $sum: { $cond: [{ $eq: ["$toolCalls.status", "error"] }, 1, 0] } },
+                    // Calls without a duration are left out of the averages
+                    avgDurationMs: { $avg: "$toolCalls.durationMs" },
+                    maxDurationMs: { $max: "$toolCalls.durationMs" }
+                }
+            },
+            {
+                $sort: { count: -1, _id: 1 }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    name: "$_id",
+                    count: 1,
+                    successCount: 1,
+                    errorCount: 1,
+                    pendingCount: { $subtract: ["$count", { $add: ["$successCount", "$errorCount"] }] },
+                    // Share of the finished calls that failed
+                    errorRate: {
+                        $cond: [
+                            { $gt: [{ $add: ["$successCount", "$errorCount"] }, 0] },
+                            { $round: [{ $divide: ["$errorCount", { $add: ["$successCount", "$errorCount"] }] }, 4] },
+                            0
+                        ]
+                    },
+                    avgDurationMs: { $round: ["$avgDurationMs", 2] },
+                    maxDurationMs: 1
+                }
+            }
+        ]);
+        
+        const totalCalls = toolStats.reduce((sum, item) => sum + item.count, 0);
+        const totalErrors = toolStats.reduce((sum, item) => sum + item.errorCount, 0);
+        
+        res.status(200).json({
+            message: 'Tool call statistics retrieved successfully',
+            data: toolStats,
+            metadata: {
+                startDate: start,
+                endDate: end,
+                totalTools: toolStats.length,
+                totalCalls,
+                totalErrors
+            }
+        });
+    } catch (error) {
+        logger.error(`Get tool call stats error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
 /**
  * Get top users by chat count
  */
 const getTopUsersByActivity = async (req, res) => {
     try {
-        const { limit = 10, startDate, endDate } = req.query;
+        const { limit = 10, startDate, endDate, teamId } = req.query;
         const organizationId = req.organization ? req.organization._id : req.user.organizationId;
         
         // Validate date inputs
@@ -161,12 +362,18 @@ const getTopUsersByActivity = async (req, res) => {
         if (isNaN(start.getTime()) || isNaN(end.getTime())) {
             return res.status(400).json({ message: 'Invalid date format' });
         }
+
+        if (teamId && !mongoose.Types.ObjectId.isValid(teamId)) {
+            return res.status(400).json({ message: 'Invalid team ID' });
+        }
         
         // Aggregate top users by chat count
         const topUsers = await Chat.aggregate([
             {
                 $match: {
                     organizationId: organizationId,
+                    deletedAt: null,
+                    ...getTeamMatch(teamId),
                     createdAt: { $gte: start, $lte: end }
                 }
             },
@@ -224,5 +431,7 @@ const getTopUsersByActivity = async (req, res) => {
 module.exports = {
     getChatActivityByDate,
     getMessageStatsByRole,
+    getCostStats,
+    getToolCallStats,
     getTopUsersByActivity
 };
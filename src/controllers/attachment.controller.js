@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const Attachment = require('../models/attachment.model');
+const Chat = require('../models/chat.model');
+const Message = require('../models/message.model');
+const { getChatAccessQuery } = require('../utils/chat-access');
+const { getAttachmentLimits, isAllowedType, limitUploadSize } = require('../utils/attachments');
+const { getStorage } = require('../utils/storage');
+const logger = require('../utils/logger');
+
+// Find a chat the requester may access, or respond with 404
+const findChat = async (req, res, action) => {
+    const chat = await Chat.findOne({
+        _id: req.params.chatId,
+        ...(await getChatAccessQuery(req, action)),
+    });
+
+    if (!chat) {
+        res.status(404).json({ message: 'Chat not found' });
+    }
+    return chat;
+};
+
+// Find an attachment of a chat, or respond with 404
+const findAttachment = async (req, res, chat) => {
+    const attachment = await Attachment.findOne({ _id: req.params.attachmentId, chatId: chat._id });
+
+    if (!attachment) {
+        res.status(404).json({ message: 'Attachment not found' });
+    }
+    return attachment;
+};
+
+// Upload a file to a chat; the request body is the file and its Content-Type the type of the file
+const uploadAttachment = async (req, res) => {
+    try {
+        const chat = await findChat(req, res, 'write');
+        if (!chat) return;
+
+        const { maxBytes, allowedTypes } = getAttachmentLimits(req.organization);
+        const mimeType = (req.get('Content-Type') || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+
+        if (!isAllowedType(mimeType, allowedTypes)) {
+            return res.status(415).json({ message: `Files of type ${mimeType} are not allowed` });
+        }
+
+        // Refuse files announced as too large before reading them
+        if (Number(req.get('Content-Length')) > maxBytes) {
+            return res.status(413).json({ message: `Files may not be larger than ${maxBytes} bytes` });
+        }
+
+        const storage = getStorage();
+        const storageKey = `${chat.organizationId}/${chat._id}/${crypto.randomUUID()}`;
+        const content = limitUploadSize(req, maxBytes);
+
+        try {
+            await storage.save(storageKey, content);
+        } catch (error) {
+            await storage.remove(storageKey);
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ message: `Files may not be larger than ${maxBytes} bytes` });
+            }
+            throw error;
+        }
+
+        const attachment = await Attachment.create({
+            chatId: chat._id,
+            organizationId: chat.organizationId,
+            uploadedBy: req.user ? req.user._id : null,
+            filename: req.query.filename,
+            mimeType,
+            size: content.bytes,
+            storage: storage.name,
+            storageKey,
+        });
+
+        res.status(201).json({
+            message: 'Attachment uploaded successfully',
+            data: attachment,
+        });
+    } catch (error) {
+        logger.error(`Upload attachment error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// List the attachments of a chat, oldest first
+const getChatAttachments = async (req, res) => {
+    try {
+        const chat = await findChat(req, res);
+        if (!chat) return;
+
+        const attachments = await Attachment.find({ chatId: chat._id }).sort({ createdAt: 1 });
+
+        res.status(200).json({ attachments });
+    } catch (error) {
+        logger.error(`Get chat attachments error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Get the details of an attachment
+const getAttachmentById = async (req, res) => {
+    try {
+        const chat = await findChat(req, res);
+        if (!chat) return;
+
+        const attachment = await findAttachment(req, res, chat);
+        if (!attachment) return;
+
+        res.status(200).json({ attachment });
+    } catch (error) {
+        logger.error(`Get attachment by ID error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Download the file of an attachment
+const downloadAttachment = async (req, res) => {
+    try {
+        const chat = await findChat(req, res);
+        if (!chat) return;
+
+        const attachment = await findAttachment(req, res, chat);
+        if (!attachment) return;
+
+        let content;
+        try {
+            content = await getStorage().read(attachment.storageKey);
+        } catch (error) {
+            if (error.name === 'NotFound') {
+                logger.error(`Attachment ${attachment._id} has no stored file`);
+                return res.status(404).json({ message: 'Attachment file not found' });
+            }
+            throw error;
+        }
+
+        res.attachment(attachment.filename);
+        res.set({ 'Content-Type': attachment.mimeType, 'Content-Length': String(attachment.size) });
+
+        content.on('error', error => {
+            logger.error(`Download attachment error: ${error.message}`);
+            res.destroy(error);
+        });
+        content.pipe(res);
+    } catch (error) {
+        logger.error(`Download attachment error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Delete an attachment and its file; attachments that messages refer to are kept
+const deleteAttachment = async (req, res) => {
+    try {
+        const chat = await findChat(req, res, 'write');
+        if (!chat) return;
+
+        const attachment = await findAttachment(req, res, chat);
+        if (!attachment) return;
+
+        // Messages in the trash count too, so restoring them does not leave broken parts
+        if (await Message.exists({ chatId: chat._id, 'contentParts.attachmentId': attachment._id })) {
+            return res.status(409).json({ message: 'Attachment is used by a message of this chat' });
+        }
+
+        await getStorage().remove(attachment.storageKey);
+        await Attachment.deleteOne({ _id: attachment._id });
+
+        res.status(200).json({ message: 'Attachment deleted successfully' });
+    } catch (error) {
+        logger.error(`Delete attachment error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    uploadAttachment,
+    getChatAttachments,
+    getAttachmentById,
+    downloadAttachment,
+    deleteAttachment,
+};
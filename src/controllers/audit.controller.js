@@ -0,0 +1,120 @@
+const AuditEvent = require('../models/audit-event.model');
+const { canManageOrganization } = require('../utils/permissions');
+const { toCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+// Most events written to a single CSV export
+const CSV_EXPORT_LIMIT = 10000;
+
+const CSV_COLUMNS = [
+    'createdAt',
+    'action',
+    'actorType',
+    'actorId',
+    'actorUsername',
+    'actorRole',
+    'impersonatorId',
+    'targetType',
+    'targetId',
+    'targetLabel',
+    'ip',
+    'userAgent',
+    'diff',
+    'metadata',
+];
+
+// Match event names; a trailing `.*` matches every event with that prefix
+const actionCondition = action => {
+    const conditions = action
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name =>
+            name.endsWith('.*') ? new RegExp(`^${name.slice(0, -1).replace(/\./g, '\\.')}`) : name,
+        );
+
+    return conditions.length === 1 ? conditions[0] : { $in: conditions };
+};
+
+// Build the query for the filters of the audit log
+const buildAuditQuery = (organizationId, { action, actorId, targetType, targetId, from, to }) => {
+    const query = { organizationId };
+
+    if (action) query.action = actionCondition(action);
+    if (actorId) query['actor.userId'] = actorId;
+    if (targetType) query['target.type'] = targetType;
+    if (targetId) query['target.id'] = targetId;
+
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    return query;
+};
+
+// Flatten an event into a CSV row
+const toCsvRow = event => ({
+    createdAt: event.createdAt instanceof Date ? event.createdAt.toISOString() : event.createdAt,
+    action: event.action,
+    actorType: event.actor && event.actor.type,
+    actorId: event.actor && event.actor.userId,
+    actorUsername: event.actor && event.actor.username,
+    actorRole: event.actor && event.actor.role,
+    impersonatorId: event.actor && event.actor.impersonatorId,
+    targetType: event.target && event.target.type,
+    targetId: event.target && event.target.id,
+    targetLabel: event.target && event.target.label,
+    ip: event.ip,
+    userAgent: event.userAgent,
+    diff: event.diff,
+    metadata: event.metadata,
+});
+
+// List the audit events of an organization, newest first, as JSON pages or a CSV file
+const getAuditLog = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!(await canManageOrganization(req, id))) {
+            return res.status(403).json({ message: 'Access denied: You can only view the audit log of your own organization' });
+        }
+
+        const { format = 'json', page = 1, limit = 20 } = req.query;
+        const query = buildAuditQuery(id, req.query);
+
+        if (format === 'csv') {
+            const events = await AuditEvent.find(query).sort({ createdAt: -1 }).limit(CSV_EXPORT_LIMIT).lean();
+
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            res.setHeader('Content-Disposition', `attachment; filename=audit_log_${timestamp}.csv`);
+            res.setHeader('Content-Type', 'text/csv');
+            return res.send(toCsv(events.map(toCsvRow), CSV_COLUMNS));
+        }
+
+        const pageNumber = parseInt(page, 10);
+        const limitNumber = parseInt(limit, 10);
+
+        const events = await AuditEvent.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limitNumber)
+            .skip((pageNumber - 1) * limitNumber);
+
+        const total = await AuditEvent.countDocuments(query);
+
+        res.status(200).json({
+            events,
+            totalPages: Math.ceil(total / limitNumber),
+            currentPage: pageNumber,
+            totalEvents: total,
+        });
+    } catch (error) {
+        logger.error(`Get audit log error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    getAuditLog,
+};
@@ -1,27 +1,91 @@
 const Chat = require('../models/chat.model');
 const Message = require('../models/message.model');
+const Team = require('../models/team.model');
 const logger = require('../utils/logger');
+const { getOrganizationId, getChatAccessQuery } = require('../utils/chat-access');
+const { hasPermission } = require('../utils/permissions');
+const { getMessagePath } = require('../utils/message-tree');
+const { purgeChats } = require('../utils/trash');
+const { copyAttachments } = require('../utils/attachments');
+const { validateCustomFields, buildCustomFieldQuery } = require('../utils/custom-fields');
 const paginateResults = require('../middleware/pagination');
 
+// Check that a chat can be assigned to a team: it must belong to the organization, and users need to
+// be a member of it unless they manage teams. Responds with an error and returns false otherwise.
+const checkTeamAssignment = async (req, res, teamId) => {
+    if (!teamId) {
+        return true;
+    }
+
+    const team = await Team.findOne({ _id: teamId, organizationId: getOrganizationId(req) });
+
+    if (!team) {
+        res.status(400).json({ message: 'Team not found' });
+        return false;
+    }
+
+    if (req.user && !team.hasMember(req.user._id) && !(await hasPermission(req, 'org:teams:manage'))) {
+        res.status(403).json({ message: 'Access denied: You can only assign chats to your own teams' });
+        return false;
+    }
+
+    return true;
+};
+
+// Check custom field values against the definitions of the organization and return the values to store.
+// Responds with an error and returns null when they are not valid.
+const checkCustomFields = (req, res, values, current) => {
+    const { customFields, errors } = validateCustomFields(req.organization, values, current);
+
+    if (errors.length) {
+        res.status(400).json({ message: 'Invalid custom fields', details: errors });
+        return null;
+    }
+
+    return customFields;
+};
+
 // Create a new chat session
 const createChat = async (req, res) => {
     try {
-        const { title, source = 'web', tags = [], metadata = {} } = req.body;
+        const {
+            title,
+            source = 'web',
+            tags = [],
+            model,
+            systemPrompt,
+            metadata = {},
+            customFields: customFieldValues,
+            externalUserId,
+            teamId,
+        } = req.body;
 
         // Get organization from request (set by middleware)
-        const organizationId = req.organization ? req.organization._id : req.user.organizationId;
+        const organizationId = getOrganizationId(req);
 
         if (!organizationId) {
             return res.status(400).json({ message: 'Organization context is required' });
         }
 
+        const customFields = checkCustomFields(req, res, customFieldValues);
+        if (!customFields) return;
+
+        if (!(await checkTeamAssignment(req, res, teamId))) return;
+
         const chat = new Chat({
-            userId: req.user._id,
+            // Chats logged with an organization API key are not owned by a user
+            userId: req.user ? req.user._id : null,
+            createdVia: req.user ? 'user' : 'organization',
+            externalUserId,
             organizationId,
+            teamId: teamId || null,
             title,
             source,
             tags,
+            aiModel: model,
+            systemPrompt,
             metadata,
+            customFields,
         });
 
         await chat.save();
@@ -39,15 +103,20 @@ const createChat = async (req, res) => {
 // Get all chats for current user
 const getUserChats = async (req, res, _next) => {
     try {
-        const query = {
-            userId: req.user._id,
-            organizationId: req.organization ? req.organization._id : req.user.organizationId,
-        };
+        const query = await getChatAccessQuery(req);
 
         if (req.query.isActive !== undefined) {
             query.isActive = req.query.isActive === 'true';
         }
 
+        if (req.query.externalUserId) {
+            query.externalUserId = req.query.externalUserId;
+        }
+
+        if (req.query.teamId) {
+            query.teamId = req.query.teamId;
+        }
+
         await paginateResults(Chat, query)(req, res, async () => {
             res.status(200).json(req.paginatedResults);
         });
@@ -64,8 +133,7 @@ const getChatById = async (req, res) => {
 
         const chat = await Chat.findOne({
             _id: chatId,
-            userId: req.user._id,
-            organizationId: req.organization ? req.organization._id : req.user.organizationId,
+            ...(await getChatAccessQuery(req)),
         });
 
         if (!chat) {
@@ -83,12 +151,11 @@ const getChatById = async (req, res) => {
 const updateChat = async (req, res) => {
     try {
         const { chatId } = req.params;
-        const { title, tags, metadata, isActive } = req.body;
+        const { title, tags, model, systemPrompt, metadata, customFields, isActive, teamId } = req.body;
 
         const chat = await Chat.findOne({
             _id: chatId,
-            userId: req.user._id,
-            organizationId: req.organization ? req.organization._id : req.user.organizationId,
+            ...(await getChatAccessQuery(req, 'write')),
         });
 
         if (!chat) {
@@ -97,9 +164,24 @@ const updateChat = async (req, res) => {
 
         if (title) chat.title = title;
         if (tags) chat.tags = tags;
+        if (model !== undefined) chat.aiModel = model;
+        if (systemPrompt !== undefined) chat.systemPrompt = systemPrompt;
         if (metadata) chat.metadata = { ...chat.metadata, ...metadata };
         if (isActive !== undefined) chat.isActive = isActive;
 
+        // Values are merged into the stored ones; null removes a value
+        if (customFields) {
+            const merged = checkCustomFields(req, res, customFields, chat.customFields || {});
+            if (!merged) return;
+            chat.customFields = merged;
+        }
+
+        // A null team makes the chat private to its author again
+        if (teamId !== undefined) {
+            if (!(await checkTeamAssignment(req, res, teamId))) return;
+            chat.teamId = teamId;
+        }
+
         await chat.save();
 
         res.status(200).json({
@@ -119,22 +201,20 @@ const deleteChat = async (req, res) => {
 
         const chat = await Chat.findOne({
             _id: chatId,
-            userId: req.user._id,
-            organizationId: req.organization ? req.organization._id : req.user.organizationId,
+            ...(await getChatAccessQuery(req, 'write')),
         });
 
         if (!chat) {
             return res.status(404).json({ message: 'Chat not found' });
         }
 
-        // Delete all messages associated with this chat
-        await Message.deleteMany({ chatId });
-
-        // Delete the chat
-        await Chat.findByIdAndDelete(chatId);
+        // Move the chat to the trash; its messages are hidden with it
+        chat.deletedAt = new Date();
+        chat.deletedBy = req.user ? req.user._id : null;
+        await chat.save();
 
         res.status(200).json({
-            message: 'Chat and associated messages deleted successfully',
+            message: 'Chat moved to trash successfully',
         });
     } catch (error) {
         logger.error(`Delete chat error: ${error.message}`);
@@ -142,18 +222,36 @@ const deleteChat = async (req, res) => {
     }
 };
 
-// Search chats by title or tags
+// Search chats by title or tags, and by the values of custom fields given as `fields.<name>`
 const searchChats = async (req, res, _next) => {
     try {
+        const filters = {};
+        for (const [key, value] of Object.entries(req.query)) {
+            if (key.startsWith('fields.')) filters[key.slice('fields.'.length)] = value;
+        }
+
+        const { query: customFieldQuery, errors } = buildCustomFieldQuery(req.organization, filters);
+        if (errors.length) {
+            return res.status(400).json({ message: 'Invalid custom field filters', details: errors });
+        }
+
+        // The access query can have its own $or, so combine both with $and
         const searchQuery = {
-            userId: req.user._id,
-            organizationId: req.organization ? req.organization._id : req.user.organizationId,
-            $or: [
-                { title: { $regex: req.query.query, $options: 'i' } },
-                { tags: { $in: [new RegExp(req.query.query, 'i')] } },
-            ],
+            ...(await getChatAccessQuery(req)),
+            ...customFieldQuery,
         };
 
+        if (req.query.query !== undefined) {
+            searchQuery.$and = [
+                {
+                    $or: [
+                        { title: { $regex: req.query.query, $options: 'i' } },
+                        { tags: { $in: [new RegExp(req.query.query, 'i')] } },
+                    ],
+                },
+            ];
+        }
+
         await paginateResults(Chat, searchQuery)(req, res, async () => {
             res.status(200).json(req.paginatedResults);
         });
@@ -163,6 +261,172 @@ const searchChats = async (req, res, _next) => {
     }
 };
 
+// Start a new chat from the conversation leading to a message of another chat
+const forkChat = async (req, res) => {
+    try {
+        const { messageId, title } = req.body;
+
+        const source = await Chat.findOne({
+            _id: req.params.chatId,
+            ...(await getChatAccessQuery(req)),
+        });
+
+        if (!source) {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+
+        const messages = await Message.find({ chatId: source._id, deletedAt: null }).sort({ createdAt: 1 });
+        const path = getMessagePath(messages, messageId);
+
+        if (!path) {
+            return res.status(404).json({ message: 'Message not found' });
+        }
+
+        // The fork belongs to the requester; sharing and team visibility are not carried over
+        const chat = new Chat({
+            userId: req.user ? req.user._id : null,
+            createdVia: req.user ? 'user' : 'organization',
+            externalUserId: source.externalUserId,
+            organizationId: source.organizationId,
+            title: title || source.title,
+            source: source.source,
+            tags: source.tags,
+            aiModel: source.aiModel,
+            systemPrompt: source.systemPrompt,
+            metadata: source.metadata,
+            customFields: source.customFields,
+            forkedFrom: { chatId: source._id, messageId },
+        });
+
+        // Attachments belong to a single chat, so the fork gets its own copies of the files its messages show
+        const attachmentIds = path.flatMap(message =>
+            (message.contentParts || []).filter(part => part.attachmentId).map(part => part.attachmentId),
+        );
+        const attachmentCopies = attachmentIds.length
+            ? await copyAttachments({ _id: { $in: attachmentIds }, chatId: source._id }, chat)
+            : new Map();
+
+        await chat.save();
+
+        // Copy the path as a single branch, keeping the original timestamps so the order is unchanged
+        let parentMessageId = null;
+        const copies = path.map(message => {
+            const contentParts = (message.contentParts || []).map(part => {
+                const copy = part.toObject ? part.toObject() : { ...part };
+                if (copy.attachmentId) {
+                    copy.attachmentId = attachmentCopies.get(copy.attachmentId.toString()) || null;
+                }
+                return copy;
+            });
+
+            const copy = new Message({
+                chatId: chat._id,
+                parentMessageId,
+                role: message.role,
+                content: message.content,
+                contentParts,
+                // No more chunks reach the copy of a message that is still streaming
+                status: message.status === 'streaming' ? 'incomplete' : message.status,
+                chunkCount: message.chunkCount,
+                name: message.name,
+                functionCall: message.functionCall,
+                toolCalls: message.toolCalls,
+                toolCallId: message.toolCallId,
+                aiModel: message.aiModel,
+                metadata: message.metadata,
+                tokens: message.tokens,
+                promptTokens: message.promptTokens,
+                completionTokens: message.completionTokens,
+                latency: message.latency,
+                cost: message.cost,
+                createdAt: message.createdAt,
+            });
+            parentMessageId = copy._id;
+            return copy;
+        });
+
+        await Message.insertMany(copies);
+
+        res.status(201).json({
+            message: 'Chat forked successfully',
+            chat,
+            messageCount: copies.length,
+        });
+    } catch (error) {
+        logger.error(`Fork chat error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Query matching the chats in the trash the requester may restore or purge
+const getTrashQuery = async req => ({
+    ...(await getChatAccessQuery(req, 'write')),
+    deletedAt: { $ne: null },
+});
+
+// List the chats in the trash, most recently deleted first
+const getTrashedChats = async (req, res, _next) => {
+    try {
+        const query = await getTrashQuery(req);
+
+        await paginateResults(Chat, query, { sort: { deletedAt: -1 } })(req, res, async () => {
+            res.status(200).json(req.paginatedResults);
+        });
+    } catch (error) {
+        logger.error(`Get trashed chats error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Restore a chat from the trash
+const restoreChat = async (req, res) => {
+    try {
+        const chat = await Chat.findOne({
+            _id: req.params.chatId,
+            ...(await getTrashQuery(req)),
+        });
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found in trash' });
+        }
+
+        chat.deletedAt = null;
+        chat.deletedBy = null;
+        await chat.save();
+
+        res.status(200).json({
+            message: 'Chat restored successfully',
+            chat,
+        });
+    } catch (error) {
+        logger.error(`Restore chat error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Permanently delete a chat in the trash with its messages
+const purgeChat = async (req, res) => {
+    try {
+        const chat = await Chat.findOne({
+            _id: req.params.chatId,
+            ...(await getTrashQuery(req)),
+        });
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found in trash' });
+        }
+
+        await purgeChats([chat._id]);
+
+        res.status(200).json({
+            message: 'Chat and associated messages permanently deleted',
+        });
+    } catch (error) {
+        logger.error(`Purge chat error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
 module.exports = {
     createChat,
     getUserChats,
@@ -170,4 +434,8 @@ module.exports = {
     updateChat,
     deleteChat,
     searchChats,
+    forkChat,
+    getTrashedChats,
+    restoreChat,
+    purgeChat,
 };
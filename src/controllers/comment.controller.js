@@ -0,0 +1,78 @@
+const Chat = require('../models/chat.model');
+const Comment = require('../models/comment.model');
+const { getChatAccessQuery } = require('../utils/chat-access');
+const { hasPermission } = require('../utils/permissions');
+const { isChatSharingEnabled } = require('../utils/organization-settings');
+const logger = require('../utils/logger');
+
+// Find a chat the requester may read, or respond with 404
+const findReadableChat = async (req, res) => {
+    const chat = await Chat.findOne({
+        _id: req.params.chatId,
+        ...(await getChatAccessQuery(req)),
+    });
+
+    if (!chat) {
+        res.status(404).json({ message: 'Chat not found' });
+    }
+    return chat;
+};
+
+// Check whether the requester may comment: those who may change the chat, and users it is shared with for comments
+const canComment = async (req, chat) => {
+    if (String(chat.userId) === String(req.user._id) || (await hasPermission(req, 'chats:write:any'))) {
+        return true;
+    }
+
+    const share = chat.getShare(req.user._id);
+    return Boolean(share) && share.permission === 'comment' && isChatSharingEnabled(req.organization);
+};
+
+// List the comments on a chat, oldest first
+const getChatComments = async (req, res) => {
+    try {
+        const chat = await findReadableChat(req, res);
+        if (!chat) return;
+
+        const comments = await Comment.find({ chatId: chat._id }).sort({ createdAt: 1 });
+
+        res.status(200).json({ comments });
+    } catch (error) {
+        logger.error(`Get chat comments error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Add a comment to a chat
+const addComment = async (req, res) => {
+    try {
+        // Comments are attributed to a user, so organization API keys cannot add them
+        if (!req.user) {
+            return res.status(403).json({ message: 'Access denied: Comments can only be added by users' });
+        }
+
+        const chat = await findReadableChat(req, res);
+        if (!chat) return;
+
+        if (!(await canComment(req, chat))) {
+            return res.status(403).json({ message: 'Access denied: You cannot comment on this chat' });
+        }
+
+        const comment = await Comment.create({
+            chatId: chat._id,
+            organizationId: chat.organizationId,
+            userId: req.user._id,
+            content: req.body.content,
+        });
+
+        res.status(201).json({ message: 'Comment added successfully', comment });
+    } catch (error) {
+        logger.error(`Add comment error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    getChatComments,
+    addComment,
+};
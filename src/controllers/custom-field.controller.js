@@ -0,0 +1,142 @@
+const Organization = require('../models/organization.model');
+const Chat = require('../models/chat.model');
+const { CUSTOM_FIELD_NAME_PATTERN } = require('../utils/custom-fields');
+const { canManageOrganization } = require('../utils/permissions');
+const { diffFields, recordAuditEvent } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+// Shape a custom field definition for responses
+const formatCustomField = (name, definition) => ({
+    name,
+    type: definition.type,
+    required: !!definition.required,
+    enum: definition.enum ? [...definition.enum] : [],
+    description: definition.description || '',
+});
+
+// Load an organization for custom field administration, or respond with an error
+const findManagedOrganization = async (req, res) => {
+    const { id } = req.params;
+
+    if (!(await canManageOrganization(req, id))) {
+        res.status(403).json({ message: 'Access denied: You can only manage your own organization' });
+        return null;
+    }
+
+    const organization = await Organization.findById(id);
+    if (!organization) {
+        res.status(404).json({ message: 'Organization not found' });
+        return null;
+    }
+    return organization;
+};
+
+// Validate the field name of the route, or respond with an error
+const checkFieldName = (name, res) => {
+    if (!CUSTOM_FIELD_NAME_PATTERN.test(name)) {
+        res.status(400).json({
+            message: 'Field names must start with a letter and contain up to 64 letters, digits or _',
+        });
+        return false;
+    }
+    return true;
+};
+
+// List the custom fields chats of an organization can have
+const listCustomFields = async (req, res) => {
+    try {
+        const organization = await findManagedOrganization(req, res);
+        if (!organization) return;
+
+        const customFields = organization.customFields || new Map();
+
+        res.status(200).json({
+            customFields: [...customFields.entries()].map(([name, definition]) => formatCustomField(name, definition)),
+        });
+    } catch (error) {
+        logger.error(`List custom fields error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Define a custom field, or replace its definition; values already stored on chats are not rewritten
+const updateCustomField = async (req, res) => {
+    try {
+        const { name } = req.params;
+        if (!checkFieldName(name, res)) return;
+
+        const organization = await findManagedOrganization(req, res);
+        if (!organization) return;
+
+        const { type, required = false, enum: values = [], description = '' } = req.body;
+        const existing = organization.customFields.get(name);
+        const before = existing ? formatCustomField(name, existing) : {};
+
+        organization.customFields.set(name, { type, required, enum: values, description });
+        await organization.save();
+
+        const field = formatCustomField(name, organization.customFields.get(name));
+
+        logger.info(`Custom field ${name} of organization ${organization._id} updated by ${req.user._id}`);
+
+        await recordAuditEvent(req, {
+            action: existing ? 'custom_field.updated' : 'custom_field.created',
+            organizationId: organization._id,
+            target: { type: 'custom_field', id: name, label: name },
+            diff: diffFields(before, field, ['type', 'required', 'enum', 'description']),
+        });
+
+        res.status(existing ? 200 : 201).json({
+            message: existing ? 'Custom field updated successfully' : 'Custom field created successfully',
+            customField: field,
+        });
+    } catch (error) {
+        logger.error(`Update custom field error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Delete a custom field and its values on the chats of the organization
+const deleteCustomField = async (req, res) => {
+    try {
+        const { name } = req.params;
+        if (!checkFieldName(name, res)) return;
+
+        const organization = await findManagedOrganization(req, res);
+        if (!organization) return;
+
+        if (!organization.customFields.has(name)) {
+            return res.status(404).json({ message: 'Custom field not found' });
+        }
+
+        const before = formatCustomField(name, organization.customFields.get(name));
+
+        organization.customFields.delete(name);
+        await organization.save();
+
+        await Chat.updateMany(
+            { organizationId: organization._id, [`customFields.${name}`]: { $exists: true } },
+            { $unset: { [`customFields.${name}`]: '' } },
+        );
+
+        logger.info(`Custom field ${name} of organization ${organization._id} deleted by ${req.user._id}`);
+
+        await recordAuditEvent(req, {
+            action: 'custom_field.deleted',
+            organizationId: organization._id,
+            target: { type: 'custom_field', id: name, label: name },
+            metadata: { type: before.type },
+        });
+
+        res.status(200).json({ message: 'Custom field deleted successfully' });
+    } catch (error) {
+        logger.error(`Delete custom field error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    listCustomFields,
+    updateCustomField,
+    deleteCustomField,
+};
@@ -2,8 +2,17 @@
 const Chat = require('../models/chat.model');
 const Message = require('../models/message.model');
 const User = require('../models/user.model');
+const { toCsv } = require('../utils/csv');
+const { recordAuditEvent } = require('../utils/audit');
 const logger = require('../utils/logger');
 
+/**
+ * Adds up the stored costs of messages; messages without a price count as zero
+ * @param {Array} messages - Array of message objects
+ * @returns {number} Total cost
+ */
+const sumCosts = messages => Number(messages.reduce((sum, msg) => sum + (msg.cost || 0), 0).toFixed(6));
+
 /**
  * Formats provided chats and messages data for export
  * @param {Array} chats - Array of chat objects
@@ -21,33 +30,45 @@ const formatExportData = (chats, messages, format) => {
             role: msg.role,
             content: msg.content,
             tokens: msg.tokens,
+            promptTokens: msg.promptTokens,
+            completionTokens: msg.completionTokens,
+            cost: msg.cost,
             latency: msg.latency,
             created: msg.createdAt,
-            model: msg.model,
+            model: msg.aiModel,
             source: chats.find(c => c._id.toString() === msg.chatId.toString())?.source || 'Unknown'
         }));
     }
     
     // For JSON format, maintain hierarchical structure
-    return chats.map(chat => ({
-        _id: chat._id,
-        title: chat.title,
-        source: chat.source,
-        tags: chat.tags,
-        createdAt: chat.createdAt,
-        updatedAt: chat.updatedAt,
-        messages: messages
-            .filter(msg => msg.chatId.toString() === chat._id.toString())
-            .map(msg => ({
+    return chats.map(chat => {
+        const chatMessages = messages.filter(msg => msg.chatId.toString() === chat._id.toString());
+
+        return {
+            _id: chat._id,
+            title: chat.title,
+            source: chat.source,
+            model: chat.aiModel,
+            systemPrompt: chat.systemPrompt,
+            tags: chat.tags,
+            customFields: chat.customFields,
+            createdAt: chat.createdAt,
+            updatedAt: chat.updatedAt,
+            totalCost: sumCosts(chatMessages),
+            messages: chatMessages.map(msg => ({
                 _id: msg._id,
                 role: msg.role,
                 content: msg.content,
                 tokens: msg.tokens,
+                promptTokens: msg.promptTokens,
+                completionTokens: msg.completionTokens,
+                cost: msg.cost,
                 latency: msg.latency,
-                model: msg.model,
+                model: msg.aiModel,
                 createdAt: msg.createdAt
             }))
-    }));
+        };
+    });
 };
 
 /**
@@ -74,6 +95,7 @@ const exportChatsAndMessages = async (req, res) => {
         // Get all chats for this organization in the date range
         const chats = await Chat.find({
             organizationId: organizationId,
+            deletedAt: null,
             createdAt: { $gte: start, $lte: end }
         }).lean();
         
@@ -86,11 +108,25 @@ const exportChatsAndMessages = async (req, res) => {
         
         // Get all messages for these chats
         const messages = await Message.find({
-            chatId: { $in: chatIds }
+            chatId: { $in: chatIds },
+            deletedAt: null
         }).lean();
         
         // Format the data according to the specified format
         const exportData = formatExportData(chats, messages, format.toLowerCase());
+
+        await recordAuditEvent(req, {
+            action: 'export.run',
+            organizationId,
+            metadata: {
+                type: 'chats',
+                format: format.toLowerCase(),
+                startDate: start,
+                endDate: end,
+                totalChats: chats.length,
+                totalMessages: messages.length
+            }
+        });
         
         // Generate filename
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -105,28 +141,8 @@ const exportChatsAndMessages = async (req, res) => {
                 return res.status(404).json({ message: 'No messages found for the specified chats' });
             }
             
-            // Get the headers from the first object
-            const headers = Object.keys(exportData[0]);
-            
-            // Function to escape CSV fields
-            const escapeCSV = (field) => {
-                if (field === null || field === undefined) {
-                    return '';
-                }
-                field = String(field);
-                // If the field contains a comma, a double quote, or a newline, wrap it in double quotes
-                if (field.includes(',') || field.includes('"') || field.includes('\n')) {
-                    // Replace double quotes with two double quotes
-                    return `"${field.replace(/"/g, '""')}"`;
-                }
-                return field;
-            };
-            
-            // Generate the CSV content
-            const csvContent = [
-                headers.join(','),
-                ...exportData.map(row => headers.map(header => escapeCSV(row[header])).join(','))
-            ].join('\n');
+            // Generate the CSV content with the keys of the first object as headers
+            const csvContent = toCsv(exportData);
             
             res.setHeader('Content-Type', 'text/csv');
             return res.send(csvContent);
@@ -140,6 +156,7 @@ const exportChatsAndMessages = async (req, res) => {
                     endDate: end,
                     totalChats: chats.length,
                     totalMessages: messages.length,
+                    totalCost: sumCosts(messages),
                     format: format.toLowerCase(),
                     timestamp: new Date()
                 },
@@ -190,6 +207,7 @@ const exportUserActivity = async (req, res) => {
             {
                 $match: {
                     organizationId: organizationId,
+                    deletedAt: null,
                     userId: { $in: userIds },
                     createdAt: { $gte: start, $lte: end }
                 }
@@ -222,6 +240,18 @@ const exportUserActivity = async (req, res) => {
             };
         });
         
+        await recordAuditEvent(req, {
+            action: 'export.run',
+            organizationId,
+            metadata: {
+                type: 'user-activity',
+                format: format.toLowerCase(),
+                startDate: start,
+                endDate: end,
+                totalUsers: users.length
+            }
+        });
+
         // Generate filename
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         const filename = `user_activity_export_${timestamp}.${format.toLowerCase()}`;
@@ -235,28 +265,8 @@ const exportUserActivity = async (req, res) => {
                 return res.status(404).json({ message: 'No user activity data available' });
             }
             
-            // Get the headers from the first object
-            const headers = Object.keys(activityData[0]);
-            
-            // Function to escape CSV fields
-            const escapeCSV = (field) => {
-                if (field === null || field === undefined) {
-                    return '';
-                }
-                field = String(field);
-                // If the field contains a comma, a double quote, or a newline, wrap it in double quotes
-                if (field.includes(',') || field.includes('"') || field.includes('\n')) {
-                    // Replace double quotes with two double quotes
-                    return `"${field.replace(/"/g, '""')}"`;
-                }
-                return field;
-            };
-            
-            // Generate the CSV content
-            const csvContent = [
-                headers.join(','),
-                ...activityData.map(row => headers.map(header => escapeCSV(row[header])).join(','))
-            ].join('\n');
+            // Generate the CSV content with the keys of the first object as headers
+            const csvContent = toCsv(activityData);
             
             res.setHeader('Content-Type', 'text/csv');
             return res.send(csvContent);
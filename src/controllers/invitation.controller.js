@@ -0,0 +1,337 @@
+const Invitation = require('../models/invitation.model');
+const Organization = require('../models/organization.model');
+const User = require('../models/user.model');
+const Membership = require('../models/membership.model');
+const config = require('../config/config');
+const { issueAuthTokens } = require('../utils/auth-tokens');
+const { sendMail } = require('../utils/mailer');
+const { describeTokenLink } = require('../utils/app-links');
+const { canManageOrganization, checkRoleAssignment, roleExists } = require('../utils/permissions');
+const { getClientInfo } = require('../utils/user-agent');
+const { findMembership } = require('../utils/memberships');
+const { recordAuditEvent } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Query conditions selecting invitations by status
+const statusQuery = status => {
+    const now = new Date();
+    switch (status) {
+        case 'pending':
+            return { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+        case 'accepted':
+            return { acceptedAt: { $ne: null } };
+        case 'revoked':
+            return { revokedAt: { $ne: null } };
+        case 'expired':
+            return { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+        default:
+            return {};
+    }
+};
+
+// Check that the current user may manage invitations of the organization, or respond with an error
+const checkManageAccess = async (req, res) => {
+    // The route checks org:invitations:manage; only platform administrators manage other organizations
+    if (!(await canManageOrganization(req, req.params.id))) {
+        res.status(403).json({ message: 'Access denied: You can only manage your own organization' });
+        return false;
+    }
+    return true;
+};
+
+// Email the invitation token; failures are logged but never fail the request
+const sendInvitationEmail = async (invitation, organization, token) => {
+    try {
+        await sendMail({
+            to: invitation.email,
+            subject: `You have been invited to ${organization.name}`,
+            text:
+                `Hi,\n\nYou have been invited to join ${organization.name} on ChatLogger.\n\n` +
+                `${describeTokenLink('accept-invitation', token)}\n\n` +
+                `This invitation expires on ${invitation.expiresAt.toUTCString()}.`,
+        });
+        return true;
+    } catch (error) {
+        logger.error(`Send invitation email error: ${error.message}`);
+        return false;
+    }
+};
+
+// Invite someone to register in an organization
+const createInvitation = async (req, res) => {
+    try {
+        if (!(await checkManageAccess(req, res))) return;
+
+        const { id } = req.params;
+        const email = req.body.email.toLowerCase();
+        const { role = 'user', expiresInDays = config.invitationTtlDays } = req.body;
+
+        const organization = await Organization.findOne({ _id: id, isActive: true });
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        // Invitations cannot grant more permissions than the inviter has
+        const refusal = await checkRoleAssignment(req, role, organization);
+        if (refusal) {
+            return res.status(refusal.status).json({ message: refusal.message });
+        }
+
+        // Existing users of other organizations are invited to join as a member
+        const existingUser = await User.findOne({ email });
+        if (existingUser && (await findMembership(existingUser, id))) {
+            return res.status(409).json({ message: 'This user is already a member of the organization' });
+        }
+
+        // Only the latest invitation for an address can be accepted
+        await Invitation.updateMany(
+            { organizationId: id, email, acceptedAt: null, revokedAt: null },
+            { revokedAt: new Date() },
+        );
+
+        const token = Invitation.generateToken();
+        const invitation = await Invitation.create({
+            organizationId: id,
+            email,
+            role,
+            tokenHash: Invitation.hashToken(token),
+            invitedBy: req.user._id,
+            expiresAt: new Date(Date.now() + expiresInDays * DAY_IN_MS),
+        });
+
+        const emailSent = await sendInvitationEmail(invitation, organization, token);
+        if (emailSent) {
+            await Invitation.updateOne({ _id: invitation._id }, { emailSent: true });
+            invitation.emailSent = true;
+        }
+
+        // The token is only stored hashed; it is returned once, and only when it could not be emailed,
+        // so that the inviter cannot accept the invitation in the name of the invitee
+        res.status(201).json({
+            message: 'Invitation created successfully',
+            invitation,
+            emailSent,
+            ...(emailSent ? {} : { token }),
+        });
+    } catch (error) {
+        logger.error(`Create invitation error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// List the invitations of an organization, pending ones by default
+const listInvitations = async (req, res) => {
+    try {
+        if (!(await checkManageAccess(req, res))) return;
+
+        const { status = 'pending', page = 1, limit = 10 } = req.query;
+        const pageNumber = parseInt(page, 10);
+        const limitNumber = parseInt(limit, 10);
+        const query = { organizationId: req.params.id, ...statusQuery(status) };
+
+        const invitations = await Invitation.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limitNumber)
+            .skip((pageNumber - 1) * limitNumber);
+
+        const total = await Invitation.countDocuments(query);
+
+        res.status(200).json({
+            invitations,
+            totalPages: Math.ceil(total / limitNumber),
+            currentPage: pageNumber,
+            totalInvitations: total,
+        });
+    } catch (error) {
+        logger.error(`List invitations error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Revoke a pending invitation
+const revokeInvitation = async (req, res) => {
+    try {
+        if (!(await checkManageAccess(req, res))) return;
+
+        const invitation = await Invitation.findOne({
+            _id: req.params.invitationId,
+            organizationId: req.params.id,
+        });
+
+        if (!invitation) {
+            return res.status(404).json({ message: 'Invitation not found' });
+        }
+
+        if (!invitation.isPending()) {
+            return res.status(409).json({ message: `Invitation is already ${invitation.status}` });
+        }
+
+        invitation.revokedAt = new Date();
+        await invitation.save();
+
+        res.status(200).json({ message: 'Invitation revoked successfully', invitation });
+    } catch (error) {
+        logger.error(`Revoke invitation error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Register a new user through an invitation
+const acceptInvitation = async (req, res) => {
+    try {
+        const { token, username, password } = req.body;
+        const tokenHash = Invitation.hashToken(token);
+
+        const invitation = await Invitation.findOne({ tokenHash });
+        const organization =
+            invitation && (await Organization.findOne({ _id: invitation.organizationId, isActive: true }));
+
+        if (!invitation || !invitation.isPending() || !organization) {
+            return res.status(400).json({ message: 'Invalid or expired invitation' });
+        }
+
+        // Custom roles can be deleted while an invitation is pending
+        if (!roleExists(invitation.role, organization)) {
+            return res.status(400).json({ message: 'The invited role no longer exists' });
+        }
+
+        const existingUser = await User.findOne({
+            $or: [{ email: invitation.email }, { username }],
+        });
+
+        if (existingUser) {
+            return res.status(409).json({
+                message:
+                    existingUser.email === invitation.email
+                        ? 'An account with this email already exists; log in and join the organization instead'
+                        : 'User with this email or username already exists',
+            });
+        }
+
+        // Claim the invitation atomically so it cannot be accepted twice
+        const claimed = await Invitation.findOneAndUpdate(
+            { _id: invitation._id, acceptedAt: null, revokedAt: null },
+            { acceptedAt: new Date() },
+            { new: true },
+        );
+
+        if (!claimed) {
+            return res.status(400).json({ message: 'Invalid or expired invitation' });
+        }
+
+        // Only a token that was emailed to the address proves it; tokens handed to the inviter leave
+        // the address to the normal verification flow
+        const emailVerified = claimed.emailSent === true;
+        const user = new User({
+            username,
+            email: invitation.email,
+            password,
+            organizationId: invitation.organizationId,
+            role: invitation.role,
+            emailVerified,
+            emailVerifiedAt: emailVerified ? new Date() : null,
+        });
+
+        try {
+            await user.save();
+        } catch (error) {
+            // Release the invitation so it can be used again
+            await Invitation.updateOne({ _id: invitation._id }, { acceptedAt: null });
+            throw error;
+        }
+
+        await Invitation.updateOne({ _id: invitation._id }, { acceptedBy: user._id });
+
+        const { token: accessToken, refreshToken, expiresIn } = await issueAuthTokens(user, getClientInfo(req));
+
+        res.status(201).json({
+            message: 'User registered successfully',
+            user: {
+                id: user._id,
+                username: user.username,
+                email: user.email,
+                role: user.role,
+                organizationId: user.organizationId,
+                emailVerified: user.emailVerified
+            },
+            token: accessToken,
+            refreshToken,
+            expiresIn,
+        });
+    } catch (error) {
+        logger.error(`Accept invitation error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Join another organization through an invitation sent to the current user's email address
+const joinOrganization = async (req, res) => {
+    try {
+        const invitation = await Invitation.findOne({ tokenHash: Invitation.hashToken(req.body.token) });
+        const organization =
+            invitation && (await Organization.findOne({ _id: invitation.organizationId, isActive: true }));
+
+        if (!invitation || !invitation.isPending() || !organization) {
+            return res.status(400).json({ message: 'Invalid or expired invitation' });
+        }
+
+        if (invitation.email !== req.user.email) {
+            return res.status(403).json({ message: 'This invitation was sent to another email address' });
+        }
+
+        if (!roleExists(invitation.role, organization)) {
+            return res.status(400).json({ message: 'The invited role no longer exists' });
+        }
+
+        if (await findMembership(req.user, organization._id)) {
+            return res.status(409).json({ message: 'You are already a member of this organization' });
+        }
+
+        // Claim the invitation atomically so it cannot be accepted twice
+        const claimed = await Invitation.findOneAndUpdate(
+            { _id: invitation._id, acceptedAt: null, revokedAt: null },
+            { acceptedAt: new Date(), acceptedBy: req.user._id },
+            { new: true },
+        );
+
+        if (!claimed) {
+            return res.status(400).json({ message: 'Invalid or expired invitation' });
+        }
+
+        const membership = await Membership.create({
+            userId: req.user._id,
+            organizationId: organization._id,
+            role: invitation.role,
+            addedBy: invitation.invitedBy,
+        });
+
+        await recordAuditEvent(req, {
+            action: 'membership.created',
+            organizationId: organization._id,
+            target: { type: 'user', id: req.user._id, label: req.user.username },
+            metadata: { role: membership.role, invitationId: String(invitation._id) },
+        });
+
+        res.status(201).json({
+            message: 'Joined organization successfully',
+            organization: {
+                id: organization._id,
+                name: organization.name,
+                role: membership.role,
+            },
+        });
+    } catch (error) {
+        logger.error(`Join organization error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    createInvitation,
+    listInvitations,
+    revokeInvitation,
+    acceptInvitation,
+    joinOrganization,
+};
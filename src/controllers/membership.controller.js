@@ -0,0 +1,258 @@
+const Membership = require('../models/membership.model');
+const Organization = require('../models/organization.model');
+const Team = require('../models/team.model');
+const User = require('../models/user.model');
+const { switchSessionOrganization, resetSessionOrganization } = require('../utils/auth-tokens');
+const { isHomeOrganization, findMembership } = require('../utils/memberships');
+const { canManageOrganization, checkRoleAssignment } = require('../utils/permissions');
+const { recordAuditEvent } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+// The request acts in the organization of its token, so read the user's own organization from the database
+const loadUser = req => User.findById(req.user._id).select('-password');
+
+// List the organizations the current user can work in: their own and those they are a member of
+const listOrganizations = async (req, res) => {
+    try {
+        const user = await loadUser(req);
+        const memberships = await Membership.find({ userId: user._id });
+
+        const entries = [
+            { organizationId: user.organizationId, role: user.role, home: true },
+            ...memberships.map(membership => ({
+                organizationId: membership.organizationId,
+                role: membership.role,
+                home: false,
+            })),
+        ];
+
+        const organizations = await Organization.find({
+            _id: { $in: entries.map(entry => entry.organizationId) },
+            isActive: true,
+        });
+        const names = new Map(organizations.map(organization => [String(organization._id), organization.name]));
+
+        res.status(200).json({
+            organizations: entries
+                .filter(entry => names.has(String(entry.organizationId)))
+                .map(entry => ({
+                    id: entry.organizationId,
+                    name: names.get(String(entry.organizationId)),
+                    role: entry.role,
+                    home: entry.home,
+                    current: String(entry.organizationId) === String(req.user.organizationId),
+                })),
+        });
+    } catch (error) {
+        logger.error(`List organizations error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Switch the current session to another organization of the user and issue a token acting in it
+const switchOrganization = async (req, res) => {
+    try {
+        const { organizationId } = req.body;
+
+        const user = await loadUser(req);
+        const membership = await findMembership(user, organizationId);
+        const organization = membership && (await Organization.findOne({ _id: organizationId, isActive: true }));
+
+        if (!organization) {
+            return res.status(404).json({ message: 'Organization not found' });
+        }
+
+        const { token, expiresIn } = await switchSessionOrganization(user, req.sessionId, organization._id);
+
+        res.status(200).json({
+            message: 'Switched organization successfully',
+            token,
+            expiresIn,
+            organization: {
+                id: organization._id,
+                name: organization.name,
+                role: membership.role,
+            },
+        });
+    } catch (error) {
+        logger.error(`Switch organization error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Leave an organization the current user is a member of
+const leaveOrganization = async (req, res) => {
+    try {
+        const { organizationId } = req.params;
+        const user = await loadUser(req);
+
+        if (isHomeOrganization(user, organizationId)) {
+            return res.status(400).json({ message: 'You cannot leave your own organization' });
+        }
+
+        const membership = await Membership.findOneAndDelete({ userId: user._id, organizationId });
+
+        if (!membership) {
+            return res.status(404).json({ message: 'Membership not found' });
+        }
+
+        await resetSessionOrganization(user, organizationId);
+        await Team.updateMany({ organizationId, members: user._id }, { $pull: { members: user._id } });
+
+        await recordAuditEvent(req, {
+            action: 'membership.removed',
+            organizationId,
+            target: { type: 'user', id: user._id, label: user.username },
+            metadata: { role: membership.role, left: true },
+        });
+
+        res.status(200).json({ message: 'Left organization successfully' });
+    } catch (error) {
+        logger.error(`Leave organization error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Shape a membership for responses
+const formatMember = (membership, user) => ({
+    userId: membership.userId,
+    username: user ? user.username : null,
+    email: user ? user.email : null,
+    isActive: user ? user.isActive : false,
+    role: membership.role,
+    addedBy: membership.addedBy,
+    createdAt: membership.createdAt,
+});
+
+// Check that the current user may manage the members of the organization, or respond with an error
+const checkManageAccess = async (req, res) => {
+    if (!(await canManageOrganization(req, req.params.id))) {
+        res.status(403).json({ message: 'Access denied: You can only manage your own organization' });
+        return false;
+    }
+    return true;
+};
+
+// List the members of an organization who belong to other organizations
+const listMembers = async (req, res) => {
+    try {
+        if (!(await checkManageAccess(req, res))) return;
+
+        const { page = 1, limit = 10 } = req.query;
+        const pageNumber = parseInt(page, 10);
+        const limitNumber = parseInt(limit, 10);
+        const query = { organizationId: req.params.id };
+
+        const memberships = await Membership.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limitNumber)
+            .skip((pageNumber - 1) * limitNumber);
+
+        const total = await Membership.countDocuments(query);
+
+        const users = await User.find({ _id: { $in: memberships.map(membership => membership.userId) } }).select(
+            'username email isActive',
+        );
+        const usersById = new Map(users.map(user => [String(user._id), user]));
+
+        res.status(200).json({
+            members: memberships.map(membership =>
+                formatMember(membership, usersById.get(String(membership.userId))),
+            ),
+            totalPages: Math.ceil(total / limitNumber),
+            currentPage: pageNumber,
+            totalMembers: total,
+        });
+    } catch (error) {
+        logger.error(`List members error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Change the role of a member in the organization
+const updateMember = async (req, res) => {
+    try {
+        if (!(await checkManageAccess(req, res))) return;
+
+        const { id, userId } = req.params;
+        const { role } = req.body;
+
+        if (String(userId) === String(req.user._id)) {
+            return res.status(400).json({ message: 'You cannot change your own role' });
+        }
+
+        const membership = await Membership.findOne({ organizationId: id, userId });
+
+        if (!membership) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        // Members cannot be given more permissions than the requester has
+        const organization = await Organization.findById(id);
+        const refusal = await checkRoleAssignment(req, role, organization);
+        if (refusal) {
+            return res.status(refusal.status).json({ message: refusal.message });
+        }
+
+        const previousRole = membership.role;
+        membership.role = role;
+        await membership.save();
+
+        await recordAuditEvent(req, {
+            action: 'membership.updated',
+            organizationId: id,
+            target: { type: 'user', id: userId },
+            diff: previousRole === role ? null : { role: { from: previousRole, to: role } },
+        });
+
+        res.status(200).json({
+            message: 'Member updated successfully',
+            member: formatMember(membership, await User.findById(userId).select('username email isActive')),
+        });
+    } catch (error) {
+        logger.error(`Update member error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Remove a member from the organization; their own organization and account are not affected
+const removeMember = async (req, res) => {
+    try {
+        if (!(await checkManageAccess(req, res))) return;
+
+        const { id, userId } = req.params;
+
+        const membership = await Membership.findOneAndDelete({ organizationId: id, userId });
+
+        if (!membership) {
+            return res.status(404).json({ message: 'Member not found' });
+        }
+
+        const user = await User.findById(userId).select('-password');
+        if (user) {
+            await resetSessionOrganization(user, id);
+        }
+        await Team.updateMany({ organizationId: id, members: userId }, { $pull: { members: userId } });
+
+        await recordAuditEvent(req, {
+            action: 'membership.removed',
+            organizationId: id,
+            target: { type: 'user', id: userId, label: user ? user.username : null },
+            metadata: { role: membership.role },
+        });
+
+        res.status(200).json({ message: 'Member removed successfully' });
+    } catch (error) {
+        logger.error(`Remove member error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    listOrganizations,
+    switchOrganization,
+    leaveOrganization,
+    listMembers,
+    updateMember,
+    removeMember,
+};
@@ -1,18 +1,145 @@
+const readline = require('readline');
 const Message = require('../models/message.model');
+const MessageVersion = require('../models/message-version.model');
+const Attachment = require('../models/attachment.model');
 const Chat = require('../models/chat.model');
 const logger = require('../utils/logger');
+const { getChatAccessQuery } = require('../utils/chat-access');
+const { buildMessageTree, getMessagePath: findMessagePath } = require('../utils/message-tree');
+const { appendChunk } = require('../utils/message-streams');
+const { applyMessageCosts } = require('../utils/pricing');
+const { removeMessageAttachments } = require('../utils/trash');
 const paginateResults = require('../middleware/pagination');
+const { messageSchemas } = require('../middleware/validation');
+
+// Check that parent messages exist in the chat and are not in the trash, or respond with 400
+const checkParentMessages = async (res, chatId, parentIds) => {
+    const ids = [...new Set(parentIds.filter(Boolean).map(String))];
+    if (!ids.length) {
+        return true;
+    }
+
+    const found = await Message.countDocuments({ _id: { $in: ids }, chatId, deletedAt: null });
+    if (found !== ids.length) {
+        res.status(400).json({ message: 'Parent message not found in this chat' });
+        return false;
+    }
+    return true;
+};
+
+// Check that attachments referenced by content parts were uploaded to the chat, or respond with 400
+const checkAttachments = async (res, chatId, contentParts) => {
+    const ids = [...new Set(contentParts.map(part => part.attachmentId).filter(Boolean).map(String))];
+    if (!ids.length) {
+        return true;
+    }
+
+    const found = await Attachment.countDocuments({ _id: { $in: ids }, chatId });
+    if (found !== ids.length) {
+        res.status(400).json({ message: 'Attachment not found in this chat' });
+        return false;
+    }
+    return true;
+};
+
+// Find the messages holding the tool calls that tool messages answer, or respond with 400 when a call is not in
+// the chat. Calls in `batchCallIds` are made by messages of the same batch and are not looked up. Resolves to a
+// map from call ID to the message holding the call, or null after responding.
+const findAnsweredToolCalls = async (res, chatId, messages, batchCallIds = new Set()) => {
+    const ids = [...new Set(messages.map(msg => msg.toolCallId).filter(id => id && !batchCallIds.has(id)))];
+    const callMessages = new Map();
+    if (!ids.length) {
+        return callMessages;
+    }
+
+    // Oldest first, so the latest call wins when a regenerated branch reused an ID
+    const found = await Message.find({ chatId, deletedAt: null, 'toolCalls.id': { $in: ids } }).sort({ createdAt: 1 });
+    for (const message of found) {
+        for (const call of message.toolCalls) {
+            if (ids.includes(call.id)) callMessages.set(call.id, message);
+        }
+    }
+
+    if (callMessages.size !== ids.length) {
+        res.status(400).json({ message: 'Tool call not found in this chat' });
+        return null;
+    }
+    return callMessages;
+};
+
+// Record the answers of tool messages on the calls they answer
+const linkToolResults = async (callMessages, results) => {
+    for (const { message, isError } of results) {
+        const callMessage = callMessages.get(message.toolCallId);
+        const call = callMessage.toolCalls.find(toolCall => toolCall.id === message.toolCallId);
+
+        // The latency of the tool message is the time the tool took, unless the call was logged with its own
+        const fields = {
+            result: isError ? null : message.content,
+            status: isError ? 'error' : 'success',
+            error: isError ? message.content : null,
+            durationMs: typeof call.durationMs === 'number' ? call.durationMs : message.latency || null,
+            resultMessageId: message._id,
+        };
+
+        await Message.updateOne(
+            { _id: callMessage._id, 'toolCalls.id': call.id },
+            { $set: Object.fromEntries(Object.entries(fields).map(([key, value]) => [`toolCalls.$.${key}`, value])) },
+        );
+    }
+};
+
+// Keep the current state of a message as a version before it is replaced
+const saveVersion = async (req, message, reason) => {
+    const version = message.version || 1;
+
+    await MessageVersion.create({
+        messageId: message._id,
+        chatId: message.chatId,
+        version,
+        content: message.content,
+        metadata: message.metadata,
+        changedBy: req.user ? req.user._id : null,
+        reason,
+    });
+
+    message.version = version + 1;
+};
+
+// Respond with 409 when another request saved the same version first; returns true when it did
+const sendConcurrentEdit = (res, error) => {
+    if (error.code === 11000) {
+        res.status(409).json({ message: 'The message was changed by another request, please try again' });
+        return true;
+    }
+    return false;
+};
+
+// Respond with 409 when another request stored a message with the same client ID first; returns true when it did
+const sendDuplicateClientMessage = (res, error) => {
+    if (error.code === 11000) {
+        res.status(409).json({ message: 'A message with this client ID was added by another request, please retry' });
+        return true;
+    }
+    return false;
+};
 
 // Add a new message to a chat
 const addMessage = async (req, res) => {
     try {
         const { chatId } = req.params;
         const {
+            clientMessageId,
+            parentMessageId,
             role,
             content,
+            contentParts,
             name,
             functionCall,
             toolCalls,
+            toolCallId,
+            isError,
+            model,
             metadata,
             tokens,
             promptTokens,
@@ -20,25 +147,46 @@ const addMessage = async (req, res) => {
             latency,
         } = req.body;
 
-        // Check if chat exists and belongs to user and the correct organization
+        // Check if chat exists and is accessible to the requester
         const chat = await Chat.findOne({
             _id: chatId,
-            userId: req.user._id,
-            organizationId: req.organization ? req.organization._id : req.user.organizationId,
+            ...(await getChatAccessQuery(req, 'write')),
         });
 
         if (!chat) {
             return res.status(404).json({ message: 'Chat not found' });
         }
 
+        // A retried request gets the message stored the first time
+        if (clientMessageId) {
+            const existing = await Message.findOne({ chatId, clientMessageId });
+            if (existing) {
+                return res.status(200).json({
+                    message: 'Message already added',
+                    data: existing,
+                });
+            }
+        }
+
+        if (!(await checkParentMessages(res, chatId, [parentMessageId]))) return;
+        if (!(await checkAttachments(res, chatId, contentParts || []))) return;
+
+        const callMessages = await findAnsweredToolCalls(res, chatId, [req.body]);
+        if (!callMessages) return;
+
         // Create and save new message
         const message = new Message({
             chatId,
+            clientMessageId,
+            parentMessageId: parentMessageId || null,
             role,
             content,
+            contentParts,
             name,
             functionCall,
             toolCalls,
+            toolCallId,
+            aiModel: model || chat.aiModel,
             metadata,
             tokens,
             promptTokens,
@@ -46,8 +194,13 @@ const addMessage = async (req, res) => {
             latency,
         });
 
+        await applyMessageCosts(chat.organizationId, [message]);
         await message.save();
 
+        if (toolCallId) {
+            await linkToolResults(callMessages, [{ message, isError }]);
+        }
+
         // Update chat's last activity
         chat.updatedAt = new Date();
         await chat.save();
@@ -57,6 +210,7 @@ const addMessage = async (req, res) => {
             data: message,
         });
     } catch (error) {
+        if (sendDuplicateClientMessage(res, error)) return;
         logger.error(`Add message error: ${error.message}`);
         res.status(500).json({ message: 'Server error' });
     }
@@ -65,7 +219,17 @@ const addMessage = async (req, res) => {
 // Get all messages for a specific chat
 const getChatMessages = async (req, res, _next) => {
     try {
-        const query = { chatId: req.params.chatId };
+        // Check if chat exists and is accessible to the requester
+        const chat = await Chat.findOne({
+            _id: req.params.chatId,
+            ...(await getChatAccessQuery(req)),
+        });
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Chat not found' });
+        }
+
+        const query = { chatId: req.params.chatId, deletedAt: null };
 
         await paginateResults(Message, query, { sort: { createdAt: 1 } })(req, res, async () => {
             res.status(200).json(req.paginatedResults);
@@ -81,11 +245,10 @@ const getMessageById = async (req, res) => {
     try {
         const { chatId, messageId } = req.params;
 
-        // Check if chat exists and belongs to user and the correct organization
+        // Check if chat exists and is accessible to the requester
         const chat = await Chat.findOne({
             _id: chatId,
-            userId: req.user._id,
-            organizationId: req.organization ? req.organization._id : req.user.organizationId,
+            ...(await getChatAccessQuery(req)),
         });
 
         if (!chat) {
@@ -95,6 +258,7 @@ const getMessageById = async (req, res) => {
         const message = await Message.findOne({
             _id: messageId,
             chatId,
+            deletedAt: null,
         });
 
         if (!message) {
@@ -114,11 +278,10 @@ const updateMessage = async (req, res) => {
         const { chatId, messageId } = req.params;
         const { content, metadata } = req.body;
 
-        // Check if chat exists and belongs to user and the correct organization
+        // Check if chat exists and is accessible to the requester
         const chat = await Chat.findOne({
             _id: chatId,
-            userId: req.user._id,
-            organizationId: req.organization ? req.organization._id : req.user.organizationId,
+            ...(await getChatAccessQuery(req, 'write')),
         });
 
         if (!chat) {
@@ -128,12 +291,18 @@ const updateMessage = async (req, res) => {
         const message = await Message.findOne({
             _id: messageId,
             chatId,
+            deletedAt: null,
         });
 
         if (!message) {
             return res.status(404).json({ message: 'Message not found' });
         }
 
+        // Keep the previous state so edits can be reviewed and reverted
+        if ((content && content !== message.content) || metadata) {
+            await saveVersion(req, message, 'edit');
+        }
+
         // Update message fields
         if (content) message.content = content;
         if (metadata) message.metadata = { ...message.metadata, ...metadata };
@@ -145,6 +314,7 @@ const updateMessage = async (req, res) => {
             data: message,
         });
     } catch (error) {
+        if (sendConcurrentEdit(res, error)) return;
         logger.error(`Update message error: ${error.message}`);
         res.status(500).json({ message: 'Server error' });
     }
@@ -155,11 +325,10 @@ const deleteMessage = async (req, res) => {
     try {
         const { chatId, messageId } = req.params;
 
-        // Check if chat exists and belongs to user and the correct organization
+        // Check if chat exists and is accessible to the requester
         const chat = await Chat.findOne({
             _id: chatId,
-            userId: req.user._id,
-            organizationId: req.organization ? req.organization._id : req.user.organizationId,
+            ...(await getChatAccessQuery(req, 'write')),
         });
 
         if (!chat) {
@@ -169,16 +338,20 @@ const deleteMessage = async (req, res) => {
         const message = await Message.findOne({
             _id: messageId,
             chatId,
+            deletedAt: null,
         });
 
         if (!message) {
             return res.status(404).json({ message: 'Message not found' });
         }
 
-        await Message.findByIdAndDelete(messageId);
+        // Move the message to the trash of the chat
+        message.deletedAt = new Date();
+        message.deletedBy = req.user ? req.user._id : null;
+        await message.save();
 
         res.status(200).json({
-            message: 'Message deleted successfully',
+            message: 'Message moved to trash successfully',
         });
     } catch (error) {
         logger.error(`Delete message error: ${error.message}`);
@@ -196,25 +369,52 @@ const batchAddMessages = async (req, res) => {
             return res.status(400).json({ message: 'No messages provided' });
         }
 
-        // Check if chat exists and belongs to user and the correct organization
+        // Check if chat exists and is accessible to the requester
         const chat = await Chat.findOne({
             _id: chatId,
-            userId: req.user._id,
-            organizationId: req.organization ? req.organization._id : req.user.organizationId,
+            ...(await getChatAccessQuery(req, 'write')),
         });
 
         if (!chat) {
             return res.status(404).json({ message: 'Chat not found' });
         }
 
+        const parentIds = messages.map(msg => msg.parentMessageId);
+        if (!(await checkParentMessages(res, chatId, parentIds))) return;
+        if (!(await checkAttachments(res, chatId, messages.flatMap(msg => msg.contentParts || [])))) return;
+
+        // Skip messages whose client ID is already stored in the chat or repeated in the batch
+        const clientMessageIds = messages.map(msg => msg.clientMessageId).filter(Boolean);
+        const seen = new Set(
+            clientMessageIds.length
+                ? await Message.distinct('clientMessageId', { chatId, clientMessageId: { $in: clientMessageIds } })
+                : [],
+        );
+        const newMessages = messages.filter(msg => {
+            if (!msg.clientMessageId) return true;
+            if (seen.has(msg.clientMessageId)) return false;
+            seen.add(msg.clientMessageId);
+            return true;
+        });
+
+        // Tool messages may answer calls stored earlier or made by messages of this batch
+        const batchCallIds = new Set(newMessages.flatMap(msg => (msg.toolCalls || []).map(call => call.id)));
+        const callMessages = await findAnsweredToolCalls(res, chatId, newMessages, batchCallIds);
+        if (!callMessages) return;
+
         // Prepare messages for bulk insertion
-        const messagesToInsert = messages.map(msg => ({
+        const messagesToInsert = newMessages.map(msg => ({
             chatId,
+            clientMessageId: msg.clientMessageId || null,
+            parentMessageId: msg.parentMessageId || null,
             role: msg.role,
             content: msg.content,
+            contentParts: msg.contentParts || [],
             name: msg.name || null,
             functionCall: msg.functionCall || null,
             toolCalls: msg.toolCalls || null,
+            toolCallId: msg.toolCallId || null,
+            aiModel: msg.model || chat.aiModel || null,
             metadata: msg.metadata || {},
             tokens: msg.tokens || 0,
             promptTokens: msg.promptTokens || 0,
@@ -222,23 +422,555 @@ const batchAddMessages = async (req, res) => {
             latency: msg.latency || 0,
         }));
 
+        await applyMessageCosts(chat.organizationId, messagesToInsert);
+
         // Insert messages in bulk
-        const result = await Message.insertMany(messagesToInsert);
+        const result = messagesToInsert.length ? await Message.insertMany(messagesToInsert) : [];
+
+        // Inserted messages come back in the order of the batch
+        for (const message of result) {
+            for (const call of message.toolCalls || []) {
+                callMessages.set(call.id, message);
+            }
+        }
+        const toolResults = result
+            .map((message, index) => ({ message, isError: newMessages[index].isError }))
+            .filter(({ message }) => message.toolCallId);
+        await linkToolResults(callMessages, toolResults);
 
         // Update chat's last activity
-        chat.updatedAt = new Date();
-        await chat.save();
+        if (result.length) {
+            chat.updatedAt = new Date();
+            await chat.save();
+        }
 
-        res.status(201).json({
+        res.status(result.length ? 201 : 200).json({
             message: `${result.length} messages added successfully`,
             count: result.length,
+            skipped: messages.length - result.length,
         });
     } catch (error) {
+        if (sendDuplicateClientMessage(res, error)) return;
         logger.error(`Batch add messages error: ${error.message}`);
         res.status(500).json({ message: 'Server error' });
     }
 };
 
+// Find a chat the requester may read, or respond with 404
+const findReadableChat = async (req, res) => {
+    const chat = await Chat.findOne({
+        _id: req.params.chatId,
+        ...(await getChatAccessQuery(req)),
+    });
+
+    if (!chat) {
+        res.status(404).json({ message: 'Chat not found' });
+    }
+    return chat;
+};
+
+// Find a chat the requester may change, or respond with 404
+const findWritableChat = async (req, res) => {
+    const chat = await Chat.findOne({
+        _id: req.params.chatId,
+        ...(await getChatAccessQuery(req, 'write')),
+    });
+
+    if (!chat) {
+        res.status(404).json({ message: 'Chat not found' });
+    }
+    return chat;
+};
+
+// Get the messages of a chat as a tree of branches following their parent messages
+const getMessageTree = async (req, res) => {
+    try {
+        const chat = await findReadableChat(req, res);
+        if (!chat) return;
+
+        const messages = await Message.find({ chatId: chat._id, deletedAt: null }).sort({ createdAt: 1 });
+
+        res.status(200).json({
+            chatId: chat._id,
+            totalMessages: messages.length,
+            roots: buildMessageTree(messages),
+        });
+    } catch (error) {
+        logger.error(`Get message tree error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// List the tool calls made in a chat, oldest first, with the ID and time of the message that made each one
+const getToolCalls = async (req, res) => {
+    try {
+        const chat = await findReadableChat(req, res);
+        if (!chat) return;
+
+        const { name, status } = req.query;
+
+        const toolCalls = await Message.aggregate([
+            { $match: { chatId: chat._id, deletedAt: null, 'toolCalls.0': { $exists: true } } },
+            { $sort: { createdAt: 1 } },
+            { $unwind: '$toolCalls' },
+            {
+                $match: {
+                    ...(name && { 'toolCalls.name': name }),
+                    ...(status && { 'toolCalls.status': status }),
+                },
+            },
+            {
+                $replaceRoot: {
+                    newRoot: { $mergeObjects: ['$toolCalls', { messageId: '$_id', createdAt: '$createdAt' }] },
+                },
+            },
+        ]);
+
+        res.status(200).json({ chatId: chat._id, total: toolCalls.length, toolCalls });
+    } catch (error) {
+        logger.error(`Get tool calls error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Get the linear conversation leading to a message, from the root of its branch
+const getMessagePath = async (req, res) => {
+    try {
+        const chat = await findReadableChat(req, res);
+        if (!chat) return;
+
+        const messages = await Message.find({ chatId: chat._id, deletedAt: null }).sort({ createdAt: 1 });
+        const path = findMessagePath(messages, req.params.messageId);
+
+        if (!path) {
+            return res.status(404).json({ message: 'Message not found' });
+        }
+
+        res.status(200).json({ messages: path });
+    } catch (error) {
+        logger.error(`Get message path error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Buffered NDJSON content is saved whenever it grows past this many characters
+const STREAM_FLUSH_SIZE = 4096;
+
+// Create a streaming message in a chat, or respond with the message already stored under its client ID
+const openStream = async (req, res, chat, fields) => {
+    const { role = 'assistant', content = '', name, model, parentMessageId, clientMessageId, metadata } = fields;
+
+    if (clientMessageId) {
+        const existing = await Message.findOne({ chatId: chat._id, clientMessageId });
+        if (existing) {
+            res.status(200).json({ message: 'Message already added', data: existing });
+            return null;
+        }
+    }
+
+    if (!(await checkParentMessages(res, chat._id, [parentMessageId]))) return null;
+
+    const message = new Message({
+        chatId: chat._id,
+        clientMessageId,
+        parentMessageId: parentMessageId || null,
+        role,
+        content,
+        name,
+        aiModel: model || chat.aiModel,
+        metadata,
+        status: 'streaming',
+        lastChunkAt: new Date(),
+    });
+
+    await message.save();
+
+    chat.updatedAt = new Date();
+    await chat.save();
+
+    return message;
+};
+
+// Complete a streaming message with its token counts and cost, or mark it incomplete when the stream was aborted
+const finishStream = async (chat, message, fields) => {
+    const { aborted, toolCalls, metadata, tokens, promptTokens, completionTokens, latency } = fields;
+
+    if (toolCalls) message.toolCalls = toolCalls;
+    if (metadata) message.metadata = { ...message.metadata, ...metadata };
+    if (tokens !== undefined) message.tokens = tokens;
+    if (promptTokens !== undefined) message.promptTokens = promptTokens;
+    if (completionTokens !== undefined) message.completionTokens = completionTokens;
+
+    // Without a latency from the client, use the time since the stream was opened
+    message.latency = latency !== undefined ? latency : Date.now() - new Date(message.createdAt).getTime();
+    message.status = aborted ? 'incomplete' : 'complete';
+
+    // Priced at the time the stream was opened, like messages added in one go
+    await applyMessageCosts(chat.organizationId, [message], message.createdAt);
+    await message.save();
+};
+
+// Parse one line of an NDJSON upload
+const readStreamLine = line => {
+    let value;
+    try {
+        value = JSON.parse(line);
+    } catch {
+        return { error: 'Invalid JSON line' };
+    }
+
+    return { value };
+};
+
+// Validate a value with a Joi schema, returning the error details if any
+const checkSchema = (schema, value) => {
+    const { error } = schema.validate(value);
+    return error ? error.details.map(detail => detail.message) : null;
+};
+
+// Read a streamed message uploaded as NDJSON: a first line with the fields of the message, lines with
+// `content` chunks, and an optional last line `{"done": true, ...}` with its token counts. Content is saved
+// as it arrives, so an upload that breaks off keeps it and the message is marked incomplete.
+const ingestMessageStream = async (req, res, chat) => {
+    let message = null;
+    let buffer = '';
+    let finish = null;
+    let failure = null;
+
+    const flush = async () => {
+        if (!buffer) return;
+        const chunk = buffer;
+        buffer = '';
+        await appendChunk({ _id: message._id }, chunk);
+    };
+
+    try {
+        for await (const line of readline.createInterface({ input: req, crlfDelay: Infinity })) {
+            if (!line.trim()) continue;
+
+            const { value, error } = readStreamLine(line);
+            const { done, ...fields } = value || {};
+            let schema = messageSchemas.streamChunk;
+            if (!message) schema = messageSchemas.streamStart;
+            else if (done) schema = messageSchemas.streamFinish;
+
+            const details = error ? [error] : checkSchema(schema, done ? fields : value);
+
+            if (details || finish) {
+                failure = { message: 'Validation error', details: details || ['No lines are allowed after the done line'] };
+                break;
+            }
+
+            if (!message) {
+                message = await openStream(req, res, chat, value);
+                if (!message) return;
+            } else if (done) {
+                finish = fields;
+            } else {
+                buffer += value.content;
+                if (buffer.length >= STREAM_FLUSH_SIZE) await flush();
+            }
+        }
+    } catch (error) {
+        // The client went away before the upload ended
+        logger.warn(`Message stream interrupted: ${error.message}`);
+        failure = { message: 'Stream interrupted' };
+    }
+
+    if (!message) {
+        return res.status(400).json(failure || { message: 'Stream is empty' });
+    }
+
+    await flush();
+
+    const saved = await Message.findById(message._id);
+    if (finish && !failure && !saved.content) {
+        failure = { message: 'Streamed message has no content' };
+    }
+    await finishStream(chat, saved, finish && !failure ? finish : { aborted: true });
+
+    if (failure) {
+        return res.status(400).json({ ...failure, data: saved });
+    }
+
+    res.status(201).json({
+        message: finish ? 'Message streamed successfully' : 'Stream ended without a done line; message marked incomplete',
+        data: saved,
+    });
+};
+
+// Open a streaming message, or read a whole stream uploaded as NDJSON
+const startMessageStream = async (req, res) => {
+    try {
+        const chat = await findWritableChat(req, res);
+        if (!chat) return;
+
+        if (req.is('application/x-ndjson')) {
+            return await ingestMessageStream(req, res, chat);
+        }
+
+        const message = await openStream(req, res, chat, req.body || {});
+        if (!message) return;
+
+        res.status(201).json({
+            message: 'Message stream started',
+            data: message,
+        });
+    } catch (error) {
+        if (sendDuplicateClientMessage(res, error)) return;
+        logger.error(`Start message stream error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Append a chunk of content to a streaming message
+const appendMessageChunk = async (req, res) => {
+    try {
+        const chat = await findWritableChat(req, res);
+        if (!chat) return;
+
+        const { messageId } = req.params;
+        const { content, sequence } = req.body;
+
+        const message = await appendChunk({ _id: messageId, chatId: chat._id }, content, sequence);
+
+        if (!message) {
+            const existing = await Message.findOne({ _id: messageId, chatId: chat._id, deletedAt: null });
+
+            if (!existing) {
+                return res.status(404).json({ message: 'Message not found' });
+            }
+            if (existing.status !== 'streaming') {
+                return res.status(409).json({ message: 'Message is not streaming' });
+            }
+            // A retried chunk that was already appended
+            if (sequence < existing.chunkCount) {
+                return res.status(200).json({ message: 'Chunk already appended', chunkCount: existing.chunkCount });
+            }
+            return res.status(409).json({ message: `Chunk out of order, expected sequence ${existing.chunkCount}` });
+        }
+
+        res.status(200).json({
+            message: 'Chunk appended',
+            chunkCount: message.chunkCount,
+            contentLength: message.content.length,
+        });
+    } catch (error) {
+        logger.error(`Append message chunk error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Finalize a streaming message with its token counts and latency
+const finalizeMessageStream = async (req, res) => {
+    try {
+        const chat = await findWritableChat(req, res);
+        if (!chat) return;
+
+        const message = await findLiveMessage(req, res, chat);
+        if (!message) return;
+
+        if (message.status !== 'streaming') {
+            return res.status(409).json({ message: 'Message is not streaming' });
+        }
+
+        if (!req.body.aborted && !message.content) {
+            return res.status(400).json({ message: 'Streamed message has no content' });
+        }
+
+        await finishStream(chat, message, req.body);
+
+        res.status(200).json({
+            message: req.body.aborted ? 'Message marked incomplete' : 'Message finalized',
+            data: message,
+        });
+    } catch (error) {
+        logger.error(`Finalize message stream error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Find a message of a chat that is not in the trash, or respond with 404
+const findLiveMessage = async (req, res, chat) => {
+    const message = await Message.findOne({
+        _id: req.params.messageId,
+        chatId: chat._id,
+        deletedAt: null,
+    });
+
+    if (!message) {
+        res.status(404).json({ message: 'Message not found' });
+    }
+    return message;
+};
+
+// Read the version number of the route, or respond with 400
+const parseVersion = (req, res) => {
+    const version = Number(req.params.version);
+
+    if (!Number.isInteger(version) || version < 1) {
+        res.status(400).json({ message: 'Invalid version' });
+        return null;
+    }
+    return version;
+};
+
+// List the earlier versions of a message, newest first
+const getMessageVersions = async (req, res) => {
+    try {
+        const chat = await findReadableChat(req, res);
+        if (!chat) return;
+
+        const message = await findLiveMessage(req, res, chat);
+        if (!message) return;
+
+        const versions = await MessageVersion.find({ messageId: message._id }).sort({ version: -1 });
+
+        res.status(200).json({
+            currentVersion: message.version || 1,
+            versions,
+        });
+    } catch (error) {
+        logger.error(`Get message versions error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Get an earlier version of a message
+const getMessageVersion = async (req, res) => {
+    try {
+        const version = parseVersion(req, res);
+        if (!version) return;
+
+        const chat = await findReadableChat(req, res);
+        if (!chat) return;
+
+        const message = await findLiveMessage(req, res, chat);
+        if (!message) return;
+
+        const found = await MessageVersion.findOne({ messageId: message._id, version });
+
+        if (!found) {
+            return res.status(404).json({ message: 'Version not found' });
+        }
+
+        res.status(200).json({ version: found });
+    } catch (error) {
+        logger.error(`Get message version error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Bring back the content and metadata of an earlier version; the replaced state is kept as a version too
+const revertMessage = async (req, res) => {
+    try {
+        const version = parseVersion(req, res);
+        if (!version) return;
+
+        const chat = await findWritableChat(req, res);
+        if (!chat) return;
+
+        const message = await findLiveMessage(req, res, chat);
+        if (!message) return;
+
+        const found = await MessageVersion.findOne({ messageId: message._id, version });
+
+        if (!found) {
+            return res.status(404).json({ message: 'Version not found' });
+        }
+
+        await saveVersion(req, message, 'revert');
+
+        message.content = found.content;
+        message.metadata = found.metadata;
+        await message.save();
+
+        res.status(200).json({
+            message: `Message reverted to version ${version}`,
+            data: message,
+        });
+    } catch (error) {
+        if (sendConcurrentEdit(res, error)) return;
+        logger.error(`Revert message error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// List the messages of a chat in the trash, most recently deleted first
+const getTrashedMessages = async (req, res, _next) => {
+    try {
+        const chat = await findWritableChat(req, res);
+        if (!chat) return;
+
+        const query = { chatId: chat._id, deletedAt: { $ne: null } };
+
+        await paginateResults(Message, query, { sort: { deletedAt: -1 } })(req, res, async () => {
+            res.status(200).json(req.paginatedResults);
+        });
+    } catch (error) {
+        logger.error(`Get trashed messages error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Restore a message from the trash
+const restoreMessage = async (req, res) => {
+    try {
+        const chat = await findWritableChat(req, res);
+        if (!chat) return;
+
+        const message = await Message.findOne({
+            _id: req.params.messageId,
+            chatId: chat._id,
+            deletedAt: { $ne: null },
+        });
+
+        if (!message) {
+            return res.status(404).json({ message: 'Message not found in trash' });
+        }
+
+        message.deletedAt = null;
+        message.deletedBy = null;
+        await message.save();
+
+        res.status(200).json({
+            message: 'Message restored successfully',
+            data: message,
+        });
+    } catch (error) {
+        logger.error(`Restore message error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Permanently delete a message in the trash
+const purgeMessage = async (req, res) => {
+    try {
+        const chat = await findWritableChat(req, res);
+        if (!chat) return;
+
+        const message = await Message.findOneAndDelete({
+            _id: req.params.messageId,
+            chatId: chat._id,
+            deletedAt: { $ne: null },
+        });
+
+        if (!message) {
+            return res.status(404).json({ message: 'Message not found in trash' });
+        }
+
+        await MessageVersion.deleteMany({ messageId: message._id });
+        await removeMessageAttachments([message]);
+
+        res.status(200).json({
+            message: 'Message permanently deleted',
+        });
+    } catch (error) {
+        logger.error(`Purge message error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
 module.exports = {
     addMessage,
     getChatMessages,
@@ -246,4 +978,16 @@ module.exports = {
     updateMessage,
     deleteMessage,
     batchAddMessages,
+    getMessageTree,
+    getMessagePath,
+    getToolCalls,
+    getMessageVersions,
+    getMessageVersion,
+    revertMessage,
+    startMessageStream,
+    appendMessageChunk,
+    finalizeMessageStream,
+    getTrashedMessages,
+    restoreMessage,
+    purgeMessage,
 };
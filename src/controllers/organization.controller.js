@@ -1,7 +1,21 @@
 const Organization = require('../models/organization.model');
+const { hasPermission } = require('../utils/permissions');
+const { diffFields, recordAuditEvent } = require('../utils/audit');
 const logger = require('../utils/logger');
 
-// Create a new organization (admin only)
+// Fields of an organization compared in audit events
+const AUDITED_FIELDS = ['name', 'contactEmail', 'description', 'isActive', 'settings'];
+
+// Snapshot of the audited fields of an organization
+const auditSnapshot = organization => ({
+    name: organization.name,
+    contactEmail: organization.contactEmail,
+    description: organization.description,
+    isActive: organization.isActive,
+    settings: organization.settings ? Object.fromEntries(organization.settings) : {},
+});
+
+// Create a new organization (requires organizations:create)
 const createOrganization = async (req, res) => {
     try {
         const { name, contactEmail, description } = req.body;
@@ -27,12 +41,21 @@ const createOrganization = async (req, res) => {
 
         await organization.save();
 
+        await recordAuditEvent(req, {
+            action: 'organization.created',
+            organizationId: organization._id,
+            target: { type: 'organization', id: organization._id, label: organization.name },
+            metadata: { apiKeyPrefix: organization.apiKeyPrefix },
+        });
+
+        // The API key is only stored hashed, so this is the only time it is returned
         res.status(201).json({
             message: 'Organization created successfully',
             organization: {
                 id: organization._id,
                 name: organization.name,
-                apiKey: organization.apiKey,
+                apiKey,
+                apiKeyPrefix: organization.apiKeyPrefix,
             },
         });
     } catch (error) {
@@ -41,7 +64,7 @@ const createOrganization = async (req, res) => {
     }
 };
 
-// Get all organizations (super admin only)
+// Get all organizations (requires organizations:read:any)
 const getAllOrganizations = async (req, res) => {
     try {
         const { page = 1, limit = 10, isActive } = req.query;
@@ -81,22 +104,14 @@ const getOrganizationById = async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Superadmins can view any organization
-        // Regular users and admins can only view their own organization
-        let query;
-        if (req.user.role === 'superadmin') {
-            query = { _id: id };
-        } else {
-            // For regular admins, make sure it's both the requested ID AND their organization
-            if (id !== req.user.organizationId.toString()) {
-                return res
-                    .status(403)
-                    .json({ message: 'Access denied: You can only view your own organization' });
-            }
-            query = { _id: id };
+        // Users can only view their own organization unless they have organizations:read:any
+        if (id !== req.user.organizationId.toString() && !(await hasPermission(req, 'organizations:read:any'))) {
+            return res
+                .status(403)
+                .json({ message: 'Access denied: You can only view your own organization' });
         }
 
-        const organization = await Organization.findOne(query);
+        const organization = await Organization.findOne({ _id: id });
 
         if (!organization) {
             return res.status(404).json({ message: 'Organization not found' });
@@ -113,39 +128,54 @@ const getOrganizationById = async (req, res) => {
 const updateOrganization = async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, contactEmail, description, isActive } = req.body;
-
-        // Superadmins can update any organization
-        // Regular admins can only update their own organization
-        let query;
-        if (req.user.role === 'superadmin') {
-            query = { _id: id };
-        } else {
-            // For regular admins, make sure it's both the requested ID AND their organization
-            if (id !== req.user.organizationId.toString()) {
-                return res
-                    .status(403)
-                    .json({ message: 'Access denied: You can only update your own organization' });
-            }
-            query = { _id: id };
+        const { name, contactEmail, description, isActive, settings } = req.body;
+
+        // Users can only update their own organization unless they have organizations:manage:any
+        const canManageAny = await hasPermission(req, 'organizations:manage:any');
+        if (id !== req.user.organizationId.toString() && !canManageAny) {
+            return res
+                .status(403)
+                .json({ message: 'Access denied: You can only update your own organization' });
         }
 
-        const organization = await Organization.findOne(query);
+        const organization = await Organization.findOne({ _id: id });
 
         if (!organization) {
             return res.status(404).json({ message: 'Organization not found' });
         }
 
+        const before = auditSnapshot(organization);
+
         // Update fields
         if (name) organization.name = name;
         if (contactEmail !== undefined) organization.contactEmail = contactEmail;
         if (description !== undefined) organization.description = description;
-        if (isActive !== undefined && req.user.role === 'superadmin') {
+        if (isActive !== undefined && canManageAny) {
             organization.isActive = isActive;
         }
+        // Settings are merged; a null value removes a setting
+        if (settings) {
+            Object.entries(settings).forEach(([key, value]) => {
+                if (value === null) {
+                    organization.settings.delete(key);
+                } else {
+                    organization.settings.set(key, value);
+                }
+            });
+        }
 
         await organization.save();
 
+        const diff = diffFields(before, auditSnapshot(organization), AUDITED_FIELDS);
+        if (diff) {
+            await recordAuditEvent(req, {
+                action: 'organization.updated',
+                organizationId: organization._id,
+                target: { type: 'organization', id: organization._id, label: organization.name },
+                diff,
+            });
+        }
+
         res.status(200).json({
             message: 'Organization updated successfully',
             organization,
@@ -161,23 +191,15 @@ const regenerateApiKey = async (req, res) => {
     try {
         const { id } = req.params;
 
-        // Superadmins can regenerate API key for any organization
-        // Regular admins can only regenerate API key for their own organization
-        let query;
-        if (req.user.role === 'superadmin') {
-            query = { _id: id };
-        } else {
-            // For regular admins, make sure it's both the requested ID AND their organization
-            if (id !== req.user.organizationId.toString()) {
-                return res.status(403).json({
-                    message:
-                        'Access denied: You can only regenerate API keys for your own organization',
-                });
-            }
-            query = { _id: id };
+        // Users can only regenerate the key of their own organization unless they have organizations:manage:any
+        if (id !== req.user.organizationId.toString() && !(await hasPermission(req, 'organizations:manage:any'))) {
+            return res.status(403).json({
+                message:
+                    'Access denied: You can only regenerate API keys for your own organization',
+            });
         }
 
-        const organization = await Organization.findOne(query);
+        const organization = await Organization.findOne({ _id: id });
 
         if (!organization) {
             return res.status(404).json({ message: 'Organization not found' });
@@ -189,9 +211,18 @@ const regenerateApiKey = async (req, res) => {
 
         await organization.save();
 
+        await recordAuditEvent(req, {
+            action: 'organization.api_key_regenerated',
+            organizationId: organization._id,
+            target: { type: 'organization', id: organization._id, label: organization.name },
+            metadata: { apiKeyPrefix: organization.apiKeyPrefix },
+        });
+
+        // The API key is only stored hashed, so this is the only time it is returned
         res.status(200).json({
             message: 'Organization API key regenerated successfully',
             apiKey,
+            apiKeyPrefix: organization.apiKeyPrefix,
         });
     } catch (error) {
         logger.error(`Regenerate API key error: ${error.message}`);
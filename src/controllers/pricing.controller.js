@@ -0,0 +1,149 @@
+const ModelPrice = require('../models/model-price.model');
+const { canManageOrganization } = require('../utils/permissions');
+const { recordAuditEvent, diffFields } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+// Check that the current user may access the pricing table of the organization, or respond with an error
+const checkOrganizationAccess = async (req, res) => {
+    if (!(await canManageOrganization(req, req.params.id))) {
+        res.status(403).json({ message: 'Access denied: You can only access pricing of your own organization' });
+        return false;
+    }
+    return true;
+};
+
+// Respond with 409 when the model already has a price from the same date; returns true when it does
+const sendDuplicatePrice = (res, error) => {
+    if (error.code === 11000) {
+        res.status(409).json({ message: 'This model already has a price effective from this date' });
+        return true;
+    }
+    return false;
+};
+
+// List the pricing table of an organization, by model and newest price first
+const listPrices = async (req, res) => {
+    try {
+        if (!(await checkOrganizationAccess(req, res))) return;
+
+        const query = { organizationId: req.params.id };
+        if (req.query.model) query.aiModel = req.query.model;
+
+        const prices = await ModelPrice.find(query).sort({ aiModel: 1, effectiveFrom: -1 });
+
+        res.status(200).json({ prices });
+    } catch (error) {
+        logger.error(`List prices error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Add the price of a model from a date on; messages created earlier keep the cost they were given
+const createPrice = async (req, res) => {
+    try {
+        if (!(await checkOrganizationAccess(req, res))) return;
+
+        const { id } = req.params;
+        const { model, inputPricePer1K, outputPricePer1K, effectiveFrom } = req.body;
+
+        const price = await ModelPrice.create({
+            organizationId: id,
+            aiModel: model,
+            inputPricePer1K,
+            outputPricePer1K,
+            effectiveFrom: effectiveFrom || new Date(),
+            createdBy: req.user._id,
+        });
+
+        await recordAuditEvent(req, {
+            action: 'pricing.created',
+            organizationId: id,
+            target: { type: 'model_price', id: price._id, label: price.aiModel },
+            metadata: {
+                inputPricePer1K: price.inputPricePer1K,
+                outputPricePer1K: price.outputPricePer1K,
+                effectiveFrom: price.effectiveFrom,
+            },
+        });
+
+        res.status(201).json({ message: 'Price created successfully', price });
+    } catch (error) {
+        if (sendDuplicatePrice(res, error)) return;
+        logger.error(`Create price error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Correct the prices or the effective date of an entry of the pricing table
+const updatePrice = async (req, res) => {
+    try {
+        if (!(await checkOrganizationAccess(req, res))) return;
+
+        const { id, priceId } = req.params;
+        const { inputPricePer1K, outputPricePer1K, effectiveFrom } = req.body;
+
+        const price = await ModelPrice.findOne({ _id: priceId, organizationId: id });
+
+        if (!price) {
+            return res.status(404).json({ message: 'Price not found' });
+        }
+
+        const before = {
+            inputPricePer1K: price.inputPricePer1K,
+            outputPricePer1K: price.outputPricePer1K,
+            effectiveFrom: price.effectiveFrom,
+        };
+
+        if (inputPricePer1K !== undefined) price.inputPricePer1K = inputPricePer1K;
+        if (outputPricePer1K !== undefined) price.outputPricePer1K = outputPricePer1K;
+        if (effectiveFrom !== undefined) price.effectiveFrom = effectiveFrom;
+
+        await price.save();
+
+        await recordAuditEvent(req, {
+            action: 'pricing.updated',
+            organizationId: id,
+            target: { type: 'model_price', id: price._id, label: price.aiModel },
+            diff: diffFields(before, price, ['inputPricePer1K', 'outputPricePer1K', 'effectiveFrom']),
+        });
+
+        res.status(200).json({ message: 'Price updated successfully', price });
+    } catch (error) {
+        if (sendDuplicatePrice(res, error)) return;
+        logger.error(`Update price error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Remove an entry of the pricing table; costs already stored on messages are kept
+const deletePrice = async (req, res) => {
+    try {
+        if (!(await checkOrganizationAccess(req, res))) return;
+
+        const { id, priceId } = req.params;
+
+        const price = await ModelPrice.findOneAndDelete({ _id: priceId, organizationId: id });
+
+        if (!price) {
+            return res.status(404).json({ message: 'Price not found' });
+        }
+
+        await recordAuditEvent(req, {
+            action: 'pricing.deleted',
+            organizationId: id,
+            target: { type: 'model_price', id: price._id, label: price.aiModel },
+        });
+
+        res.status(200).json({ message: 'Price deleted successfully' });
+    } catch (error) {
+        logger.error(`Delete price error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    listPrices,
+    createPrice,
+    updatePrice,
+    deletePrice,
+};
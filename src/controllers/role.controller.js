@@ -0,0 +1,195 @@
+const Organization = require('../models/organization.model');
+const User = require('../models/user.model');
+const {
+    ORGANIZATION_PERMISSIONS,
+    DEFAULT_ROLE_PERMISSIONS,
+    PLATFORM_ROLES,
+    ROLE_NAME_PATTERN,
+} = require('../config/permissions');
+const {
+    canManageOrganization,
+    getRequestPermissions,
+    getRolePermissions,
+    hasPermission,
+    includesPermission,
+} = require('../utils/permissions');
+const { diffFields, recordAuditEvent } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+// Built-in roles organizations can customize
+const CUSTOMIZABLE_BUILT_IN_ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS).filter(
+    role => !PLATFORM_ROLES.includes(role),
+);
+
+// Shape a role of an organization for responses
+const formatRole = (name, organization) => {
+    const customized = organization.roles && organization.roles.get(name);
+    return {
+        name,
+        description: customized ? customized.description : '',
+        permissions: [...getRolePermissions(name, organization)],
+        builtIn: CUSTOMIZABLE_BUILT_IN_ROLES.includes(name),
+        customized: !!customized,
+    };
+};
+
+// Load an organization for role administration, or respond with an error
+const findManagedOrganization = async (req, res) => {
+    const { id } = req.params;
+
+    if (!(await canManageOrganization(req, id))) {
+        res.status(403).json({ message: 'Access denied: You can only manage your own organization' });
+        return null;
+    }
+
+    const organization = await Organization.findById(id);
+    if (!organization) {
+        res.status(404).json({ message: 'Organization not found' });
+        return null;
+    }
+    return organization;
+};
+
+// Validate the role name of the route, or respond with an error
+const checkRoleName = (role, res) => {
+    if (PLATFORM_ROLES.includes(role)) {
+        res.status(400).json({ message: `The ${role} role cannot be customized` });
+        return false;
+    }
+    if (!ROLE_NAME_PATTERN.test(role)) {
+        res.status(400).json({
+            message: 'Role names must start with a letter and contain 2-32 lowercase letters, digits, - or _',
+        });
+        return false;
+    }
+    return true;
+};
+
+// List the permissions that can be granted and the roles of an organization
+const listRoles = async (req, res) => {
+    try {
+        const organization = await findManagedOrganization(req, res);
+        if (!organization) return;
+
+        const names = new Set([...CUSTOMIZABLE_BUILT_IN_ROLES, ...(organization.roles || new Map()).keys()]);
+
+        res.status(200).json({
+            permissions: Object.entries(ORGANIZATION_PERMISSIONS).map(([name, description]) => ({
+                name,
+                description,
+            })),
+            roles: [...names].map(name => formatRole(name, organization)),
+        });
+    } catch (error) {
+        logger.error(`List roles error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Create a custom role, or change the permissions of an existing one
+const updateRole = async (req, res) => {
+    try {
+        const { role } = req.params;
+        if (!checkRoleName(role, res)) return;
+
+        const organization = await findManagedOrganization(req, res);
+        if (!organization) return;
+
+        const { permissions, description = '' } = req.body;
+
+        // Nobody can grant permissions they do not have, except platform administrators
+        if (!(await hasPermission(req, 'organizations:manage:any'))) {
+            const granted = await getRequestPermissions(req);
+            const exceeding = permissions.filter(permission => !includesPermission(granted, permission));
+            if (exceeding.length) {
+                return res.status(403).json({
+                    message: `Access denied: You cannot grant permissions you do not have (${exceeding.join(', ')})`,
+                });
+            }
+
+            // Keep at least one way to undo the change
+            if (role === req.user.role && !permissions.includes('org:roles:manage')) {
+                return res.status(400).json({
+                    message: 'You cannot remove the org:roles:manage permission from your own role',
+                });
+            }
+        }
+
+        const before = formatRole(role, organization);
+
+        organization.roles.set(role, { description, permissions: [...new Set(permissions)] });
+        await organization.save();
+
+        logger.info(`Role ${role} of organization ${organization._id} updated by ${req.user._id}`);
+
+        await recordAuditEvent(req, {
+            action: 'role.updated',
+            organizationId: organization._id,
+            target: { type: 'role', id: role, label: role },
+            diff: diffFields(before, formatRole(role, organization), ['description', 'permissions']),
+        });
+
+        res.status(200).json({
+            message: 'Role updated successfully',
+            role: formatRole(role, organization),
+        });
+    } catch (error) {
+        logger.error(`Update role error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Delete a custom role, or reset a built-in role to its default permissions
+const deleteRole = async (req, res) => {
+    try {
+        const { role } = req.params;
+        if (!checkRoleName(role, res)) return;
+
+        const organization = await findManagedOrganization(req, res);
+        if (!organization) return;
+
+        const builtIn = CUSTOMIZABLE_BUILT_IN_ROLES.includes(role);
+
+        if (!organization.roles.has(role)) {
+            return builtIn
+                ? res.status(200).json({ message: 'Role already has its default permissions', role: formatRole(role, organization) })
+                : res.status(404).json({ message: 'Role not found' });
+        }
+
+        // Users must be moved to another role before a custom role can be deleted
+        if (!builtIn && (await User.exists({ organizationId: organization._id, role }))) {
+            return res.status(409).json({ message: 'Role is still assigned to users' });
+        }
+
+        const before = formatRole(role, organization);
+
+        organization.roles.delete(role);
+        await organization.save();
+
+        logger.info(`Role ${role} of organization ${organization._id} deleted by ${req.user._id}`);
+
+        await recordAuditEvent(req, {
+            action: builtIn ? 'role.reset' : 'role.deleted',
+            organizationId: organization._id,
+            target: { type: 'role', id: role, label: role },
+            diff: builtIn
+                ? diffFields(before, formatRole(role, organization), ['description', 'permissions'])
+                : { permissions: { from: before.permissions, to: null } },
+        });
+
+        res.status(200).json(
+            builtIn
+                ? { message: 'Role reset to its default permissions', role: formatRole(role, organization) }
+                : { message: 'Role deleted successfully' },
+        );
+    } catch (error) {
+        logger.error(`Delete role error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    listRoles,
+    updateRole,
+    deleteRole,
+};
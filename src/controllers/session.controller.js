@@ -0,0 +1,105 @@
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const { revokeSession, revokeUserSessions } = require('../utils/auth-tokens');
+const { hasPermission } = require('../utils/permissions');
+const { recordAuditEvent } = require('../utils/audit');
+const { PLATFORM_ROLES } = require('../config/permissions');
+const logger = require('../utils/logger');
+
+// Shape a session for responses
+const formatSession = (session, currentSessionId) => ({
+    id: session._id,
+    organizationId: session.organizationId,
+    device: session.device,
+    ip: session.ip,
+    userAgent: session.userAgent,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    lastSeenIp: session.lastSeenIp,
+    expiresAt: session.expiresAt,
+    current: session.sessionId === currentSessionId,
+    impersonated: !!session.impersonatedBy,
+});
+
+// List the active sessions of the current user, most recently used first
+const listSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            userId: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        }).sort({ lastSeenAt: -1 });
+
+        res.status(200).json({
+            sessions: sessions.map(session => formatSession(session, req.sessionId)),
+        });
+    } catch (error) {
+        logger.error(`List sessions error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Log the current user out of one of their sessions
+const deleteSession = async (req, res) => {
+    try {
+        const session = await Session.findOne({
+            _id: req.params.sessionId,
+            userId: req.user._id,
+            revokedAt: null,
+        });
+
+        if (!session) {
+            return res.status(404).json({ message: 'Session not found' });
+        }
+
+        await revokeSession(session.sessionId);
+
+        res.status(200).json({ message: 'Session revoked successfully' });
+    } catch (error) {
+        logger.error(`Revoke session error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Log a user out everywhere, e.g. when their account may be compromised
+const deleteUserSessions = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Users in the same organization, or any user with organizations:manage:any
+        const query = (await hasPermission(req, 'organizations:manage:any'))
+            ? { _id: id }
+            : { _id: id, organizationId: req.user.organizationId };
+
+        const user = await User.findOne(query);
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (PLATFORM_ROLES.includes(user.role) && !(await hasPermission(req, 'users:manage:superadmins'))) {
+            return res.status(403).json({ message: 'Access denied: You cannot end the sessions of this user' });
+        }
+
+        await revokeUserSessions(user._id, { revokedBy: req.user._id });
+
+        logger.info(`All sessions of user ${user._id} revoked by ${req.user._id}`);
+
+        await recordAuditEvent(req, {
+            action: 'user.sessions_revoked',
+            organizationId: user.organizationId,
+            target: { type: 'user', id: user._id, label: user.username },
+        });
+
+        res.status(200).json({ message: 'All sessions of the user have been revoked' });
+    } catch (error) {
+        logger.error(`Revoke user sessions error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    listSessions,
+    deleteSession,
+    deleteUserSessions,
+};
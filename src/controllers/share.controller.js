@@ -0,0 +1,256 @@
+const Chat = require('../models/chat.model');
+const Message = require('../models/message.model');
+const Organization = require('../models/organization.model');
+const ShareLink = require('../models/share-link.model');
+const User = require('../models/user.model');
+const config = require('../config/config');
+const { getChatAccessQuery, getOrganizationId } = require('../utils/chat-access');
+const { findMembership } = require('../utils/memberships');
+const { isChatSharingEnabled } = require('../utils/organization-settings');
+const { recordAuditEvent } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Check that the organization allows sharing, or respond with an error
+const checkSharingEnabled = (req, res) => {
+    if (!isChatSharingEnabled(req.organization)) {
+        res.status(403).json({ message: 'Chat sharing is disabled for this organization' });
+        return false;
+    }
+    return true;
+};
+
+// Find a chat whose sharing the requester may manage, or respond with 404
+const findManagedChat = async (req, res) => {
+    const chat = await Chat.findOne({
+        _id: req.params.chatId,
+        ...(await getChatAccessQuery(req, 'write')),
+    });
+
+    if (!chat) {
+        res.status(404).json({ message: 'Chat not found' });
+    }
+    return chat;
+};
+
+// Public path of the transcript behind a link token
+const getSharePath = token => `/${config.apiEffectivePath}/shared/${encodeURIComponent(token)}`;
+
+// List the users a chat is shared with and its public links
+const listShares = async (req, res) => {
+    try {
+        const chat = await findManagedChat(req, res);
+        if (!chat) return;
+
+        const links = await ShareLink.find({ chatId: chat._id }).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            sharingEnabled: isChatSharingEnabled(req.organization),
+            users: chat.sharedWith,
+            links,
+        });
+    } catch (error) {
+        logger.error(`List shares error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Share a chat with a user of the organization, or change their permission
+const shareWithUser = async (req, res) => {
+    try {
+        if (!checkSharingEnabled(req, res)) return;
+
+        const chat = await findManagedChat(req, res);
+        if (!chat) return;
+
+        const { userId } = req.params;
+        const { permission = 'read' } = req.body;
+
+        if (String(userId) === String(chat.userId)) {
+            return res.status(400).json({ message: 'Chats cannot be shared with their author' });
+        }
+
+        const user = await User.findById(userId).select('username organizationId role');
+        if (!user || !(await findMembership(user, getOrganizationId(req)))) {
+            return res.status(400).json({ message: 'User is not a member of the organization' });
+        }
+
+        const existing = chat.getShare(userId);
+        const previousPermission = existing ? existing.permission : null;
+
+        if (existing) {
+            existing.permission = permission;
+        } else {
+            chat.sharedWith.push({ userId, permission, sharedBy: req.user ? req.user._id : null });
+        }
+
+        await chat.save();
+
+        await recordAuditEvent(req, {
+            action: 'chat.shared',
+            organizationId: chat.organizationId,
+            target: { type: 'chat', id: chat._id, label: chat.title },
+            diff: previousPermission === permission ? null : { permission: { from: previousPermission, to: permission } },
+            metadata: { userId: String(userId) },
+        });
+
+        res.status(existing ? 200 : 201).json({
+            message: 'Chat shared successfully',
+            share: chat.getShare(userId),
+        });
+    } catch (error) {
+        logger.error(`Share chat error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Stop sharing a chat with a user
+const unshareWithUser = async (req, res) => {
+    try {
+        const chat = await findManagedChat(req, res);
+        if (!chat) return;
+
+        const { userId } = req.params;
+        const share = chat.getShare(userId);
+
+        if (!share) {
+            return res.status(404).json({ message: 'Share not found' });
+        }
+
+        chat.sharedWith = chat.sharedWith.filter(entry => String(entry.userId) !== String(userId));
+        await chat.save();
+
+        await recordAuditEvent(req, {
+            action: 'chat.unshared',
+            organizationId: chat.organizationId,
+            target: { type: 'chat', id: chat._id, label: chat.title },
+            metadata: { userId: String(userId), permission: share.permission },
+        });
+
+        res.status(200).json({ message: 'Chat unshared successfully' });
+    } catch (error) {
+        logger.error(`Unshare chat error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Create a public link to a read-only transcript of a chat
+const createShareLink = async (req, res) => {
+    try {
+        if (!checkSharingEnabled(req, res)) return;
+
+        const chat = await findManagedChat(req, res);
+        if (!chat) return;
+
+        const { expiresInDays } = req.body;
+
+        const token = ShareLink.generateToken();
+        const link = await ShareLink.create({
+            chatId: chat._id,
+            organizationId: chat.organizationId,
+            tokenHash: ShareLink.hashToken(token),
+            createdBy: req.user ? req.user._id : null,
+            expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_IN_MS) : null,
+        });
+
+        await recordAuditEvent(req, {
+            action: 'chat.share_link_created',
+            organizationId: chat.organizationId,
+            target: { type: 'chat', id: chat._id, label: chat.title },
+            metadata: { linkId: String(link._id), expiresAt: link.expiresAt },
+        });
+
+        // The token is only stored hashed, so this is the only time it is returned
+        res.status(201).json({
+            message: 'Share link created successfully',
+            link,
+            token,
+            path: getSharePath(token),
+        });
+    } catch (error) {
+        logger.error(`Create share link error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Revoke a public link of a chat
+const revokeShareLink = async (req, res) => {
+    try {
+        const chat = await findManagedChat(req, res);
+        if (!chat) return;
+
+        const link = await ShareLink.findOneAndUpdate(
+            { _id: req.params.linkId, chatId: chat._id, revokedAt: null },
+            { revokedAt: new Date() },
+            { new: true },
+        );
+
+        if (!link) {
+            return res.status(404).json({ message: 'Share link not found' });
+        }
+
+        await recordAuditEvent(req, {
+            action: 'chat.share_link_revoked',
+            organizationId: chat.organizationId,
+            target: { type: 'chat', id: chat._id, label: chat.title },
+            metadata: { linkId: String(link._id) },
+        });
+
+        res.status(200).json({ message: 'Share link revoked successfully', link });
+    } catch (error) {
+        logger.error(`Revoke share link error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Get the read-only transcript behind a public link; no authentication required
+const getSharedTranscript = async (req, res) => {
+    try {
+        const link = await ShareLink.findOne({ tokenHash: ShareLink.hashToken(req.params.token) });
+
+        // Revoked and expired links, deleted chats and organizations that disabled sharing look the same
+        const organization =
+            link && link.isUsable() && (await Organization.findOne({ _id: link.organizationId, isActive: true }));
+        const chat =
+            organization &&
+            isChatSharingEnabled(organization) &&
+            (await Chat.findOne({ _id: link.chatId, organizationId: link.organizationId, deletedAt: null }));
+
+        if (!chat) {
+            return res.status(404).json({ message: 'Shared chat not found' });
+        }
+
+        const messages = await Message.find({ chatId: chat._id, deletedAt: null })
+            .select('role name content createdAt')
+            .sort({ createdAt: 1 });
+
+        await ShareLink.updateOne({ _id: link._id }, { lastAccessedAt: new Date() });
+
+        res.status(200).json({
+            chat: {
+                title: chat.title,
+                source: chat.source,
+                createdAt: chat.createdAt,
+            },
+            messages: messages.map(message => ({
+                role: message.role,
+                name: message.name,
+                content: message.content,
+                createdAt: message.createdAt,
+            })),
+        });
+    } catch (error) {
+        logger.error(`Get shared transcript error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    listShares,
+    shareWithUser,
+    unshareWithUser,
+    createShareLink,
+    revokeShareLink,
+    getSharedTranscript,
+};
@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const Organization = require('../models/organization.model');
+const OidcState = require('../models/oidc-state.model');
+const User = require('../models/user.model');
+const config = require('../config/config');
+const { issueAuthTokens } = require('../utils/auth-tokens');
+const { createAccountToken } = require('../utils/account-tokens');
+const { canManageOrganization, checkRoleAssignment } = require('../utils/permissions');
+const { PLATFORM_ROLES } = require('../config/permissions');
+const {
+    OidcError,
+    discover,
+    createPkcePair,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    mapRole,
+} = require('../utils/oidc');
+const { getClientInfo } = require('../utils/user-agent');
+const logger = require('../utils/logger');
+
+// Time the user has to log in at the identity provider
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// The callback URL registered at the identity provider
+const getRedirectUri = req =>
+    config.oidcRedirectUri || `${req.protocol}://${req.get('host')}${req.baseUrl}/sso/callback`;
+
+// Derive a free username from the claims, e.g. `jane` or `jane-3f9a`
+const generateUsername = async claims => {
+    const base =
+        String(claims.preferred_username || claims.email.split('@')[0])
+            .toLowerCase()
+            .replace(/[^a-z0-9._-]/g, '')
+            .slice(0, 40) || 'user';
+
+    let username = base.length >= 3 ? base : `${base}-sso`;
+    while (await User.exists({ username })) {
+        username = `${base}-${crypto.randomBytes(2).toString('hex')}`;
+    }
+    return username;
+};
+
+// Find the user an ID token belongs to, creating the account when needed. Existing accounts are never
+// linked by email: the identity provider is controlled by the organization and could claim any address.
+const findOrProvisionUser = async (organization, issuer, claims) => {
+    const { oidc } = organization;
+    const mappedRole = mapRole(claims, oidc);
+
+    let user = await User.findOne({ oidcIssuer: issuer, oidcSubject: claims.sub });
+    let provisioned = false;
+
+    if (user && !user.organizationId.equals(organization._id)) {
+        throw new OidcError('Account belongs to another organization');
+    }
+
+    if (user && PLATFORM_ROLES.includes(user.role)) {
+        throw new OidcError('Platform administrators cannot log in with single sign-on');
+    }
+
+    if (!user) {
+        if (!claims.email) {
+            throw new OidcError('ID token has no email claim');
+        }
+
+        if (await User.findOne({ email: claims.email.toLowerCase() })) {
+            throw new OidcError('An account with this email exists; log in and link it to single sign-on first');
+        }
+
+        if (!oidc.allowJitProvisioning) {
+            throw new OidcError('No account exists for this user');
+        }
+
+        user = new User({
+            username: await generateUsername(claims),
+            email: claims.email,
+            // SSO users never log in with a password, so they get an unguessable one
+            password: crypto.randomBytes(32).toString('hex'),
+            organizationId: organization._id,
+            role: mappedRole,
+            emailVerified: claims.email_verified === true,
+            emailVerifiedAt: claims.email_verified === true ? new Date() : null,
+            oidcIssuer: issuer,
+            oidcSubject: claims.sub,
+        });
+        provisioned = true;
+    }
+
+    // Keep the role in sync with the provider when a role claim is configured
+    if (oidc.roleClaim) {
+        user.role = mappedRole;
+    }
+
+    await user.save();
+    return { user, provisioned };
+};
+
+// Link the account that started a link flow to the identity it logged in with at the provider
+const linkUser = async (userId, organization, issuer, claims) => {
+    const user = await User.findById(userId);
+
+    if (
+        !user ||
+        !user.isActive ||
+        !user.organizationId.equals(organization._id) ||
+        PLATFORM_ROLES.includes(user.role)
+    ) {
+        throw new OidcError('Account cannot be linked');
+    }
+
+    if (user.oidcSubject) {
+        throw new OidcError('Account is already linked to single sign-on');
+    }
+
+    if (await User.exists({ oidcIssuer: issuer, oidcSubject: claims.sub })) {
+        throw new OidcError('This identity is already linked to another account');
+    }
+
+    user.oidcIssuer = issuer;
+    user.oidcSubject = claims.sub;
+    await user.save();
+    return user;
+};
+
+// Load an organization with single sign-on enabled
+const findSsoOrganization = (organizationId, { withSecret = false } = {}) => {
+    const query = Organization.findOne({ _id: organizationId, isActive: true, 'oidc.enabled': true });
+    return withSecret ? query.select('+oidc.clientSecret') : query;
+};
+
+// Store a pending login and build the URL sending the user to the organization's identity provider
+const createAuthorizationUrl = async (req, organization, userId = null) => {
+    const metadata = await discover(organization.oidc.issuer);
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    const state = OidcState.generateState();
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const redirectUri = getRedirectUri(req);
+
+    await OidcState.create({
+        stateHash: OidcState.hashState(state),
+        organizationId: organization._id,
+        userId,
+        codeVerifier,
+        nonce,
+        redirectUri,
+        expiresAt: new Date(Date.now() + STATE_TTL_MS),
+    });
+
+    return buildAuthorizationUrl(metadata, {
+        clientId: organization.oidc.clientId,
+        redirectUri,
+        scopes: organization.oidc.scopes,
+        state,
+        nonce,
+        codeChallenge,
+    });
+};
+
+// Start an SSO login by sending the user to the organization's identity provider
+const startSsoLogin = async (req, res) => {
+    try {
+        const organization = await findSsoOrganization(req.params.organizationId);
+
+        if (!organization) {
+            return res.status(404).json({ message: 'Single sign-on is not configured for this organization' });
+        }
+
+        const authorizationUrl = await createAuthorizationUrl(req, organization);
+
+        // API clients can ask for the URL instead of being redirected
+        if (req.query.redirect === 'false') {
+            return res.status(200).json({ authorizationUrl });
+        }
+        res.redirect(302, authorizationUrl);
+    } catch (error) {
+        logger.error(`Start SSO login error: ${error.message}`);
+        res.status(error instanceof OidcError ? 502 : 500).json({
+            message: error instanceof OidcError ? 'Identity provider is unavailable' : 'Server error',
+        });
+    }
+};
+
+// Start linking the current user's account to their identity at the organization's identity provider
+const startSsoLink = async (req, res) => {
+    try {
+        // The token may act in another organization; accounts are linked in their own
+        const user = await User.findById(req.user._id);
+
+        if (PLATFORM_ROLES.includes(user.role)) {
+            return res.status(403).json({ message: 'Platform administrators cannot use single sign-on' });
+        }
+
+        if (user.oidcSubject) {
+            return res.status(409).json({ message: 'Your account is already linked to single sign-on' });
+        }
+
+        const organization = await findSsoOrganization(user.organizationId);
+
+        if (!organization) {
+            return res.status(404).json({ message: 'Single sign-on is not configured for your organization' });
+        }
+
+        const authorizationUrl = await createAuthorizationUrl(req, organization, user._id);
+
+        res.status(200).json({ authorizationUrl });
+    } catch (error) {
+        logger.error(`Start SSO link error: ${error.message}`);
+        res.status(error instanceof OidcError ? 502 : 500).json({
+            message: error instanceof OidcError ? 'Identity provider is unavailable' : 'Server error',
+        });
+    }
+};
+
+// Finish an SSO login, or the linking of an account, when the identity provider redirects back
+const completeSsoLogin = async (req, res) => {
+    try {
+        const { code, state, error, error_description: errorDescription } = req.query;
+
+        if (error) {
+            return res.status(401).json({ message: `SSO login failed: ${errorDescription || error}` });
+        }
+
+        if (!code || !state) {
+            return res.status(400).json({ message: 'Missing code or state' });
+        }
+
+        // Each state can only be used once
+        const pending = await OidcState.findOneAndDelete({ stateHash: OidcState.hashState(state) });
+
+        if (!pending || pending.isExpired()) {
+            return res.status(400).json({ message: 'Invalid or expired SSO state' });
+        }
+
+        const organization = await findSsoOrganization(pending.organizationId, { withSecret: true });
+
+        if (!organization) {
+            return res.status(404).json({ message: 'Single sign-on is not configured for this organization' });
+        }
+
+        const { oidc } = organization;
+        const metadata = await discover(oidc.issuer);
+        const tokens = await exchangeCode(metadata, {
+            clientId: oidc.clientId,
+            clientSecret: oidc.clientSecret,
+            code,
+            redirectUri: pending.redirectUri,
+            codeVerifier: pending.codeVerifier,
+        });
+        const claims = await verifyIdToken(tokens.id_token, {
+            metadata,
+            clientId: oidc.clientId,
+            nonce: pending.nonce,
+        });
+
+        if (pending.userId) {
+            const linked = await linkUser(pending.userId, organization, metadata.issuer, claims);
+            logger.info(`Linked user ${linked._id} to single sign-on in organization ${organization._id}`);
+
+            return res.status(200).json({ message: 'Account linked to single sign-on' });
+        }
+
+        const { user, provisioned } = await findOrProvisionUser(organization, metadata.issuer, claims);
+
+        if (!user.isActive) {
+            return res.status(401).json({ message: 'User account is deactivated' });
+        }
+
+        if (provisioned) {
+            logger.info(`Provisioned user ${user._id} in organization ${organization._id} via SSO`);
+        }
+
+        // Two-factor authentication still applies to users who enabled it
+        if (user.twoFactorEnabled) {
+            return res.status(200).json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: createAccountToken(user, 'two-factor-challenge'),
+                expiresIn: config.twoFactorChallengeExpiresIn,
+            });
+        }
+
+        const authTokens = await issueAuthTokens(user, getClientInfo(req));
+
+        res.status(200).json({
+            message: 'Login successful',
+            user: {
+                id: user._id,
+                username: user.username,
+                email: user.email,
+                role: user.role,
+                organizationId: user.organizationId,
+                emailVerified: user.emailVerified
+            },
+            token: authTokens.token,
+            refreshToken: authTokens.refreshToken,
+            expiresIn: authTokens.expiresIn,
+            provisioned,
+        });
+    } catch (error) {
+        logger.error(`Complete SSO login error: ${error.message}`);
+        if (error instanceof OidcError) {
+            return res.status(401).json({ message: `SSO login failed: ${error.message}` });
+        }
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Shape the SSO configuration for responses, never including the client secret
+const formatSsoConfig = (oidc, hasClientSecret) => ({
+    enabled: oidc.enabled,
+    issuer: oidc.issuer || null,
+    clientId: oidc.clientId || null,
+    hasClientSecret,
+    scopes: oidc.scopes,
+    roleClaim: oidc.roleClaim,
+    roleMapping: Object.fromEntries(oidc.roleMapping || []),
+    defaultRole: oidc.defaultRole,
+    allowJitProvisioning: oidc.allowJitProvisioning,
+});
+
+// Load an organization for SSO administration, or respond with an error
+const findManagedOrganization = async (req, res) => {
+    const { id } = req.params;
+
+    // The route checks org:sso:manage; only platform administrators manage other organizations
+    if (!(await canManageOrganization(req, id))) {
+        res.status(403).json({ message: 'Access denied: You can only manage your own organization' });
+        return null;
+    }
+
+    const organization = await Organization.findById(id).select('+oidc.clientSecret');
+    if (!organization) {
+        res.status(404).json({ message: 'Organization not found' });
+        return null;
+    }
+    return organization;
+};
+
+// Get the SSO configuration of an organization
+const getSsoConfig = async (req, res) => {
+    try {
+        const organization = await findManagedOrganization(req, res);
+        if (!organization) return;
+
+        res.status(200).json({
+            sso: formatSsoConfig(organization.oidc, !!organization.oidc.clientSecret),
+        });
+    } catch (error) {
+        logger.error(`Get SSO config error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Update the SSO configuration of an organization
+const updateSsoConfig = async (req, res) => {
+    try {
+        const organization = await findManagedOrganization(req, res);
+        if (!organization) return;
+
+        // The identity provider can only hand out roles the configuring user may assign
+        const mappedRoles = [...Object.values(req.body.roleMapping || {}), req.body.defaultRole].filter(Boolean);
+        for (const role of new Set(mappedRoles)) {
+            const refusal = await checkRoleAssignment(req, role, organization);
+            if (refusal) {
+                return res.status(refusal.status).json({ message: refusal.message });
+            }
+        }
+
+        const { oidc } = organization;
+        const fields = ['issuer', 'clientId', 'clientSecret', 'scopes', 'roleClaim', 'roleMapping', 'defaultRole', 'allowJitProvisioning'];
+        fields.forEach(field => {
+            if (req.body[field] !== undefined) {
+                oidc[field] = req.body[field];
+            }
+        });
+
+        if (req.body.enabled !== undefined) {
+            if (req.body.enabled && (!oidc.issuer || !oidc.clientId)) {
+                return res.status(400).json({ message: 'An issuer and client ID are required to enable SSO' });
+            }
+            oidc.enabled = req.body.enabled;
+        }
+
+        // Fail early on an issuer that cannot be discovered
+        if (oidc.enabled && req.body.issuer !== undefined) {
+            try {
+                await discover(oidc.issuer);
+            } catch (error) {
+                return res.status(400).json({ message: `Could not discover the issuer: ${error.message}` });
+            }
+        }
+
+        await organization.save();
+
+        res.status(200).json({
+            message: 'SSO configuration updated successfully',
+            sso: formatSsoConfig(oidc, !!oidc.clientSecret),
+        });
+    } catch (error) {
+        logger.error(`Update SSO config error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    startSsoLogin,
+    startSsoLink,
+    completeSsoLogin,
+    getSsoConfig,
+    updateSsoConfig,
+};
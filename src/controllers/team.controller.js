@@ -0,0 +1,247 @@
+const Team = require('../models/team.model');
+const Chat = require('../models/chat.model');
+const User = require('../models/user.model');
+const { canManageOrganization } = require('../utils/permissions');
+const { findMembership } = require('../utils/memberships');
+const { recordAuditEvent, diffFields } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+// Check that the current user may access the teams of the organization, or respond with an error
+const checkOrganizationAccess = async (req, res) => {
+    if (!(await canManageOrganization(req, req.params.id))) {
+        res.status(403).json({ message: 'Access denied: You can only access teams of your own organization' });
+        return false;
+    }
+    return true;
+};
+
+// Find the users among `userIds` who do not belong to the organization
+const findNonMembers = async (organizationId, userIds) => {
+    const users = await User.find({ _id: { $in: userIds } }).select('organizationId role');
+    const memberships = await Promise.all(users.map(user => findMembership(user, organizationId)));
+    const memberIds = new Set(users.filter((user, index) => memberships[index]).map(user => String(user._id)));
+
+    return userIds.filter(userId => !memberIds.has(String(userId)));
+};
+
+// Respond with 409 when the name is taken; returns true when it is
+const sendDuplicateName = (res, error) => {
+    if (error.code === 11000) {
+        res.status(409).json({ message: 'A team with this name already exists' });
+        return true;
+    }
+    return false;
+};
+
+// List the teams of an organization
+const listTeams = async (req, res) => {
+    try {
+        if (!(await checkOrganizationAccess(req, res))) return;
+
+        const teams = await Team.find({ organizationId: req.params.id }).sort({ name: 1 });
+
+        res.status(200).json({ teams });
+    } catch (error) {
+        logger.error(`List teams error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Get a team of an organization
+const getTeam = async (req, res) => {
+    try {
+        if (!(await checkOrganizationAccess(req, res))) return;
+
+        const team = await Team.findOne({ _id: req.params.teamId, organizationId: req.params.id });
+
+        if (!team) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+
+        res.status(200).json({ team });
+    } catch (error) {
+        logger.error(`Get team error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Create a team, optionally with its first members
+const createTeam = async (req, res) => {
+    try {
+        if (!(await checkOrganizationAccess(req, res))) return;
+
+        const { id } = req.params;
+        const { name, description = '', members = [] } = req.body;
+
+        const nonMembers = await findNonMembers(id, members);
+        if (nonMembers.length) {
+            return res.status(400).json({
+                message: `Users are not members of the organization: ${nonMembers.join(', ')}`,
+            });
+        }
+
+        const team = await Team.create({
+            organizationId: id,
+            name,
+            description,
+            members: [...new Set(members)],
+            createdBy: req.user._id,
+        });
+
+        await recordAuditEvent(req, {
+            action: 'team.created',
+            organizationId: id,
+            target: { type: 'team', id: team._id, label: team.name },
+            metadata: { members: team.members.map(String) },
+        });
+
+        res.status(201).json({ message: 'Team created successfully', team });
+    } catch (error) {
+        if (sendDuplicateName(res, error)) return;
+        logger.error(`Create team error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Rename a team or change its description
+const updateTeam = async (req, res) => {
+    try {
+        if (!(await checkOrganizationAccess(req, res))) return;
+
+        const { id, teamId } = req.params;
+        const { name, description } = req.body;
+
+        const team = await Team.findOne({ _id: teamId, organizationId: id });
+
+        if (!team) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+
+        const before = { name: team.name, description: team.description };
+
+        if (name !== undefined) team.name = name;
+        if (description !== undefined) team.description = description;
+
+        await team.save();
+
+        await recordAuditEvent(req, {
+            action: 'team.updated',
+            organizationId: id,
+            target: { type: 'team', id: team._id, label: team.name },
+            diff: diffFields(before, team, ['name', 'description']),
+        });
+
+        res.status(200).json({ message: 'Team updated successfully', team });
+    } catch (error) {
+        if (sendDuplicateName(res, error)) return;
+        logger.error(`Update team error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Delete a team; its chats become private to their authors again
+const deleteTeam = async (req, res) => {
+    try {
+        if (!(await checkOrganizationAccess(req, res))) return;
+
+        const { id, teamId } = req.params;
+
+        const team = await Team.findOneAndDelete({ _id: teamId, organizationId: id });
+
+        if (!team) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+
+        await Chat.updateMany({ organizationId: id, teamId: team._id }, { teamId: null });
+
+        await recordAuditEvent(req, {
+            action: 'team.deleted',
+            organizationId: id,
+            target: { type: 'team', id: team._id, label: team.name },
+        });
+
+        res.status(200).json({ message: 'Team deleted successfully' });
+    } catch (error) {
+        logger.error(`Delete team error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Add a user of the organization to a team
+const addTeamMember = async (req, res) => {
+    try {
+        if (!(await checkOrganizationAccess(req, res))) return;
+
+        const { id, teamId } = req.params;
+        const { userId } = req.body;
+
+        const team = await Team.findOne({ _id: teamId, organizationId: id });
+
+        if (!team) {
+            return res.status(404).json({ message: 'Team not found' });
+        }
+
+        if ((await findNonMembers(id, [userId])).length) {
+            return res.status(400).json({ message: 'User is not a member of the organization' });
+        }
+
+        if (team.hasMember(userId)) {
+            return res.status(409).json({ message: 'User is already a member of the team' });
+        }
+
+        team.members.push(userId);
+        await team.save();
+
+        await recordAuditEvent(req, {
+            action: 'team.member_added',
+            organizationId: id,
+            target: { type: 'team', id: team._id, label: team.name },
+            metadata: { userId },
+        });
+
+        res.status(200).json({ message: 'Team member added successfully', team });
+    } catch (error) {
+        logger.error(`Add team member error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Remove a user from a team
+const removeTeamMember = async (req, res) => {
+    try {
+        if (!(await checkOrganizationAccess(req, res))) return;
+
+        const { id, teamId, userId } = req.params;
+
+        const team = await Team.findOne({ _id: teamId, organizationId: id });
+
+        if (!team || !team.hasMember(userId)) {
+            return res.status(404).json({ message: 'Team member not found' });
+        }
+
+        team.members = team.members.filter(member => String(member) !== String(userId));
+        await team.save();
+
+        await recordAuditEvent(req, {
+            action: 'team.member_removed',
+            organizationId: id,
+            target: { type: 'team', id: team._id, label: team.name },
+            metadata: { userId },
+        });
+
+        res.status(200).json({ message: 'Team member removed successfully', team });
+    } catch (error) {
+        logger.error(`Remove team member error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    listTeams,
+    getTeam,
+    createTeam,
+    updateTeam,
+    deleteTeam,
+    addTeamMember,
+    removeTeamMember,
+};
@@ -0,0 +1,203 @@
+const User = require('../models/user.model');
+const config = require('../config/config');
+const { issueAuthTokens } = require('../utils/auth-tokens');
+const { decodeAccountToken, isAccountTokenCurrent } = require('../utils/account-tokens');
+const { generateSecret, getOtpauthUri, verifyCode } = require('../utils/totp');
+const {
+    generateRecoveryCodes,
+    consumeSecondFactor,
+    isTwoFactorRequired,
+} = require('../utils/two-factor');
+const {
+    isAccountLocked,
+    recordFailedLogin,
+    clearFailedLogins,
+    sendAccountLocked,
+} = require('../utils/login-lockout');
+const { getClientInfo } = require('../utils/user-agent');
+const logger = require('../utils/logger');
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+// Load the current user together with the two-factor fields hidden by default
+const findUserWithTwoFactor = id => User.findById(id).select(TWO_FACTOR_FIELDS);
+
+// Start enrollment by generating a new secret for the authenticator app
+const setupTwoFactor = async (req, res) => {
+    try {
+        const user = await findUserWithTwoFactor(req.user._id);
+
+        if (user.twoFactorEnabled) {
+            return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = generateSecret();
+        user.twoFactorSecret = secret;
+        await user.save();
+
+        res.status(200).json({
+            message: 'Scan the otpauth URI with an authenticator app, then confirm with a code',
+            secret,
+            otpauthUri: getOtpauthUri(secret, user.email, config.twoFactorIssuer),
+        });
+    } catch (error) {
+        logger.error(`Two-factor setup error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Finish enrollment by confirming a code from the authenticator app
+const enableTwoFactor = async (req, res) => {
+    try {
+        const user = await findUserWithTwoFactor(req.user._id);
+
+        if (user.twoFactorEnabled) {
+            return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+        }
+
+        if (!user.twoFactorSecret) {
+            return res.status(400).json({ message: 'Two-factor setup has not been started' });
+        }
+
+        const step = verifyCode(user.twoFactorSecret, req.body.code);
+        if (step === null) {
+            return res.status(400).json({ message: 'Invalid two-factor code' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactorEnabled = true;
+        user.twoFactorLastUsedStep = step;
+        user.twoFactorRecoveryCodes = hashes;
+        await user.save();
+
+        // Recovery codes are only stored hashed, so this is the only time they are returned
+        res.status(200).json({
+            message: 'Two-factor authentication enabled',
+            recoveryCodes: codes,
+        });
+    } catch (error) {
+        logger.error(`Enable two-factor error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Turn two-factor authentication off, which requires the password and a second factor
+const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const user = await findUserWithTwoFactor(req.user._id);
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+
+        if (await isTwoFactorRequired(user)) {
+            return res.status(403).json({
+                message: 'Two-factor authentication is required for admin accounts in this organization',
+            });
+        }
+
+        if (!(await user.comparePassword(password)) || !(await consumeSecondFactor(user, { code, recoveryCode }))) {
+            return res.status(401).json({ message: 'Invalid credentials' });
+        }
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = undefined;
+        user.twoFactorRecoveryCodes = [];
+        user.twoFactorLastUsedStep = undefined;
+        await user.save();
+
+        res.status(200).json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        logger.error(`Disable two-factor error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Replace all recovery codes with a new set
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const user = await findUserWithTwoFactor(req.user._id);
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!(await consumeSecondFactor(user, { code: req.body.code }))) {
+            return res.status(401).json({ message: 'Invalid two-factor code' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        user.twoFactorRecoveryCodes = hashes;
+        await user.save();
+
+        res.status(200).json({
+            message: 'Recovery codes regenerated',
+            recoveryCodes: codes,
+        });
+    } catch (error) {
+        logger.error(`Regenerate recovery codes error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Second login step: exchange the challenge token and a second factor for tokens
+const completeTwoFactorLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        const payload = decodeAccountToken(challengeToken, 'two-factor-challenge');
+        const user = payload
+            ? await User.findOne({ _id: payload.sub, isActive: true }).select(TWO_FACTOR_FIELDS)
+            : null;
+
+        if (!user || !user.twoFactorEnabled || !isAccountTokenCurrent(payload, user)) {
+            return res.status(401).json({ message: 'Invalid or expired challenge' });
+        }
+
+        if (isAccountLocked(user)) {
+            return sendAccountLocked(res, user);
+        }
+
+        // Wrong codes count towards the lockout just like wrong passwords
+        if (!(await consumeSecondFactor(user, { code, recoveryCode }))) {
+            await recordFailedLogin(user);
+            return res.status(401).json({ message: 'Invalid two-factor code' });
+        }
+
+        clearFailedLogins(user);
+        await user.save();
+
+        if (recoveryCode) {
+            logger.warn(`User ${user._id} logged in with a recovery code`);
+        }
+
+        const { token, refreshToken, expiresIn } = await issueAuthTokens(user, getClientInfo(req));
+
+        res.status(200).json({
+            message: 'Login successful',
+            user: {
+                id: user._id,
+                username: user.username,
+                email: user.email,
+                role: user.role,
+                organizationId: user.organizationId,
+                emailVerified: user.emailVerified
+            },
+            token,
+            refreshToken,
+            expiresIn,
+            recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+        });
+    } catch (error) {
+        logger.error(`Two-factor login error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+module.exports = {
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    completeTwoFactorLogin,
+};
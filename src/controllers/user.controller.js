@@ -1,8 +1,75 @@
 const User = require('../models/user.model');
-const jwt = require('jsonwebtoken');
+const Organization = require('../models/organization.model');
+const RefreshToken = require('../models/refresh-token.model');
+const ApiKey = require('../models/api-key.model');
+const {
+    issueAuthTokens,
+    issueImpersonationToken,
+    revokeSession,
+    revokeUserSessions,
+} = require('../utils/auth-tokens');
+const {
+    createAccountToken,
+    decodeAccountToken,
+    isAccountTokenCurrent,
+} = require('../utils/account-tokens');
+const { sendMail } = require('../utils/mailer');
+const { describeTokenLink } = require('../utils/app-links');
+const { getOrganizationSetting } = require('../utils/organization-settings');
+const { isTwoFactorRequired } = require('../utils/two-factor');
+const { hasPermission, checkRoleAssignment, sendPermissionDenied } = require('../utils/permissions');
+const { canImpersonate } = require('../utils/impersonation');
+const { diffFields, recordAuditEvent } = require('../utils/audit');
+const {
+    isAccountLocked,
+    recordFailedLogin,
+    clearFailedLogins,
+    getLockoutStatus,
+    sendAccountLocked,
+} = require('../utils/login-lockout');
 const config = require('../config/config');
+const { getClientInfo } = require('../utils/user-agent');
 const logger = require('../utils/logger');
 
+// Email a verification token to the user; failures are logged but never fail the request
+const sendVerificationEmail = async user => {
+    try {
+        const token = createAccountToken(user, 'email-verification');
+        await sendMail({
+            to: user.email,
+            subject: 'Verify your email address',
+            text:
+                `Hi ${user.username},\n\nPlease verify your email address.\n\n` +
+                `${describeTokenLink('verify-email', token)}\n\n` +
+                `This link expires in ${config.emailVerificationTokenExpiresIn}.`,
+        });
+    } catch (error) {
+        logger.error(`Send verification email error: ${error.message}`);
+    }
+};
+
+// Email a password reset token to the user; failures are logged, so the response stays the same for every address
+const sendPasswordResetEmail = async user => {
+    try {
+        const token = createAccountToken(user, 'password-reset');
+        await sendMail({
+            to: user.email,
+            subject: 'Reset your password',
+            text:
+                `Hi ${user.username},\n\nA password reset was requested for your account.\n\n` +
+                `${describeTokenLink('reset-password', token)}\n\n` +
+                `This link expires in ${config.passwordResetTokenExpiresIn}. ` +
+                'If you did not request a reset you can ignore this email.',
+        });
+    } catch (error) {
+        logger.error(`Send password reset email error: ${error.message}`);
+    }
+};
+
+// Check whether the user's organization refuses logins from unverified accounts
+const requiresEmailVerification = async organizationId =>
+    (await getOrganizationSetting(organizationId, 'requireEmailVerification')) === true;
+
 // Register a new user
 const register = async (req, res) => {
     try {
@@ -14,6 +81,13 @@ const register = async (req, res) => {
             });
         }
 
+        // Organizations can restrict registration to invited users
+        if ((await getOrganizationSetting(organizationId, 'allowOpenRegistration')) === false) {
+            return res.status(403).json({
+                message: 'Registration in this organization requires an invitation'
+            });
+        }
+
         // Check if user with email or username already exists
         const existingUser = await User.findOne({
             $or: [{ email }, { username }],
@@ -34,11 +108,10 @@ const register = async (req, res) => {
         });
 
         await user.save();
+        await sendVerificationEmail(user);
 
-        // Generate JWT token
-        const token = jwt.sign({ userId: user._id }, config.jwtSecret, {
-            expiresIn: '7d',
-        });
+        // Issue access and refresh tokens
+        const { token, refreshToken, expiresIn } = await issueAuthTokens(user, getClientInfo(req));
 
         res.status(201).json({
             message: 'User registered successfully',
@@ -47,9 +120,12 @@ const register = async (req, res) => {
                 username: user.username,
                 email: user.email,
                 role: user.role,
-                organizationId: user.organizationId
+                organizationId: user.organizationId,
+                emailVerified: user.emailVerified
             },
             token,
+            refreshToken,
+            expiresIn,
         });
     } catch (error) {
         logger.error(`Registration error: ${error.message}`);
@@ -65,15 +141,44 @@ const login = async (req, res) => {
         // Find user by email
         const user = await User.findOne({ email, isActive: true });
 
-        // If user doesn't exist or password is incorrect
-        if (!user || !(await user.comparePassword(password))) {
+        if (!user) {
             return res.status(401).json({ message: 'Invalid credentials' });
         }
 
-        // Generate JWT token
-        const token = jwt.sign({ userId: user._id }, config.jwtSecret, {
-            expiresIn: '7d',
-        });
+        // Locked accounts are refused before the password is even checked
+        if (isAccountLocked(user)) {
+            return sendAccountLocked(res, user);
+        }
+
+        if (!(await user.comparePassword(password))) {
+            await recordFailedLogin(user);
+            if (isAccountLocked(user)) {
+                logger.warn(`Account ${user._id} locked after ${user.failedLoginAttempts} failed logins`);
+            }
+            return res.status(401).json({ message: 'Invalid credentials' });
+        }
+
+        if (!user.emailVerified && (await requiresEmailVerification(user.organizationId))) {
+            return res.status(403).json({ message: 'Email address has not been verified' });
+        }
+
+        // With two-factor authentication enabled the password alone only earns a challenge
+        if (user.twoFactorEnabled) {
+            return res.status(200).json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: createAccountToken(user, 'two-factor-challenge'),
+                expiresIn: config.twoFactorChallengeExpiresIn,
+            });
+        }
+
+        if (user.failedLoginAttempts) {
+            clearFailedLogins(user);
+            await user.save();
+        }
+
+        // Issue access and refresh tokens
+        const { token, refreshToken, expiresIn } = await issueAuthTokens(user, getClientInfo(req));
 
         res.status(200).json({
             message: 'Login successful',
@@ -82,9 +187,14 @@ const login = async (req, res) => {
                 username: user.username,
                 email: user.email,
                 role: user.role,
-                organizationId: user.organizationId
+                organizationId: user.organizationId,
+                emailVerified: user.emailVerified
             },
             token,
+            refreshToken,
+            expiresIn,
+            // Admins of organizations requiring 2FA can only use admin routes once enrolled
+            twoFactorSetupRequired: await isTwoFactorRequired(user),
         });
     } catch (error) {
         logger.error(`Login error: ${error.message}`);
@@ -92,6 +202,172 @@ const login = async (req, res) => {
     }
 };
 
+// Exchange a refresh token for a new access and refresh token pair
+const refreshToken = async (req, res) => {
+    try {
+        const tokenHash = RefreshToken.hashToken(req.body.refreshToken);
+
+        // A revoked token being presented again means it was leaked: end the whole session
+        const rejectReusedToken = async reused => {
+            if (reused) {
+                logger.warn(`Refresh token reuse detected for user ${reused.userId}`);
+                await revokeSession(reused.family);
+            }
+            return res.status(401).json({ message: 'Invalid refresh token' });
+        };
+
+        const current = await RefreshToken.findOne({ tokenHash, revokedAt: null });
+
+        if (!current) {
+            return rejectReusedToken(await RefreshToken.findOne({ tokenHash }));
+        }
+
+        if (current.isExpired()) {
+            return res.status(401).json({ message: 'Refresh token has expired' });
+        }
+
+        const user = await User.findById(current.userId);
+
+        if (!user || !user.isActive) {
+            await revokeSession(current.family);
+            return res.status(401).json({ message: 'User not found or deactivated' });
+        }
+
+        // The replacement is stored before the current token is revoked, so the session never lacks a live
+        // token and requests made with its access tokens in the meantime are not taken for a revoked session
+        const tokens = await issueAuthTokens(user, { family: current.family, ip: req.ip });
+
+        // Atomically consume the token so it can only be rotated once
+        const consumed = await RefreshToken.findOneAndUpdate(
+            { _id: current._id, revokedAt: null },
+            { revokedAt: new Date(), replacedByHash: tokens.record.tokenHash },
+        );
+
+        if (!consumed) {
+            // Another request rotated the token first; the replacement issued here is never handed out
+            await RefreshToken.deleteOne({ _id: tokens.record._id });
+            return rejectReusedToken(current);
+        }
+
+        res.status(200).json({
+            message: 'Token refreshed successfully',
+            token: tokens.token,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn,
+        });
+    } catch (error) {
+        logger.error(`Refresh token error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Logout the current session, or every session of the user
+const logout = async (req, res) => {
+    try {
+        if (req.body && req.body.allSessions) {
+            // Impersonators can end their own session, but not the user's
+            if (req.impersonator) {
+                return res.status(403).json({ message: 'Access denied: Not allowed while impersonating a user' });
+            }
+            await revokeUserSessions(req.user._id);
+        } else {
+            await revokeSession(req.sessionId);
+        }
+
+        res.status(200).json({ message: 'Logged out successfully' });
+    } catch (error) {
+        logger.error(`Logout error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Email a password reset token. The response never reveals whether the account exists.
+const forgotPassword = async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email, isActive: true });
+
+        if (user) {
+            await sendPasswordResetEmail(user);
+        }
+
+        res.status(200).json({
+            message: 'If an account with that email exists, a password reset email has been sent',
+        });
+    } catch (error) {
+        logger.error(`Forgot password error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Set a new password using a password reset token
+const resetPassword = async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        const payload = decodeAccountToken(token, 'password-reset');
+        const user = payload ? await User.findOne({ _id: payload.sub, isActive: true }) : null;
+
+        if (!user || !isAccountTokenCurrent(payload, user)) {
+            return res.status(400).json({ message: 'Invalid or expired token' });
+        }
+
+        user.password = password;
+        clearFailedLogins(user);
+        // Receiving the reset email proves ownership of the address
+        if (!user.emailVerified) {
+            user.emailVerified = true;
+            user.emailVerifiedAt = new Date();
+        }
+        await user.save();
+
+        // Whoever knew the old password must not stay logged in
+        await revokeUserSessions(user._id);
+
+        res.status(200).json({ message: 'Password reset successfully' });
+    } catch (error) {
+        logger.error(`Reset password error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Mark the email address of a user as verified using an email verification token
+const verifyEmail = async (req, res) => {
+    try {
+        const payload = decodeAccountToken(req.body.token, 'email-verification');
+        const user = payload ? await User.findById(payload.sub) : null;
+
+        if (!user || !isAccountTokenCurrent(payload, user)) {
+            return res.status(400).json({ message: 'Invalid or expired token' });
+        }
+
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+        await user.save();
+
+        res.status(200).json({ message: 'Email verified successfully' });
+    } catch (error) {
+        logger.error(`Verify email error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Send a new verification email. The response never reveals whether the account exists.
+const resendVerificationEmail = async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email, isActive: true });
+
+        if (user && !user.emailVerified) {
+            await sendVerificationEmail(user);
+        }
+
+        res.status(200).json({
+            message: 'If an unverified account with that email exists, a verification email has been sent',
+        });
+    } catch (error) {
+        logger.error(`Resend verification email error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
 // Get current user profile
 const getProfile = async (req, res) => {
     try {
@@ -101,8 +377,13 @@ const getProfile = async (req, res) => {
                 username: req.user.username,
                 email: req.user.email,
                 role: req.user.role,
-                organizationId: req.user.organizationId
+                organizationId: req.user.organizationId,
+                emailVerified: req.user.emailVerified,
+                twoFactorEnabled: req.user.twoFactorEnabled
             },
+            ...(req.impersonator && {
+                impersonatedBy: { id: req.impersonator._id, username: req.impersonator.username },
+            }),
         });
     } catch (error) {
         logger.error(`Get profile error: ${error.message}`);
@@ -114,10 +395,13 @@ const getProfile = async (req, res) => {
 const generateApiKey = async (req, res) => {
     try {
         const apiKey = await req.user.generateApiKey();
+        await req.user.save();
 
+        // The API key is only stored hashed, so this is the only time it is returned
         res.status(200).json({
             message: 'API key generated successfully',
             apiKey,
+            apiKeyPrefix: req.user.apiKeyPrefix,
         });
     } catch (error) {
         logger.error(`Generate API key error: ${error.message}`);
@@ -125,21 +409,110 @@ const generateApiKey = async (req, res) => {
     }
 };
 
-// Get users in the organization (admin only)
+// Shape an API key for responses, never including the key itself
+const formatApiKey = apiKey => ({
+    id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt,
+});
+
+// List the current user's API keys
+const listApiKeys = async (req, res) => {
+    try {
+        const query = { userId: req.user._id };
+
+        if (req.query.includeRevoked !== 'true') {
+            query.revokedAt = null;
+        }
+
+        const apiKeys = await ApiKey.find(query).sort({ createdAt: -1 });
+
+        res.status(200).json({
+            apiKeys: apiKeys.map(formatApiKey),
+        });
+    } catch (error) {
+        logger.error(`List API keys error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Create a named, scoped API key for the current user
+const createApiKey = async (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body;
+
+        const key = ApiKey.generateKey();
+
+        const apiKey = new ApiKey({
+            userId: req.user._id,
+            organizationId: req.user.organizationId,
+            name,
+            key,
+            scopes,
+            expiresAt: expiresAt || null,
+        });
+
+        await apiKey.save();
+
+        // The key is only stored hashed, so it is only returned once, at creation
+        res.status(201).json({
+            message: 'API key created successfully',
+            apiKey: {
+                ...formatApiKey(apiKey),
+                key,
+            },
+        });
+    } catch (error) {
+        logger.error(`Create API key error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Revoke one of the current user's API keys
+const revokeApiKey = async (req, res) => {
+    try {
+        const { keyId } = req.params;
+
+        const apiKey = await ApiKey.findOne({
+            _id: keyId,
+            userId: req.user._id,
+            revokedAt: null,
+        });
+
+        if (!apiKey) {
+            return res.status(404).json({ message: 'API key not found' });
+        }
+
+        apiKey.revokedAt = new Date();
+        await apiKey.save();
+
+        res.status(200).json({
+            message: 'API key revoked successfully',
+            apiKey: formatApiKey(apiKey),
+        });
+    } catch (error) {
+        logger.error(`Revoke API key error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Get users in the organization
 const getUsersInOrganization = async (req, res) => {
     try {
-        // Only admins can list users
-        if (req.user.role !== 'admin' && req.user.role !== 'superadmin') {
-            return res.status(403).json({
-                message: 'Access denied: Admin privileges required'
-            });
+        if (!(await hasPermission(req, 'users:read'))) {
+            return sendPermissionDenied(res, 'users:read');
         }
 
         const { page = 1, limit = 10 } = req.query;
         
-        // For superadmins, allow passing an organization ID
+        // Platform administrators can pass an organization ID
         let organizationId = req.user.organizationId;
-        if (req.user.role === 'superadmin' && req.query.organizationId) {
+        if (req.query.organizationId && (await hasPermission(req, 'organizations:manage:any'))) {
             organizationId = req.query.organizationId;
         }
         
@@ -177,14 +550,14 @@ const updateUser = async (req, res) => {
         const { id } = req.params;
         const { username, email, role, isActive } = req.body;
         
-        // Regular users can only update themselves
-        // Admins can update any user in their organization
-        // Superadmins can update any user
+        // Users without users:manage can only update themselves
+        // users:manage covers users of the same organization, organizations:manage:any every user
+        const canManageUsers = await hasPermission(req, 'users:manage');
         let user;
         
-        if (req.user.role === 'superadmin') {
+        if (await hasPermission(req, 'organizations:manage:any')) {
             user = await User.findById(id);
-        } else if (req.user.role === 'admin') {
+        } else if (canManageUsers) {
             user = await User.findOne({ 
                 _id: id, 
                 organizationId: req.user.organizationId 
@@ -203,26 +576,59 @@ const updateUser = async (req, res) => {
             return res.status(404).json({ message: 'User not found' });
         }
         
+        const before = { username: user.username, email: user.email, role: user.role, isActive: user.isActive };
+
         // Update fields
         if (username) user.username = username;
-        if (email) user.email = email;
+
+        // A changed address has to be verified again
+        const emailChanged = !!email && email.toLowerCase() !== user.email;
+
+        // The email address can reset the password, so impersonators cannot change it
+        if (emailChanged && req.impersonator) {
+            return res.status(403).json({ message: 'Access denied: Not allowed while impersonating a user' });
+        }
+
+        if (emailChanged) {
+            user.email = email;
+            user.emailVerified = false;
+            user.emailVerifiedAt = null;
+        }
         
-        // Only admins can update roles and active status
-        if ((req.user.role === 'admin' || req.user.role === 'superadmin') && role) {
-            // Admins cannot create superadmins
-            if (req.user.role === 'admin' && role === 'superadmin') {
-                return res.status(403).json({
-                    message: 'Access denied: Cannot create superadmin users'
-                });
+        // Only users with users:manage can update roles and active status
+        if (canManageUsers && role && role !== user.role) {
+            const organization = await Organization.findById(user.organizationId);
+            const refusal = await checkRoleAssignment(req, role, organization);
+            if (refusal) {
+                return res.status(refusal.status).json({ message: refusal.message });
             }
             user.role = role;
         }
         
-        if ((req.user.role === 'admin' || req.user.role === 'superadmin') && isActive !== undefined) {
+        if (canManageUsers && isActive !== undefined) {
             user.isActive = isActive;
         }
         
         await user.save();
+
+        const diff = diffFields(before, user, ['username', 'email', 'role', 'isActive']);
+        if (diff) {
+            await recordAuditEvent(req, {
+                action: 'user.updated',
+                organizationId: user.organizationId,
+                target: { type: 'user', id: user._id, label: user.username },
+                diff,
+            });
+        }
+
+        // Deactivated users lose all of their sessions immediately
+        if (isActive === false && !user.isActive) {
+            await revokeUserSessions(user._id, { revokedBy: req.user._id });
+        }
+
+        if (emailChanged) {
+            await sendVerificationEmail(user);
+        }
         
         res.status(200).json({
             message: 'User updated successfully',
@@ -232,7 +638,8 @@ const updateUser = async (req, res) => {
                 email: user.email,
                 role: user.role,
                 organizationId: user.organizationId,
-                isActive: user.isActive
+                isActive: user.isActive,
+                emailVerified: user.emailVerified
             }
         });
     } catch (error) {
@@ -241,19 +648,108 @@ const updateUser = async (req, res) => {
     }
 };
 
+// Lift the lockout of an account
+const unlockUser = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // Users in the same organization, or any user with organizations:manage:any
+        const query = (await hasPermission(req, 'organizations:manage:any'))
+            ? { _id: id }
+            : { _id: id, organizationId: req.user.organizationId };
+
+        const user = await User.findOne(query);
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        clearFailedLogins(user);
+        await user.save();
+
+        logger.info(`User ${user._id} unlocked by ${req.user._id}`);
+
+        res.status(200).json({
+            message: 'User unlocked successfully',
+            user: {
+                id: user._id,
+                username: user.username,
+                lockout: getLockoutStatus(user)
+            }
+        });
+    } catch (error) {
+        logger.error(`Unlock user error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Issue a short-lived token to act as another user, e.g. to see what they see when debugging
+const impersonateUser = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (id === req.user._id.toString()) {
+            return res.status(400).json({ message: 'You cannot impersonate yourself' });
+        }
+
+        const user = await User.findById(id).select('-password');
+
+        if (!user) {
+            return res.status(404).json({ message: 'User not found' });
+        }
+
+        if (!user.isActive) {
+            return res.status(400).json({ message: 'User account is deactivated' });
+        }
+
+        // Platform administrators cannot borrow each other's permissions
+        if (canImpersonate(user)) {
+            return res.status(403).json({ message: 'Access denied: This user cannot be impersonated' });
+        }
+
+        const { token, expiresIn, expiresAt } = await issueImpersonationToken(user, req.user, getClientInfo(req));
+
+        logger.info(`User ${user._id} impersonated by ${req.user._id}`);
+
+        await recordAuditEvent(req, {
+            action: 'user.impersonation_started',
+            organizationId: user.organizationId,
+            target: { type: 'user', id: user._id, label: user.username },
+            metadata: { expiresAt },
+        });
+
+        res.status(200).json({
+            message: 'Impersonation started',
+            user: {
+                id: user._id,
+                username: user.username,
+                email: user.email,
+                role: user.role,
+                organizationId: user.organizationId
+            },
+            token,
+            expiresIn,
+            expiresAt
+        });
+    } catch (error) {
+        logger.error(`Impersonate user error: ${error.message}`);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
 // Get user by ID
 const getUserById = async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Regular users can only view themselves
-        // Admins can view any user in their organization
-        // Superadmins can view any user
+        // Users without users:read can only view themselves
+        // users:read covers users of the same organization, organizations:manage:any every user
+        const canReadUsers = await hasPermission(req, 'users:read');
         let user;
         
-        if (req.user.role === 'superadmin') {
+        if (await hasPermission(req, 'organizations:manage:any')) {
             user = await User.findById(id).select('-password');
-        } else if (req.user.role === 'admin') {
+        } else if (canReadUsers) {
             user = await User.findOne({ 
                 _id: id, 
                 organizationId: req.user.organizationId 
@@ -281,7 +777,9 @@ const getUserById = async (req, res) => {
                 organizationId: user.organizationId,
                 isActive: user.isActive,
                 createdAt: user.createdAt,
-                updatedAt: user.updatedAt
+                updatedAt: user.updatedAt,
+                // Lockout details are only shown to user administrators
+                ...(canReadUsers && { lockout: getLockoutStatus(user) })
             }
         });
     } catch (error) {
@@ -293,11 +791,8 @@ const getUserById = async (req, res) => {
 // Search for users with filtering options
 const searchUsers = async (req, res) => {
     try {
-        // Only admins and superadmins can search users
-        if (req.user.role !== 'admin' && req.user.role !== 'superadmin') {
-            return res.status(403).json({
-                message: 'Access denied: Admin privileges required'
-            });
+        if (!(await hasPermission(req, 'users:read'))) {
+            return sendPermissionDenied(res, 'users:read');
         }
 
         const { 
@@ -315,11 +810,11 @@ const searchUsers = async (req, res) => {
         const query = {};
         
         // Organization filtering
-        if (req.user.role === 'admin') {
-            // Admins can only see users in their organization
+        if (!(await hasPermission(req, 'organizations:manage:any'))) {
+            // Users can only see users in their organization
             query.organizationId = req.user.organizationId;
-        } else if (req.user.role === 'superadmin' && req.query.organizationId) {
-            // Superadmins can filter by organization
+        } else if (req.query.organizationId) {
+            // Platform administrators can filter by organization
             query.organizationId = req.query.organizationId;
         }
         
@@ -371,17 +866,22 @@ const searchUsers = async (req, res) => {
     }
 };
 
-// Create admin/superadmin user
+// Create a user with a given role
 const createAdminUser = async (req, res) => {
     try {
-        const { username, email, password, role, organizationId } = req.body;
+        const { username, email, password, role = 'user' } = req.body;
 
-        // Only superadmins can create admins/superadmins directly
-        // Regular admins can update roles but not directly create admin users
-        if (req.user.role !== 'superadmin' && (role === 'admin' || role === 'superadmin')) {
-            return res.status(403).json({
-                message: 'Access denied: Superadmin privileges required to create admin users'
-            });
+        // Only platform administrators can create users in other organizations
+        const organizationId =
+            req.body.organizationId && (await hasPermission(req, 'organizations:manage:any'))
+                ? req.body.organizationId
+                : req.user.organizationId;
+
+        // Nobody can create users with more permissions than they have
+        const organization = await Organization.findById(organizationId);
+        const refusal = await checkRoleAssignment(req, role, organization);
+        if (refusal) {
+            return res.status(refusal.status).json({ message: refusal.message });
         }
 
         // Check if user already exists
@@ -400,11 +900,18 @@ const createAdminUser = async (req, res) => {
             username,
             email,
             password,
-            role: role || 'user', // Default to 'user' if not specified
+            role,
             organizationId,
         });
 
         await user.save();
+
+        await recordAuditEvent(req, {
+            action: 'user.created',
+            organizationId: user.organizationId,
+            target: { type: 'user', id: user._id, label: user.username },
+            metadata: { email: user.email, role: user.role },
+        });
         
         res.status(201).json({
             message: 'User created successfully',
@@ -426,10 +933,21 @@ const createAdminUser = async (req, res) => {
 module.exports = {
     register,
     login,
+    refreshToken,
+    logout,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
     getProfile,
     generateApiKey,
+    listApiKeys,
+    createApiKey,
+    revokeApiKey,
     getUsersInOrganization,
     updateUser,
+    unlockUser,
+    impersonateUser,
     getUserById,
     searchUsers,
     createAdminUser
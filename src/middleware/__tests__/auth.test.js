@@ -1,9 +1,24 @@
 const jwt = require('jsonwebtoken');
 const User = require('../../models/user.model');
+const ApiKey = require('../../models/api-key.model');
+const Organization = require('../../models/organization.model');
+const Membership = require('../../models/membership.model');
+const { hashApiKey } = require('../../utils/api-key');
+const { isSessionActive, touchSession } = require('../../utils/auth-tokens');
+const { isTwoFactorRequired } = require('../../utils/two-factor');
+const { canImpersonate, recordImpersonatedRequest } = require('../../utils/impersonation');
+const { recordAuditEvent } = require('../../utils/audit');
 
 // Mock modules before importing the middleware
 jest.mock('jsonwebtoken');
 jest.mock('../../models/user.model');
+jest.mock('../../models/api-key.model');
+jest.mock('../../models/organization.model');
+jest.mock('../../models/membership.model');
+jest.mock('../../utils/auth-tokens');
+jest.mock('../../utils/two-factor');
+jest.mock('../../utils/impersonation');
+jest.mock('../../utils/audit');
 jest.mock('../../utils/logger', () => ({
   error: jest.fn(),
   info: jest.fn(),
@@ -17,7 +32,16 @@ jest.mock('../../config/config', () => ({
 }));
 
 // Import the middleware after mocks are set up
-const { authenticateJWT, authenticateApiKey, requireAdmin } = require('../auth');
+const {
+  authenticateJWT,
+  authenticateApiKey,
+  authenticateJWTOrApiKey,
+  authenticateUserOrOrganization,
+  requireScope,
+  forbidImpersonation,
+  requirePermission,
+  requireAdmin
+} = require('../auth');
 
 describe('Authentication Middleware', () => {
   let req;
@@ -45,11 +69,12 @@ describe('Authentication Middleware', () => {
   describe('authenticateJWT', () => {
     test('should pass for valid JWT token', async () => {
       // Setup
-      const mockUser = { _id: 'user123', username: 'testuser', role: 'user' };
+      const mockUser = { _id: 'user123', username: 'testuser', role: 'user', isActive: true };
       req.headers.authorization = 'Bearer valid_token';
 
-      // Mock jwt.verify to return userId
-      jwt.verify.mockImplementation(() => ({ userId: 'user123' }));
+      // Mock jwt.verify to return userId and session ID
+      jwt.verify.mockImplementation(() => ({ userId: 'user123', sid: 'session123' }));
+      isSessionActive.mockResolvedValue(true);
 
       // Mock User.findById with a chainable select method
       const mockSelectFn = jest.fn().mockResolvedValue(mockUser);
@@ -64,10 +89,119 @@ describe('Authentication Middleware', () => {
       expect(jwt.verify).toHaveBeenCalledWith('valid_token', 'test_secret');
       expect(User.findById).toHaveBeenCalledWith('user123');
       expect(mockSelectFn).toHaveBeenCalledWith('-password');
+      expect(isSessionActive).toHaveBeenCalledWith('user123', 'session123');
       expect(req.user).toEqual(mockUser);
+      expect(req.sessionId).toBe('session123');
+      expect(touchSession).toHaveBeenCalledWith('session123', undefined);
       expect(next).toHaveBeenCalled();
     });
 
+    test('should reject tokens without a session ID', async () => {
+      // Setup
+      req.headers.authorization = 'Bearer legacy_token';
+      jwt.verify.mockImplementation(() => ({ userId: 'user123' }));
+
+      // Execute
+      await authenticateJWT(req, res, next);
+
+      // Verify
+      expect(User.findById).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Invalid or expired token' })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject deactivated users', async () => {
+      // Setup
+      req.headers.authorization = 'Bearer valid_token';
+      jwt.verify.mockImplementation(() => ({ userId: 'user123', sid: 'session123' }));
+      User.findById.mockImplementation(() => ({
+        select: jest.fn().mockResolvedValue({ _id: 'user123', isActive: false })
+      }));
+
+      // Execute
+      await authenticateJWT(req, res, next);
+
+      // Verify
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'User account is deactivated' })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should act in the organization named by the token with the role of the membership', async () => {
+      // Setup
+      const mockUser = {
+        _id: 'user123',
+        role: 'user',
+        organizationId: 'org123',
+        isActive: true,
+        unmarkModified: jest.fn()
+      };
+      req.headers.authorization = 'Bearer valid_token';
+      jwt.verify.mockImplementation(() => ({ userId: 'user123', sid: 'session123', org: 'org456' }));
+      isSessionActive.mockResolvedValue(true);
+      User.findById.mockImplementation(() => ({
+        select: jest.fn().mockResolvedValue(mockUser)
+      }));
+      Membership.findOne = jest.fn().mockResolvedValue({ organizationId: 'org456', role: 'admin' });
+
+      // Execute
+      await authenticateJWT(req, res, next);
+
+      // Verify
+      expect(Membership.findOne).toHaveBeenCalledWith({ userId: 'user123', organizationId: 'org456' });
+      expect(req.user.organizationId).toBe('org456');
+      expect(req.user.role).toBe('admin');
+      expect(req.activeOrganizationId).toBe('org456');
+      // The user document itself must not be moved when it is saved
+      expect(mockUser.unmarkModified).toHaveBeenCalledWith('organizationId');
+      expect(mockUser.unmarkModified).toHaveBeenCalledWith('role');
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject tokens for organizations the user is no longer a member of', async () => {
+      // Setup
+      req.headers.authorization = 'Bearer valid_token';
+      jwt.verify.mockImplementation(() => ({ userId: 'user123', sid: 'session123', org: 'org456' }));
+      isSessionActive.mockResolvedValue(true);
+      User.findById.mockImplementation(() => ({
+        select: jest.fn().mockResolvedValue({ _id: 'user123', organizationId: 'org123', isActive: true })
+      }));
+      Membership.findOne = jest.fn().mockResolvedValue(null);
+
+      // Execute
+      await authenticateJWT(req, res, next);
+
+      // Verify
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'You are no longer a member of this organization' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject when the session has been revoked', async () => {
+      // Setup
+      req.headers.authorization = 'Bearer valid_token';
+      jwt.verify.mockImplementation(() => ({ userId: 'user123', sid: 'session123' }));
+      User.findById.mockImplementation(() => ({
+        select: jest.fn().mockResolvedValue({ _id: 'user123', isActive: true })
+      }));
+      isSessionActive.mockResolvedValue(false);
+
+      // Execute
+      await authenticateJWT(req, res, next);
+
+      // Verify
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Session has been revoked' })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
     test('should reject when no authorization header is present', async () => {
       // Execute
       await authenticateJWT(req, res, next);
@@ -120,7 +254,7 @@ describe('Authentication Middleware', () => {
       req.headers.authorization = 'Bearer valid_token';
       
       // Mock jwt.verify to return userId
-      jwt.verify.mockImplementation(() => ({ userId: 'nonexistent_user' }));
+      jwt.verify.mockImplementation(() => ({ userId: 'nonexistent_user', sid: 'session123' }));
       
       // Mock User.findById with a chainable select method that returns null
       const mockSelectFn = jest.fn().mockResolvedValue(null);
@@ -138,12 +272,150 @@ describe('Authentication Middleware', () => {
       );
       expect(next).not.toHaveBeenCalled();
     });
+
+    describe('with an impersonation token', () => {
+      const mockUser = { _id: 'user123', role: 'user', isActive: true };
+      const mockImpersonator = { _id: 'super123', role: 'superadmin', isActive: true };
+
+      beforeEach(() => {
+        req.headers.authorization = 'Bearer impersonation_token';
+        res.set = jest.fn();
+        jwt.verify.mockImplementation(() => ({ userId: 'user123', sid: 'session123', imp: 'super123' }));
+        isSessionActive.mockResolvedValue(true);
+        User.findById.mockImplementation(id => ({
+          select: jest.fn().mockResolvedValue(id === 'super123' ? mockImpersonator : mockUser)
+        }));
+        canImpersonate.mockReturnValue(true);
+      });
+
+      test('should act as the user and flag and record the request', async () => {
+        // Execute
+        await authenticateJWT(req, res, next);
+
+        // Verify
+        expect(req.user).toEqual(mockUser);
+        expect(req.impersonator).toEqual(mockImpersonator);
+        expect(res.set).toHaveBeenCalledWith('X-Impersonated-By', 'super123');
+        expect(recordImpersonatedRequest).toHaveBeenCalledWith(req, res);
+        expect(next).toHaveBeenCalled();
+      });
+
+      test('should reject the token once the impersonator lost the permission', async () => {
+        canImpersonate.mockReturnValue(false);
+
+        // Execute
+        await authenticateJWT(req, res, next);
+
+        // Verify
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(recordImpersonatedRequest).not.toHaveBeenCalled();
+        expect(next).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe('authenticateApiKey', () => {
+    beforeEach(() => {
+      ApiKey.findOne.mockResolvedValue(null);
+    });
+
+    test('should pass for valid scoped API key', async () => {
+      // Setup
+      const mockUser = { _id: 'user123', username: 'testuser', role: 'user', isActive: true };
+      const mockKey = {
+        _id: 'key123',
+        userId: 'user123',
+        scopes: ['chats:read'],
+        isExpired: jest.fn().mockReturnValue(false)
+      };
+      req.headers['x-api-key'] = 'scoped_api_key';
+      ApiKey.findOne.mockResolvedValue(mockKey);
+      User.findById.mockImplementation(() => ({
+        select: jest.fn().mockResolvedValue(mockUser)
+      }));
+
+      // Execute
+      await authenticateApiKey(req, res, next);
+
+      // Verify
+      expect(ApiKey.findOne).toHaveBeenCalledWith({
+        keyHash: hashApiKey('scoped_api_key'),
+        revokedAt: null
+      });
+      expect(ApiKey.updateOne).toHaveBeenCalledWith(
+        { _id: 'key123' },
+        { lastUsedAt: expect.any(Date) }
+      );
+      expect(req.user).toEqual(mockUser);
+      expect(req.apiKey).toBe(mockKey);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject keys of organizations the owner is no longer a member of', async () => {
+      // Setup
+      req.headers['x-api-key'] = 'scoped_api_key';
+      ApiKey.findOne.mockResolvedValue({
+        _id: 'key123',
+        userId: 'user123',
+        organizationId: 'org456',
+        isExpired: jest.fn().mockReturnValue(false)
+      });
+      User.findById.mockImplementation(() => ({
+        select: jest.fn().mockResolvedValue({ _id: 'user123', organizationId: 'org123', isActive: true })
+      }));
+      Membership.findOne = jest.fn().mockResolvedValue(null);
+
+      // Execute
+      await authenticateApiKey(req, res, next);
+
+      // Verify
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({ message: 'Invalid API key' });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject expired scoped API keys', async () => {
+      // Setup
+      req.headers['x-api-key'] = 'expired_api_key';
+      ApiKey.findOne.mockResolvedValue({
+        userId: 'user123',
+        isExpired: jest.fn().mockReturnValue(true)
+      });
+
+      // Execute
+      await authenticateApiKey(req, res, next);
+
+      // Verify
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'API key has expired' })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject scoped API keys of deactivated users', async () => {
+      // Setup
+      req.headers['x-api-key'] = 'scoped_api_key';
+      ApiKey.findOne.mockResolvedValue({
+        userId: 'user123',
+        isExpired: jest.fn().mockReturnValue(false)
+      });
+      User.findById.mockImplementation(() => ({
+        select: jest.fn().mockResolvedValue({ _id: 'user123', isActive: false })
+      }));
+
+      // Execute
+      await authenticateApiKey(req, res, next);
+
+      // Verify
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(ApiKey.updateOne).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
     test('should pass for valid API key', async () => {
       // Setup
-      const mockUser = { _id: 'user123', username: 'testuser', role: 'user' };
+      const mockUser = { _id: 'user123', username: 'testuser', role: 'user', isActive: true };
       req.headers['x-api-key'] = 'valid_api_key';
 
       // Mock User.findOne with a chainable select method
@@ -156,7 +428,7 @@ describe('Authentication Middleware', () => {
       await authenticateApiKey(req, res, next);
 
       // Verify
-      expect(User.findOne).toHaveBeenCalledWith({ apiKey: 'valid_api_key' });
+      expect(User.findOne).toHaveBeenCalledWith({ apiKeyHash: hashApiKey('valid_api_key') });
       expect(mockSelectFn).toHaveBeenCalledWith('-password');
       expect(req.user).toEqual(mockUser);
       expect(next).toHaveBeenCalled();
@@ -196,25 +468,162 @@ describe('Authentication Middleware', () => {
     });
   });
 
+  describe('authenticateJWTOrApiKey', () => {
+    test('should use API key authentication when an API key is sent', async () => {
+      // Setup
+      req.headers['x-api-key'] = 'valid_api_key';
+      ApiKey.findOne.mockResolvedValue(null);
+      User.findOne.mockImplementation(() => ({
+        select: jest.fn().mockResolvedValue({ _id: 'user123', isActive: true })
+      }));
+
+      // Execute
+      await authenticateJWTOrApiKey(req, res, next);
+
+      // Verify
+      expect(jwt.verify).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should use JWT authentication otherwise', async () => {
+      // Execute
+      await authenticateJWTOrApiKey(req, res, next);
+
+      // Verify
+      expect(ApiKey.findOne).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Authentication token required' })
+      );
+    });
+  });
+
+  describe('authenticateUserOrOrganization', () => {
+    test('should authenticate backend services with an organization API key', async () => {
+      // Setup
+      const mockOrg = { _id: 'org123', isActive: true };
+      req.headers['x-organization-api-key'] = 'org_api_key';
+      Organization.findOne.mockResolvedValue(mockOrg);
+
+      // Execute
+      await authenticateUserOrOrganization(req, res, next);
+
+      // Verify
+      expect(Organization.findOne).toHaveBeenCalledWith({
+        apiKeyHash: hashApiKey('org_api_key'),
+        isActive: true
+      });
+      expect(req.organization).toBe(mockOrg);
+      expect(req.user).toBeNull();
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should fall back to user authentication', async () => {
+      // Execute
+      await authenticateUserOrOrganization(req, res, next);
+
+      // Verify
+      expect(Organization.findOne).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Authentication token required' })
+      );
+    });
+  });
+
+  describe('requireScope', () => {
+    test('should allow requests not authenticated with a scoped API key', () => {
+      // Setup
+      req.user = { role: 'user' };
+
+      // Execute
+      requireScope('chats:write')(req, res, next);
+
+      // Verify
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should allow API keys with the scope', () => {
+      // Setup
+      req.apiKey = { hasScope: jest.fn().mockReturnValue(true) };
+
+      // Execute
+      requireScope('chats:write')(req, res, next);
+
+      // Verify
+      expect(req.apiKey.hasScope).toHaveBeenCalledWith('chats:write');
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should deny API keys without the scope', () => {
+      // Setup
+      req.apiKey = { hasScope: jest.fn().mockReturnValue(false) };
+
+      // Execute
+      requireScope('chats:write')(req, res, next);
+
+      // Verify
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: expect.stringContaining('chats:write') })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('forbidImpersonation', () => {
+    test('should pass requests made by the users themselves', () => {
+      req.user = { _id: 'user123' };
+
+      forbidImpersonation(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject requests made while impersonating', () => {
+      req.user = { _id: 'user123' };
+      req.impersonator = { _id: 'super123' };
+
+      forbidImpersonation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
   describe('requireAdmin', () => {
-    test('should allow access for admin users', () => {
+    test('should allow access for admin users', async () => {
       // Setup
       req.user = { role: 'admin' };
+      isTwoFactorRequired.mockResolvedValue(false);
 
       // Execute
-      requireAdmin(req, res, next);
+      await requireAdmin(req, res, next);
 
       // Verify
       expect(next).toHaveBeenCalled();
       expect(res.status).not.toHaveBeenCalled();
     });
 
-    test('should deny access for non-admin users', () => {
+    test('should allow access for superadmins', async () => {
+      // Setup
+      req.user = { role: 'superadmin' };
+      isTwoFactorRequired.mockResolvedValue(false);
+
+      // Execute
+      await requireAdmin(req, res, next);
+
+      // Verify
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    test('should deny access for non-admin users', async () => {
       // Setup
       req.user = { role: 'user' };
 
       // Execute
-      requireAdmin(req, res, next);
+      await requireAdmin(req, res, next);
 
       // Verify
       expect(res.status).toHaveBeenCalledWith(403);
@@ -224,12 +633,12 @@ describe('Authentication Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
-    test('should deny access when user is not authenticated', () => {
+    test('should deny access when user is not authenticated', async () => {
       // Setup
       req.user = null;
 
       // Execute
-      requireAdmin(req, res, next);
+      await requireAdmin(req, res, next);
 
       // Verify
       expect(res.status).toHaveBeenCalledWith(403);
@@ -238,5 +647,149 @@ describe('Authentication Middleware', () => {
       );
       expect(next).not.toHaveBeenCalled();
     });
+
+    test('should deny admins without 2FA when their organization requires it', async () => {
+      // Setup
+      req.user = { role: 'admin', twoFactorEnabled: false };
+      isTwoFactorRequired.mockResolvedValue(true);
+
+      // Execute
+      await requireAdmin(req, res, next);
+
+      // Verify
+      expect(isTwoFactorRequired).toHaveBeenCalledWith(req.user);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: expect.stringContaining('Two-factor authentication must be enabled') })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should allow admins with 2FA enabled without checking the organization', async () => {
+      // Setup
+      req.user = { role: 'admin', twoFactorEnabled: true };
+
+      // Execute
+      await requireAdmin(req, res, next);
+
+      // Verify
+      expect(isTwoFactorRequired).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('requirePermission', () => {
+    beforeEach(() => {
+      req.params = {};
+      Organization.findById = jest.fn().mockResolvedValue(null);
+      isTwoFactorRequired.mockResolvedValue(false);
+    });
+
+    test('should allow users whose role grants the permission', async () => {
+      // Setup
+      req.user = { _id: 'user123', role: 'admin', organizationId: 'org123', twoFactorEnabled: true };
+
+      // Execute
+      await requirePermission('export:run')(req, res, next);
+
+      // Verify
+      expect(next).toHaveBeenCalled();
+      expect(req.permissions.has('export:run')).toBe(true);
+    });
+
+    test('should deny users whose role lacks the permission', async () => {
+      // Setup
+      req.user = { _id: 'user123', role: 'user', organizationId: 'org123' };
+
+      // Execute
+      await requirePermission('export:run')(req, res, next);
+
+      // Verify
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({ message: "Access denied: 'export:run' permission required" });
+      expect(next).not.toHaveBeenCalled();
+      expect(recordAuditEvent).toHaveBeenCalledWith(req, {
+        action: 'auth.permission_denied',
+        metadata: expect.objectContaining({ permission: 'export:run' })
+      });
+    });
+
+    test('should apply the role customizations of the organization', async () => {
+      // Setup
+      req.user = { _id: 'user123', role: 'analyst', organizationId: 'org123' };
+      Organization.findById = jest.fn().mockResolvedValue({
+        roles: new Map([['analyst', { permissions: ['analytics:read'] }]])
+      });
+
+      // Execute
+      await requirePermission('analytics:read')(req, res, next);
+
+      // Verify
+      expect(Organization.findById).toHaveBeenCalledWith('org123');
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should let users act on their own account without the permission', async () => {
+      // Setup
+      req.user = { _id: 'user123', role: 'user', organizationId: 'org123' };
+      req.params.id = 'user123';
+
+      // Execute
+      await requirePermission('users:manage', { selfParam: 'id' })(req, res, next);
+
+      // Verify
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should give organization API keys access to chats', async () => {
+      // Setup
+      req.organization = { _id: 'org123' };
+
+      // Execute
+      await requirePermission('chats:write:own')(req, res, next);
+
+      // Verify
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should deny privileged permissions to admins without required 2FA', async () => {
+      // Setup
+      req.user = { _id: 'user123', role: 'admin', organizationId: 'org123', twoFactorEnabled: false };
+      isTwoFactorRequired.mockResolvedValue(true);
+
+      // Execute
+      await requirePermission('users:read')(req, res, next);
+
+      // Verify
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: expect.stringContaining('Two-factor authentication must be enabled') })
+      );
+    });
+
+    test('should not require 2FA for what regular users can do', async () => {
+      // Setup
+      req.user = { _id: 'user123', role: 'admin', organizationId: 'org123', twoFactorEnabled: false };
+      isTwoFactorRequired.mockResolvedValue(true);
+
+      // Execute
+      await requirePermission('chats:read:own')(req, res, next);
+
+      // Verify
+      expect(isTwoFactorRequired).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should return 500 when the permissions cannot be resolved', async () => {
+      // Setup
+      req.user = { _id: 'user123', role: 'user', organizationId: 'org123' };
+      Organization.findById = jest.fn().mockRejectedValue(new Error('Database error'));
+
+      // Execute
+      await requirePermission('org:read')(req, res, next);
+
+      // Verify
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
   });
 });
@@ -0,0 +1,179 @@
+const { EventEmitter } = require('events');
+const { idempotent } = require('../idempotency');
+const IdempotencyKey = require('../../models/idempotency-key.model');
+const config = require('../../config/config');
+
+// Mock dependencies
+jest.mock('../../models/idempotency-key.model');
+jest.mock('../../utils/logger');
+
+describe('Idempotency Middleware', () => {
+    let req, res, next, send;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        IdempotencyKey.hashRequest = jest.fn(({ method, path, body }) => `${method} ${path} ${JSON.stringify(body)}`);
+        IdempotencyKey.create = jest.fn().mockResolvedValue({ _id: 'record123' });
+        IdempotencyKey.updateOne = jest.fn().mockResolvedValue({});
+        IdempotencyKey.deleteOne = jest.fn().mockResolvedValue({});
+
+        const headers = { 'idempotency-key': 'retry-1' };
+        req = {
+            method: 'POST',
+            originalUrl: '/api/v1/messages/chat123',
+            body: { role: 'user', content: 'Hello' },
+            user: { _id: 'user123', organizationId: 'org123' },
+            get: jest.fn(name => headers[name.toLowerCase()]),
+        };
+
+        send = jest.fn();
+        res = Object.assign(new EventEmitter(), {
+            statusCode: 200,
+            status: jest.fn(code => {
+                res.statusCode = code;
+                return res;
+            }),
+            json: send,
+            set: jest.fn(),
+        });
+
+        next = jest.fn();
+    });
+
+    test('should skip requests without the header', async () => {
+        req.get = jest.fn().mockReturnValue(undefined);
+
+        await idempotent(req, res, next);
+
+        expect(IdempotencyKey.create).not.toHaveBeenCalled();
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject empty or overlong keys', async () => {
+        req.get = jest.fn().mockReturnValue('x'.repeat(256));
+
+        await idempotent(req, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test('should record the key and store the response of the first request', async () => {
+        const before = Date.now();
+
+        await idempotent(req, res, next);
+
+        expect(IdempotencyKey.create).toHaveBeenCalledWith(
+            expect.objectContaining({
+                key: 'retry-1',
+                organizationId: 'org123',
+                userId: 'user123',
+                requestHash: 'POST /api/v1/messages/chat123 {"role":"user","content":"Hello"}',
+            }),
+        );
+        const { expiresAt } = IdempotencyKey.create.mock.calls[0][0];
+        expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + config.idempotencyKeyRetentionHours * 3600000);
+        expect(next).toHaveBeenCalled();
+
+        // The response is only sent once it has been stored
+        const sent = new Promise(resolve => send.mockImplementation(resolve));
+        res.status(201).json({ message: 'Message added successfully', data: { _id: 'message123' } });
+        await sent;
+
+        expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+            { _id: 'record123' },
+            expect.objectContaining({
+                statusCode: 201,
+                responseBody: { message: 'Message added successfully', data: { _id: 'message123' } },
+            }),
+        );
+        expect(send).toHaveBeenCalledWith({ message: 'Message added successfully', data: { _id: 'message123' } });
+    });
+
+    test('should free the key when the request fails with a server error', async () => {
+        await idempotent(req, res, next);
+
+        const sent = new Promise(resolve => send.mockImplementation(resolve));
+        res.status(500).json({ message: 'Server error' });
+        await sent;
+
+        expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'record123' });
+        expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+        expect(send).toHaveBeenCalledWith({ message: 'Server error' });
+    });
+
+    test('should keep the stored response once it has been sent', async () => {
+        await idempotent(req, res, next);
+
+        const sent = new Promise(resolve => send.mockImplementation(resolve));
+        res.status(201).json({ message: 'Message added successfully' });
+        await sent;
+        res.emit('finish');
+        res.emit('close');
+
+        expect(IdempotencyKey.deleteOne).not.toHaveBeenCalled();
+    });
+
+    test('should free the key when the response is not sent with res.json', async () => {
+        await idempotent(req, res, next);
+
+        res.emit('finish');
+        res.emit('close');
+
+        expect(IdempotencyKey.deleteOne).toHaveBeenCalledTimes(1);
+        expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'record123' });
+        expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should free the key when the client goes away before a response', async () => {
+        await idempotent(req, res, next);
+
+        res.emit('close');
+
+        expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'record123' });
+    });
+
+    describe('replayed keys', () => {
+        beforeEach(() => {
+            IdempotencyKey.create = jest.fn().mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+        });
+
+        test('should return the stored response', async () => {
+            IdempotencyKey.findOne = jest.fn().mockResolvedValue({
+                requestHash: 'POST /api/v1/messages/chat123 {"role":"user","content":"Hello"}',
+                statusCode: 201,
+                responseBody: { message: 'Message added successfully' },
+                completedAt: new Date(),
+            });
+
+            await idempotent(req, res, next);
+
+            expect(IdempotencyKey.findOne).toHaveBeenCalledWith({ key: 'retry-1', organizationId: 'org123', userId: 'user123' });
+            expect(next).not.toHaveBeenCalled();
+            expect(res.set).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+            expect(res.status).toHaveBeenCalledWith(201);
+            expect(send).toHaveBeenCalledWith({ message: 'Message added successfully' });
+        });
+
+        test('should refuse a key reused for a different request', async () => {
+            IdempotencyKey.findOne = jest.fn().mockResolvedValue({ requestHash: 'other', completedAt: new Date() });
+
+            await idempotent(req, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(422);
+        });
+
+        test('should return 409 while the first request is still being processed', async () => {
+            IdempotencyKey.findOne = jest.fn().mockResolvedValue({
+                requestHash: 'POST /api/v1/messages/chat123 {"role":"user","content":"Hello"}',
+                completedAt: null,
+            });
+
+            await idempotent(req, res, next);
+
+            expect(next).not.toHaveBeenCalled();
+            expect(res.status).toHaveBeenCalledWith(409);
+        });
+    });
+});
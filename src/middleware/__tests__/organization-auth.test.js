@@ -4,6 +4,7 @@ const {
     addOrganizationToRequest,
 } = require('../organization-auth');
 const Organization = require('../../models/organization.model');
+const { hashApiKey } = require('../../utils/api-key');
 const logger = require('../../utils/logger');
 
 // Mock dependencies
@@ -49,7 +50,7 @@ describe('Organization Auth Middleware', () => {
 
             // Assert
             expect(Organization.findOne).toHaveBeenCalledWith({
-                apiKey: 'valid-api-key',
+                apiKeyHash: hashApiKey('valid-api-key'),
                 isActive: true,
             });
             expect(req.organization).toEqual(mockOrg);
@@ -240,6 +241,23 @@ describe('Organization Auth Middleware', () => {
             expect(next).toHaveBeenCalled();
         });
 
+        test('should use the organization the token acts in over the user organization', async () => {
+            // Setup
+            req.user = { organizationId: 'org123' };
+            req.activeOrganizationId = 'org456';
+
+            const mockOrg = { _id: 'org456', name: 'Client Org', isActive: true };
+            Organization.findById = jest.fn().mockResolvedValue(mockOrg);
+
+            // Execute
+            await addOrganizationToRequest(req, res, next);
+
+            // Assert
+            expect(Organization.findById).toHaveBeenCalledWith('org456');
+            expect(req.organization).toEqual(mockOrg);
+            expect(next).toHaveBeenCalled();
+        });
+
         test('should not add inactive organization to request', async () => {
             // Setup
             req.user = { organizationId: 'org123' };
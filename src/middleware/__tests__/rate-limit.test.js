@@ -1,4 +1,4 @@
-const { defaultLimiter, authLimiter, apiKeyLimiter } = require('../rate-limit');
+const { defaultLimiter, authLimiter, accountLimiter, apiKeyLimiter } = require('../rate-limit');
 const logger = require('../../utils/logger');
 
 // Mock the logger to avoid actual logging
@@ -107,6 +107,47 @@ describe('Rate Limit Middleware', () => {
             });
             expect(logger.warn).toHaveBeenCalledWith(`Auth rate limit exceeded for IP: 127.0.0.1`);
         });
+
+        it('should count each endpoint separately', () => {
+            const { keyGenerator } = authLimiter.config;
+
+            expect(keyGenerator({ ...mockReq, path: '/login' })).toBe('127.0.0.1:/login');
+            expect(keyGenerator({ ...mockReq, path: '/password/forgot' })).toBe('127.0.0.1:/password/forgot');
+        });
+    });
+
+    describe('accountLimiter', () => {
+        it('should use the normalized email address as the identifier', () => {
+            const { keyGenerator } = accountLimiter.config;
+
+            expect(keyGenerator({ ...mockReq, path: '/login', body: { email: ' Jane@Example.com ' } })).toBe(
+                'jane@example.com:/login',
+            );
+            expect(keyGenerator({ ip: '10.0.0.2', path: '/login', body: { email: 'jane@example.com' } })).toBe(
+                'jane@example.com:/login',
+            );
+        });
+
+        it('should skip requests without an email address', () => {
+            const { skip } = accountLimiter.config;
+
+            expect(skip({ ...mockReq, body: {} })).toBe(true);
+            expect(skip({ ...mockReq, body: { email: ['jane@example.com'] } })).toBe(true);
+            expect(skip({ ...mockReq, body: { email: 'jane@example.com' } })).toBe(false);
+        });
+
+        it('should handle account rate limit exceeded correctly', () => {
+            mockReq.headers['x-trigger-rate-limit'] = 'true';
+            mockReq.path = '/login';
+
+            accountLimiter(mockReq, mockRes, mockNext);
+
+            expect(mockRes.status).toHaveBeenCalledWith(429);
+            expect(mockRes.send).toHaveBeenCalledWith({
+                message: 'Too many attempts for this account, please try again later.',
+            });
+            expect(logger.warn).toHaveBeenCalledWith('Account rate limit exceeded on /login from IP: 127.0.0.1');
+        });
     });
 
     describe('apiKeyLimiter', () => {
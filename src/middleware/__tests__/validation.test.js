@@ -1,4 +1,4 @@
-const { validate, validateQuery, validateObjectId } = require('../validation');
+const { validate, validateQuery, validateObjectId, organizationSchemas } = require('../validation');
 const mongoose = require('mongoose');
 const Joi = require('joi');
 const logger = require('../../utils/logger');
@@ -201,4 +201,34 @@ describe('Validation Middleware', () => {
             expect(logger.error).toHaveBeenCalled();
         });
     });
+
+    describe('organization settings', () => {
+        const validateSettings = settings => organizationSchemas.update.validate({ settings }).error;
+
+        it('should accept known settings with valid values and null to remove them', () => {
+            expect(
+                validateSettings({
+                    allowOpenRegistration: false,
+                    trashRetentionDays: 0,
+                    attachmentMaxBytes: 1024,
+                    attachmentAllowedTypes: ['image/*', 'application/pdf'],
+                    requireAdminTwoFactor: null,
+                })
+            ).toBeUndefined();
+        });
+
+        it('should reject unknown settings', () => {
+            expect(validateSettings({ theme: 'dark' }).message).toContain('"settings.theme" is not allowed');
+        });
+
+        it('should reject values of the wrong type or out of bounds', () => {
+            expect(validateSettings({ allowChatSharing: 'no' })).toBeDefined();
+            expect(validateSettings({ trashRetentionDays: -1 })).toBeDefined();
+            expect(validateSettings({ trashRetentionDays: 1.5 })).toBeDefined();
+            expect(validateSettings({ trashRetentionDays: '30' })).toBeDefined();
+            expect(validateSettings({ attachmentMaxBytes: 0 })).toBeDefined();
+            expect(validateSettings({ attachmentAllowedTypes: 'image/*' })).toBeDefined();
+            expect(validateSettings({ attachmentAllowedTypes: ['images'] })).toBeDefined();
+        });
+    });
 });
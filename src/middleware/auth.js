@@ -1,6 +1,16 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/config');
 const User = require('../models/user.model');
+const ApiKey = require('../models/api-key.model');
+const { authenticateOrganization } = require('./organization-auth');
+const { isSessionActive, touchSession } = require('../utils/auth-tokens');
+const { hashApiKey } = require('../utils/api-key');
+const { isTwoFactorRequired } = require('../utils/two-factor');
+const { canImpersonate, recordImpersonatedRequest } = require('../utils/impersonation');
+const { isHomeOrganization, findMembership, applyMembership } = require('../utils/memberships');
+const { recordAuditEvent } = require('../utils/audit');
+const { hasPermission, sendPermissionDenied } = require('../utils/permissions');
+const { DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
 const logger = require('../utils/logger');
 
 // Middleware to authenticate with JWT
@@ -15,13 +25,64 @@ const authenticateJWT = async (req, res, next) => {
         const token = authHeader.split(' ')[1];
 
         const decoded = jwt.verify(token, config.jwtSecret);
+
+        // Access tokens are bound to a server-side session that can be revoked
+        if (!decoded.sid) {
+            return res.status(401).json({ message: 'Invalid or expired token' });
+        }
+
         const user = await User.findById(decoded.userId).select('-password');
 
         if (!user) {
             return res.status(401).json({ message: 'User not found' });
         }
 
+        if (!user.isActive) {
+            return res.status(401).json({ message: 'User account is deactivated' });
+        }
+
+        if (!(await isSessionActive(user._id, decoded.sid))) {
+            // A token of a revoked session may have been stolen
+            await recordAuditEvent(req, {
+                action: 'auth.revoked_session_used',
+                organizationId: user.organizationId,
+                target: { type: 'user', id: user._id, label: user.username },
+                metadata: { sessionId: decoded.sid },
+            });
+            return res.status(401).json({ message: 'Session has been revoked' });
+        }
+
+        // Impersonation tokens stop working as soon as the impersonator loses the permission
+        let impersonator = null;
+        if (decoded.imp) {
+            impersonator = await User.findById(decoded.imp).select('-password');
+
+            if (!impersonator || !impersonator.isActive || !canImpersonate(impersonator)) {
+                return res.status(401).json({ message: 'Invalid or expired token' });
+            }
+        }
+
+        // Tokens name the organization the user acts in, which may be one they are a member of
+        if (decoded.org && !isHomeOrganization(user, decoded.org)) {
+            const membership = await findMembership(user, decoded.org);
+
+            if (!membership) {
+                return res.status(401).json({ message: 'You are no longer a member of this organization' });
+            }
+            applyMembership(user, membership);
+        }
+
         req.user = user;
+        req.sessionId = decoded.sid;
+        req.activeOrganizationId = user.organizationId;
+        touchSession(decoded.sid, req.ip);
+
+        if (impersonator) {
+            req.impersonator = impersonator;
+            res.set('X-Impersonated-By', impersonator._id.toString());
+            recordImpersonatedRequest(req, res);
+        }
+
         next();
     } catch (error) {
         logger.error(`JWT authentication error: ${error.message}`);
@@ -39,9 +100,44 @@ const authenticateApiKey = async (req, res, next) => {
             return res.status(401).json({ message: 'API key required' });
         }
 
-        const user = await User.findOne({ apiKey }).select('-password');
+        // Keys are only stored hashed, so look them up by hash
+        const keyHash = hashApiKey(apiKey);
 
-        if (!user) {
+        const keyRecord = await ApiKey.findOne({ keyHash, revokedAt: null });
+
+        if (keyRecord) {
+            if (keyRecord.isExpired()) {
+                return res.status(401).json({ message: 'API key has expired' });
+            }
+
+            const owner = await User.findById(keyRecord.userId).select('-password');
+
+            if (!owner || !owner.isActive) {
+                return res.status(401).json({ message: 'Invalid API key' });
+            }
+
+            // Keys act in the organization they were created in
+            if (keyRecord.organizationId && !isHomeOrganization(owner, keyRecord.organizationId)) {
+                const membership = await findMembership(owner, keyRecord.organizationId);
+
+                if (!membership) {
+                    return res.status(401).json({ message: 'Invalid API key' });
+                }
+                applyMembership(owner, membership);
+            }
+
+            await ApiKey.updateOne({ _id: keyRecord._id }, { lastUsedAt: new Date() });
+
+            req.user = owner;
+            req.apiKey = keyRecord;
+            req.activeOrganizationId = owner.organizationId;
+            return next();
+        }
+
+        // Fall back to the legacy single key stored on the user, which is not scope-restricted
+        const user = await User.findOne({ apiKeyHash: keyHash }).select('-password');
+
+        if (!user || !user.isActive) {
             return res.status(401).json({ message: 'Invalid API key' });
         }
 
@@ -53,17 +149,120 @@ const authenticateApiKey = async (req, res, next) => {
     }
 };
 
-// Middleware to require admin role
-const requireAdmin = (req, res, next) => {
-    if (req.user && req.user.role === 'admin') {
+// Middleware to authenticate with an API key when one is sent, and with JWT otherwise
+const authenticateJWTOrApiKey = (req, res, next) => {
+    if (req.headers['x-api-key']) {
+        return authenticateApiKey(req, res, next);
+    }
+
+    return authenticateJWT(req, res, next);
+};
+
+// Middleware to authenticate a user, or a backend service sending an organization API key
+const authenticateUserOrOrganization = (req, res, next) => {
+    if (req.headers['x-organization-api-key']) {
+        return authenticateOrganization(req, res, next);
+    }
+
+    return authenticateJWTOrApiKey(req, res, next);
+};
+
+// Middleware to require a scope on requests authenticated with a scoped API key
+const requireScope = scope => (req, res, next) => {
+    // JWT sessions and legacy user keys are not scope-restricted
+    if (!req.apiKey || req.apiKey.hasScope(scope)) {
+        return next();
+    }
+
+    recordAuditEvent(req, {
+        action: 'auth.scope_denied',
+        metadata: { scope, apiKeyPrefix: req.apiKey.prefix, method: req.method, path: req.originalUrl },
+    });
+
+    return res.status(403).json({ message: `Access denied: API key lacks the '${scope}' scope` });
+};
+
+// Middleware to refuse requests made while impersonating a user, e.g. changes to their credentials
+const forbidImpersonation = (req, res, next) => {
+    if (req.impersonator) {
+        return res.status(403).json({ message: 'Access denied: Not allowed while impersonating a user' });
+    }
+
+    return next();
+};
+
+// Respond with 403 when the organization requires two-factor authentication the user has not enabled
+const rejectMissingTwoFactor = async (req, res) => {
+    if (req.user.twoFactorEnabled || !(await isTwoFactorRequired(req.user))) {
+        return false;
+    }
+
+    res.status(403).json({
+        message: 'Access denied: Two-factor authentication must be enabled for admin accounts',
+    });
+    return true;
+};
+
+/**
+ * Middleware to require a permission of the requester's role (see src/config/permissions.js)
+ * @param {string} permission - Required permission
+ * @param {Object} [options]
+ * @param {string} [options.selfParam] - Route parameter holding a user ID; users acting on their own
+ *   account do not need the permission
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (permission, { selfParam } = {}) => async (req, res, next) => {
+    try {
+        if (selfParam && req.user && req.params[selfParam] === req.user._id.toString()) {
+            return next();
+        }
+
+        if (!(await hasPermission(req, permission))) {
+            await recordAuditEvent(req, {
+                action: 'auth.permission_denied',
+                metadata: { permission, method: req.method, path: req.originalUrl },
+            });
+            return sendPermissionDenied(res, permission);
+        }
+
+        // Organizations can require admins to enroll in two-factor authentication before
+        // using anything beyond what regular users can do
+        if (req.user && !DEFAULT_ROLE_PERMISSIONS.user.includes(permission) && (await rejectMissingTwoFactor(req, res))) {
+            return;
+        }
+
         return next();
+    } catch (error) {
+        logger.error(`Permission check error: ${error.message}`);
+        return res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// Middleware to require the admin or superadmin role; prefer requirePermission() for new routes
+const requireAdmin = async (req, res, next) => {
+    if (!req.user || !['admin', 'superadmin'].includes(req.user.role)) {
+        return res.status(403).json({ message: 'Access denied: Admin privileges required' });
+    }
+
+    try {
+        if (await rejectMissingTwoFactor(req, res)) {
+            return;
+        }
+    } catch (error) {
+        logger.error(`Admin check error: ${error.message}`);
+        return res.status(500).json({ message: 'Server error' });
     }
 
-    return res.status(403).json({ message: 'Access denied: Admin privileges required' });
+    return next();
 };
 
 module.exports = {
     authenticateJWT,
     authenticateApiKey,
+    authenticateJWTOrApiKey,
+    authenticateUserOrOrganization,
+    requireScope,
+    forbidImpersonation,
+    requirePermission,
     requireAdmin
 };
@@ -0,0 +1,98 @@
+const IdempotencyKey = require('../models/idempotency-key.model');
+const config = require('../config/config');
+const { getOrganizationId } = require('../utils/chat-access');
+const logger = require('../utils/logger');
+
+const HOUR_IN_MS = 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// Replay the stored response of a request that used the same `Idempotency-Key` header, or record the
+// response of this one. Requests without the header are not affected.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const scope = {
+    key,
+    organizationId: getOrganizationId(req),
+    userId: req.user ? req.user._id : null,
+  };
+  const requestHash = IdempotencyKey.hashRequest({ method: req.method, path: req.originalUrl, body: req.body });
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      ...scope,
+      requestHash,
+      expiresAt: new Date(Date.now() + config.idempotencyKeyRetentionHours * HOUR_IN_MS),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      logger.error(`Idempotency key error: ${error.message}`);
+      return res.status(500).json({ message: 'Server error' });
+    }
+
+    try {
+      const existing = await IdempotencyKey.findOne(scope);
+
+      if (existing && existing.requestHash !== requestHash) {
+        return res.status(422).json({ message: 'Idempotency-Key has already been used for a different request' });
+      }
+
+      if (!existing || !existing.completedAt) {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.responseBody);
+    } catch (lookupError) {
+      logger.error(`Idempotency key lookup error: ${lookupError.message}`);
+      return res.status(500).json({ message: 'Server error' });
+    }
+  }
+
+  // Store the response before sending it, so a retry arriving right after it can be answered.
+  // Server errors are not stored and free the key for another attempt.
+  let captured = false;
+  const json = res.json.bind(res);
+  res.json = body => {
+    captured = true;
+    const saved = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        // Stored as sent, so a replay gets exactly the same JSON
+        { statusCode: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)), completedAt: new Date() },
+      );
+
+    Promise.resolve(saved)
+      .catch(error => logger.error(`Idempotency key save error: ${error.message}`))
+      .then(() => json(body));
+
+    return res;
+  };
+
+  // Responses sent without res.json (res.send, res.end, streams) or not at all, e.g. when the client went
+  // away, cannot be replayed: free the key so retries are processed instead of answered with 409
+  const release = () => {
+    if (captured) return;
+    captured = true;
+    IdempotencyKey.deleteOne({ _id: record._id })
+      .catch(error => logger.error(`Idempotency key release error: ${error.message}`));
+  };
+  res.once('finish', release);
+  res.once('close', release);
+
+  next();
+};
+
+module.exports = {
+  idempotent,
+};
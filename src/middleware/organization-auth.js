@@ -1,4 +1,5 @@
 const Organization = require('../models/organization.model');
+const { hashApiKey } = require('../utils/api-key');
 const logger = require('../utils/logger');
 
 // Middleware to authenticate organization with API key
@@ -10,7 +11,11 @@ const authenticateOrganization = async (req, res, next) => {
       return res.status(401).json({ message: 'Organization API key required' });
     }
     
-    const organization = await Organization.findOne({ apiKey: orgApiKey, isActive: true });
+    // Keys are only stored hashed, so look them up by hash
+    const organization = await Organization.findOne({
+      apiKeyHash: hashApiKey(orgApiKey),
+      isActive: true
+    });
     
     if (!organization) {
       return res.status(401).json({ message: 'Invalid or disabled organization API key' });
@@ -54,10 +59,12 @@ const addOrganizationToRequest = (req, res, next) => {
     return next();
   }
   
-  // If user is authenticated, set organization from user
-  if (req.user && req.user.organizationId) {
+  // The organization the user acts in comes from their token or API key, and defaults to their own
+  const organizationId = req.activeOrganizationId || (req.user && req.user.organizationId);
+
+  if (organizationId) {
     // Find and attach the organization
-    Organization.findById(req.user.organizationId)
+    Organization.findById(organizationId)
       .then(organization => {
         if (organization && organization.isActive) {
           req.organization = organization;
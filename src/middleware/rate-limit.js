@@ -1,5 +1,6 @@
 const rateLimit = require('express-rate-limit');
 const logger = require('../utils/logger');
+const { getApiKeyPrefix } = require('../utils/api-key');
 
 // Default rate limit configuration
 const defaultLimiter = rateLimit({
@@ -14,12 +15,17 @@ const defaultLimiter = rateLimit({
   }
 });
 
+// Normalized email address an authentication request is about, if any
+const getAccountEmail = (req) =>
+  req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : null;
+
 // Stricter rate limit for authentication endpoints
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  limit: 10, // Limit each IP to 10 requests per windowMs
+  limit: 10, // Limit each IP to 10 requests per windowMs on each endpoint
   standardHeaders: true,
   legacyHeaders: false,
+  keyGenerator: (req) => `${req.ip}:${req.path}`, // Logging in does not use up the budget for password resets
   message: { message: 'Too many login attempts, please try again later.' },
   handler: (req, res, next, options) => {
     logger.warn(`Auth rate limit exceeded for IP: ${req.ip}`);
@@ -27,6 +33,21 @@ const authLimiter = rateLimit({
   }
 });
 
+// Rate limit per account for authentication endpoints, so that attempts spread over many IPs still count
+const accountLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  limit: 10, // Limit each email address to 10 requests per windowMs on each endpoint
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${getAccountEmail(req)}:${req.path}`,
+  skip: (req) => !getAccountEmail(req), // Requests without an email are covered by authLimiter
+  message: { message: 'Too many attempts for this account, please try again later.' },
+  handler: (req, res, next, options) => {
+    logger.warn(`Account rate limit exceeded on ${req.path} from IP: ${req.ip}`);
+    res.status(options.statusCode).send(options.message);
+  }
+});
+
 // API key rate limit for third-party integrations
 const apiKeyLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
@@ -36,7 +57,8 @@ const apiKeyLimiter = rateLimit({
   keyGenerator: (req) => req.headers['x-api-key'] || req.ip, // Use API key as identifier
   message: { message: 'API rate limit exceeded, please try again later.' },
   handler: (req, res, next, options) => {
-    const apiKey = req.headers['x-api-key'] || 'unknown';
+    // Only log the visible prefix, never the full key
+    const apiKey = req.headers['x-api-key'] ? getApiKeyPrefix(req.headers['x-api-key']) : 'unknown';
     logger.warn(`API rate limit exceeded for API key: ${apiKey}`);
     res.status(options.statusCode).send(options.message);
   }
@@ -45,5 +67,6 @@ const apiKeyLimiter = rateLimit({
 module.exports = {
   defaultLimiter,
   authLimiter,
+  accountLimiter,
   apiKeyLimiter
 };
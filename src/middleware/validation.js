@@ -1,6 +1,9 @@
 const Joi = require('joi');
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const ApiKey = require('../models/api-key.model');
+const { ORGANIZATION_PERMISSIONS, ROLE_NAME_PATTERN } = require('../config/permissions');
+const { CUSTOM_FIELD_TYPES, CUSTOM_FIELD_NAME_PATTERN } = require('../utils/custom-fields');
 
 // Helper function to validate MongoDB ObjectId
 const objectIdValidator = (value, helpers) => {
@@ -70,7 +73,7 @@ const userSchemas = {
     username: Joi.string().min(2).max(50).optional(),
     email: Joi.string().email().required(),
     password: Joi.string().min(6).required(),
-    role: Joi.string().valid('user', 'admin', 'superadmin').default('user'),
+    role: Joi.string().pattern(ROLE_NAME_PATTERN).default('user'),
     organizationId: Joi.string().custom(objectIdValidator).optional(),
     isActive: Joi.boolean().optional().default(true),
     metadata: Joi.object().optional()
@@ -81,7 +84,7 @@ const userSchemas = {
     username: Joi.string().min(2).max(50).optional(),
     email: Joi.string().email().optional(),
     password: Joi.string().min(6).optional(),
-    role: Joi.string().valid('user', 'admin', 'superadmin').optional(),
+    role: Joi.string().pattern(ROLE_NAME_PATTERN).optional(),
     isActive: Joi.boolean().optional(),
     metadata: Joi.object().optional()
   }),
@@ -98,10 +101,71 @@ const userSchemas = {
     password: Joi.string().required()
   }),
 
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required()
+  }),
+
+  logout: Joi.object({
+    allSessions: Joi.boolean().optional()
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).required()
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().required()
+  }),
+
+  resendVerification: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  acceptInvitation: Joi.object({
+    token: Joi.string().required(),
+    username: Joi.string().min(2).max(50).required(),
+    password: Joi.string().min(6).required()
+  }),
+
+  joinOrganization: Joi.object({
+    token: Joi.string().required()
+  }),
+
+  switchOrganization: Joi.object({
+    organizationId: Joi.string().custom(objectIdValidator).required()
+  }),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  disableTwoFactor: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string()
+  }).xor('code', 'recoveryCode'),
+
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string()
+  }).xor('code', 'recoveryCode'),
+
+  createApiKey: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid(...ApiKey.SCOPES)).min(1).unique().required(),
+    expiresAt: Joi.date().iso().greater('now').optional()
+  }),
+
   search: Joi.object({
     username: Joi.string().optional(),
     email: Joi.string().optional(),
-    role: Joi.string().valid('user', 'admin', 'superadmin').optional(),
+    role: Joi.string().pattern(ROLE_NAME_PATTERN).optional(),
     isActive: Joi.string().valid('true', 'false').optional(),
     organizationId: Joi.string().custom(objectIdValidator).optional(),
     sortBy: Joi.string().valid('username', 'email', 'role', 'createdAt', 'updatedAt').default('username'),
@@ -120,52 +184,167 @@ const chatSchemas = {
     source: Joi.string().valid('web', 'mobile', 'api', 'widget').default('web'),
     tags: Joi.array().items(Joi.string()).optional(),
     model: Joi.string().optional(),
-    systemPrompt: Joi.string().optional(),
-    metadata: Joi.object().optional()
+    systemPrompt: Joi.string().max(100000).optional(),
+    externalUserId: Joi.string().max(200).optional(),
+    teamId: Joi.string().custom(objectIdValidator).optional(),
+    metadata: Joi.object().optional(),
+    // Values are checked against the field definitions of the organization
+    customFields: Joi.object().pattern(CUSTOM_FIELD_NAME_PATTERN, Joi.any()).optional()
   }),
   
   update: Joi.object({
     title: Joi.string().min(1).max(100).optional(),
-    model: Joi.string().optional(),
-    systemPrompt: Joi.string().optional(),
-    metadata: Joi.object().optional()
+    teamId: Joi.string().custom(objectIdValidator).allow(null).optional(),
+    model: Joi.string().allow(null).optional(),
+    systemPrompt: Joi.string().max(100000).allow(null).optional(),
+    metadata: Joi.object().optional(),
+    customFields: Joi.object().pattern(CUSTOM_FIELD_NAME_PATTERN, Joi.any()).optional()
   }),
   
-  pagination: paginationSchema
+  pagination: paginationSchema.keys({
+    isActive: Joi.string().valid('true', 'false').optional(),
+    externalUserId: Joi.string().max(200).optional(),
+    teamId: Joi.string().custom(objectIdValidator).optional()
+  }),
+
+  // `fields.<name>=<value>` matches chats by the value of a custom field
+  search: paginationSchema.keys({
+    query: Joi.string().allow('').optional()
+  }).pattern(/^fields\./, Joi.string().max(500)),
+
+  trash: paginationSchema,
+
+  share: Joi.object({
+    permission: Joi.string().valid('read', 'comment').default('read')
+  }),
+
+  createShareLink: Joi.object({
+    expiresInDays: Joi.number().integer().min(1).max(365).optional()
+  }),
+
+  comment: Joi.object({
+    content: Joi.string().trim().min(1).max(5000).required()
+  }),
+
+  fork: Joi.object({
+    messageId: Joi.string().custom(objectIdValidator).required(),
+    title: Joi.string().min(1).max(100).optional()
+  }),
+
+  // The file itself is the request body, with its type as Content-Type
+  uploadAttachment: Joi.object({
+    filename: Joi.string().trim().min(1).max(255).pattern(/^[^/\\]+$/).required()
+  })
 };
 
+// Content parts of multimodal messages; images, files and audio are an uploaded attachment or a URL
+const contentPartSchema = Joi.alternatives().conditional(Joi.object({ type: 'text' }).unknown(), {
+  then: Joi.object({
+    type: Joi.string().valid('text').required(),
+    text: Joi.string().required()
+  }),
+  otherwise: Joi.object({
+    type: Joi.string().valid('image', 'file', 'audio').required(),
+    attachmentId: Joi.string().custom(objectIdValidator),
+    url: Joi.string().uri({ scheme: ['https', 'http'] }),
+    mimeType: Joi.string().max(255).optional(),
+    name: Joi.string().max(255).optional(),
+    transcript: Joi.string().when('type', { is: 'audio', otherwise: Joi.forbidden() }),
+    detail: Joi.string().valid('low', 'high', 'auto').when('type', { is: 'image', otherwise: Joi.forbidden() })
+  }).xor('attachmentId', 'url')
+});
+
+// Tool calls, flat or in the OpenAI format with the name and arguments nested under `function`
+const toolCallSchema = Joi.object({
+  id: Joi.string().max(255).required(),
+  type: Joi.string().max(50).optional(),
+  name: Joi.string().max(200),
+  function: Joi.object({
+    name: Joi.string().max(200).required(),
+    arguments: Joi.any().optional()
+  }),
+  arguments: Joi.any().optional(),
+  result: Joi.any().optional(),
+  status: Joi.string().valid('pending', 'success', 'error').optional(),
+  error: Joi.string().max(5000).optional(),
+  durationMs: Joi.number().min(0).optional()
+}).xor('name', 'function').without('function', 'arguments');
+
+const functionCallSchema = Joi.object({
+  name: Joi.string().max(200).required(),
+  arguments: Joi.any().optional()
+});
+
 // Message schemas
 const messageSchemas = {
   create: Joi.object({
     role: Joi.string().valid('system', 'user', 'assistant', 'function', 'tool').required(),
-    content: Joi.string().required(),
+    content: Joi.string(),
+    contentParts: Joi.array().items(contentPartSchema).min(1),
+    parentMessageId: Joi.string().custom(objectIdValidator).allow(null).optional(),
+    clientMessageId: Joi.string().trim().max(255).optional(),
     name: Joi.string().optional(),
-    functionCall: Joi.object().optional(),
-    toolCalls: Joi.array().items(Joi.object()).optional(),
+    functionCall: functionCallSchema.optional(),
+    toolCalls: Joi.array().items(toolCallSchema).unique('id').optional(),
+    toolCallId: Joi.string().max(255).when('role', { is: 'tool', otherwise: Joi.forbidden() }),
+    isError: Joi.boolean().when('toolCallId', { is: Joi.exist(), otherwise: Joi.forbidden() }),
+    model: Joi.string().max(200).optional(),
     metadata: Joi.object().optional(),
     tokens: Joi.number().integer().min(0).optional(),
     promptTokens: Joi.number().integer().min(0).optional(),
     completionTokens: Joi.number().integer().min(0).optional(),
     latency: Joi.number().integer().min(0).optional()
-  }),
+  }).or('content', 'contentParts'),
   
   batchCreate: Joi.object({
     messages: Joi.array().items(
       Joi.object({
         role: Joi.string().valid('system', 'user', 'assistant', 'function', 'tool').required(),
-        content: Joi.string().required(),
+        content: Joi.string(),
+        contentParts: Joi.array().items(contentPartSchema).min(1),
+        parentMessageId: Joi.string().custom(objectIdValidator).allow(null).optional(),
+        clientMessageId: Joi.string().trim().max(255).optional(),
         name: Joi.string().optional(),
-        functionCall: Joi.object().optional(),
-        toolCalls: Joi.array().items(Joi.object()).optional(),
+        functionCall: functionCallSchema.optional(),
+        toolCalls: Joi.array().items(toolCallSchema).unique('id').optional(),
+        toolCallId: Joi.string().max(255).when('role', { is: 'tool', otherwise: Joi.forbidden() }),
+        isError: Joi.boolean().when('toolCallId', { is: Joi.exist(), otherwise: Joi.forbidden() }),
+        model: Joi.string().max(200).optional(),
         metadata: Joi.object().optional(),
         tokens: Joi.number().integer().min(0).optional(),
         promptTokens: Joi.number().integer().min(0).optional(),
         completionTokens: Joi.number().integer().min(0).optional(),
         latency: Joi.number().integer().min(0).optional()
-      })
+      }).or('content', 'contentParts')
     ).min(1).required()
   }),
   
+  // Opens a streaming message; its content arrives in chunks
+  streamStart: Joi.object({
+    role: Joi.string().valid('system', 'user', 'assistant', 'function', 'tool').default('assistant'),
+    content: Joi.string().allow('').optional(),
+    parentMessageId: Joi.string().custom(objectIdValidator).allow(null).optional(),
+    clientMessageId: Joi.string().trim().max(255).optional(),
+    name: Joi.string().optional(),
+    model: Joi.string().max(200).optional(),
+    metadata: Joi.object().optional()
+  }),
+
+  streamChunk: Joi.object({
+    content: Joi.string().required(),
+    sequence: Joi.number().integer().min(0).optional()
+  }),
+
+  streamFinish: Joi.object({
+    aborted: Joi.boolean().optional(),
+    toolCalls: Joi.array().items(toolCallSchema).unique('id').optional(),
+    metadata: Joi.object().optional(),
+    tokens: Joi.number().integer().min(0).optional(),
+    promptTokens: Joi.number().integer().min(0).optional(),
+    completionTokens: Joi.number().integer().min(0).optional(),
+    latency: Joi.number().integer().min(0).optional()
+  }),
+
   update: Joi.object({
     content: Joi.string().optional(),
     metadata: Joi.object().optional(),
@@ -177,25 +356,139 @@ const messageSchemas = {
   
   pagination: paginationSchema.keys({
     sortBy: Joi.string().valid('createdAt', 'role').default('createdAt')
+  }),
+
+  toolCalls: Joi.object({
+    name: Joi.string().max(200).optional(),
+    status: Joi.string().valid('pending', 'success', 'error').optional()
   })
 };
 
+// Settings organizations can change; other features read them, so unknown keys are refused and a null value removes a setting
+const organizationSettingsSchema = Joi.object({
+  allowOpenRegistration: Joi.boolean().allow(null),
+  requireEmailVerification: Joi.boolean().allow(null),
+  requireAdminTwoFactor: Joi.boolean().allow(null),
+  allowChatSharing: Joi.boolean().allow(null),
+  trashRetentionDays: Joi.number().integer().min(0).max(3650).allow(null),
+  attachmentMaxBytes: Joi.number().integer().min(1).max(1024 * 1024 * 1024).allow(null),
+  attachmentAllowedTypes: Joi.array()
+    .items(Joi.string().pattern(/^([a-z0-9][a-z0-9!#$&^_.+-]*|\*)\/([a-z0-9][a-z0-9!#$&^_.+-]*|\*)$/i))
+    .max(100)
+    .unique()
+    .allow(null)
+}).strict(); // Values are stored as sent, so strings such as '30' are not converted
+
 // Organization schemas
 const organizationSchemas = {
   create: Joi.object({
     name: Joi.string().min(2).max(100).required(),
-    apiKey: Joi.string().optional(),
-    settings: Joi.object().optional(),
+    settings: organizationSettingsSchema.optional(),
     metadata: Joi.object().optional()
   }),
   
   update: Joi.object({
     name: Joi.string().min(2).max(100).optional(),
-    apiKey: Joi.string().optional(),
-    settings: Joi.object().optional(),
+    settings: organizationSettingsSchema.optional(),
     metadata: Joi.object().optional()
   }),
   
+  sso: Joi.object({
+    enabled: Joi.boolean().optional(),
+    issuer: Joi.string().uri({ scheme: ['https', 'http'] }).optional(),
+    clientId: Joi.string().max(200).optional(),
+    clientSecret: Joi.string().max(500).allow(null).optional(),
+    scopes: Joi.array().items(Joi.string()).has(Joi.string().valid('openid')).unique().optional(),
+    roleClaim: Joi.string().max(100).allow(null).optional(),
+    roleMapping: Joi.object().pattern(Joi.string(), Joi.string().valid('user', 'admin')).optional(),
+    defaultRole: Joi.string().valid('user', 'admin').optional(),
+    allowJitProvisioning: Joi.boolean().optional()
+  }),
+
+  createInvitation: Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().pattern(ROLE_NAME_PATTERN).default('user'),
+    expiresInDays: Joi.number().integer().min(1).max(90).optional()
+  }),
+
+  role: Joi.object({
+    permissions: Joi.array().items(Joi.string().valid(...Object.keys(ORGANIZATION_PERMISSIONS))).unique().required(),
+    description: Joi.string().max(200).allow('').optional()
+  }),
+
+  auditLog: Joi.object({
+    // Comma-separated event names; `user.*` matches every event starting with `user.`
+    action: Joi.string().pattern(/^[a-z_.*,]+$/).max(500).optional(),
+    actorId: Joi.string().custom(objectIdValidator).optional(),
+    targetType: Joi.string().max(50).optional(),
+    targetId: Joi.string().max(100).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional(),
+    format: Joi.string().valid('json', 'csv').default('json'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  listMembers: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10)
+  }),
+
+  updateMember: Joi.object({
+    role: Joi.string().pattern(ROLE_NAME_PATTERN).required()
+  }),
+
+  createTeam: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    description: Joi.string().max(500).allow('').optional(),
+    members: Joi.array().items(Joi.string().custom(objectIdValidator)).unique().optional()
+  }),
+
+  updateTeam: Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    description: Joi.string().max(500).allow('').optional()
+  }).min(1),
+
+  addTeamMember: Joi.object({
+    userId: Joi.string().custom(objectIdValidator).required()
+  }),
+
+  customField: Joi.object({
+    type: Joi.string().valid(...CUSTOM_FIELD_TYPES).required(),
+    required: Joi.boolean().default(false),
+    enum: Joi.alternatives().conditional('type', {
+      switch: [
+        { is: 'string', then: Joi.array().items(Joi.string().max(200)).min(1).unique() },
+        { is: 'number', then: Joi.array().items(Joi.number()).min(1).unique() }
+      ],
+      otherwise: Joi.forbidden()
+    }),
+    description: Joi.string().max(200).allow('').optional()
+  }),
+
+  listPrices: Joi.object({
+    model: Joi.string().max(200).optional()
+  }),
+
+  createPrice: Joi.object({
+    model: Joi.string().trim().min(1).max(200).required(),
+    inputPricePer1K: Joi.number().min(0).required(),
+    outputPricePer1K: Joi.number().min(0).required(),
+    effectiveFrom: Joi.date().iso().optional()
+  }),
+
+  updatePrice: Joi.object({
+    inputPricePer1K: Joi.number().min(0).optional(),
+    outputPricePer1K: Joi.number().min(0).optional(),
+    effectiveFrom: Joi.date().iso().optional()
+  }).min(1),
+
+  listInvitations: Joi.object({
+    status: Joi.string().valid('pending', 'accepted', 'revoked', 'expired', 'all').default('pending'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10)
+  }),
+
   pagination: paginationSchema.keys({
     sortBy: Joi.string().valid('createdAt', 'name').default('name')
   })
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/organization.model');
+const User = require('../models/user.model');
+const ApiKey = require('../models/api-key.model');
+const { hashApiKey, getApiKeyPrefix } = require('../utils/api-key');
+const logger = require('../utils/logger');
+
+/**
+ * Replace the plaintext key of every document in a collection with its hash and prefix
+ * @param {Object} model - Mongoose model whose collection is migrated
+ * @param {Object} fields - Names of the plaintext, hash and prefix fields
+ * @returns {Promise<number>} Number of migrated documents
+ */
+const migrateCollection = async (model, { plain, hash, prefix }) => {
+    // Work on the raw collection: the plaintext field is no longer part of the schema
+    const cursor = model.collection.find({ [plain]: { $type: 'string' } });
+    let migrated = 0;
+
+    for await (const doc of cursor) {
+        await model.collection.updateOne(
+            { _id: doc._id },
+            {
+                $set: { [hash]: hashApiKey(doc[plain]), [prefix]: getApiKeyPrefix(doc[plain]) },
+                $unset: { [plain]: '' },
+            },
+        );
+        migrated++;
+    }
+
+    // The unique index on the plaintext field would now reject every document without a key
+    const indexName = `${plain}_1`;
+    try {
+        if (await model.collection.indexExists(indexName)) {
+            await model.collection.dropIndex(indexName);
+            logger.info(`Dropped index ${indexName} on ${model.collection.collectionName}`);
+        }
+    } catch (error) {
+        // Nothing to drop when the collection does not exist yet
+        if (error.codeName !== 'NamespaceNotFound') {
+            throw error;
+        }
+    }
+
+    return migrated;
+};
+
+/**
+ * Hash every API key that is still stored in plaintext. Safe to run more than once.
+ * @returns {Promise<Object>} Number of migrated documents per collection
+ */
+const hashApiKeys = async () => {
+    const result = {
+        organizations: await migrateCollection(Organization, {
+            plain: 'apiKey',
+            hash: 'apiKeyHash',
+            prefix: 'apiKeyPrefix',
+        }),
+        users: await migrateCollection(User, {
+            plain: 'apiKey',
+            hash: 'apiKeyHash',
+            prefix: 'apiKeyPrefix',
+        }),
+        apiKeys: await migrateCollection(ApiKey, {
+            plain: 'key',
+            hash: 'keyHash',
+            prefix: 'prefix',
+        }),
+    };
+
+    // Create the indexes on the hash fields
+    await Promise.all([
+        Organization.createIndexes(),
+        User.createIndexes(),
+        ApiKey.createIndexes(),
+    ]);
+
+    return result;
+};
+
+// Allow running the migration directly: `npm run migrate:hash-api-keys`
+if (require.main === module) {
+    const connectDB = require('../utils/db');
+
+    connectDB()
+        .then(hashApiKeys)
+        .then(result => {
+            logger.info(
+                `Hashed API keys of ${result.organizations} organizations, ${result.users} users and ${result.apiKeys} API keys`,
+            );
+            return mongoose.disconnect();
+        })
+        .catch(error => {
+            logger.error(`API key migration failed: ${error.message}`);
+            process.exit(1);
+        });
+}
+
+module.exports = hashApiKeys;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../api-key.model');
+const setupTestDB = require('../../../tests/setupTests');
+
+describe('ApiKey Model', () => {
+    // Connect to the in-memory database before tests
+    beforeAll(async () => {
+        await setupTestDB();
+    });
+
+    // Clear database between tests
+    beforeEach(async () => {
+        await setupTestDB.clearDatabase();
+    });
+
+    // Disconnect and close the db after tests
+    afterAll(async () => {
+        await setupTestDB.closeDatabase();
+    });
+
+    const validKeyData = () => ({
+        userId: new mongoose.Types.ObjectId(),
+        organizationId: new mongoose.Types.ObjectId(),
+        name: '  Production logger  ',
+        key: ApiKey.generateKey(),
+        scopes: ['chats:write', 'messages:write'],
+    });
+
+    it('should create a valid API key', async () => {
+        const apiKey = await ApiKey.create(validKeyData());
+
+        const saved = await ApiKey.findById(apiKey._id);
+        expect(saved).toBeTruthy();
+        expect(saved.name).toBe('Production logger');
+        expect(saved.keyHash).toHaveLength(64);
+        expect(saved.prefix.startsWith('clk_')).toBe(true);
+        expect(saved.expiresAt).toBeNull();
+        expect(saved.lastUsedAt).toBeNull();
+        expect(saved.revokedAt).toBeNull();
+    });
+
+    it('should reject unknown scopes', async () => {
+        const apiKey = new ApiKey({ ...validKeyData(), scopes: ['users:delete'] });
+
+        let validationError;
+        try {
+            await apiKey.save();
+        } catch (error) {
+            validationError = error;
+        }
+        expect(validationError).toBeDefined();
+    });
+
+    it('should require a name', async () => {
+        const data = validKeyData();
+        delete data.name;
+
+        let validationError;
+        try {
+            await new ApiKey(data).save();
+        } catch (error) {
+            validationError = error;
+        }
+        expect(validationError).toBeDefined();
+        expect(validationError.errors.name).toBeDefined();
+    });
+
+    it('should check scopes and expiry', () => {
+        const apiKey = new ApiKey({
+            ...validKeyData(),
+            expiresAt: new Date(Date.now() - 1000),
+        });
+
+        expect(apiKey.hasScope('chats:write')).toBe(true);
+        expect(apiKey.hasScope('analytics:read')).toBe(false);
+        expect(apiKey.isExpired()).toBe(true);
+        expect(new ApiKey(validKeyData()).isExpired()).toBe(false);
+    });
+});
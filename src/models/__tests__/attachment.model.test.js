@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const Attachment = require('../attachment.model');
+
+describe('Attachment Model', () => {
+    const createAttachment = (overrides = {}) =>
+        Attachment.create({
+            chatId: new mongoose.Types.ObjectId(),
+            organizationId: new mongoose.Types.ObjectId(),
+            filename: 'diagram.png',
+            mimeType: 'IMAGE/PNG',
+            size: 2048,
+            storage: 'local',
+            storageKey: 'org/chat/file',
+            ...overrides,
+        });
+
+    it('should store the details of an uploaded file', async () => {
+        const attachment = await createAttachment();
+
+        expect(attachment.mimeType).toBe('image/png');
+        expect(attachment.uploadedBy).toBeNull();
+        expect(attachment.size).toBe(2048);
+    });
+
+    it('should not expose where the file is stored', async () => {
+        const attachment = await createAttachment();
+
+        expect(attachment.storageKey).toBe('org/chat/file');
+        expect(attachment.toJSON().storageKey).toBeUndefined();
+    });
+
+    it('should require a non-negative size', async () => {
+        await expect(createAttachment({ size: -1 })).rejects.toThrow(mongoose.Error.ValidationError);
+    });
+});
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../audit-event.model');
+const setupTestDB = require('../../../tests/setupTests');
+
+describe('AuditEvent Model', () => {
+    // Connect to the in-memory database before tests
+    beforeAll(async () => {
+        await setupTestDB();
+    });
+
+    // Clear database between tests
+    beforeEach(async () => {
+        await setupTestDB.clearDatabase();
+    });
+
+    // Disconnect and close the db after tests
+    afterAll(async () => {
+        await setupTestDB.closeDatabase();
+    });
+
+    const createEvent = () =>
+        AuditEvent.create({
+            organizationId: new mongoose.Types.ObjectId(),
+            action: 'user.updated',
+            actor: { type: 'user', userId: new mongoose.Types.ObjectId(), username: 'admin', role: 'admin' },
+            target: { type: 'user', id: 'user123', label: 'jane' },
+            ip: '127.0.0.1',
+            diff: { role: { from: 'user', to: 'admin' } },
+        });
+
+    it('should record an event with its actor, target and diff', async () => {
+        const event = await createEvent();
+
+        const saved = await AuditEvent.findById(event._id);
+        expect(saved.actor.username).toBe('admin');
+        expect(saved.target.label).toBe('jane');
+        expect(saved.diff).toEqual({ role: { from: 'user', to: 'admin' } });
+        expect(saved.createdAt).toBeInstanceOf(Date);
+        expect(saved.updatedAt).toBeUndefined();
+    });
+
+    it('should require the action and actor', async () => {
+        let validationError;
+        try {
+            await new AuditEvent({}).save();
+        } catch (error) {
+            validationError = error;
+        }
+        expect(validationError).toBeDefined();
+        expect(validationError.errors.action).toBeDefined();
+        expect(validationError.errors.actor).toBeDefined();
+    });
+
+    it('should refuse to change or delete events', async () => {
+        const event = await createEvent();
+
+        event.action = 'user.created';
+        await expect(event.save()).rejects.toThrow('cannot be changed');
+        await expect(AuditEvent.updateOne({ _id: event._id }, { action: 'x' })).rejects.toThrow();
+        await expect(AuditEvent.findOneAndUpdate({ _id: event._id }, { action: 'x' })).rejects.toThrow();
+        await expect(AuditEvent.deleteMany({})).rejects.toThrow();
+        await expect(event.deleteOne()).rejects.toThrow();
+
+        expect(await AuditEvent.countDocuments()).toBe(1);
+    });
+});
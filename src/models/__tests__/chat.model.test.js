@@ -149,6 +149,36 @@ describe('Chat Model', () => {
         expect(chat.isActive).toBe(true); // default isActive
         expect(chat.tags).toEqual([]); // default tags
         expect(chat.metadata).toEqual({}); // default metadata
+        expect(chat.aiModel).toBeNull(); // default model
+        expect(chat.systemPrompt).toBeNull(); // default system prompt
+        expect(chat.customFields).toEqual({}); // default custom fields
+    });
+
+    it('should store the system prompt and custom field values', async () => {
+        const chat = await Chat.create({
+            userId: new mongoose.Types.ObjectId(),
+            organizationId: new mongoose.Types.ObjectId(),
+            title: 'Ticket',
+            systemPrompt: 'You are a support agent.',
+            customFields: { priority: 'high', score: 3, dueAt: new Date('2025-01-01') }
+        });
+
+        const saved = await Chat.findOne({ 'customFields.priority': 'high', 'customFields.score': 3 });
+        expect(saved._id).toEqual(chat._id);
+        expect(saved.systemPrompt).toBe('You are a support agent.');
+        expect(saved.customFields.dueAt).toEqual(new Date('2025-01-01'));
+    });
+
+    it('should show the model of a chat as `model`', async () => {
+        const chat = await Chat.create({
+            userId: new mongoose.Types.ObjectId(),
+            organizationId: new mongoose.Types.ObjectId(),
+            title: 'Model Chat',
+            aiModel: 'gpt-4o'
+        });
+
+        expect(chat.toJSON()).toEqual(expect.objectContaining({ model: 'gpt-4o' }));
+        expect(chat.toJSON()).not.toHaveProperty('aiModel');
     });
 
     it('should trim the title field', async () => {
@@ -188,4 +218,20 @@ describe('Chat Model', () => {
         expect(savedChat.metadata.browser).toBe('Chrome');
         expect(savedChat.metadata.platform.os).toBe('Windows');
     });
+
+    it('should record the users a chat is shared with', async () => {
+        const reader = new mongoose.Types.ObjectId();
+        const chat = await Chat.create({
+            userId: new mongoose.Types.ObjectId(),
+            organizationId: new mongoose.Types.ObjectId(),
+            title: 'Shared Chat',
+            sharedWith: [{ userId: reader }],
+        });
+
+        const savedChat = await Chat.findById(chat._id);
+
+        expect(savedChat.getShare(reader).permission).toBe('read');
+        expect(savedChat.getShare(reader).sharedAt).toBeInstanceOf(Date);
+        expect(savedChat.getShare(new mongoose.Types.ObjectId())).toBeNull();
+    });
 });
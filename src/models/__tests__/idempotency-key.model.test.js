@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../idempotency-key.model');
+const setupTestDB = require('../../../tests/setupTests');
+
+describe('Idempotency Key Model', () => {
+    // Connect to the in-memory database before tests
+    beforeAll(async () => {
+        await setupTestDB();
+        await IdempotencyKey.init();
+    });
+
+    // Clear database between tests
+    beforeEach(async () => {
+        await setupTestDB.clearDatabase();
+    });
+
+    // Disconnect and close the db after tests
+    afterAll(async () => {
+        await setupTestDB.closeDatabase();
+    });
+
+    const organizationId = new mongoose.Types.ObjectId();
+    const request = { method: 'POST', path: '/api/v1/messages/chat123', body: { content: 'Hello' } };
+
+    const createKey = (overrides = {}) =>
+        IdempotencyKey.create({
+            key: 'retry-1',
+            organizationId,
+            requestHash: IdempotencyKey.hashRequest(request),
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+            ...overrides,
+        });
+
+    it('should fingerprint the method, path and body of a request', () => {
+        expect(IdempotencyKey.hashRequest(request)).toBe(IdempotencyKey.hashRequest({ ...request }));
+        expect(IdempotencyKey.hashRequest(request)).not.toBe(
+            IdempotencyKey.hashRequest({ ...request, body: { content: 'Hello again' } }),
+        );
+        expect(IdempotencyKey.hashRequest(request)).not.toBe(
+            IdempotencyKey.hashRequest({ ...request, path: '/api/v1/messages/chat456' }),
+        );
+    });
+
+    it('should start without a stored response', async () => {
+        const record = await createKey();
+
+        expect(record.userId).toBeNull();
+        expect(record.statusCode).toBeNull();
+        expect(record.completedAt).toBeNull();
+    });
+
+    it('should only accept a key once per organization and user', async () => {
+        await createKey();
+
+        await expect(createKey()).rejects.toMatchObject({ code: 11000 });
+        await expect(createKey({ userId: new mongoose.Types.ObjectId() })).resolves.toBeDefined();
+        await expect(createKey({ organizationId: new mongoose.Types.ObjectId() })).resolves.toBeDefined();
+    });
+});
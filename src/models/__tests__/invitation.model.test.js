@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Invitation = require('../invitation.model');
+const setupTestDB = require('../../../tests/setupTests');
+
+describe('Invitation Model', () => {
+    // Connect to the in-memory database before tests
+    beforeAll(async () => {
+        await setupTestDB();
+    });
+
+    // Clear database between tests
+    beforeEach(async () => {
+        await setupTestDB.clearDatabase();
+    });
+
+    // Disconnect and close the db after tests
+    afterAll(async () => {
+        await setupTestDB.closeDatabase();
+    });
+
+    const createInvitation = (overrides = {}) =>
+        Invitation.create({
+            organizationId: new mongoose.Types.ObjectId(),
+            email: 'Invitee@Example.com',
+            tokenHash: Invitation.hashToken(Invitation.generateToken()),
+            invitedBy: new mongoose.Types.ObjectId(),
+            expiresAt: new Date(Date.now() + 60 * 1000),
+            ...overrides,
+        });
+
+    it('should store a normalized email and default to the user role', async () => {
+        const invitation = await createInvitation();
+
+        expect(invitation.email).toBe('invitee@example.com');
+        expect(invitation.role).toBe('user');
+        expect(invitation.status).toBe('pending');
+        expect(invitation.isPending()).toBe(true);
+    });
+
+    it('should never expose the token hash', async () => {
+        const invitation = await createInvitation();
+
+        expect(invitation.toJSON().tokenHash).toBeUndefined();
+        expect(invitation.toJSON().status).toBe('pending');
+
+        const saved = await Invitation.findById(invitation._id);
+        expect(saved.tokenHash).toBeUndefined();
+    });
+
+    it('should report accepted, revoked and expired invitations', async () => {
+        const accepted = await createInvitation({ acceptedAt: new Date() });
+        const revoked = await createInvitation({ revokedAt: new Date() });
+        const expired = await createInvitation({ expiresAt: new Date(Date.now() - 1000) });
+
+        expect(accepted.status).toBe('accepted');
+        expect(revoked.status).toBe('revoked');
+        expect(expired.status).toBe('expired');
+        expect(expired.isPending()).toBe(false);
+    });
+
+    it('should reject roles other than user and admin', async () => {
+        await expect(createInvitation({ role: 'superadmin' })).rejects.toThrow();
+    });
+});
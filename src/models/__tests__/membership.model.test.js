@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Membership = require('../membership.model');
+const setupTestDB = require('../../../tests/setupTests');
+
+describe('Membership Model', () => {
+    // Connect to the in-memory database before tests
+    beforeAll(async () => {
+        await setupTestDB();
+    });
+
+    // Clear database between tests
+    beforeEach(async () => {
+        await setupTestDB.clearDatabase();
+    });
+
+    // Disconnect and close the db after tests
+    afterAll(async () => {
+        await setupTestDB.closeDatabase();
+    });
+
+    it('should create a membership with the user role by default', async () => {
+        const membership = await Membership.create({
+            userId: new mongoose.Types.ObjectId(),
+            organizationId: new mongoose.Types.ObjectId(),
+        });
+
+        const saved = await Membership.findById(membership._id);
+        expect(saved.role).toBe('user');
+        expect(saved.addedBy).toBeNull();
+    });
+
+    it('should allow one membership per user and organization', async () => {
+        const userId = new mongoose.Types.ObjectId();
+        const organizationId = new mongoose.Types.ObjectId();
+
+        await Membership.create({ userId, organizationId });
+
+        let duplicateError;
+        try {
+            await Membership.create({ userId, organizationId, role: 'admin' });
+        } catch (error) {
+            duplicateError = error;
+        }
+
+        expect(duplicateError).toBeDefined();
+        expect(duplicateError.code).toBe(11000); // MongoDB duplicate key error code
+    });
+
+    it('should reject invalid role names', async () => {
+        const membership = new Membership({
+            userId: new mongoose.Types.ObjectId(),
+            organizationId: new mongoose.Types.ObjectId(),
+            role: 'Not A Role',
+        });
+
+        await expect(membership.save()).rejects.toThrow();
+    });
+});
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const MessageVersion = require('../message-version.model');
+const setupTestDB = require('../../../tests/setupTests');
+
+describe('Message Version Model', () => {
+    // Connect to the in-memory database before tests
+    beforeAll(async () => {
+        await setupTestDB();
+        await MessageVersion.init();
+    });
+
+    // Clear database between tests
+    beforeEach(async () => {
+        await setupTestDB.clearDatabase();
+    });
+
+    // Disconnect and close the db after tests
+    afterAll(async () => {
+        await setupTestDB.closeDatabase();
+    });
+
+    const messageId = new mongoose.Types.ObjectId();
+
+    const createVersion = (overrides = {}) =>
+        MessageVersion.create({
+            messageId,
+            chatId: new mongoose.Types.ObjectId(),
+            version: 1,
+            content: 'First draft',
+            ...overrides,
+        });
+
+    it('should record edits by default', async () => {
+        const version = await createVersion();
+
+        expect(version.reason).toBe('edit');
+        expect(version.changedBy).toBeNull();
+        expect(version.createdAt).toBeInstanceOf(Date);
+    });
+
+    it('should not store a version number twice for a message', async () => {
+        await createVersion();
+
+        await expect(createVersion({ content: 'Concurrent draft' })).rejects.toMatchObject({ code: 11000 });
+        await expect(createVersion({ messageId: new mongoose.Types.ObjectId() })).resolves.toBeDefined();
+    });
+
+    it('should require a positive version number', async () => {
+        await expect(createVersion({ version: 0 })).rejects.toThrow(mongoose.Error.ValidationError);
+    });
+});
@@ -124,6 +124,7 @@ describe('Message Model', () => {
         expect(savedMessage.name).toBeNull();
         expect(savedMessage.functionCall).toBeNull();
         expect(savedMessage.toolCalls).toBeNull();
+        expect(savedMessage.parentMessageId).toBeNull();
         expect(savedMessage.metadata).toBeDefined();
     });
 
@@ -147,10 +148,10 @@ describe('Message Model', () => {
         const savedMessage = await Message.findById(messageWithFunctionCall._id);
 
         expect(savedMessage).toBeTruthy();
-        expect(savedMessage.functionCall).toEqual(functionCallData);
+        expect(savedMessage.functionCall.toObject()).toEqual(functionCallData);
     });
 
-    it('should support tool calls data', async () => {
+    it('should store tool calls of the OpenAI format as typed calls', async () => {
         const toolCallsData = [
             {
                 id: 'tool_1',
@@ -186,6 +187,156 @@ describe('Message Model', () => {
         const savedMessage = await Message.findById(messageWithToolCalls._id);
 
         expect(savedMessage).toBeTruthy();
-        expect(savedMessage.toolCalls).toEqual(toolCallsData);
+        expect(savedMessage.toObject().toolCalls).toEqual([
+            {
+                id: 'tool_1',
+                type: 'function',
+                name: 'get_weather',
+                arguments: JSON.stringify({ location: 'New York', unit: 'celsius' }),
+                result: null,
+                status: 'pending',
+                error: null,
+                durationMs: null,
+                resultMessageId: null
+            },
+            expect.objectContaining({ id: 'tool_2', name: 'get_time', status: 'pending' })
+        ]);
+    });
+
+    it('should require the ID and name of tool calls', async () => {
+        const message = new Message({
+            chatId: new mongoose.Types.ObjectId(),
+            role: 'assistant',
+            content: 'Tool calls content',
+            toolCalls: [{ arguments: { city: 'Amsterdam' } }]
+        });
+
+        await expect(message.save()).rejects.toThrow(mongoose.Error.ValidationError);
+    });
+
+    it('should accept tool calls logged with their result', async () => {
+        const message = new Message({
+            chatId: new mongoose.Types.ObjectId(),
+            role: 'assistant',
+            content: 'Let me look that up',
+            toolCalls: [{
+                id: 'call_1',
+                name: 'search',
+                arguments: { query: 'weather' },
+                result: { hits: 3 },
+                status: 'success',
+                durationMs: 420
+            }]
+        });
+
+        await message.save();
+        const savedMessage = await Message.findById(message._id);
+
+        expect(savedMessage.toolCalls[0].result).toEqual({ hits: 3 });
+        expect(savedMessage.toolCalls[0].durationMs).toBe(420);
+    });
+
+    it('should keep the original creation time of copied messages', async () => {
+        const createdAt = new Date('2025-01-01T00:00:00Z');
+        const message = new Message({
+            chatId: new mongoose.Types.ObjectId(),
+            parentMessageId: new mongoose.Types.ObjectId(),
+            role: 'user',
+            content: 'Copied message',
+            createdAt
+        });
+
+        await message.save();
+        const savedMessage = await Message.findById(message._id);
+
+        expect(savedMessage.createdAt).toEqual(createdAt);
+        expect(savedMessage.parentMessageId).toEqual(message.parentMessageId);
+    });
+
+    it('should allow streaming messages to start without content', async () => {
+        const message = new Message({
+            chatId: new mongoose.Types.ObjectId(),
+            role: 'assistant',
+            content: '',
+            status: 'streaming'
+        });
+
+        await message.save();
+        const savedMessage = await Message.findById(message._id);
+
+        expect(savedMessage.status).toBe('streaming');
+        expect(savedMessage.chunkCount).toBe(0);
+
+        savedMessage.status = 'complete';
+        await expect(savedMessage.save()).rejects.toThrow(mongoose.Error.ValidationError);
+    });
+
+    it('should take the content of messages sent as content parts from their text parts', async () => {
+        const message = new Message({
+            chatId: new mongoose.Types.ObjectId(),
+            role: 'user',
+            contentParts: [
+                { type: 'text', text: 'What is in this picture?' },
+                { type: 'image', attachmentId: new mongoose.Types.ObjectId(), mimeType: 'image/png', detail: 'high' },
+                { type: 'text', text: 'Answer briefly.' }
+            ]
+        });
+
+        await message.save();
+        const savedMessage = await Message.findById(message._id);
+
+        expect(savedMessage.content).toBe('What is in this picture?\nAnswer briefly.');
+        expect(savedMessage.contentParts).toHaveLength(3);
+        expect(savedMessage.contentParts[1].detail).toBe('high');
+    });
+
+    it('should accept messages made of media parts only', async () => {
+        const [message] = await Message.insertMany([{
+            chatId: new mongoose.Types.ObjectId(),
+            role: 'user',
+            contentParts: [{ type: 'audio', url: 'https://example.com/clip.mp3', transcript: 'Hello there' }]
+        }]);
+
+        expect(message.content).toBe('');
+        expect(message.contentParts[0].transcript).toBe('Hello there');
+    });
+
+    it('should require the text of text parts', async () => {
+        const message = new Message({
+            chatId: new mongoose.Types.ObjectId(),
+            role: 'user',
+            contentParts: [{ type: 'text' }]
+        });
+
+        await expect(message.save()).rejects.toThrow(mongoose.Error.ValidationError);
+    });
+
+    it('should store the model and cost of a message and show the model as `model`', async () => {
+        const message = await Message.create({
+            chatId: new mongoose.Types.ObjectId(),
+            role: 'assistant',
+            content: 'Hello!',
+            aiModel: 'gpt-4o',
+            completionTokens: 2,
+            cost: 0.00002
+        });
+
+        const savedMessage = await Message.findById(message._id);
+
+        expect(savedMessage.aiModel).toBe('gpt-4o');
+        expect(savedMessage.cost).toBe(0.00002);
+        expect(savedMessage.toJSON()).toEqual(expect.objectContaining({ model: 'gpt-4o', cost: 0.00002 }));
+        expect(savedMessage.toJSON()).not.toHaveProperty('aiModel');
+    });
+
+    it('should leave the model and cost of a message empty by default', async () => {
+        const message = await Message.create({
+            chatId: new mongoose.Types.ObjectId(),
+            role: 'user',
+            content: 'Hi'
+        });
+
+        expect(message.aiModel).toBeNull();
+        expect(message.cost).toBeNull();
     });
 });
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const ModelPrice = require('../model-price.model');
+const setupTestDB = require('../../../tests/setupTests');
+
+describe('ModelPrice Model', () => {
+    // Connect to the in-memory database before tests
+    beforeAll(async () => {
+        await setupTestDB();
+    });
+
+    // Clear database between tests
+    beforeEach(async () => {
+        await setupTestDB.clearDatabase();
+    });
+
+    // Disconnect and close the db after tests
+    afterAll(async () => {
+        await setupTestDB.closeDatabase();
+    });
+
+    it('should create a price effective from now by default', async () => {
+        const price = await ModelPrice.create({
+            organizationId: new mongoose.Types.ObjectId(),
+            aiModel: ' gpt-4o ',
+            inputPricePer1K: 0.0025,
+            outputPricePer1K: 0.01,
+        });
+
+        const saved = await ModelPrice.findById(price._id);
+        expect(saved.aiModel).toBe('gpt-4o');
+        expect(saved.toJSON()).toEqual(expect.objectContaining({ model: 'gpt-4o' }));
+        expect(saved.toJSON()).not.toHaveProperty('aiModel');
+        expect(saved.effectiveFrom).toBeInstanceOf(Date);
+        expect(saved.createdBy).toBeNull();
+    });
+
+    it('should require a model, its prices and an organization', async () => {
+        let validationError;
+        try {
+            await new ModelPrice({}).save();
+        } catch (error) {
+            validationError = error;
+        }
+        expect(validationError).toBeDefined();
+        expect(validationError.errors.organizationId).toBeDefined();
+        expect(validationError.errors.aiModel).toBeDefined();
+        expect(validationError.errors.inputPricePer1K).toBeDefined();
+        expect(validationError.errors.outputPricePer1K).toBeDefined();
+    });
+
+    it('should not accept negative prices', async () => {
+        let validationError;
+        try {
+            await new ModelPrice({
+                organizationId: new mongoose.Types.ObjectId(),
+                aiModel: 'gpt-4o',
+                inputPricePer1K: -1,
+                outputPricePer1K: 0.01,
+            }).save();
+        } catch (error) {
+            validationError = error;
+        }
+        expect(validationError.errors.inputPricePer1K).toBeDefined();
+    });
+
+    it('should allow one price per model and effective date within an organization', async () => {
+        const organizationId = new mongoose.Types.ObjectId();
+        const effectiveFrom = new Date('2025-01-01');
+        await ModelPrice.init();
+        await ModelPrice.create({ organizationId, aiModel: 'gpt-4o', inputPricePer1K: 1, outputPricePer1K: 2, effectiveFrom });
+
+        await expect(
+            ModelPrice.create({ organizationId, aiModel: 'gpt-4o', inputPricePer1K: 3, outputPricePer1K: 4, effectiveFrom }),
+        ).rejects.toThrow();
+
+        // Other dates and other organizations are fine
+        await ModelPrice.create({
+            organizationId,
+            aiModel: 'gpt-4o',
+            inputPricePer1K: 3,
+            outputPricePer1K: 4,
+            effectiveFrom: new Date('2025-06-01'),
+        });
+        await ModelPrice.create({
+            organizationId: new mongoose.Types.ObjectId(),
+            aiModel: 'gpt-4o',
+            inputPricePer1K: 1,
+            outputPricePer1K: 2,
+            effectiveFrom,
+        });
+    });
+});
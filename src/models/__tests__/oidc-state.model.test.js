@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const OidcState = require('../oidc-state.model');
+const setupTestDB = require('../../../tests/setupTests');
+
+describe('OidcState Model', () => {
+    // Connect to the in-memory database before tests
+    beforeAll(async () => {
+        await setupTestDB();
+    });
+
+    // Clear database between tests
+    beforeEach(async () => {
+        await setupTestDB.clearDatabase();
+    });
+
+    // Disconnect and close the db after tests
+    afterAll(async () => {
+        await setupTestDB.closeDatabase();
+    });
+
+    it('should store a pending login by the hash of its state', async () => {
+        const state = OidcState.generateState();
+
+        await OidcState.create({
+            stateHash: OidcState.hashState(state),
+            organizationId: new mongoose.Types.ObjectId(),
+            codeVerifier: 'verifier',
+            nonce: 'nonce',
+            redirectUri: 'http://localhost:3000/api/v1/users/sso/callback',
+            expiresAt: new Date(Date.now() + 60 * 1000),
+        });
+
+        const saved = await OidcState.findOne({ stateHash: OidcState.hashState(state) });
+        expect(saved).toBeTruthy();
+        expect(saved.stateHash).not.toBe(state);
+        expect(saved.isExpired()).toBe(false);
+    });
+
+    it('should require the PKCE verifier, nonce and redirect URI', async () => {
+        let validationError;
+        try {
+            await new OidcState({}).save();
+        } catch (error) {
+            validationError = error;
+        }
+        expect(validationError).toBeDefined();
+        expect(validationError.errors.stateHash).toBeDefined();
+        expect(validationError.errors.codeVerifier).toBeDefined();
+        expect(validationError.errors.nonce).toBeDefined();
+        expect(validationError.errors.redirectUri).toBeDefined();
+    });
+});
@@ -1,4 +1,5 @@
 const Organization = require('../organization.model');
+const { hashApiKey } = require('../../utils/api-key');
 const setupTestDB = require('../../../tests/setupTests');
 
 describe('Organization Model', () => {
@@ -111,6 +112,58 @@ describe('Organization Model', () => {
         expect(generatedKey.length).toBeGreaterThan(16);
     });
 
+    it('should only store the hash and prefix of the API key', async () => {
+        const apiKey = Organization.generateApiKey();
+        const organization = new Organization({ name: 'Hashed Org', apiKey });
+        await organization.save();
+
+        const savedOrg = await Organization.findById(organization._id).select('+apiKeyHash');
+        expect(apiKey.startsWith('clo_')).toBe(true);
+        expect(savedOrg.apiKeyHash).toBe(hashApiKey(apiKey));
+        expect(savedOrg.apiKeyPrefix).toBe(apiKey.slice(0, 12));
+        expect(savedOrg.toObject()).not.toHaveProperty('apiKey');
+
+        const defaultOrg = await Organization.findById(organization._id);
+        expect(defaultOrg.apiKeyHash).toBeUndefined();
+    });
+
+    it('should never expose the SSO client secret', async () => {
+        const organization = new Organization({
+            name: 'SSO Org',
+            apiKey: Organization.generateApiKey(),
+            oidc: { enabled: true, issuer: 'https://idp.example.com', clientId: 'app', clientSecret: 'secret' },
+        });
+        await organization.save();
+
+        expect(organization.toJSON().oidc.clientSecret).toBeUndefined();
+
+        const defaultOrg = await Organization.findById(organization._id);
+        expect(defaultOrg.oidc.clientSecret).toBeUndefined();
+        expect(defaultOrg.oidc.scopes).toEqual(['openid', 'email', 'profile']);
+
+        const withSecret = await Organization.findById(organization._id).select('+oidc.clientSecret');
+        expect(withSecret.oidc.clientSecret).toBe('secret');
+    });
+
+    it('should store custom field definitions', async () => {
+        const organization = await Organization.create({
+            name: 'Fields Org',
+            apiKey: Organization.generateApiKey(),
+            customFields: { priority: { type: 'string', required: true, enum: ['low', 'high'] } },
+        });
+
+        const saved = await Organization.findById(organization._id);
+        expect(saved.customFields.get('priority').toObject()).toEqual({
+            type: 'string',
+            required: true,
+            enum: ['low', 'high'],
+            description: '',
+        });
+
+        saved.customFields.set('score', { type: 'currency' });
+        await expect(saved.save()).rejects.toThrow();
+    });
+
     it('should enforce unique organization names', async () => {
         // Create first organization
         const orgData1 = {
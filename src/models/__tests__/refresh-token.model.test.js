@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('../refresh-token.model');
+const setupTestDB = require('../../../tests/setupTests');
+
+describe('RefreshToken Model', () => {
+    // Connect to the in-memory database before tests
+    beforeAll(async () => {
+        await setupTestDB();
+    });
+
+    // Clear database between tests
+    beforeEach(async () => {
+        await setupTestDB.clearDatabase();
+    });
+
+    // Disconnect and close the db after tests
+    afterAll(async () => {
+        await setupTestDB.closeDatabase();
+    });
+
+    it('should create a valid refresh token', async () => {
+        const token = RefreshToken.generateToken();
+
+        const refreshToken = await RefreshToken.create({
+            userId: new mongoose.Types.ObjectId(),
+            tokenHash: RefreshToken.hashToken(token),
+            family: 'session-1',
+            expiresAt: new Date(Date.now() + 60 * 1000),
+        });
+
+        const saved = await RefreshToken.findById(refreshToken._id);
+        expect(saved).toBeTruthy();
+        expect(saved.revokedAt).toBeNull();
+        expect(saved.tokenHash).not.toBe(token);
+    });
+
+    it('should require userId, tokenHash, family and expiresAt', async () => {
+        let validationError;
+        try {
+            await new RefreshToken({}).save();
+        } catch (error) {
+            validationError = error;
+        }
+        expect(validationError).toBeDefined();
+        expect(validationError.errors.userId).toBeDefined();
+        expect(validationError.errors.tokenHash).toBeDefined();
+        expect(validationError.errors.family).toBeDefined();
+        expect(validationError.errors.expiresAt).toBeDefined();
+    });
+
+    it('should hash tokens deterministically', () => {
+        const token = RefreshToken.generateToken();
+
+        expect(token).toHaveLength(96);
+        expect(RefreshToken.hashToken(token)).toBe(RefreshToken.hashToken(token));
+        expect(RefreshToken.hashToken(token)).not.toBe(
+            RefreshToken.hashToken(RefreshToken.generateToken()),
+        );
+    });
+
+    it('should report whether it has expired', () => {
+        const expired = new RefreshToken({ expiresAt: new Date(Date.now() - 1000) });
+        const valid = new RefreshToken({ expiresAt: new Date(Date.now() + 60 * 1000) });
+
+        expect(expired.isExpired()).toBe(true);
+        expect(valid.isExpired()).toBe(false);
+    });
+});
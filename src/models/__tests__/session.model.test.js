@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Session = require('../session.model');
+const setupTestDB = require('../../../tests/setupTests');
+
+describe('Session Model', () => {
+    // Connect to the in-memory database before tests
+    beforeAll(async () => {
+        await setupTestDB();
+    });
+
+    // Clear database between tests
+    beforeEach(async () => {
+        await setupTestDB.clearDatabase();
+    });
+
+    // Disconnect and close the db after tests
+    afterAll(async () => {
+        await setupTestDB.closeDatabase();
+    });
+
+    it('should create an active session', async () => {
+        const session = await Session.create({
+            sessionId: 'session-1',
+            userId: new mongoose.Types.ObjectId(),
+            device: 'Firefox on Linux',
+            ip: '127.0.0.1',
+            expiresAt: new Date(Date.now() + 60 * 1000),
+        });
+
+        const saved = await Session.findById(session._id);
+        expect(saved.lastSeenAt).toBeInstanceOf(Date);
+        expect(saved.revokedAt).toBeNull();
+        expect(saved.isActive()).toBe(true);
+    });
+
+    it('should not be active once revoked or expired', () => {
+        const userId = new mongoose.Types.ObjectId();
+
+        const revoked = new Session({
+            sessionId: 'session-1',
+            userId,
+            expiresAt: new Date(Date.now() + 60 * 1000),
+            revokedAt: new Date(),
+        });
+        const expired = new Session({ sessionId: 'session-2', userId, expiresAt: new Date(Date.now() - 1000) });
+
+        expect(revoked.isActive()).toBe(false);
+        expect(expired.isActive()).toBe(false);
+    });
+
+    it('should require sessionId, userId and expiresAt', async () => {
+        let validationError;
+        try {
+            await new Session({}).save();
+        } catch (error) {
+            validationError = error;
+        }
+        expect(validationError).toBeDefined();
+        expect(validationError.errors.sessionId).toBeDefined();
+        expect(validationError.errors.userId).toBeDefined();
+        expect(validationError.errors.expiresAt).toBeDefined();
+    });
+
+    it('should not allow two sessions with the same ID', async () => {
+        const data = {
+            sessionId: 'session-1',
+            userId: new mongoose.Types.ObjectId(),
+            expiresAt: new Date(Date.now() + 60 * 1000),
+        };
+        await Session.create(data);
+
+        await expect(Session.create(data)).rejects.toThrow();
+    });
+});
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const ShareLink = require('../share-link.model');
+const setupTestDB = require('../../../tests/setupTests');
+
+describe('Share Link Model', () => {
+    // Connect to the in-memory database before tests
+    beforeAll(async () => {
+        await setupTestDB();
+    });
+
+    // Clear database between tests
+    beforeEach(async () => {
+        await setupTestDB.clearDatabase();
+    });
+
+    // Disconnect and close the db after tests
+    afterAll(async () => {
+        await setupTestDB.closeDatabase();
+    });
+
+    const createShareLink = (overrides = {}) =>
+        ShareLink.create({
+            chatId: new mongoose.Types.ObjectId(),
+            organizationId: new mongoose.Types.ObjectId(),
+            tokenHash: ShareLink.hashToken(ShareLink.generateToken()),
+            ...overrides,
+        });
+
+    it('should create links that do not expire by default', async () => {
+        const link = await createShareLink();
+
+        expect(link.expiresAt).toBeNull();
+        expect(link.status).toBe('active');
+        expect(link.isUsable()).toBe(true);
+    });
+
+    it('should never expose the token hash', async () => {
+        const link = await createShareLink();
+
+        expect(link.toJSON().tokenHash).toBeUndefined();
+
+        const saved = await ShareLink.findById(link._id);
+        expect(saved.tokenHash).toBeUndefined();
+    });
+
+    it('should report revoked and expired links', async () => {
+        const revoked = await createShareLink({ revokedAt: new Date() });
+        const expired = await createShareLink({ expiresAt: new Date(Date.now() - 1000) });
+
+        expect(revoked.status).toBe('revoked');
+        expect(revoked.isUsable()).toBe(false);
+        expect(expired.status).toBe('expired');
+        expect(expired.isUsable()).toBe(false);
+    });
+});
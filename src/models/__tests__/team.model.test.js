@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Team = require('../team.model');
+const setupTestDB = require('../../../tests/setupTests');
+
+describe('Team Model', () => {
+    // Connect to the in-memory database before tests
+    beforeAll(async () => {
+        await setupTestDB();
+    });
+
+    // Clear database between tests
+    beforeEach(async () => {
+        await setupTestDB.clearDatabase();
+    });
+
+    // Disconnect and close the db after tests
+    afterAll(async () => {
+        await setupTestDB.closeDatabase();
+    });
+
+    it('should create a team with its members', async () => {
+        const member = new mongoose.Types.ObjectId();
+        const team = await Team.create({
+            organizationId: new mongoose.Types.ObjectId(),
+            name: ' Support ',
+            members: [member],
+        });
+
+        const saved = await Team.findById(team._id);
+        expect(saved.name).toBe('Support');
+        expect(saved.description).toBe('');
+        expect(saved.hasMember(member)).toBe(true);
+        expect(saved.hasMember(new mongoose.Types.ObjectId())).toBe(false);
+    });
+
+    it('should require a name and organization', async () => {
+        let validationError;
+        try {
+            await new Team({}).save();
+        } catch (error) {
+            validationError = error;
+        }
+        expect(validationError).toBeDefined();
+        expect(validationError.errors.name).toBeDefined();
+        expect(validationError.errors.organizationId).toBeDefined();
+    });
+
+    it('should enforce unique team names within an organization', async () => {
+        const organizationId = new mongoose.Types.ObjectId();
+        await Team.create({ organizationId, name: 'Support' });
+        await Team.create({ organizationId: new mongoose.Types.ObjectId(), name: 'Support' });
+
+        let duplicateError;
+        try {
+            await Team.create({ organizationId, name: 'Support' });
+        } catch (error) {
+            duplicateError = error;
+        }
+
+        expect(duplicateError).toBeDefined();
+        expect(duplicateError.code).toBe(11000); // MongoDB duplicate key error code
+    });
+});
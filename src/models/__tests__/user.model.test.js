@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const User = require('../user.model');
+const { hashApiKey } = require('../../utils/api-key');
 const setupTestDB = require('../../../tests/setupTests');
 
 describe('User Model', () => {
@@ -133,6 +134,8 @@ describe('User Model', () => {
         expect(apiKey).toBeTruthy();
         expect(typeof apiKey).toBe('string');
         expect(apiKey.length).toBeGreaterThan(16);
+        expect(user.apiKeyHash).toBe(hashApiKey(apiKey));
+        expect(user.apiKeyPrefix).toBe(apiKey.slice(0, 12));
     });
 
     it('should require username and email', async () => {
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const { generateApiKey, hashApiKey, getApiKeyPrefix } = require('../utils/api-key');
+
+// Scopes that can be granted to an API key
+const API_KEY_SCOPES = [
+    'chats:read',
+    'chats:write',
+    'messages:read',
+    'messages:write',
+    'analytics:read',
+];
+
+const apiKeySchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        // Only the hash of the key is stored
+        keyHash: {
+            type: String,
+            required: true,
+        },
+        prefix: {
+            type: String,
+            required: true,
+        },
+        scopes: {
+            type: [{ type: String, enum: API_KEY_SCOPES }],
+            default: [],
+        },
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+// Setting `key` stores its hash and visible prefix instead of the key itself
+apiKeySchema.virtual('key').set(function (key) {
+    this.keyHash = hashApiKey(key);
+    this.prefix = getApiKeyPrefix(key);
+});
+
+// Generate a new API key
+apiKeySchema.statics.generateKey = function () {
+    return generateApiKey('clk');
+};
+
+// Method to check whether the key has passed its expiry date
+apiKeySchema.methods.isExpired = function () {
+    return !!this.expiresAt && this.expiresAt.getTime() <= Date.now();
+};
+
+// Method to check whether the key grants a scope
+apiKeySchema.methods.hasScope = function (scope) {
+    return this.scopes.includes(scope);
+};
+
+// Create indexes for better performance
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
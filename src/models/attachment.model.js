@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// File uploaded to a chat; messages refer to it from their content parts. The file itself is kept by the storage backend.
+const attachmentSchema = new mongoose.Schema(
+    {
+        chatId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Chat',
+            required: true,
+        },
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+        },
+        // Null for uploads made with an organization API key
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        filename: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        mimeType: {
+            type: String,
+            required: true,
+            lowercase: true,
+        },
+        size: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+        // Backend the file was saved with, and where it keeps it
+        storage: {
+            type: String,
+            required: true,
+        },
+        storageKey: {
+            type: String,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            // Where the backend keeps the file is no business of API clients
+            transform: (doc, ret) => {
+                delete ret.storageKey;
+                return ret;
+            },
+        },
+    },
+);
+
+// Index for faster queries
+attachmentSchema.index({ chatId: 1, createdAt: 1 });
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
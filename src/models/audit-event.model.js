@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+// Who caused an event: a user (possibly impersonated), a backend service using the
+// organization API key, or an unauthenticated client
+const actorSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: ['user', 'organization', 'anonymous'],
+            required: true,
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        username: {
+            type: String,
+            default: null,
+        },
+        role: {
+            type: String,
+            default: null,
+        },
+        // Superadmin acting as the user
+        impersonatorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // Named API key the request was authenticated with
+        apiKeyId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ApiKey',
+            default: null,
+        },
+    },
+    { _id: false },
+);
+
+// What an event affected, e.g. { type: 'user', id: '...', label: 'jane' }
+const targetSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            required: true,
+        },
+        id: {
+            type: String,
+            default: null,
+        },
+        label: {
+            type: String,
+            default: null,
+        },
+    },
+    { _id: false },
+);
+
+// Administrative or security event. Events are append-only: they can be created and read, never
+// changed or deleted through the model.
+const auditEventSchema = new mongoose.Schema(
+    {
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            default: null,
+        },
+        // Dotted event name, e.g. `user.updated` or `auth.permission_denied`
+        action: {
+            type: String,
+            required: true,
+        },
+        actor: {
+            type: actorSchema,
+            required: true,
+        },
+        target: {
+            type: targetSchema,
+            default: null,
+        },
+        ip: {
+            type: String,
+            default: null,
+        },
+        userAgent: {
+            type: String,
+            default: null,
+        },
+        // Changed fields as { field: { from, to } }
+        diff: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        metadata: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    },
+);
+
+const rejectChange = function () {
+    throw new Error('Audit events cannot be changed or deleted');
+};
+
+auditEventSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Audit events cannot be changed or deleted'));
+    }
+    next();
+});
+
+[
+    'updateOne',
+    'updateMany',
+    'replaceOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+].forEach(operation => {
+    auditEventSchema.pre(operation, { document: false, query: true }, rejectChange);
+});
+
+auditEventSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+// Create indexes for better performance
+auditEventSchema.index({ organizationId: 1, createdAt: -1 });
+auditEventSchema.index({ organizationId: 1, action: 1, createdAt: -1 });
+auditEventSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditEventSchema.index({ 'target.id': 1, createdAt: -1 });
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
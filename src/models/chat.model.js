@@ -5,7 +5,22 @@ const chatSchema = new mongoose.Schema(
         userId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User',
-            required: true,
+            // Chats logged by a backend service with an organization API key have no user
+            required: function () {
+                return this.createdVia !== 'organization';
+            },
+            default: null,
+        },
+        createdVia: {
+            type: String,
+            enum: ['user', 'organization'],
+            default: 'user',
+        },
+        // Identifier of the end user as known to the caller, not a User document
+        externalUserId: {
+            type: String,
+            trim: true,
+            default: null,
         },
         organizationId: {
             type: mongoose.Schema.Types.ObjectId,
@@ -13,6 +28,43 @@ const chatSchema = new mongoose.Schema(
             required: true,
             index: true
         },
+        // Team whose members can read the chat, besides its author
+        teamId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team',
+            default: null,
+        },
+        // Users the author shared the chat with, besides its team
+        sharedWith: {
+            type: [
+                new mongoose.Schema(
+                    {
+                        userId: {
+                            type: mongoose.Schema.Types.ObjectId,
+                            ref: 'User',
+                            required: true,
+                        },
+                        // `comment` also lets the user add comments to the chat
+                        permission: {
+                            type: String,
+                            enum: ['read', 'comment'],
+                            default: 'read',
+                        },
+                        sharedBy: {
+                            type: mongoose.Schema.Types.ObjectId,
+                            ref: 'User',
+                            default: null,
+                        },
+                        sharedAt: {
+                            type: Date,
+                            default: Date.now,
+                        },
+                    },
+                    { _id: false },
+                ),
+            ],
+            default: [],
+        },
         title: {
             type: String,
             required: true,
@@ -24,10 +76,27 @@ const chatSchema = new mongoose.Schema(
             enum: ['web', 'mobile', 'api', 'widget'],
             default: 'web',
         },
+        // Model answering in the chat; messages without a model of their own are priced with it.
+        // API clients see it as `model`, a name the path cannot have without hiding Document#model.
+        aiModel: {
+            type: String,
+            trim: true,
+            default: null,
+        },
+        // Instructions the model was given for the chat
+        systemPrompt: {
+            type: String,
+            default: null,
+        },
         metadata: {
             type: Object,
             default: {},
         },
+        // Field name -> value of the custom fields defined by the organization
+        customFields: {
+            type: Object,
+            default: {},
+        },
         tags: {
             type: [String],
             default: [],
@@ -36,16 +105,55 @@ const chatSchema = new mongoose.Schema(
             type: Boolean,
             default: true,
         },
+        // Chat and message this chat was forked from, if any
+        forkedFrom: {
+            chatId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Chat',
+                default: null,
+            },
+            messageId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Message',
+                default: null,
+            },
+        },
+        // Deleted chats stay in the trash until they are restored or purged
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
     },
     {
         timestamps: true,
+        toJSON: {
+            transform: (doc, ret) => {
+                ret.model = ret.aiModel;
+                delete ret.aiModel;
+                return ret;
+            },
+        },
     }
 );
 
+// Get the share of the chat with a user, if any
+chatSchema.methods.getShare = function (userId) {
+    return this.sharedWith.find(share => String(share.userId) === String(userId)) || null;
+};
+
 // Index for faster queries
 chatSchema.index({ userId: 1, createdAt: -1 });
 chatSchema.index({ organizationId: 1, createdAt: -1 });
+chatSchema.index({ organizationId: 1, externalUserId: 1 });
+chatSchema.index({ organizationId: 1, teamId: 1, createdAt: -1 });
+chatSchema.index({ 'sharedWith.userId': 1 });
 chatSchema.index({ tags: 1 });
+chatSchema.index({ organizationId: 1, deletedAt: 1 });
 
 const Chat = mongoose.model('Chat', chatSchema);
 
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Comment left on a chat by its author or a user it is shared with; not part of the transcript
+const commentSchema = new mongoose.Schema(
+    {
+        chatId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Chat',
+            required: true,
+        },
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        content: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+// Index for faster queries
+commentSchema.index({ chatId: 1, createdAt: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Request made with an `Idempotency-Key` header, and its response once it has been sent
+const idempotencyKeySchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+        },
+        // Keys are scoped to the organization and the user; organization API keys have no user
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // Fingerprint of the method, path and body, so a key cannot be reused for another request
+        requestHash: {
+            type: String,
+            required: true,
+        },
+        statusCode: {
+            type: Number,
+            default: null,
+        },
+        responseBody: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        // Null while the original request is still being processed
+        completedAt: {
+            type: Date,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+// Fingerprint a request for comparison with later requests using the same key
+idempotencyKeySchema.statics.hashRequest = function ({ method, path, body }) {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify({ method, path, body: body || null }))
+        .digest('hex');
+};
+
+// Create indexes for better performance
+idempotencyKeySchema.index({ organizationId: 1, userId: 1, key: 1 }, { unique: true });
+// Let MongoDB remove keys once their retention period is over
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ROLE_NAME_PATTERN } = require('../config/permissions');
+
+// Invitation for someone to register in an organization
+const invitationSchema = new mongoose.Schema(
+    {
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+        },
+        email: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true,
+        },
+        // Role the invited user is registered with; may be a custom role of the organization
+        role: {
+            type: String,
+            match: ROLE_NAME_PATTERN,
+            default: 'user',
+        },
+        // Only the SHA-256 hash of the invitation token is stored
+        tokenHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        // Whether the token was emailed to the address; otherwise it was handed to the inviter instead
+        emailSent: {
+            type: Boolean,
+            default: false,
+        },
+        acceptedAt: {
+            type: Date,
+            default: null,
+        },
+        acceptedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            // Never expose the token hash, even on freshly created documents
+            transform: (doc, ret) => {
+                delete ret.tokenHash;
+                delete ret.id;
+                return ret;
+            },
+        },
+    },
+);
+
+// Generate a new invitation token
+invitationSchema.statics.generateToken = function () {
+    return crypto.randomBytes(32).toString('base64url');
+};
+
+// Hash an invitation token for storage and lookup
+invitationSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Method to check whether the invitation has passed its expiry date
+invitationSchema.methods.isExpired = function () {
+    return this.expiresAt.getTime() <= Date.now();
+};
+
+// Method to check whether the invitation can still be accepted
+invitationSchema.methods.isPending = function () {
+    return !this.acceptedAt && !this.revokedAt && !this.isExpired();
+};
+
+// One of pending, accepted, revoked or expired
+invitationSchema.virtual('status').get(function () {
+    if (this.acceptedAt) return 'accepted';
+    if (this.revokedAt) return 'revoked';
+    return this.isExpired() ? 'expired' : 'pending';
+});
+
+// Create indexes for better performance
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ organizationId: 1, email: 1 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
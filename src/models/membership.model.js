@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { ROLE_NAME_PATTERN } = require('../config/permissions');
+
+// Membership of a user in an organization other than their own. A user's own organization and
+// role stay on the user document; memberships let them work in further organizations with a
+// role per organization.
+const membershipSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+        },
+        // Built-in role (admin, user) or a custom role of the organization
+        role: {
+            type: String,
+            match: ROLE_NAME_PATTERN,
+            default: 'user',
+        },
+        // User who invited the member
+        addedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+// Create indexes for better performance
+membershipSchema.index({ userId: 1, organizationId: 1 }, { unique: true });
+membershipSchema.index({ organizationId: 1, createdAt: -1 });
+
+const Membership = mongoose.model('Membership', membershipSchema);
+
+module.exports = Membership;
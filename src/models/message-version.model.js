@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Earlier state of a message, kept when the message is edited or reverted
+const messageVersionSchema = new mongoose.Schema(
+    {
+        messageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message',
+            required: true,
+        },
+        chatId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Chat',
+            required: true,
+        },
+        // Number the message had while it held this state; the first state is 1
+        version: {
+            type: Number,
+            required: true,
+            min: 1,
+        },
+        content: {
+            type: String,
+            required: true,
+        },
+        metadata: {
+            type: Map,
+            of: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        // Who replaced this state; null for organization API keys. `createdAt` is when it was replaced.
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // `revert` when the state was replaced by reverting to another version
+        reason: {
+            type: String,
+            enum: ['edit', 'revert'],
+            default: 'edit',
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+// A version number is used once per message, which also catches concurrent edits
+messageVersionSchema.index({ messageId: 1, version: 1 }, { unique: true });
+messageVersionSchema.index({ chatId: 1 });
+
+const MessageVersion = mongoose.model('MessageVersion', messageVersionSchema);
+
+module.exports = MessageVersion;
@@ -1,5 +1,108 @@
 const mongoose = require('mongoose');
 
+// Part of a multimodal message: text, or an image, file or audio clip given as an uploaded attachment or a URL
+const contentPartSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: ['text', 'image', 'file', 'audio'],
+            required: true,
+        },
+        text: {
+            type: String,
+            required: function () {
+                return this.type === 'text';
+            },
+        },
+        attachmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Attachment',
+        },
+        url: String,
+        mimeType: String,
+        name: String,
+        // Transcript of an audio part
+        transcript: String,
+        // Resolution an image was sent to the model in
+        detail: {
+            type: String,
+            enum: ['low', 'high', 'auto'],
+        },
+    },
+    { _id: false },
+);
+
+// Call of a tool requested by an assistant message; the tool message answering it fills in the result
+const toolCallSchema = new mongoose.Schema(
+    {
+        id: {
+            type: String,
+            required: true,
+        },
+        type: {
+            type: String,
+            default: 'function',
+        },
+        name: {
+            type: String,
+            required: true,
+        },
+        arguments: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        result: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'success', 'error'],
+            default: 'pending',
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+        durationMs: {
+            type: Number,
+            min: 0,
+            default: null,
+        },
+        resultMessageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message',
+            default: null,
+        },
+    },
+    { _id: false },
+);
+
+// Function call of the legacy OpenAI format, which has no ID and no separate result
+const functionCallSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+        },
+        arguments: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+    },
+    { _id: false },
+);
+
+// Accept tool calls in the OpenAI format too, where the name and arguments are nested under `function`
+const normalizeToolCall = call => {
+    if (!call || !call.function) {
+        return call;
+    }
+
+    const { function: fn, ...rest } = call;
+    return { ...rest, name: fn.name, arguments: fn.arguments };
+};
+
 const messageSchema = new mongoose.Schema(
     {
         chatId: {
@@ -7,14 +110,48 @@ const messageSchema = new mongoose.Schema(
             ref: 'Chat',
             required: true,
         },
+        // Identifier chosen by the client; a message is only stored once per chat for each value
+        clientMessageId: {
+            type: String,
+            trim: true,
+            default: null,
+        },
+        // Message this one answers or follows; alternate branches share a parent
+        parentMessageId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Message',
+            default: null,
+        },
         role: {
             type: String,
             enum: ['system', 'user', 'assistant', 'function', 'tool'],
             required: true,
         },
+        // Streaming messages start empty and receive their content in chunks. Messages made of content parts
+        // get the text of their text parts, so search and exports keep working.
         content: {
             type: String,
-            required: true,
+            required: function () {
+                return this.status === 'complete' && !this.contentParts.length;
+            },
+        },
+        contentParts: {
+            type: [contentPartSchema],
+            default: [],
+        },
+        // `streaming` until the message is finalized; `incomplete` when its stream was aborted or abandoned
+        status: {
+            type: String,
+            enum: ['complete', 'streaming', 'incomplete'],
+            default: 'complete',
+        },
+        chunkCount: {
+            type: Number,
+            default: 0,
+        },
+        lastChunkAt: {
+            type: Date,
+            default: null,
         },
         metadata: {
             type: Map,
@@ -26,11 +163,23 @@ const messageSchema = new mongoose.Schema(
             default: null,
         },
         functionCall: {
-            type: mongoose.Schema.Types.Mixed,
+            type: functionCallSchema,
             default: null,
         },
         toolCalls: {
-            type: [mongoose.Schema.Types.Mixed],
+            type: [toolCallSchema],
+            default: null,
+            set: calls => (Array.isArray(calls) ? calls.map(normalizeToolCall) : calls),
+        },
+        // ID of the tool call a `tool` message answers
+        toolCallId: {
+            type: String,
+            default: null,
+        },
+        // Model that produced or received the message, defaulting to the model of the chat; `model` in the API
+        aiModel: {
+            type: String,
+            trim: true,
             default: null,
         },
         tokens: {
@@ -48,15 +197,65 @@ const messageSchema = new mongoose.Schema(
         latency: {
             type: Number,
             default: 0,
-        }
+        },
+        // Price of the tokens of the message from the pricing table of the organization; null when the
+        // model has no price
+        cost: {
+            type: Number,
+            min: 0,
+            default: null,
+        },
+        // Incremented on every edit; earlier versions are kept as MessageVersion documents
+        version: {
+            type: Number,
+            default: 1,
+        },
+        // Deleted messages stay in the trash of their chat until they are restored or purged
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
     },
     {
         timestamps: true,
+        toJSON: {
+            transform: (doc, ret) => {
+                ret.model = ret.aiModel;
+                delete ret.aiModel;
+                return ret;
+            },
+        },
     }
 );
 
+// Fill in the content of messages sent as content parts only
+messageSchema.pre('validate', function (next) {
+    if (this.content === undefined && this.contentParts.length) {
+        this.content = this.contentParts
+            .filter(part => part.type === 'text')
+            .map(part => part.text)
+            .join('\n');
+    }
+    next();
+});
+
 // Index for faster queries
 messageSchema.index({ chatId: 1, createdAt: 1 });
+messageSchema.index({ chatId: 1, deletedAt: 1 });
+// Lets the trash purge scan deleted messages by deletion time
+messageSchema.index({ deletedAt: 1, _id: 1 });
+messageSchema.index({ chatId: 1, parentMessageId: 1 });
+messageSchema.index({ status: 1, lastChunkAt: 1 });
+messageSchema.index({ chatId: 1, 'toolCalls.id': 1 });
+messageSchema.index(
+    { chatId: 1, clientMessageId: 1 },
+    { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } },
+);
 
 const Message = mongoose.model('Message', messageSchema);
 
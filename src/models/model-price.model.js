@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Entry of the pricing table of an organization. A model can have several entries; each applies to the
+// messages created from its `effectiveFrom` date until the next entry of the model takes over.
+const modelPriceSchema = new mongoose.Schema(
+    {
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+        },
+        // Model name, `model` in the API like on chats and messages
+        aiModel: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        // Prices per 1000 tokens, in the currency the organization is billed in
+        inputPricePer1K: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+        outputPricePer1K: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+        effectiveFrom: {
+            type: Date,
+            required: true,
+            default: Date.now,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            transform: (doc, ret) => {
+                ret.model = ret.aiModel;
+                delete ret.aiModel;
+                return ret;
+            },
+        },
+    },
+);
+
+// Create indexes for better performance
+modelPriceSchema.index({ organizationId: 1, aiModel: 1, effectiveFrom: -1 }, { unique: true });
+
+const ModelPrice = mongoose.model('ModelPrice', modelPriceSchema);
+
+module.exports = ModelPrice;
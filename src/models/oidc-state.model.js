@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Pending OpenID Connect login, created when the user is sent to the identity provider
+const oidcStateSchema = new mongoose.Schema(
+    {
+        // Only the hash of the `state` parameter is stored
+        stateHash: {
+            type: String,
+            required: true,
+        },
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+        },
+        // Set when a logged-in user links their account instead of logging in
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        codeVerifier: {
+            type: String,
+            required: true,
+        },
+        nonce: {
+            type: String,
+            required: true,
+        },
+        redirectUri: {
+            type: String,
+            required: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+// Generate a new random state value
+oidcStateSchema.statics.generateState = function () {
+    return crypto.randomBytes(32).toString('base64url');
+};
+
+// Hash a state value for storage and lookup
+oidcStateSchema.statics.hashState = function (state) {
+    return crypto.createHash('sha256').update(String(state)).digest('hex');
+};
+
+// Method to check whether the login attempt has timed out
+oidcStateSchema.methods.isExpired = function () {
+    return this.expiresAt.getTime() <= Date.now();
+};
+
+// Create indexes for better performance
+oidcStateSchema.index({ stateHash: 1 }, { unique: true });
+// Let MongoDB remove abandoned login attempts
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcState = mongoose.model('OidcState', oidcStateSchema);
+
+module.exports = OidcState;
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
-const crypto = require('crypto');
+const { generateApiKey, hashApiKey, getApiKeyPrefix } = require('../utils/api-key');
+const { ORGANIZATION_PERMISSIONS } = require('../config/permissions');
+const { CUSTOM_FIELD_TYPES } = require('../utils/custom-fields');
 
 const organizationSchema = new mongoose.Schema(
     {
@@ -8,9 +10,108 @@ const organizationSchema = new mongoose.Schema(
             required: true,
             trim: true,
         },
-        apiKey: {
+        // Only the hash of the API key is stored; it is never returned by queries by default
+        apiKeyHash: {
             type: String,
             required: true,
+            select: false,
+        },
+        apiKeyPrefix: {
+            type: String,
+            default: null,
+        },
+        // OpenID Connect single sign-on; the client secret is never returned by queries by default
+        oidc: {
+            enabled: {
+                type: Boolean,
+                default: false,
+            },
+            issuer: {
+                type: String,
+                trim: true,
+            },
+            clientId: {
+                type: String,
+                trim: true,
+            },
+            clientSecret: {
+                type: String,
+                select: false,
+            },
+            scopes: {
+                type: [String],
+                default: ['openid', 'email', 'profile'],
+            },
+            // ID token claim holding the user's groups or roles, e.g. `groups`
+            roleClaim: {
+                type: String,
+                default: null,
+            },
+            // Claim value -> role granted to members
+            roleMapping: {
+                type: Map,
+                of: { type: String, enum: ['user', 'admin'] },
+                default: {},
+            },
+            defaultRole: {
+                type: String,
+                enum: ['user', 'admin'],
+                default: 'user',
+            },
+            // Create accounts on first login instead of only accepting existing users
+            allowJitProvisioning: {
+                type: Boolean,
+                default: true,
+            },
+        },
+        // Role name -> permissions; overrides the built-in `user` and `admin` roles or defines custom roles
+        roles: {
+            type: Map,
+            of: new mongoose.Schema(
+                {
+                    description: {
+                        type: String,
+                        trim: true,
+                        default: '',
+                    },
+                    permissions: {
+                        type: [{ type: String, enum: Object.keys(ORGANIZATION_PERMISSIONS) }],
+                        default: [],
+                    },
+                },
+                { _id: false },
+            ),
+            default: {},
+        },
+        // Field name -> definition of the custom fields chats of the organization can have
+        customFields: {
+            type: Map,
+            of: new mongoose.Schema(
+                {
+                    type: {
+                        type: String,
+                        enum: CUSTOM_FIELD_TYPES,
+                        required: true,
+                    },
+                    // Chats must be created with a value
+                    required: {
+                        type: Boolean,
+                        default: false,
+                    },
+                    // Allowed values of string and number fields; empty allows any value
+                    enum: {
+                        type: [mongoose.Schema.Types.Mixed],
+                        default: [],
+                    },
+                    description: {
+                        type: String,
+                        trim: true,
+                        default: '',
+                    },
+                },
+                { _id: false },
+            ),
+            default: {},
         },
         settings: {
             type: Map,
@@ -34,17 +135,33 @@ const organizationSchema = new mongoose.Schema(
     },
     {
         timestamps: true,
+        toJSON: {
+            // Never expose the API key hash or SSO client secret, even on freshly created documents
+            transform: (doc, ret) => {
+                delete ret.apiKeyHash;
+                if (ret.oidc) {
+                    delete ret.oidc.clientSecret;
+                }
+                return ret;
+            },
+        },
     }
 );
 
+// Setting `apiKey` stores its hash and visible prefix instead of the key itself
+organizationSchema.virtual('apiKey').set(function (apiKey) {
+    this.apiKeyHash = hashApiKey(apiKey);
+    this.apiKeyPrefix = getApiKeyPrefix(apiKey);
+});
+
 // Method to generate a new API key for the organization
 organizationSchema.statics.generateApiKey = function () {
-    return crypto.randomBytes(32).toString('hex');
+    return generateApiKey('clo');
 };
 
 // Create indexes for better performance
 organizationSchema.index({ name: 1 }, { unique: true });
-organizationSchema.index({ apiKey: 1 }, { unique: true });
+organizationSchema.index({ apiKeyHash: 1 }, { unique: true });
 
 const Organization = mongoose.model('Organization', organizationSchema);
 
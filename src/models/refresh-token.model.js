@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        // Only the SHA-256 hash of the token is stored, never the token itself
+        tokenHash: {
+            type: String,
+            required: true,
+        },
+        // Identifies the login session; shared by every token produced through rotation
+        family: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        replacedByHash: {
+            type: String,
+            default: null,
+        },
+        createdByIp: {
+            type: String,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+// Generate a new opaque refresh token
+refreshTokenSchema.statics.generateToken = function () {
+    return crypto.randomBytes(48).toString('hex');
+};
+
+// Hash a refresh token for storage and lookup
+refreshTokenSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Method to check whether the token has passed its expiry date
+refreshTokenSchema.methods.isExpired = function () {
+    return this.expiresAt.getTime() <= Date.now();
+};
+
+// Create indexes for better performance
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+// Let MongoDB remove tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
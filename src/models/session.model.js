@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Login session of a user, shown to them so they can see where they are logged in.
+// Its refresh tokens share the session ID as their `family`, and access tokens carry it as `sid`.
+const sessionSchema = new mongoose.Schema(
+    {
+        sessionId: {
+            type: String,
+            required: true,
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        // Organization the user acts in; their own unless they switched to another membership
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            default: null,
+        },
+        // Short description of the client, e.g. "Firefox on Windows"
+        device: {
+            type: String,
+            default: null,
+        },
+        ip: {
+            type: String,
+            default: null,
+        },
+        userAgent: {
+            type: String,
+            default: null,
+        },
+        lastSeenAt: {
+            type: Date,
+            default: Date.now,
+        },
+        lastSeenIp: {
+            type: String,
+            default: null,
+        },
+        // Expiry of the newest refresh token of the session
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        // Admin who ended the session, when it was not the user
+        revokedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // Superadmin acting as the user; such sessions never hand out a refresh token
+        impersonatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+// Method to check whether the session can still be used
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+// Create indexes for better performance
+sessionSchema.index({ sessionId: 1 }, { unique: true });
+sessionSchema.index({ userId: 1, lastSeenAt: -1 });
+// Let MongoDB remove sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
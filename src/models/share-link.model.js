@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Public link to a read-only transcript of a chat
+const shareLinkSchema = new mongoose.Schema(
+    {
+        chatId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Chat',
+            required: true,
+        },
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+        },
+        // Only the SHA-256 hash of the link token is stored
+        tokenHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+        // Links without an expiry date work until they are revoked
+        expiresAt: {
+            type: Date,
+            default: null,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        lastAccessedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+        toJSON: {
+            virtuals: true,
+            // Never expose the token hash, even on freshly created documents
+            transform: (doc, ret) => {
+                delete ret.tokenHash;
+                delete ret.id;
+                return ret;
+            },
+        },
+    },
+);
+
+// Generate a new link token
+shareLinkSchema.statics.generateToken = function () {
+    return crypto.randomBytes(32).toString('base64url');
+};
+
+// Hash a link token for storage and lookup
+shareLinkSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Method to check whether the link has passed its expiry date
+shareLinkSchema.methods.isExpired = function () {
+    return Boolean(this.expiresAt) && this.expiresAt.getTime() <= Date.now();
+};
+
+// Method to check whether the link still gives access to the transcript
+shareLinkSchema.methods.isUsable = function () {
+    return !this.revokedAt && !this.isExpired();
+};
+
+// One of active, revoked or expired
+shareLinkSchema.virtual('status').get(function () {
+    if (this.revokedAt) return 'revoked';
+    return this.isExpired() ? 'expired' : 'active';
+});
+
+// Create indexes for better performance
+shareLinkSchema.index({ tokenHash: 1 }, { unique: true });
+shareLinkSchema.index({ chatId: 1, createdAt: -1 });
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+module.exports = ShareLink;
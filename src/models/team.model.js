@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Group of users inside an organization. Members can read the chats assigned to the team.
+const teamSchema = new mongoose.Schema(
+    {
+        organizationId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            required: true,
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        description: {
+            type: String,
+            trim: true,
+            default: '',
+        },
+        members: {
+            type: [
+                {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                },
+            ],
+            default: [],
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    },
+);
+
+// Method to check whether a user is a member of the team
+teamSchema.methods.hasMember = function (userId) {
+    return this.members.some(member => String(member) === String(userId));
+};
+
+// Create indexes for better performance
+teamSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+teamSchema.index({ organizationId: 1, members: 1 });
+
+const Team = mongoose.model('Team', teamSchema);
+
+module.exports = Team;
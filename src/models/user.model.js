@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateApiKey, hashApiKey, getApiKeyPrefix } = require('../utils/api-key');
+const { ROLE_NAME_PATTERN } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema(
     {
@@ -22,12 +24,18 @@ const userSchema = new mongoose.Schema(
             required: true,
             minlength: 6,
         },
+        // Built-in role (superadmin, admin, user) or a custom role of the organization
         role: {
             type: String,
-            enum: ['superadmin', 'admin', 'user'],
+            match: ROLE_NAME_PATTERN,
             default: 'user',
         },
-        apiKey: {
+        // Legacy single API key; only its hash is stored
+        apiKeyHash: {
+            type: String,
+            select: false,
+        },
+        apiKeyPrefix: {
             type: String,
         },
         organizationId: {
@@ -40,14 +48,73 @@ const userSchema = new mongoose.Schema(
             type: Boolean,
             default: true,
         },
+        emailVerified: {
+            type: Boolean,
+            default: false,
+        },
+        emailVerifiedAt: {
+            type: Date,
+            default: null,
+        },
+        // Identity at the organization's OpenID Connect provider, set for SSO users
+        oidcIssuer: {
+            type: String,
+            default: null,
+        },
+        oidcSubject: {
+            type: String,
+            default: null,
+        },
+        // Failed login tracking for account lockout
+        failedLoginAttempts: {
+            type: Number,
+            default: 0,
+        },
+        lastFailedLoginAt: {
+            type: Date,
+            default: null,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        // TOTP two-factor authentication; the secret is set during setup and used once enabled
+        twoFactorEnabled: {
+            type: Boolean,
+            default: false,
+        },
+        twoFactorSecret: {
+            type: String,
+            select: false,
+        },
+        // Hashes of the unused recovery codes
+        twoFactorRecoveryCodes: {
+            type: [String],
+            select: false,
+        },
+        // Time step of the last accepted code, so a code cannot be used twice
+        twoFactorLastUsedStep: {
+            type: Number,
+            select: false,
+        },
     },
     {
         timestamps: true,
     }
 );
 
-// Define index for apiKey field (using only one method to define index)
-userSchema.index({ apiKey: 1 }, { unique: true, sparse: true });
+// Define index for apiKeyHash field (using only one method to define index)
+userSchema.index({ apiKeyHash: 1 }, { unique: true, sparse: true });
+userSchema.index(
+    { oidcIssuer: 1, oidcSubject: 1 },
+    { unique: true, partialFilterExpression: { oidcSubject: { $type: 'string' } } }
+);
+
+// Setting `apiKey` stores its hash and visible prefix instead of the key itself
+userSchema.virtual('apiKey').set(function (apiKey) {
+    this.apiKeyHash = hashApiKey(apiKey);
+    this.apiKeyPrefix = getApiKeyPrefix(apiKey);
+});
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
@@ -65,7 +132,7 @@ userSchema.methods.comparePassword = async function (password) {
 
 // Method to generate API key - Fixed to return a string directly for tests
 userSchema.methods.generateApiKey = function () {
-    const apiKey = require('crypto').randomBytes(32).toString('hex');
+    const apiKey = generateApiKey('clu');
     this.apiKey = apiKey;
     // We no longer save the model here to avoid issues in tests
     // The caller should save the model if needed
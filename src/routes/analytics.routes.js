@@ -2,30 +2,51 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analytics.controller');
-const { authenticateJWT, requireAdmin } = require('../middleware/auth');
+const { authenticateJWTOrApiKey, requireScope, requirePermission } = require('../middleware/auth');
 const { addOrganizationToRequest } = require('../middleware/organization-auth');
 
 router.get(
     '/activity',
-    authenticateJWT,
-    requireAdmin,
+    authenticateJWTOrApiKey,
+    requireScope('analytics:read'),
     addOrganizationToRequest,
+    requirePermission('analytics:read'),
     analyticsController.getChatActivityByDate,
 );
 
 router.get(
     '/messages/stats',
-    authenticateJWT,
-    requireAdmin,
+    authenticateJWTOrApiKey,
+    requireScope('analytics:read'),
     addOrganizationToRequest,
+    requirePermission('analytics:read'),
     analyticsController.getMessageStatsByRole,
 );
 
+router.get(
+    '/costs',
+    authenticateJWTOrApiKey,
+    requireScope('analytics:read'),
+    addOrganizationToRequest,
+    requirePermission('analytics:read'),
+    analyticsController.getCostStats,
+);
+
+router.get(
+    '/tools/stats',
+    authenticateJWTOrApiKey,
+    requireScope('analytics:read'),
+    addOrganizationToRequest,
+    requirePermission('analytics:read'),
+    analyticsController.getToolCallStats,
+);
+
 router.get(
     '/users/top',
-    authenticateJWT,
-    requireAdmin,
+    authenticateJWTOrApiKey,
+    requireScope('analytics:read'),
     addOrganizationToRequest,
+    requirePermission('analytics:read'),
     analyticsController.getTopUsersByActivity,
 );
 
@@ -1,30 +1,62 @@
 const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chat.controller');
-const { authenticateJWT, authenticateApiKey } = require('../middleware/auth');
+const shareController = require('../controllers/share.controller');
+const commentController = require('../controllers/comment.controller');
+const attachmentController = require('../controllers/attachment.controller');
+const { authenticateUserOrOrganization, requireScope, requirePermission } = require('../middleware/auth');
 const { addOrganizationToRequest } = require('../middleware/organization-auth');
 const { validate, validateQuery, validateObjectId, chatSchemas } = require('../middleware/validation');
 
-// Authentication middleware - accept either JWT or API Key
-const auth = [
-    (req, res, next) => {
-        authenticateJWT(req, res, (err) => {
-            if (!err) return next();
-            authenticateApiKey(req, res, next);
-        });
-    }
-];
+// Authentication middleware - accept JWT, user API key or organization API key
+const auth = authenticateUserOrOrganization;
 
-router.post('/', auth, addOrganizationToRequest, validate(chatSchemas.create), chatController.createChat);
+router.post('/', auth, requireScope('chats:write'), addOrganizationToRequest, requirePermission('chats:write:own'), validate(chatSchemas.create), chatController.createChat);
 
-router.get('/', auth, addOrganizationToRequest, validateQuery(chatSchemas.pagination), chatController.getUserChats);
+router.get('/', auth, requireScope('chats:read'), addOrganizationToRequest, requirePermission('chats:read:own'), validateQuery(chatSchemas.pagination), chatController.getUserChats);
 
-router.get('/search', auth, addOrganizationToRequest, validateQuery(chatSchemas.search), chatController.searchChats);
+router.get('/search', auth, requireScope('chats:read'), addOrganizationToRequest, requirePermission('chats:read:own'), validateQuery(chatSchemas.search), chatController.searchChats);
 
-router.get('/:chatId', auth, validateObjectId('chatId'), addOrganizationToRequest, chatController.getChatById);
+// Trash; registered before /:chatId so `trash` is not taken for a chat ID
+router.get('/trash', auth, requireScope('chats:write'), addOrganizationToRequest, requirePermission('chats:write:own'), validateQuery(chatSchemas.trash), chatController.getTrashedChats);
 
-router.put('/:chatId', auth, validateObjectId('chatId'), addOrganizationToRequest, validate(chatSchemas.update), chatController.updateChat);
+router.post('/trash/:chatId/restore', auth, requireScope('chats:write'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:write:own'), chatController.restoreChat);
 
-router.delete('/:chatId', auth, validateObjectId('chatId'), addOrganizationToRequest, chatController.deleteChat);
+router.delete('/trash/:chatId', auth, requireScope('chats:write'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:write:own'), chatController.purgeChat);
+
+router.get('/:chatId', auth, requireScope('chats:read'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:read:own'), chatController.getChatById);
+
+router.put('/:chatId', auth, requireScope('chats:write'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:write:own'), validate(chatSchemas.update), chatController.updateChat);
+
+router.delete('/:chatId', auth, requireScope('chats:write'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:write:own'), chatController.deleteChat);
+
+router.post('/:chatId/fork', auth, requireScope('chats:write'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:write:own'), validate(chatSchemas.fork), chatController.forkChat);
+
+// Sharing with users of the organization and through public links
+router.get('/:chatId/shares', auth, requireScope('chats:write'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:write:own'), shareController.listShares);
+
+router.put('/:chatId/shares/:userId', auth, requireScope('chats:write'), validateObjectId('chatId'), validateObjectId('userId'), addOrganizationToRequest, requirePermission('chats:write:own'), validate(chatSchemas.share), shareController.shareWithUser);
+
+router.delete('/:chatId/shares/:userId', auth, requireScope('chats:write'), validateObjectId('chatId'), validateObjectId('userId'), addOrganizationToRequest, requirePermission('chats:write:own'), shareController.unshareWithUser);
+
+router.post('/:chatId/share-links', auth, requireScope('chats:write'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:write:own'), validate(chatSchemas.createShareLink), shareController.createShareLink);
+
+router.delete('/:chatId/share-links/:linkId', auth, requireScope('chats:write'), validateObjectId('chatId'), validateObjectId('linkId'), addOrganizationToRequest, requirePermission('chats:write:own'), shareController.revokeShareLink);
+
+// Comments; users a chat is shared with for comments may add them
+router.get('/:chatId/comments', auth, requireScope('chats:read'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:read:own'), commentController.getChatComments);
+
+router.post('/:chatId/comments', auth, requireScope('chats:write'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:read:own'), validate(chatSchemas.comment), commentController.addComment);
+
+// Attachments that messages refer to from their content parts; uploads are the raw file with its type as Content-Type
+router.post('/:chatId/attachments', auth, requireScope('messages:write'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:write:own'), validateQuery(chatSchemas.uploadAttachment), attachmentController.uploadAttachment);
+
+router.get('/:chatId/attachments', auth, requireScope('messages:read'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:read:own'), attachmentController.getChatAttachments);
+
+router.get('/:chatId/attachments/:attachmentId', auth, requireScope('messages:read'), validateObjectId('chatId'), validateObjectId('attachmentId'), addOrganizationToRequest, requirePermission('chats:read:own'), attachmentController.getAttachmentById);
+
+router.get('/:chatId/attachments/:attachmentId/content', auth, requireScope('messages:read'), validateObjectId('chatId'), validateObjectId('attachmentId'), addOrganizationToRequest, requirePermission('chats:read:own'), attachmentController.downloadAttachment);
+
+router.delete('/:chatId/attachments/:attachmentId', auth, requireScope('messages:write'), validateObjectId('chatId'), validateObjectId('attachmentId'), addOrganizationToRequest, requirePermission('chats:write:own'), attachmentController.deleteAttachment);
 
 module.exports = router;
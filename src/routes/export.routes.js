@@ -2,11 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const exportController = require('../controllers/export.controller');
-const { authenticateJWT, requireAdmin } = require('../middleware/auth');
+const { authenticateJWT, requirePermission } = require('../middleware/auth');
 const { addOrganizationToRequest } = require('../middleware/organization-auth');
 
-router.get('/chats', authenticateJWT, requireAdmin, addOrganizationToRequest, exportController.exportChatsAndMessages);
+router.get('/chats', authenticateJWT, addOrganizationToRequest, requirePermission('export:run'), exportController.exportChatsAndMessages);
 
-router.get('/users/activity', authenticateJWT, requireAdmin, addOrganizationToRequest, exportController.exportUserActivity);
+router.get('/users/activity', authenticateJWT, addOrganizationToRequest, requirePermission('export:run'), exportController.exportUserActivity);
 
 module.exports = router;
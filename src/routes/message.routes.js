@@ -1,30 +1,53 @@
 const express = require('express');
 const router = express.Router();
 const messageController = require('../controllers/message.controller');
-const { authenticateJWT, authenticateApiKey } = require('../middleware/auth');
+const { authenticateUserOrOrganization, requireScope, requirePermission } = require('../middleware/auth');
 const { addOrganizationToRequest } = require('../middleware/organization-auth');
 const { validate, validateQuery, validateObjectId, messageSchemas } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
 
-// Authentication middleware - accept either JWT or API Key
-const auth = [
-    (req, res, next) => {
-        authenticateJWT(req, res, (err) => {
-            if (!err) return next();
-            authenticateApiKey(req, res, next);
-        });
-    }
-];
+// Authentication middleware - accept JWT, user API key or organization API key
+const auth = authenticateUserOrOrganization;
 
-router.post('/:chatId', auth, validateObjectId('chatId'), addOrganizationToRequest, validate(messageSchemas.create), messageController.addMessage);
+router.post('/:chatId', auth, requireScope('messages:write'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:write:own'), validate(messageSchemas.create), idempotent, messageController.addMessage);
 
-router.post('/batch/:chatId', auth, validateObjectId('chatId'), addOrganizationToRequest, validate(messageSchemas.batchCreate), messageController.batchAddMessages);
+router.post('/batch/:chatId', auth, requireScope('messages:write'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:write:own'), validate(messageSchemas.batchCreate), idempotent, messageController.batchAddMessages);
 
-router.get('/:chatId', auth, validateObjectId('chatId'), addOrganizationToRequest, validateQuery(messageSchemas.pagination), messageController.getChatMessages);
+// Streaming messages: open one (or upload a whole stream as NDJSON), append chunks, then finalize it
+router.post('/:chatId/stream', auth, requireScope('messages:write'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:write:own'), validate(messageSchemas.streamStart), messageController.startMessageStream);
 
-router.get('/:chatId/:messageId', auth, validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, messageController.getMessageById);
+router.post('/:chatId/:messageId/chunks', auth, requireScope('messages:write'), validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, requirePermission('chats:write:own'), validate(messageSchemas.streamChunk), messageController.appendMessageChunk);
 
-router.put('/:chatId/:messageId', auth, validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, validate(messageSchemas.update), messageController.updateMessage);
+router.post('/:chatId/:messageId/finalize', auth, requireScope('messages:write'), validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, requirePermission('chats:write:own'), validate(messageSchemas.streamFinish), messageController.finalizeMessageStream);
 
-router.delete('/:chatId/:messageId', auth, validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, messageController.deleteMessage);
+router.get('/:chatId', auth, requireScope('messages:read'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:read:own'), validateQuery(messageSchemas.pagination), messageController.getChatMessages);
+
+// Branches of a chat following the parent message of each message
+router.get('/:chatId/tree', auth, requireScope('messages:read'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:read:own'), messageController.getMessageTree);
+
+router.get('/:chatId/:messageId/path', auth, requireScope('messages:read'), validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, requirePermission('chats:read:own'), messageController.getMessagePath);
+
+// Tool calls made in a chat, with the results of the tool messages answering them
+router.get('/:chatId/tool-calls', auth, requireScope('messages:read'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:read:own'), validateQuery(messageSchemas.toolCalls), messageController.getToolCalls);
+
+// Earlier versions of a message, kept on every edit
+router.get('/:chatId/:messageId/versions', auth, requireScope('messages:read'), validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, requirePermission('chats:read:own'), messageController.getMessageVersions);
+
+router.get('/:chatId/:messageId/versions/:version', auth, requireScope('messages:read'), validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, requirePermission('chats:read:own'), messageController.getMessageVersion);
+
+router.post('/:chatId/:messageId/versions/:version/revert', auth, requireScope('messages:write'), validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, requirePermission('chats:write:own'), messageController.revertMessage);
+
+// Trash of a chat; registered before /:chatId/:messageId so `trash` is not taken for a message ID
+router.get('/:chatId/trash', auth, requireScope('messages:write'), validateObjectId('chatId'), addOrganizationToRequest, requirePermission('chats:write:own'), validateQuery(messageSchemas.pagination), messageController.getTrashedMessages);
+
+router.post('/:chatId/trash/:messageId/restore', auth, requireScope('messages:write'), validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, requirePermission('chats:write:own'), messageController.restoreMessage);
+
+router.delete('/:chatId/trash/:messageId', auth, requireScope('messages:write'), validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, requirePermission('chats:write:own'), messageController.purgeMessage);
+
+router.get('/:chatId/:messageId', auth, requireScope('messages:read'), validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, requirePermission('chats:read:own'), messageController.getMessageById);
+
+router.put('/:chatId/:messageId', auth, requireScope('messages:write'), validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, requirePermission('chats:write:own'), validate(messageSchemas.update), messageController.updateMessage);
+
+router.delete('/:chatId/:messageId', auth, requireScope('messages:write'), validateObjectId('chatId'), validateObjectId('messageId'), addOrganizationToRequest, requirePermission('chats:write:own'), messageController.deleteMessage);
 
 module.exports = router;
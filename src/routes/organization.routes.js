@@ -1,24 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const organizationController = require('../controllers/organization.controller');
-const { authenticateJWT, requireAdmin } = require('../middleware/auth');
+const ssoController = require('../controllers/sso.controller');
+const invitationController = require('../controllers/invitation.controller');
+const roleController = require('../controllers/role.controller');
+const auditController = require('../controllers/audit.controller');
+const membershipController = require('../controllers/membership.controller');
+const teamController = require('../controllers/team.controller');
+const pricingController = require('../controllers/pricing.controller');
+const customFieldController = require('../controllers/custom-field.controller');
+const { authenticateJWT, requirePermission } = require('../middleware/auth');
 const { addOrganizationToRequest } = require('../middleware/organization-auth');
-const { validate, validateObjectId, organizationSchemas } = require('../middleware/validation');
+const {
+    validate,
+    validateQuery,
+    validateObjectId,
+    organizationSchemas,
+} = require('../middleware/validation');
 
 router.post(
     '/',
     authenticateJWT,
-    requireAdmin,
+    requirePermission('organizations:create'),
     validate(organizationSchemas.create),
     organizationController.createOrganization,
 );
 
-router.get('/', authenticateJWT, requireAdmin, organizationController.getAllOrganizations);
+router.get(
+    '/',
+    authenticateJWT,
+    requirePermission('organizations:read:any'),
+    organizationController.getAllOrganizations,
+);
 
 router.get(
     '/current',
     authenticateJWT,
     addOrganizationToRequest,
+    requirePermission('org:read'),
     organizationController.getCurrentOrganization,
 );
 
@@ -27,6 +46,7 @@ router.get(
     authenticateJWT,
     validateObjectId('id'),
     addOrganizationToRequest,
+    requirePermission('org:read'),
     organizationController.getOrganizationById,
 );
 
@@ -35,6 +55,7 @@ router.put(
     authenticateJWT,
     validateObjectId('id'),
     addOrganizationToRequest,
+    requirePermission('org:update'),
     validate(organizationSchemas.update),
     organizationController.updateOrganization,
 );
@@ -44,7 +65,241 @@ router.post(
     authenticateJWT,
     validateObjectId('id'),
     addOrganizationToRequest,
+    requirePermission('org:keys:rotate'),
     organizationController.regenerateApiKey,
 );
 
+router.get(
+    '/:id/sso',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:sso:manage'),
+    ssoController.getSsoConfig,
+);
+
+router.put(
+    '/:id/sso',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:sso:manage'),
+    validate(organizationSchemas.sso),
+    ssoController.updateSsoConfig,
+);
+
+router.post(
+    '/:id/invitations',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:invitations:manage'),
+    validate(organizationSchemas.createInvitation),
+    invitationController.createInvitation,
+);
+
+router.get(
+    '/:id/invitations',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:invitations:manage'),
+    validateQuery(organizationSchemas.listInvitations),
+    invitationController.listInvitations,
+);
+
+router.delete(
+    '/:id/invitations/:invitationId',
+    authenticateJWT,
+    validateObjectId('id'),
+    validateObjectId('invitationId'),
+    requirePermission('org:invitations:manage'),
+    invitationController.revokeInvitation,
+);
+
+router.get(
+    '/:id/roles',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:read'),
+    roleController.listRoles,
+);
+
+router.put(
+    '/:id/roles/:role',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:roles:manage'),
+    validate(organizationSchemas.role),
+    roleController.updateRole,
+);
+
+router.delete(
+    '/:id/roles/:role',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:roles:manage'),
+    roleController.deleteRole,
+);
+
+router.get(
+    '/:id/custom-fields',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:read'),
+    customFieldController.listCustomFields,
+);
+
+router.put(
+    '/:id/custom-fields/:name',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:fields:manage'),
+    validate(organizationSchemas.customField),
+    customFieldController.updateCustomField,
+);
+
+router.delete(
+    '/:id/custom-fields/:name',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:fields:manage'),
+    customFieldController.deleteCustomField,
+);
+
+router.get(
+    '/:id/members',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('users:read'),
+    validateQuery(organizationSchemas.listMembers),
+    membershipController.listMembers,
+);
+
+router.put(
+    '/:id/members/:userId',
+    authenticateJWT,
+    validateObjectId('id'),
+    validateObjectId('userId'),
+    requirePermission('users:manage'),
+    validate(organizationSchemas.updateMember),
+    membershipController.updateMember,
+);
+
+router.delete(
+    '/:id/members/:userId',
+    authenticateJWT,
+    validateObjectId('id'),
+    validateObjectId('userId'),
+    requirePermission('users:manage'),
+    membershipController.removeMember,
+);
+
+router.get(
+    '/:id/teams',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:read'),
+    teamController.listTeams,
+);
+
+router.post(
+    '/:id/teams',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:teams:manage'),
+    validate(organizationSchemas.createTeam),
+    teamController.createTeam,
+);
+
+router.get(
+    '/:id/teams/:teamId',
+    authenticateJWT,
+    validateObjectId('id'),
+    validateObjectId('teamId'),
+    requirePermission('org:read'),
+    teamController.getTeam,
+);
+
+router.put(
+    '/:id/teams/:teamId',
+    authenticateJWT,
+    validateObjectId('id'),
+    validateObjectId('teamId'),
+    requirePermission('org:teams:manage'),
+    validate(organizationSchemas.updateTeam),
+    teamController.updateTeam,
+);
+
+router.delete(
+    '/:id/teams/:teamId',
+    authenticateJWT,
+    validateObjectId('id'),
+    validateObjectId('teamId'),
+    requirePermission('org:teams:manage'),
+    teamController.deleteTeam,
+);
+
+router.post(
+    '/:id/teams/:teamId/members',
+    authenticateJWT,
+    validateObjectId('id'),
+    validateObjectId('teamId'),
+    requirePermission('org:teams:manage'),
+    validate(organizationSchemas.addTeamMember),
+    teamController.addTeamMember,
+);
+
+router.delete(
+    '/:id/teams/:teamId/members/:userId',
+    authenticateJWT,
+    validateObjectId('id'),
+    validateObjectId('teamId'),
+    validateObjectId('userId'),
+    requirePermission('org:teams:manage'),
+    teamController.removeTeamMember,
+);
+
+router.get(
+    '/:id/pricing',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:read'),
+    validateQuery(organizationSchemas.listPrices),
+    pricingController.listPrices,
+);
+
+router.post(
+    '/:id/pricing',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:pricing:manage'),
+    validate(organizationSchemas.createPrice),
+    pricingController.createPrice,
+);
+
+router.put(
+    '/:id/pricing/:priceId',
+    authenticateJWT,
+    validateObjectId('id'),
+    validateObjectId('priceId'),
+    requirePermission('org:pricing:manage'),
+    validate(organizationSchemas.updatePrice),
+    pricingController.updatePrice,
+);
+
+router.delete(
+    '/:id/pricing/:priceId',
+    authenticateJWT,
+    validateObjectId('id'),
+    validateObjectId('priceId'),
+    requirePermission('org:pricing:manage'),
+    pricingController.deletePrice,
+);
+
+router.get(
+    '/:id/audit-log',
+    authenticateJWT,
+    validateObjectId('id'),
+    requirePermission('org:audit:read'),
+    validateQuery(organizationSchemas.auditLog),
+    auditController.getAuditLog,
+);
+
 module.exports = router;
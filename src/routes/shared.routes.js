@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const shareController = require('../controllers/share.controller');
+
+// Read-only transcripts behind public share links; the token is the only credential
+router.get('/:token', shareController.getSharedTranscript);
+
+module.exports = router;
@@ -1,29 +1,82 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
-const { authenticateJWT, requireAdmin } = require('../middleware/auth');
+const twoFactorController = require('../controllers/two-factor.controller');
+const ssoController = require('../controllers/sso.controller');
+const invitationController = require('../controllers/invitation.controller');
+const sessionController = require('../controllers/session.controller');
+const membershipController = require('../controllers/membership.controller');
+const { authenticateJWT, forbidImpersonation, requirePermission } = require('../middleware/auth');
 const { addOrganizationToRequest } = require('../middleware/organization-auth');
+const { authLimiter, accountLimiter } = require('../middleware/rate-limit');
 const { validate, validateQuery, validateObjectId, userSchemas } = require('../middleware/validation');
 
 // Registration and authentication
-router.post('/register', validate(userSchemas.register), userController.register);
-router.post('/login', validate(userSchemas.login), userController.login);
+router.post('/register', authLimiter, accountLimiter, validate(userSchemas.register), userController.register);
+router.post('/register/invitation', authLimiter, validate(userSchemas.acceptInvitation), invitationController.acceptInvitation);
+router.post('/login', authLimiter, accountLimiter, validate(userSchemas.login), userController.login);
+router.post('/login/2fa', authLimiter, validate(userSchemas.twoFactorLogin), twoFactorController.completeTwoFactorLogin);
+router.post('/token/refresh', validate(userSchemas.refreshToken), userController.refreshToken);
+router.post('/logout', authenticateJWT, validate(userSchemas.logout), userController.logout);
+
+// OpenID Connect single sign-on (callback must be before the organization route)
+router.get('/sso/callback', authLimiter, ssoController.completeSsoLogin);
+router.get('/sso/:organizationId/login', validateObjectId('organizationId'), ssoController.startSsoLogin);
+router.post('/sso/link', authenticateJWT, forbidImpersonation, ssoController.startSsoLink);
+
+// Password reset and email verification
+router.post('/password/forgot', authLimiter, accountLimiter, validate(userSchemas.forgotPassword), userController.forgotPassword);
+router.post('/password/reset', authLimiter, validate(userSchemas.resetPassword), userController.resetPassword);
+router.post('/verify-email', validate(userSchemas.verifyEmail), userController.verifyEmail);
+router.post('/verify-email/resend', authLimiter, accountLimiter, validate(userSchemas.resendVerification), userController.resendVerificationEmail);
+
+// Current user
 router.get('/profile', authenticateJWT, userController.getProfile);
-router.post('/generate-api-key', authenticateJWT, userController.generateApiKey);
+router.post('/generate-api-key', authenticateJWT, forbidImpersonation, userController.generateApiKey);
+
+// TOTP two-factor authentication of the current user (credentials cannot be changed while impersonating)
+router.post('/2fa/setup', authenticateJWT, forbidImpersonation, twoFactorController.setupTwoFactor);
+router.post('/2fa/enable', authenticateJWT, forbidImpersonation, validate(userSchemas.twoFactorCode), twoFactorController.enableTwoFactor);
+router.post('/2fa/disable', authenticateJWT, forbidImpersonation, validate(userSchemas.disableTwoFactor), twoFactorController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateJWT, forbidImpersonation, validate(userSchemas.twoFactorCode), twoFactorController.regenerateRecoveryCodes);
+
+// Named, scoped API keys of the current user
+router.get('/api-keys', authenticateJWT, userController.listApiKeys);
+router.post('/api-keys', authenticateJWT, forbidImpersonation, validate(userSchemas.createApiKey), userController.createApiKey);
+router.delete('/api-keys/:keyId', authenticateJWT, forbidImpersonation, validateObjectId('keyId'), userController.revokeApiKey);
+
+// Login sessions of the current user (must be before the /:id routes)
+router.get('/sessions', authenticateJWT, sessionController.listSessions);
+router.delete('/sessions/:sessionId', authenticateJWT, forbidImpersonation, validateObjectId('sessionId'), sessionController.deleteSession);
+
+// Organizations of the current user; switching issues a token acting in another organization
+router.get('/organizations', authenticateJWT, membershipController.listOrganizations);
+router.post('/organizations/switch', authenticateJWT, forbidImpersonation, validate(userSchemas.switchOrganization), membershipController.switchOrganization);
+router.post('/organizations/join', authenticateJWT, forbidImpersonation, validate(userSchemas.joinOrganization), invitationController.joinOrganization);
+router.delete('/organizations/:organizationId', authenticateJWT, forbidImpersonation, validateObjectId('organizationId'), membershipController.leaveOrganization);
+
+// User management (requires user permissions)
+router.get('/organization-users', authenticateJWT, requirePermission('users:read'), addOrganizationToRequest, userController.getUsersInOrganization);
+
+// Search users with filtering (must be before /:id route)
+router.get('/search/users', authenticateJWT, requirePermission('users:read'), validateQuery(userSchemas.search), addOrganizationToRequest, userController.searchUsers);
+
+// Create a user with a given role; only roles granting no more than the creator's permissions
+router.post('/admin/create', authenticateJWT, requirePermission('users:manage'), validate(userSchemas.create), addOrganizationToRequest, userController.createAdminUser);
 
-// User management (admin only)
-router.get('/organization-users', authenticateJWT, requireAdmin, addOrganizationToRequest, userController.getUsersInOrganization);
+// Get user by ID - Accessible with users:read or to the user themselves
+router.get('/:id', authenticateJWT, validateObjectId('id'), requirePermission('users:read', { selfParam: 'id' }), addOrganizationToRequest, userController.getUserById);
 
-// Search users with filtering - Admin only (must be before /:id route)
-router.get('/search/users', authenticateJWT, requireAdmin, validateQuery(userSchemas.search), addOrganizationToRequest, userController.searchUsers);
+// Unlock an account locked after too many failed logins
+router.post('/:id/unlock', authenticateJWT, requirePermission('users:unlock'), validateObjectId('id'), addOrganizationToRequest, userController.unlockUser);
 
-// Create admin/superadmin user - Superadmin only or admin for regular user creation
-router.post('/admin/create', authenticateJWT, requireAdmin, validate(userSchemas.create), addOrganizationToRequest, userController.createAdminUser);
+// Log a user out of every session
+router.delete('/:id/sessions', authenticateJWT, forbidImpersonation, validateObjectId('id'), requirePermission('users:sessions:revoke'), sessionController.deleteUserSessions);
 
-// Get user by ID - Accessible to admins or the user themselves
-router.get('/:id', authenticateJWT, validateObjectId('id'), addOrganizationToRequest, userController.getUserById);
+// Act as another user with a short-lived token; impersonation tokens cannot be used to start another one
+router.post('/:id/impersonate', authenticateJWT, forbidImpersonation, validateObjectId('id'), requirePermission('users:impersonate'), userController.impersonateUser);
 
-// Update user - Accessible to admins or the user themselves
-router.put('/:id', authenticateJWT, validateObjectId('id'), validate(userSchemas.update), addOrganizationToRequest, userController.updateUser);
+// Update user - Accessible with users:manage or to the user themselves
+router.put('/:id', authenticateJWT, validateObjectId('id'), requirePermission('users:manage', { selfParam: 'id' }), validate(userSchemas.update), addOrganizationToRequest, userController.updateUser);
 
 module.exports = router;
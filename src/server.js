@@ -2,6 +2,8 @@ const app = require('./app');
 const connectDB = require('./utils/db');
 const config = require('./config/config');
 const logger = require('./utils/logger');
+const { scheduleTrashPurge } = require('./utils/trash');
+const { scheduleStreamSweep } = require('./utils/message-streams');
 
 // Connect to MongoDB
 connectDB();
@@ -23,6 +25,11 @@ const server = app.listen(config.port, () => {
     logger.info(`Swagger Docs: ${config.protocol}://${config.host}:${config.port}${config.apiDocumentationPath}`);
 });
 
+// Permanently delete chats and messages whose time in the trash is up
+scheduleTrashPurge();
+// Mark streaming messages whose client went away as incomplete
+scheduleStreamSweep();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
     logger.error(`Error: ${err.message}`);
@@ -0,0 +1,83 @@
+jest.mock('../../config/config', () => ({
+    jwtSecret: 'test-secret',
+    passwordResetTokenExpiresIn: '1h',
+    emailVerificationTokenExpiresIn: '24h',
+    twoFactorChallengeExpiresIn: '5m',
+}));
+
+const jwt = require('jsonwebtoken');
+const { createAccountToken, decodeAccountToken, isAccountTokenCurrent } = require('../account-tokens');
+
+describe('Account token utilities', () => {
+    let user;
+
+    beforeEach(() => {
+        user = {
+            _id: 'user123',
+            email: 'test@example.com',
+            password: 'hashed-password',
+            emailVerified: false,
+        };
+    });
+
+    test('should create tokens that decode for their own purpose only', () => {
+        const token = createAccountToken(user, 'password-reset');
+
+        const payload = decodeAccountToken(token, 'password-reset');
+        expect(payload.sub).toBe('user123');
+        expect(isAccountTokenCurrent(payload, user)).toBe(true);
+        expect(decodeAccountToken(token, 'email-verification')).toBeNull();
+    });
+
+    test('should reject tampered or expired tokens', () => {
+        const token = createAccountToken(user, 'email-verification');
+        const expired = jwt.sign(
+            { sub: 'user123', purpose: 'email-verification', exp: Math.floor(Date.now() / 1000) - 10 },
+            'test-secret',
+        );
+
+        expect(decodeAccountToken(`${token}x`, 'email-verification')).toBeNull();
+        expect(decodeAccountToken(expired, 'email-verification')).toBeNull();
+    });
+
+    test('should invalidate a reset token once the password changes', () => {
+        const payload = decodeAccountToken(createAccountToken(user, 'password-reset'), 'password-reset');
+
+        user.password = 'new-hashed-password';
+
+        expect(isAccountTokenCurrent(payload, user)).toBe(false);
+    });
+
+    test('should invalidate a verification token once the email is verified', () => {
+        const payload = decodeAccountToken(
+            createAccountToken(user, 'email-verification'),
+            'email-verification',
+        );
+
+        user.emailVerified = true;
+
+        expect(isAccountTokenCurrent(payload, user)).toBe(false);
+    });
+
+    test('should invalidate a two-factor challenge once the password changes', () => {
+        const payload = decodeAccountToken(
+            createAccountToken(user, 'two-factor-challenge'),
+            'two-factor-challenge',
+        );
+        expect(isAccountTokenCurrent(payload, user)).toBe(true);
+
+        user.password = 'new-hashed-password';
+
+        expect(isAccountTokenCurrent(payload, user)).toBe(false);
+    });
+
+    test('should not accept a token for another user', () => {
+        const payload = decodeAccountToken(createAccountToken(user, 'password-reset'), 'password-reset');
+
+        expect(isAccountTokenCurrent(payload, { ...user, _id: 'user456' })).toBe(false);
+    });
+
+    test('should refuse unknown purposes', () => {
+        expect(() => createAccountToken(user, 'login')).toThrow('Unknown account token purpose');
+    });
+});
@@ -0,0 +1,25 @@
+const { generateApiKey, hashApiKey, getApiKeyPrefix } = require('../api-key');
+
+describe('API key utilities', () => {
+    test('should generate keys with a visible type prefix', () => {
+        const key = generateApiKey('clk');
+
+        expect(key).toMatch(/^clk_[0-9a-f]{64}$/);
+        expect(generateApiKey('clk')).not.toBe(key);
+    });
+
+    test('should hash keys deterministically', () => {
+        const key = generateApiKey('clo');
+
+        expect(hashApiKey(key)).toMatch(/^[0-9a-f]{64}$/);
+        expect(hashApiKey(key)).toBe(hashApiKey(key));
+        expect(hashApiKey(key)).not.toBe(hashApiKey(generateApiKey('clo')));
+    });
+
+    test('should only keep the beginning of a key as its prefix', () => {
+        const key = generateApiKey('clu');
+
+        expect(getApiKeyPrefix(key)).toBe(key.slice(0, 12));
+        expect(key.includes(getApiKeyPrefix(key))).toBe(true);
+    });
+});
@@ -0,0 +1,108 @@
+const { PassThrough } = require('stream');
+const { getAttachmentLimits, isAllowedType, limitUploadSize, removeAttachments } = require('../attachments');
+const Attachment = require('../../models/attachment.model');
+const config = require('../../config/config');
+const { getStorage } = require('../storage');
+
+jest.mock('../../models/attachment.model');
+jest.mock('../storage');
+jest.mock('../logger');
+
+const readAll = async stream => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(String(chunk));
+    }
+    return chunks.join('');
+};
+
+describe('Attachments', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('getAttachmentLimits', () => {
+        test('should use the organization settings', () => {
+            const organization = {
+                settings: new Map([
+                    ['attachmentMaxBytes', 1024],
+                    ['attachmentAllowedTypes', ['Image/PNG']],
+                ]),
+            };
+
+            expect(getAttachmentLimits(organization)).toEqual({ maxBytes: 1024, allowedTypes: ['image/png'] });
+        });
+
+        test('should fall back to the configured defaults for missing or invalid settings', () => {
+            const organization = { settings: new Map([['attachmentMaxBytes', -5]]) };
+
+            expect(getAttachmentLimits(organization)).toEqual({
+                maxBytes: config.attachmentMaxBytes,
+                allowedTypes: config.attachmentAllowedTypes,
+            });
+        });
+    });
+
+    describe('isAllowedType', () => {
+        test('should match exact types and wildcards', () => {
+            expect(isAllowedType('application/pdf', ['application/pdf'])).toBe(true);
+            expect(isAllowedType('image/webp', ['image/*'])).toBe(true);
+            expect(isAllowedType('video/mp4', ['*/*'])).toBe(true);
+            expect(isAllowedType('video/mp4', ['image/*', 'application/pdf'])).toBe(false);
+        });
+    });
+
+    describe('limitUploadSize', () => {
+        const createRequest = () => Object.assign(new PassThrough(), { complete: false });
+
+        test('should pass the body through and count its bytes', async () => {
+            const req = createRequest();
+            const content = limitUploadSize(req, 10);
+
+            req.end('Hello');
+            req.complete = true;
+
+            expect(await readAll(content)).toBe('Hello');
+            expect(content.bytes).toBe(5);
+        });
+
+        test('should fail once the body is larger than the limit', async () => {
+            const req = createRequest();
+            const content = limitUploadSize(req, 10);
+
+            req.end('Hello world!');
+
+            await expect(readAll(content)).rejects.toMatchObject({ code: 'LIMIT_FILE_SIZE' });
+        });
+
+        test('should fail when the client goes away before the end of the body', async () => {
+            const req = createRequest();
+            const content = limitUploadSize(req, 10);
+
+            req.write('Hel');
+            req.destroy();
+
+            await expect(readAll(content)).rejects.toThrow('Upload was interrupted');
+        });
+    });
+
+    describe('removeAttachments', () => {
+        test('should delete the stored files and then the attachments', async () => {
+            const storage = { remove: jest.fn().mockResolvedValue() };
+            getStorage.mockReturnValue(storage);
+            Attachment.find = jest.fn().mockResolvedValue([
+                { _id: 'attachment1', storageKey: 'org1/chat1/file1' },
+                { _id: 'attachment2', storageKey: 'org1/chat1/file2' },
+            ]);
+            Attachment.deleteMany = jest.fn().mockResolvedValue({ deletedCount: 2 });
+
+            const count = await removeAttachments({ chatId: { $in: ['chat1'] } });
+
+            expect(Attachment.find).toHaveBeenCalledWith({ chatId: { $in: ['chat1'] } });
+            expect(storage.remove).toHaveBeenCalledWith('org1/chat1/file1');
+            expect(storage.remove).toHaveBeenCalledWith('org1/chat1/file2');
+            expect(Attachment.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['attachment1', 'attachment2'] } });
+            expect(count).toBe(2);
+        });
+    });
+});
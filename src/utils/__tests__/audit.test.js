@@ -0,0 +1,85 @@
+const AuditEvent = require('../../models/audit-event.model');
+const logger = require('../logger');
+const { getActor, diffFields, recordAuditEvent } = require('../audit');
+
+jest.mock('../../models/audit-event.model');
+jest.mock('../logger');
+
+describe('Audit helpers', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        AuditEvent.create = jest.fn().mockResolvedValue({});
+    });
+
+    describe('getActor', () => {
+        test('should describe users, including who impersonates them', () => {
+            const req = {
+                user: { _id: 'user123', username: 'jane', role: 'user' },
+                impersonator: { _id: 'super123' },
+            };
+
+            expect(getActor(req)).toEqual({
+                type: 'user',
+                userId: 'user123',
+                username: 'jane',
+                role: 'user',
+                impersonatorId: 'super123',
+                apiKeyId: null,
+            });
+        });
+
+        test('should describe backend services and unauthenticated clients', () => {
+            expect(getActor({ organization: { _id: 'org123' } })).toEqual({ type: 'organization' });
+            expect(getActor({})).toEqual({ type: 'anonymous' });
+        });
+    });
+
+    describe('diffFields', () => {
+        test('should only include changed fields', () => {
+            const before = { role: 'user', isActive: true, tags: ['a'] };
+            const after = { role: 'admin', isActive: true, tags: ['a'] };
+
+            expect(diffFields(before, after, ['role', 'isActive', 'tags'])).toEqual({
+                role: { from: 'user', to: 'admin' },
+            });
+        });
+
+        test('should return null when nothing changed', () => {
+            expect(diffFields({ role: 'user' }, { role: 'user' }, ['role', 'email'])).toBeNull();
+        });
+    });
+
+    describe('recordAuditEvent', () => {
+        test('should store the event with the client of the request', async () => {
+            const req = {
+                user: { _id: 'admin123', username: 'admin', role: 'admin', organizationId: 'org123' },
+                ip: '127.0.0.1',
+                headers: { 'user-agent': 'curl/8.5.0' },
+            };
+
+            await recordAuditEvent(req, {
+                action: 'user.updated',
+                target: { type: 'user', id: { toString: () => 'user456' }, label: 'jane' },
+                diff: { role: { from: 'user', to: 'admin' } },
+            });
+
+            expect(AuditEvent.create).toHaveBeenCalledWith({
+                organizationId: 'org123',
+                action: 'user.updated',
+                actor: expect.objectContaining({ type: 'user', userId: 'admin123' }),
+                target: { type: 'user', id: 'user456', label: 'jane' },
+                ip: '127.0.0.1',
+                userAgent: 'curl/8.5.0',
+                diff: { role: { from: 'user', to: 'admin' } },
+                metadata: null,
+            });
+        });
+
+        test('should log failures instead of failing the request', async () => {
+            AuditEvent.create = jest.fn().mockRejectedValue(new Error('Database down'));
+
+            await expect(recordAuditEvent({ headers: {} }, { action: 'export.run' })).resolves.toBeUndefined();
+            expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('export.run'));
+        });
+    });
+});
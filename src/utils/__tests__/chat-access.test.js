@@ -0,0 +1,77 @@
+const { getOrganizationId, getChatAccessQuery } = require('../chat-access');
+const Team = require('../../models/team.model');
+
+jest.mock('../../models/team.model');
+
+describe('Chat access helpers', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Team.distinct = jest.fn().mockResolvedValue([]);
+    });
+
+    test('should use the organization set on the request', () => {
+        const req = { organization: { _id: 'org456' }, user: { organizationId: 'org123' } };
+
+        expect(getOrganizationId(req)).toBe('org456');
+    });
+
+    test("should fall back to the user's organization", () => {
+        const req = { user: { organizationId: 'org123' } };
+
+        expect(getOrganizationId(req)).toBe('org123');
+    });
+
+    test('should restrict users to their own chats and those shared with them', async () => {
+        const req = { organization: { _id: 'org123' }, user: { _id: 'user123' } };
+
+        expect(await getChatAccessQuery(req)).toEqual({
+            organizationId: 'org123',
+            deletedAt: null,
+            $or: [{ userId: 'user123' }, { 'sharedWith.userId': 'user123' }],
+        });
+        expect(Team.distinct).toHaveBeenCalledWith('_id', { organizationId: 'org123', members: 'user123' });
+    });
+
+    test('should ignore shares when the organization disabled sharing', async () => {
+        const req = {
+            organization: { _id: 'org123', settings: new Map([['allowChatSharing', false]]) },
+            user: { _id: 'user123' },
+        };
+
+        expect(await getChatAccessQuery(req)).toEqual({ organizationId: 'org123', deletedAt: null, userId: 'user123' });
+    });
+
+    test('should let users read the chats of their teams', async () => {
+        const req = { organization: { _id: 'org123' }, user: { _id: 'user123' } };
+        Team.distinct.mockResolvedValue(['team1', 'team2']);
+
+        expect(await getChatAccessQuery(req)).toEqual({
+            organizationId: 'org123',
+            deletedAt: null,
+            $or: [{ userId: 'user123' }, { teamId: { $in: ['team1', 'team2'] } }, { 'sharedWith.userId': 'user123' }],
+        });
+        expect(await getChatAccessQuery(req, 'write')).toEqual({ organizationId: 'org123', deletedAt: null, userId: 'user123' });
+
+        // The teams are looked up once per request
+        await getChatAccessQuery(req);
+        expect(Team.distinct).toHaveBeenCalledTimes(1);
+    });
+
+    test('should give organization API keys access to every chat of the organization', async () => {
+        const req = { organization: { _id: 'org123' } };
+
+        expect(await getChatAccessQuery(req)).toEqual({ organizationId: 'org123', deletedAt: null });
+        expect(Team.distinct).not.toHaveBeenCalled();
+    });
+
+    test('should give users with an :any permission access to every chat for that action', async () => {
+        const req = {
+            organization: { _id: 'org123' },
+            user: { _id: 'user123' },
+            permissions: new Set(['chats:read:any', 'chats:write:own']),
+        };
+
+        expect(await getChatAccessQuery(req)).toEqual({ organizationId: 'org123', deletedAt: null });
+        expect(await getChatAccessQuery(req, 'write')).toEqual({ organizationId: 'org123', deletedAt: null, userId: 'user123' });
+    });
+});
@@ -0,0 +1,22 @@
+const { escapeCsvField, toCsv } = require('../csv');
+
+describe('CSV helpers', () => {
+    test('should quote fields containing separators, quotes or newlines', () => {
+        expect(escapeCsvField('plain')).toBe('plain');
+        expect(escapeCsvField('a,b')).toBe('"a,b"');
+        expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+        expect(escapeCsvField('line\nbreak')).toBe('"line\nbreak"');
+        expect(escapeCsvField(null)).toBe('');
+    });
+
+    test('should write plain objects as JSON', () => {
+        expect(escapeCsvField({ role: { from: 'user', to: 'admin' } })).toBe(
+            '"{""role"":{""from"":""user"",""to"":""admin""}}"',
+        );
+    });
+
+    test('should use the keys of the first row as headers by default', () => {
+        expect(toCsv([{ a: 1, b: 'x' }, { a: 2, b: 'y' }])).toBe('a,b\n1,x\n2,y');
+        expect(toCsv([], ['a', 'b'])).toBe('a,b');
+    });
+});
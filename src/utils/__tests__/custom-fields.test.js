@@ -0,0 +1,104 @@
+const { parseCustomFieldValue, validateCustomFields, buildCustomFieldQuery } = require('../custom-fields');
+
+describe('Custom fields', () => {
+    const organization = {
+        customFields: new Map([
+            ['priority', { type: 'string', required: true, enum: ['low', 'high'] }],
+            ['score', { type: 'number', required: false, enum: [] }],
+            ['escalated', { type: 'boolean', required: false, enum: [] }],
+            ['dueAt', { type: 'date', required: false, enum: [] }],
+        ]),
+    };
+
+    describe('parseCustomFieldValue', () => {
+        test('should check values against the type of the field', () => {
+            expect(parseCustomFieldValue({ type: 'string' }, 'abc')).toEqual({ value: 'abc' });
+            expect(parseCustomFieldValue({ type: 'string' }, 1)).toEqual({ error: 'must be a string' });
+            expect(parseCustomFieldValue({ type: 'number' }, 4.5)).toEqual({ value: 4.5 });
+            expect(parseCustomFieldValue({ type: 'number' }, '4.5')).toEqual({ error: 'must be a number' });
+            expect(parseCustomFieldValue({ type: 'boolean' }, false)).toEqual({ value: false });
+            expect(parseCustomFieldValue({ type: 'date' }, 'not a date')).toEqual({ error: 'must be a date' });
+            expect(parseCustomFieldValue({ type: 'date' }, '2025-01-01').value).toEqual(new Date('2025-01-01'));
+        });
+
+        test('should convert query string values', () => {
+            expect(parseCustomFieldValue({ type: 'number' }, '4.5', true)).toEqual({ value: 4.5 });
+            expect(parseCustomFieldValue({ type: 'number' }, '', true)).toEqual({ error: 'must be a number' });
+            expect(parseCustomFieldValue({ type: 'boolean' }, 'false', true)).toEqual({ value: false });
+            expect(parseCustomFieldValue({ type: 'boolean' }, 'yes', true)).toEqual({ error: 'must be a boolean' });
+        });
+
+        test('should only accept the allowed values of the field', () => {
+            const definition = { type: 'string', enum: ['low', 'high'] };
+
+            expect(parseCustomFieldValue(definition, 'low')).toEqual({ value: 'low' });
+            expect(parseCustomFieldValue(definition, 'medium')).toEqual({ error: 'must be one of low, high' });
+        });
+    });
+
+    describe('validateCustomFields', () => {
+        test('should return the values to store', () => {
+            expect(validateCustomFields(organization, { priority: 'high', score: 3 })).toEqual({
+                customFields: { priority: 'high', score: 3 },
+                errors: [],
+            });
+        });
+
+        test('should reject unknown fields, invalid values and missing required fields', () => {
+            const { errors } = validateCustomFields(organization, { color: 'red', score: 'many' });
+
+            expect(errors).toEqual([
+                '"color" is not a custom field of the organization',
+                '"score" must be a number',
+                '"priority" is required',
+            ]);
+        });
+
+        test('should merge values into the stored ones and remove null values', () => {
+            const { customFields, errors } = validateCustomFields(
+                organization,
+                { score: null, escalated: true },
+                { priority: 'low', score: 3 },
+            );
+
+            expect(errors).toEqual([]);
+            expect(customFields).toEqual({ priority: 'low', escalated: true });
+        });
+
+        test('should not remove the value of a required field', () => {
+            const { errors } = validateCustomFields(organization, { priority: null }, { priority: 'low' });
+
+            expect(errors).toEqual(['"priority" is required']);
+        });
+
+        test('should not require values when updating chats created before the field', () => {
+            expect(validateCustomFields(organization, { score: 1 }, {}).errors).toEqual([]);
+        });
+
+        test('should accept no values when the organization has no custom fields', () => {
+            expect(validateCustomFields(undefined)).toEqual({ customFields: {}, errors: [] });
+        });
+    });
+
+    describe('buildCustomFieldQuery', () => {
+        test('should match the converted values', () => {
+            expect(buildCustomFieldQuery(organization, { priority: 'high', score: '3', escalated: 'true' })).toEqual({
+                query: {
+                    'customFields.priority': 'high',
+                    'customFields.score': 3,
+                    'customFields.escalated': true,
+                },
+                errors: [],
+            });
+        });
+
+        test('should reject unknown fields and invalid values', () => {
+            const { errors } = buildCustomFieldQuery(organization, { color: 'red', priority: 'urgent' });
+
+            expect(errors).toEqual([
+                '"color" is not a custom field of the organization',
+                '"priority" must be one of low, high',
+            ]);
+        });
+    });
+});
@@ -0,0 +1,94 @@
+jest.mock('../../config/config', () => ({
+    loginMaxAttempts: 3,
+    loginLockoutMinutes: 1,
+    loginMaxLockoutMinutes: 4,
+}));
+jest.mock('../../models/user.model');
+
+const User = require('../../models/user.model');
+const {
+    isAccountLocked,
+    recordFailedLogin,
+    clearFailedLogins,
+    getLockoutStatus,
+} = require('../login-lockout');
+
+const MINUTE_IN_MS = 60 * 1000;
+
+describe('Login lockout helpers', () => {
+    let stored;
+
+    // Remaining lockout in whole minutes
+    const lockoutMinutes = user => Math.round((user.lockedUntil.getTime() - Date.now()) / MINUTE_IN_MS);
+
+    beforeEach(() => {
+        // The stored counters of a single account, updated like MongoDB would
+        stored = { failedLoginAttempts: 0, lockedUntil: null };
+        User.findOneAndUpdate = jest.fn(async (filter, update) => {
+            stored.failedLoginAttempts += update.$inc.failedLoginAttempts;
+            stored.lastFailedLoginAt = update.$set.lastFailedLoginAt;
+            return { ...stored };
+        });
+        User.updateOne = jest.fn(async (filter, update) => {
+            if (!stored.lockedUntil || update.$max.lockedUntil > stored.lockedUntil) {
+                stored.lockedUntil = update.$max.lockedUntil;
+            }
+            return { modifiedCount: 1 };
+        });
+    });
+
+    test('should count failures without locking below the limit', async () => {
+        const user = { _id: 'user123' };
+
+        await recordFailedLogin(user);
+        await recordFailedLogin(user);
+
+        expect(user.failedLoginAttempts).toBe(2);
+        expect(user.lastFailedLoginAt).toEqual(expect.any(Date));
+        expect(isAccountLocked(user)).toBe(false);
+    });
+
+    test('should lock progressively longer up to the maximum', async () => {
+        const user = { _id: 'user123' };
+        stored.failedLoginAttempts = 2;
+
+        await recordFailedLogin(user);
+        expect(isAccountLocked(user)).toBe(true);
+        expect(lockoutMinutes(user)).toBe(1);
+
+        await recordFailedLogin(user);
+        expect(lockoutMinutes(user)).toBe(2);
+
+        await recordFailedLogin(user);
+        await recordFailedLogin(user);
+        expect(lockoutMinutes(user)).toBe(4);
+        expect(stored.lockedUntil).toEqual(user.lockedUntil);
+    });
+
+    test('should count concurrent failures of copies loaded at the same time', async () => {
+        // Each request loads its own copy of the account before any failure is recorded
+        const copies = [1, 2, 3].map(() => ({ _id: 'user123', failedLoginAttempts: 0 }));
+
+        await Promise.all(copies.map(recordFailedLogin));
+
+        expect(stored.failedLoginAttempts).toBe(3);
+        expect(stored.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should treat an expired lock as unlocked', () => {
+        expect(isAccountLocked({ lockedUntil: new Date(Date.now() - 1000) })).toBe(false);
+    });
+
+    test('should clear failures and lift the lock', () => {
+        const user = { failedLoginAttempts: 5, lockedUntil: new Date(Date.now() + MINUTE_IN_MS) };
+
+        clearFailedLogins(user);
+
+        expect(getLockoutStatus(user)).toEqual({
+            locked: false,
+            lockedUntil: null,
+            failedLoginAttempts: 0,
+            lastFailedLoginAt: null,
+        });
+    });
+});
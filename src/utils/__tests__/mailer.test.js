@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../config/config', () => ({
+    mail: {
+        transport: 'console',
+        from: 'ChatLogger <no-reply@example.com>',
+    },
+}));
+jest.mock('../logger');
+
+const logger = require('../logger');
+const {
+    createFileTransport,
+    createMailTransport,
+    setMailTransport,
+    sendMail,
+} = require('../mailer');
+
+describe('Mailer', () => {
+    afterEach(() => {
+        setMailTransport(null);
+        jest.clearAllMocks();
+    });
+
+    test('should send mail through the active transport with the configured sender', async () => {
+        const transport = { name: 'memory', send: jest.fn().mockResolvedValue() };
+        setMailTransport(transport);
+
+        await sendMail({ to: 'user@example.com', subject: 'Hello', text: 'Body' });
+
+        expect(transport.send).toHaveBeenCalledWith({
+            from: 'ChatLogger <no-reply@example.com>',
+            to: 'user@example.com',
+            subject: 'Hello',
+            text: 'Body',
+        });
+    });
+
+    test('should fall back to the configured transport', async () => {
+        await sendMail({ to: 'user@example.com', subject: 'Hello', text: 'Body' });
+
+        expect(logger.info).toHaveBeenCalledWith(expect.stringContaining('Subject: Hello'));
+    });
+
+    test('should write messages to files with the file transport', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatlogger-mail-'));
+
+        try {
+            const { file } = await createFileTransport(dir).send({ to: 'user@example.com', text: 'Body' });
+
+            expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({
+                to: 'user@example.com',
+                text: 'Body',
+            });
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should create the transport selected in the configuration', () => {
+        expect(createMailTransport({ transport: 'smtp', smtp: { host: 'localhost', port: 25 } }).name).toBe('smtp');
+        expect(createMailTransport({ transport: 'file', fileDir: 'mail' }).name).toBe('file');
+        expect(createMailTransport({ transport: 'console' }).name).toBe('console');
+        expect(() => createMailTransport({ transport: 'pigeon' })).toThrow('Unknown mail transport');
+    });
+});
@@ -0,0 +1,50 @@
+const { appendChunk, markStaleStreamsIncomplete } = require('../message-streams');
+const Message = require('../../models/message.model');
+const config = require('../../config/config');
+
+jest.mock('../../models/message.model');
+jest.mock('../logger');
+
+describe('Message streams', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Message.findOneAndUpdate = jest.fn().mockResolvedValue({ _id: 'message123' });
+    });
+
+    describe('appendChunk', () => {
+        test('should append the chunk as a literal to streaming messages only', async () => {
+            await appendChunk({ _id: 'message123' }, '$content');
+
+            const [filter, pipeline, options] = Message.findOneAndUpdate.mock.calls[0];
+            expect(filter).toEqual({ _id: 'message123', status: 'streaming', deletedAt: null });
+            expect(pipeline[0].$set.content).toEqual({
+                $concat: [{ $ifNull: ['$content', ''] }, { $literal: '$content' }],
+            });
+            expect(options).toEqual({ new: true });
+        });
+
+        test('should only append a numbered chunk as the next one', async () => {
+            await appendChunk({ _id: 'message123' }, 'Hello', 0);
+
+            expect(Message.findOneAndUpdate.mock.calls[0][0]).toEqual(expect.objectContaining({ chunkCount: 0 }));
+        });
+    });
+
+    describe('markStaleStreamsIncomplete', () => {
+        test('should mark streams without recent chunks as incomplete', async () => {
+            const now = new Date('2025-06-30T12:00:00Z');
+            Message.updateMany = jest.fn().mockResolvedValue({ modifiedCount: 3 });
+
+            const count = await markStaleStreamsIncomplete(now);
+
+            expect(Message.updateMany).toHaveBeenCalledWith(
+                {
+                    status: 'streaming',
+                    lastChunkAt: { $lte: new Date(now.getTime() - config.streamTimeoutMinutes * 60 * 1000) },
+                },
+                { status: 'incomplete' },
+            );
+            expect(count).toBe(3);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+const { buildMessageTree, getMessagePath } = require('../message-tree');
+
+describe('Message tree', () => {
+    // root -> question -> (answer, regenerated answer -> follow-up)
+    const root = { _id: 'm1', parentMessageId: null, content: 'system' };
+    const question = { _id: 'm2', parentMessageId: 'm1', content: 'question' };
+    const answer = { _id: 'm3', parentMessageId: 'm2', content: 'answer' };
+    const regenerated = { _id: 'm4', parentMessageId: 'm2', content: 'regenerated answer' };
+    const followUp = { _id: 'm5', parentMessageId: 'm4', content: 'follow-up' };
+    const messages = [root, question, answer, regenerated, followUp];
+
+    describe('buildMessageTree', () => {
+        test('should nest messages under their parents in order', () => {
+            const roots = buildMessageTree(messages);
+
+            expect(roots).toHaveLength(1);
+            expect(roots[0].message).toBe(root);
+            expect(roots[0].children[0].message).toBe(question);
+            expect(roots[0].children[0].children.map(node => node.message)).toEqual([answer, regenerated]);
+            expect(roots[0].children[0].children[1].children[0]).toEqual({ message: followUp, children: [] });
+        });
+
+        test('should treat messages without parents or with missing parents as roots', () => {
+            const flat = { _id: 'm6', content: 'flat' };
+
+            const roots = buildMessageTree([question, answer, flat]);
+
+            expect(roots.map(node => node.message)).toEqual([question, flat]);
+            expect(roots[0].children[0].message).toBe(answer);
+        });
+    });
+
+    describe('getMessagePath', () => {
+        test('should return the messages from the root to the given message', () => {
+            expect(getMessagePath(messages, 'm5')).toEqual([root, question, regenerated, followUp]);
+            expect(getMessagePath(messages, 'm3')).toEqual([root, question, answer]);
+        });
+
+        test('should return null for unknown messages', () => {
+            expect(getMessagePath(messages, 'm9')).toBeNull();
+        });
+
+        test('should stop at parent cycles', () => {
+            const first = { _id: 'a', parentMessageId: 'b' };
+            const second = { _id: 'b', parentMessageId: 'a' };
+
+            expect(getMessagePath([first, second], 'a')).toEqual([second, first]);
+        });
+    });
+});
@@ -0,0 +1,168 @@
+const { URL } = require('url');
+const { startMockOidcIssuer } = require('../../../tests/mocks/oidc-issuer');
+const {
+    OidcError,
+    discover,
+    createPkcePair,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    mapRole,
+    clearOidcCache,
+} = require('../oidc');
+
+const REDIRECT_URI = 'http://localhost:3000/api/v1/users/sso/callback';
+
+describe('OpenID Connect client', () => {
+    let issuer;
+
+    beforeAll(async () => {
+        issuer = await startMockOidcIssuer();
+    });
+
+    afterAll(async () => {
+        await issuer.close();
+    });
+
+    beforeEach(() => {
+        clearOidcCache();
+    });
+
+    // Run the authorization request against the mock issuer and return the code it redirects with
+    const authorize = async (metadata, { nonce, codeChallenge, state = 'state-1' }) => {
+        const url = buildAuthorizationUrl(metadata, {
+            clientId: issuer.clientId,
+            redirectUri: REDIRECT_URI,
+            scopes: ['openid', 'email'],
+            state,
+            nonce,
+            codeChallenge,
+        });
+        const response = await fetch(url, { redirect: 'manual' });
+        const location = new URL(response.headers.get('location'));
+        expect(location.searchParams.get('state')).toBe(state);
+        return location.searchParams.get('code');
+    };
+
+    test('should discover the provider metadata', async () => {
+        const metadata = await discover(`${issuer.issuer}/`);
+
+        expect(metadata.issuer).toBe(issuer.issuer);
+        expect(metadata.token_endpoint).toBe(`${issuer.issuer}/token`);
+    });
+
+    test('should reject a discovery document for another issuer', async () => {
+        await expect(discover(`${issuer.issuer}/other`)).rejects.toThrow(OidcError);
+    });
+
+    test('should only discover https issuers, or http issuers on the local machine', async () => {
+        const fetchSpy = jest.spyOn(globalThis, 'fetch');
+
+        await expect(discover('http://idp.example.com')).rejects.toThrow('Issuer must be an https URL');
+        await expect(discover('file:///etc/passwd')).rejects.toThrow('Issuer must be an https URL');
+        await expect(discover('not a url')).rejects.toThrow(OidcError);
+        expect(fetchSpy).not.toHaveBeenCalled();
+
+        fetchSpy.mockRestore();
+    });
+
+    test('should report unreachable and slow providers as OidcError', async () => {
+        const fetchSpy = jest
+            .spyOn(globalThis, 'fetch')
+            .mockRejectedValueOnce(Object.assign(new Error('The operation was aborted due to timeout'), { name: 'TimeoutError' }))
+            .mockResolvedValueOnce({ ok: true, status: 200, text: async () => '<html>maintenance</html>' });
+
+        await expect(discover('https://idp.example.com')).rejects.toThrow(/failed: The operation was aborted/);
+        expect(fetchSpy.mock.calls[0][1].signal).toBeInstanceOf(AbortSignal);
+        await expect(discover('https://idp.example.com')).rejects.toThrow('did not return JSON');
+
+        fetchSpy.mockRestore();
+    });
+
+    test('should complete the authorization code flow with PKCE', async () => {
+        issuer.setNextClaims({ sub: 'abc', email: 'jane@example.com', email_verified: true });
+        const metadata = await discover(issuer.issuer);
+        const { codeVerifier, codeChallenge } = createPkcePair();
+
+        const code = await authorize(metadata, { nonce: 'nonce-1', codeChallenge });
+        const tokens = await exchangeCode(metadata, {
+            clientId: issuer.clientId,
+            clientSecret: issuer.clientSecret,
+            code,
+            redirectUri: REDIRECT_URI,
+            codeVerifier,
+        });
+        const claims = await verifyIdToken(tokens.id_token, {
+            metadata,
+            clientId: issuer.clientId,
+            nonce: 'nonce-1',
+        });
+
+        expect(claims).toEqual(expect.objectContaining({ sub: 'abc', email: 'jane@example.com' }));
+    });
+
+    test('should fail the code exchange with a wrong code verifier', async () => {
+        const metadata = await discover(issuer.issuer);
+        const { codeChallenge } = createPkcePair();
+        const code = await authorize(metadata, { nonce: 'nonce-1', codeChallenge });
+
+        await expect(
+            exchangeCode(metadata, {
+                clientId: issuer.clientId,
+                clientSecret: issuer.clientSecret,
+                code,
+                redirectUri: REDIRECT_URI,
+                codeVerifier: createPkcePair().codeVerifier,
+            }),
+        ).rejects.toThrow('invalid_grant');
+    });
+
+    test('should reject ID tokens with a wrong nonce or audience', async () => {
+        const metadata = await discover(issuer.issuer);
+
+        const token = issuer.signIdToken({ sub: 'abc', nonce: 'expected' });
+        await expect(
+            verifyIdToken(token, { metadata, clientId: issuer.clientId, nonce: 'other' }),
+        ).rejects.toThrow('nonce does not match');
+
+        const foreign = issuer.signIdToken({ sub: 'abc', nonce: 'expected' }, { audience: 'another-app' });
+        await expect(
+            verifyIdToken(foreign, { metadata, clientId: issuer.clientId, nonce: 'expected' }),
+        ).rejects.toThrow('ID token is invalid');
+    });
+
+    test('should pick up rotated signing keys', async () => {
+        const metadata = await discover(issuer.issuer);
+        await verifyIdToken(issuer.signIdToken({ sub: 'abc', nonce: 'n' }), {
+            metadata,
+            clientId: issuer.clientId,
+            nonce: 'n',
+        });
+
+        issuer.rotateKey();
+
+        await expect(
+            verifyIdToken(issuer.signIdToken({ sub: 'abc', nonce: 'n' }), {
+                metadata,
+                clientId: issuer.clientId,
+                nonce: 'n',
+            }),
+        ).resolves.toEqual(expect.objectContaining({ sub: 'abc' }));
+    });
+
+    test('should map claims to the most privileged role', () => {
+        const config = {
+            roleClaim: 'groups',
+            roleMapping: new Map([
+                ['staff', 'user'],
+                ['it-admins', 'admin'],
+            ]),
+            defaultRole: 'user',
+        };
+
+        expect(mapRole({ groups: ['staff', 'it-admins'] }, config)).toBe('admin');
+        expect(mapRole({ groups: 'staff' }, config)).toBe('user');
+        expect(mapRole({}, config)).toBe('user');
+        expect(mapRole({ groups: ['it-admins'] }, { ...config, roleClaim: null })).toBe('user');
+    });
+});
@@ -0,0 +1,132 @@
+const Organization = require('../../models/organization.model');
+const {
+    roleExists,
+    getRolePermissions,
+    includesPermission,
+    getRequestPermissions,
+    hasPermission,
+    canManageOrganization,
+    checkRoleAssignment,
+} = require('../permissions');
+const { DEFAULT_ROLE_PERMISSIONS, PERMISSIONS } = require('../../config/permissions');
+
+jest.mock('../../models/organization.model');
+
+describe('Permission helpers', () => {
+    // Organization with a customized `user` role and a custom `support` role
+    const organization = {
+        _id: 'org123',
+        roles: new Map([
+            ['user', { permissions: ['chats:read:own'] }],
+            ['support', { permissions: ['chats:read:any', 'users:read', 'org:read'] }],
+            ['superadmin', { permissions: [] }],
+        ]),
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Organization.findById = jest.fn().mockResolvedValue(organization);
+    });
+
+    describe('getRolePermissions', () => {
+        test('should use the defaults of built-in roles', () => {
+            expect([...getRolePermissions('admin')]).toEqual(DEFAULT_ROLE_PERMISSIONS.admin);
+            expect([...getRolePermissions('admin', organization)]).toEqual(DEFAULT_ROLE_PERMISSIONS.admin);
+        });
+
+        test('should apply the customizations of an organization', () => {
+            expect([...getRolePermissions('user', organization)]).toEqual(['chats:read:own']);
+            expect(getRolePermissions('support', organization).has('users:read')).toBe(true);
+        });
+
+        test('should never let organizations customize the superadmin role', () => {
+            expect(getRolePermissions('superadmin', organization).size).toBe(Object.keys(PERMISSIONS).length);
+        });
+
+        test('should grant nothing to unknown roles', () => {
+            expect(getRolePermissions('ghost', organization).size).toBe(0);
+            expect(getRolePermissions('constructor', organization).size).toBe(0);
+            expect(roleExists('constructor', organization)).toBe(false);
+            expect(roleExists('ghost', organization)).toBe(false);
+            expect(roleExists('support', organization)).toBe(true);
+            expect(roleExists('admin')).toBe(true);
+        });
+    });
+
+    test('should treat :any permissions as implying :own', () => {
+        const permissions = new Set(['chats:read:any']);
+
+        expect(includesPermission(permissions, 'chats:read:own')).toBe(true);
+        expect(includesPermission(permissions, 'chats:write:own')).toBe(false);
+        expect(includesPermission(new Set(['chats:read:own']), 'chats:read:any')).toBe(false);
+    });
+
+    describe('getRequestPermissions', () => {
+        test("should resolve the user's role in their organization and cache it", async () => {
+            const req = { user: { role: 'support', organizationId: 'org123' } };
+
+            await getRequestPermissions(req);
+            expect(await hasPermission(req, 'users:read')).toBe(true);
+            expect(await hasPermission(req, 'users:manage')).toBe(false);
+            expect(Organization.findById).toHaveBeenCalledTimes(1);
+        });
+
+        test('should reuse the organization already loaded for the request', async () => {
+            const req = { user: { role: 'user', organizationId: 'org123' }, organization };
+
+            expect(await hasPermission(req, 'chats:write:own')).toBe(false);
+            expect(Organization.findById).not.toHaveBeenCalled();
+        });
+
+        test('should give organization API keys access to every chat only', async () => {
+            const req = { organization };
+
+            expect(await hasPermission(req, 'chats:write:any')).toBe(true);
+            expect(await hasPermission(req, 'users:read')).toBe(false);
+        });
+    });
+
+    test('should let platform administrators manage other organizations', async () => {
+        const admin = { user: { role: 'admin', organizationId: 'org123' } };
+        const superadmin = { user: { role: 'superadmin', organizationId: 'org123' } };
+
+        expect(await canManageOrganization(admin, 'org123')).toBe(true);
+        expect(await canManageOrganization(admin, 'org456')).toBe(false);
+        expect(await canManageOrganization(superadmin, 'org456')).toBe(true);
+    });
+
+    describe('checkRoleAssignment', () => {
+        test('should allow roles granting no more than the assigner has', async () => {
+            const req = { user: { role: 'admin', organizationId: 'org123' } };
+
+            expect(await checkRoleAssignment(req, 'support', organization)).toBeNull();
+            expect(await checkRoleAssignment(req, 'admin', organization)).toBeNull();
+        });
+
+        test('should refuse roles granting permissions the assigner does not have', async () => {
+            const req = { user: { role: 'support', organizationId: 'org123' } };
+
+            const refusal = await checkRoleAssignment(req, 'admin', organization);
+
+            expect(refusal.status).toBe(403);
+            expect(refusal.message).toContain('users:manage');
+        });
+
+        test('should refuse unknown roles', async () => {
+            const req = { user: { role: 'admin', organizationId: 'org123' } };
+
+            expect(await checkRoleAssignment(req, 'ghost', organization)).toEqual({
+                status: 400,
+                message: 'Unknown role: ghost',
+            });
+        });
+
+        test('should only let superadmins hand out the superadmin role', async () => {
+            const admin = { user: { role: 'admin', organizationId: 'org123' } };
+            const superadmin = { user: { role: 'superadmin', organizationId: 'org123' } };
+
+            expect((await checkRoleAssignment(admin, 'superadmin', organization)).status).toBe(403);
+            expect(await checkRoleAssignment(superadmin, 'superadmin', organization)).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,59 @@
+const { findModelPrice, calculateCost, applyMessageCosts } = require('../pricing');
+const ModelPrice = require('../../models/model-price.model');
+
+jest.mock('../../models/model-price.model');
+
+describe('Pricing', () => {
+    const price = { aiModel: 'gpt-4o', inputPricePer1K: 0.0025, outputPricePer1K: 0.01 };
+    let sort;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        sort = jest.fn().mockResolvedValue(price);
+        ModelPrice.findOne = jest.fn().mockReturnValue({ sort });
+    });
+
+    test('should find the latest price in effect at a point in time', async () => {
+        const at = new Date('2025-05-01');
+
+        await expect(findModelPrice('org123', 'gpt-4o', at)).resolves.toBe(price);
+
+        expect(ModelPrice.findOne).toHaveBeenCalledWith({
+            organizationId: 'org123',
+            aiModel: 'gpt-4o',
+            effectiveFrom: { $lte: at },
+        });
+        expect(sort).toHaveBeenCalledWith({ effectiveFrom: -1 });
+    });
+
+    test('should price prompt and completion tokens separately', () => {
+        expect(calculateCost(price, 1000, 500)).toBe(0.0075);
+        expect(calculateCost(price, 3, 0)).toBe(0.0000075);
+        expect(calculateCost(price)).toBe(0);
+    });
+
+    describe('applyMessageCosts', () => {
+        test('should set the cost of messages, looking each model up once', async () => {
+            const messages = [
+                { aiModel: 'gpt-4o', promptTokens: 1000, completionTokens: 0 },
+                { aiModel: 'gpt-4o', promptTokens: 0, completionTokens: 1000 },
+            ];
+
+            await applyMessageCosts('org123', messages);
+
+            expect(messages.map(message => message.cost)).toEqual([0.0025, 0.01]);
+            expect(ModelPrice.findOne).toHaveBeenCalledTimes(1);
+        });
+
+        test('should leave the cost empty for messages without a model or a price', async () => {
+            sort.mockResolvedValue(null);
+            const messages = [{ aiModel: 'unknown', promptTokens: 10 }, { aiModel: null, promptTokens: 10 }];
+
+            await applyMessageCosts('org123', messages);
+
+            expect(messages.map(message => message.cost)).toEqual([null, null]);
+            expect(ModelPrice.findOne).toHaveBeenCalledTimes(1);
+        });
+    });
+});
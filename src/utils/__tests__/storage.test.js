@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+jest.mock('../../config/config', () => ({
+    storage: { driver: 'local', dir: 'uploads' },
+}));
+
+const { createLocalStorage, createStorage, getStorage, setStorage } = require('../storage');
+
+const readAll = async stream => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(String(chunk));
+    }
+    return chunks.join('');
+};
+
+describe('Storage', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatlogger-storage-'));
+    });
+
+    afterEach(() => {
+        setStorage(null);
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should save, read and remove files in the local directory', async () => {
+        const storage = createLocalStorage(dir);
+
+        await storage.save('org1/chat1/file1', Readable.from(['Hello ', 'world']));
+
+        expect(fs.readFileSync(path.join(dir, 'org1/chat1/file1'), 'utf8')).toBe('Hello world');
+        expect(await readAll(await storage.read('org1/chat1/file1'))).toBe('Hello world');
+
+        await storage.remove('org1/chat1/file1');
+
+        await expect(storage.read('org1/chat1/file1')).rejects.toMatchObject({ name: 'NotFound' });
+        await expect(storage.remove('org1/chat1/file1')).resolves.toBeUndefined();
+    });
+
+    test('should refuse keys outside the storage directory', async () => {
+        const storage = createLocalStorage(dir);
+
+        await expect(storage.save('../escaped', Readable.from(['x']))).rejects.toThrow('Invalid storage key');
+        await expect(storage.read('/etc/passwd')).rejects.toThrow('Invalid storage key');
+    });
+
+    test('should create the backend selected in the configuration', () => {
+        expect(createStorage({ driver: 'local', dir }).name).toBe('local');
+        expect(() => createStorage({ driver: 'floppy' })).toThrow('Unknown storage driver');
+    });
+
+    test('should use the backend that was set instead of the configured one', () => {
+        const storage = { name: 'memory' };
+
+        setStorage(storage);
+        expect(getStorage()).toBe(storage);
+
+        setStorage(null);
+        expect(getStorage().name).toBe('local');
+    });
+});
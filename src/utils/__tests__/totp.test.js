@@ -0,0 +1,65 @@
+const { Buffer } = require('buffer');
+const {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateCode,
+    verifyCode,
+    getOtpauthUri,
+} = require('../totp');
+
+// Secret of the RFC 6238 SHA-1 test vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP utilities', () => {
+    test('should round-trip base32', () => {
+        const buffer = Buffer.from('two-factor');
+
+        expect(base32Encode(Buffer.from('12345678901234567890'))).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(base32Decode(base32Encode(buffer))).toEqual(buffer);
+        expect(base32Decode('gezd gnbv')).toEqual(base32Decode('GEZDGNBV'));
+        expect(() => base32Decode('not base32!')).toThrow('Invalid base32 character');
+    });
+
+    test('should generate random secrets', () => {
+        const secret = generateSecret();
+
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(generateSecret()).not.toBe(secret);
+    });
+
+    test('should match the RFC 6238 test vectors', () => {
+        expect(generateCode(RFC_SECRET, getTimeStep(59 * 1000))).toBe('287082');
+        expect(generateCode(RFC_SECRET, getTimeStep(1111111109 * 1000))).toBe('081804');
+        expect(generateCode(RFC_SECRET, getTimeStep(1234567890 * 1000))).toBe('005924');
+    });
+
+    test('should accept codes of adjacent steps only', () => {
+        const time = 1111111109 * 1000;
+        const step = getTimeStep(time);
+
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step), { time })).toBe(step);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { time })).toBeNull();
+    });
+
+    test('should reject malformed and replayed codes', () => {
+        const time = 1111111109 * 1000;
+        const step = getTimeStep(time);
+        const code = generateCode(RFC_SECRET, step);
+
+        expect(verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+        expect(verifyCode(RFC_SECRET, '12345', { time })).toBeNull();
+        expect(verifyCode(RFC_SECRET, code, { time, afterStep: step })).toBeNull();
+    });
+
+    test('should build an otpauth URI', () => {
+        const uri = getOtpauthUri('JBSWY3DPEHPK3PXP', 'admin@example.com', 'ChatLogger');
+
+        expect(uri).toMatch(/^otpauth:\/\/totp\/ChatLogger:admin%40example\.com\?/);
+        expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+        expect(uri).toContain('issuer=ChatLogger');
+        expect(uri).toContain('digits=6');
+    });
+});
@@ -0,0 +1,196 @@
+const { getTrashRetentionDays, removeMessageAttachments, purgeExpiredTrash } = require('../trash');
+const Chat = require('../../models/chat.model');
+const Comment = require('../../models/comment.model');
+const Message = require('../../models/message.model');
+const MessageVersion = require('../../models/message-version.model');
+const Organization = require('../../models/organization.model');
+const ShareLink = require('../../models/share-link.model');
+const config = require('../../config/config');
+const { removeAttachments } = require('../attachments');
+
+jest.mock('../../models/chat.model');
+jest.mock('../../models/comment.model');
+jest.mock('../../models/message.model');
+jest.mock('../../models/message-version.model');
+jest.mock('../../models/organization.model');
+jest.mock('../../models/share-link.model');
+jest.mock('../attachments');
+jest.mock('../logger');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+describe('Trash', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('getTrashRetentionDays', () => {
+        test('should use the organization setting', () => {
+            expect(getTrashRetentionDays({ settings: new Map([['trashRetentionDays', 7]]) })).toBe(7);
+            expect(getTrashRetentionDays({ settings: new Map([['trashRetentionDays', 0]]) })).toBe(0);
+        });
+
+        test('should fall back to the configured default for missing or invalid settings', () => {
+            expect(getTrashRetentionDays({ settings: new Map() })).toBe(config.trashRetentionDays);
+            expect(getTrashRetentionDays({ settings: new Map([['trashRetentionDays', 'soon']]) })).toBe(
+                config.trashRetentionDays,
+            );
+        });
+    });
+
+    describe('removeMessageAttachments', () => {
+        test('should not look anything up for messages without attachments', async () => {
+            Message.distinct = jest.fn();
+
+            await removeMessageAttachments([{ _id: 'message1', chatId: 'chat1', contentParts: [] }, { _id: 'message2' }]);
+
+            expect(Message.distinct).not.toHaveBeenCalled();
+            expect(removeAttachments).not.toHaveBeenCalled();
+        });
+
+        test('should keep attachments another message of the chat refers to', async () => {
+            Message.distinct = jest.fn().mockResolvedValue(['attachment1']);
+
+            await removeMessageAttachments([
+                { _id: 'message1', chatId: 'chat1', contentParts: [{ type: 'image', attachmentId: 'attachment1' }] },
+            ]);
+
+            expect(removeAttachments).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('purgeExpiredTrash', () => {
+        const now = new Date('2025-06-30T00:00:00Z');
+        const daysAgo = days => new Date(now.getTime() - days * DAY_IN_MS);
+
+        // Chainable stand-in for a Mongoose query resolving to a result
+        const query = result => {
+            const chain = {
+                select: jest.fn(() => chain),
+                sort: jest.fn(() => chain),
+                limit: jest.fn(() => chain),
+                then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+            };
+            return chain;
+        };
+
+        let trashedMessages;
+
+        beforeEach(() => {
+            Organization.find = jest.fn().mockReturnValue(
+                query([
+                    { _id: 'org1', settings: new Map([['trashRetentionDays', 7]]) },
+                    { _id: 'org2', settings: new Map([['trashRetentionDays', 0]]) },
+                    { _id: 'org3', settings: new Map([['trashRetentionDays', 30]]) },
+                ]),
+            );
+            Chat.find = jest.fn(filter => {
+                if (filter.organizationId) {
+                    return query(filter.organizationId === 'org1' ? [{ _id: 'chat1' }] : []);
+                }
+                return query([
+                    { _id: 'chat2', organizationId: 'org1' },
+                    { _id: 'chat3', organizationId: 'org3' },
+                ]);
+            });
+            Chat.deleteMany = jest.fn().mockResolvedValue({ deletedCount: 1 });
+            trashedMessages = [
+                {
+                    _id: 'message1',
+                    chatId: 'chat2',
+                    deletedAt: daysAgo(10),
+                    contentParts: [{ type: 'text', text: 'hi' }, { type: 'image', attachmentId: 'attachment1' }],
+                },
+                {
+                    _id: 'message2',
+                    chatId: 'chat3',
+                    deletedAt: daysAgo(10),
+                    contentParts: [{ type: 'file', attachmentId: 'attachment3' }],
+                },
+                {
+                    _id: 'message3',
+                    chatId: 'chat2',
+                    deletedAt: daysAgo(9),
+                    contentParts: [{ type: 'file', attachmentId: 'attachment2' }],
+                },
+            ];
+            Message.find = jest.fn().mockReturnValueOnce(query(trashedMessages)).mockReturnValue(query([]));
+            Message.distinct = jest.fn().mockResolvedValue(['attachment2']);
+            MessageVersion.deleteMany = jest.fn().mockResolvedValue({});
+            Message.deleteMany = jest.fn().mockResolvedValue({ deletedCount: 2 });
+            Comment.deleteMany = jest.fn().mockResolvedValue({});
+            ShareLink.deleteMany = jest.fn().mockResolvedValue({});
+        });
+
+        test('should purge chats that have been in the trash for longer than the retention period', async () => {
+            const purged = await purgeExpiredTrash(now);
+
+            expect(Chat.find).toHaveBeenCalledWith({ organizationId: 'org1', deletedAt: { $ne: null, $lte: daysAgo(7) } });
+            expect(Chat.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['chat1'] } });
+            expect(ShareLink.deleteMany).toHaveBeenCalledWith({ chatId: { $in: ['chat1'] } });
+            expect(MessageVersion.deleteMany).toHaveBeenCalledWith({ chatId: { $in: ['chat1'] } });
+            expect(removeAttachments).toHaveBeenCalledWith({ chatId: { $in: ['chat1'] } });
+            expect(purged.chats).toBe(1);
+        });
+
+        test('should purge messages by deletion time using the retention period of their organization', async () => {
+            const purged = await purgeExpiredTrash(now);
+
+            // Scanned from the shortest retention period, without listing the chats of the organizations
+            expect(Message.find).toHaveBeenCalledWith({ deletedAt: { $ne: null, $lte: daysAgo(7) } });
+            expect(Chat.find).toHaveBeenCalledWith({ _id: { $in: ['chat2', 'chat3'] } });
+
+            // message2 belongs to an organization keeping its trash for 30 days
+            expect(MessageVersion.deleteMany).toHaveBeenLastCalledWith({ messageId: { $in: ['message1', 'message3'] } });
+            expect(Message.deleteMany).toHaveBeenLastCalledWith({ _id: { $in: ['message1', 'message3'] } });
+            expect(purged.messages).toBe(2);
+        });
+
+        test('should remove the attachments of purged messages that no other message refers to', async () => {
+            await purgeExpiredTrash(now);
+
+            expect(Message.distinct).toHaveBeenCalledWith('contentParts.attachmentId', {
+                chatId: { $in: ['chat2'] },
+                'contentParts.attachmentId': { $in: ['attachment1', 'attachment2'] },
+            });
+            expect(removeAttachments).toHaveBeenLastCalledWith({
+                _id: { $in: ['attachment1'] },
+                chatId: { $in: ['chat2'] },
+            });
+        });
+
+        test('should continue after the last message of a full batch', async () => {
+            const batch = Array.from({ length: 500 }, (_, index) => ({
+                _id: `message${index}`,
+                chatId: 'chat3',
+                deletedAt: daysAgo(10),
+            }));
+            Message.find = jest.fn().mockReturnValueOnce(query(batch)).mockReturnValue(query([]));
+
+            await purgeExpiredTrash(now);
+
+            expect(Message.find).toHaveBeenCalledTimes(2);
+            expect(Message.find).toHaveBeenLastCalledWith({
+                deletedAt: { $ne: null, $lte: daysAgo(7) },
+                $or: [
+                    { deletedAt: { $gt: daysAgo(10) } },
+                    { deletedAt: daysAgo(10), _id: { $gt: 'message499' } },
+                ],
+            });
+            // The organization of the batch keeps its trash for 30 days
+            expect(Message.deleteMany).not.toHaveBeenCalledWith({ _id: expect.anything() });
+        });
+
+        test('should keep the trash of organizations that turned automatic purging off', async () => {
+            Organization.find = jest.fn().mockReturnValue(
+                query([{ _id: 'org2', settings: new Map([['trashRetentionDays', 0]]) }]),
+            );
+
+            const purged = await purgeExpiredTrash(now);
+
+            expect(Chat.find).not.toHaveBeenCalled();
+            expect(Message.find).not.toHaveBeenCalled();
+            expect(purged).toEqual({ chats: 0, messages: 0 });
+        });
+    });
+});
@@ -0,0 +1,76 @@
+jest.mock('../organization-settings');
+jest.mock('../../models/user.model');
+
+const User = require('../../models/user.model');
+const { getOrganizationSetting } = require('../organization-settings');
+const { generateCode, generateSecret, getTimeStep } = require('../totp');
+const {
+    hashRecoveryCode,
+    generateRecoveryCodes,
+    consumeSecondFactor,
+    isTwoFactorRequired,
+} = require('../two-factor');
+
+describe('Two-factor helpers', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should generate recovery codes with matching hashes', () => {
+        const { codes, hashes } = generateRecoveryCodes();
+
+        expect(codes).toHaveLength(10);
+        expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+        expect(hashes).toEqual(codes.map(hashRecoveryCode));
+        expect(hashRecoveryCode(codes[0].toUpperCase().replace('-', ' '))).toBe(hashes[0]);
+    });
+
+    test('should accept an authenticator code once', async () => {
+        const user = { twoFactorSecret: generateSecret(), twoFactorLastUsedStep: null };
+        const step = getTimeStep();
+        const code = generateCode(user.twoFactorSecret, step);
+
+        await expect(consumeSecondFactor(user, { code })).resolves.toBe(true);
+        expect(user.twoFactorLastUsedStep).toBe(step);
+        await expect(consumeSecondFactor(user, { code })).resolves.toBe(false);
+    });
+
+    test('should consume recovery codes', async () => {
+        const { codes, hashes } = generateRecoveryCodes();
+        const user = { _id: 'user123', twoFactorRecoveryCodes: hashes, unmarkModified: jest.fn() };
+        User.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+
+        await expect(consumeSecondFactor(user, { recoveryCode: codes[3] })).resolves.toBe(true);
+        expect(User.updateOne).toHaveBeenCalledWith(
+            { _id: 'user123', twoFactorRecoveryCodes: hashes[3] },
+            { $pull: { twoFactorRecoveryCodes: hashes[3] } },
+        );
+        expect(user.twoFactorRecoveryCodes).toHaveLength(9);
+        expect(user.unmarkModified).toHaveBeenCalledWith('twoFactorRecoveryCodes');
+        await expect(consumeSecondFactor(user, { recoveryCode: codes[3] })).resolves.toBe(false);
+        await expect(consumeSecondFactor(user, {})).resolves.toBe(false);
+    });
+
+    test('should refuse a recovery code another login removed first', async () => {
+        const { codes, hashes } = generateRecoveryCodes();
+        const user = { _id: 'user123', twoFactorRecoveryCodes: hashes };
+        User.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 0 });
+
+        await expect(consumeSecondFactor(user, { recoveryCode: codes[0] })).resolves.toBe(false);
+        expect(user.twoFactorRecoveryCodes).toHaveLength(10);
+    });
+
+    test('should require 2FA for admins when the organization setting is on', async () => {
+        getOrganizationSetting.mockResolvedValue(true);
+
+        await expect(isTwoFactorRequired({ role: 'admin', organizationId: 'org123' })).resolves.toBe(true);
+        expect(getOrganizationSetting).toHaveBeenCalledWith('org123', 'requireAdminTwoFactor');
+        await expect(isTwoFactorRequired({ role: 'user', organizationId: 'org123' })).resolves.toBe(false);
+    });
+
+    test('should not require 2FA when the organization setting is off', async () => {
+        getOrganizationSetting.mockResolvedValue(undefined);
+
+        await expect(isTwoFactorRequired({ role: 'admin', organizationId: 'org123' })).resolves.toBe(false);
+    });
+});
@@ -0,0 +1,39 @@
+const { describeDevice } = require('../user-agent');
+
+describe('describeDevice', () => {
+    test('should name the browser and operating system', () => {
+        expect(
+            describeDevice(
+                'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0',
+            ),
+        ).toBe('Firefox on Windows');
+        expect(
+            describeDevice(
+                'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Safari/605.1.15',
+            ),
+        ).toBe('Safari on macOS');
+        expect(
+            describeDevice(
+                'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1',
+            ),
+        ).toBe('Safari on iOS');
+    });
+
+    test('should not mistake Edge for Chrome', () => {
+        expect(
+            describeDevice(
+                'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0',
+            ),
+        ).toBe('Edge on Windows');
+    });
+
+    test('should recognize command line and server clients', () => {
+        expect(describeDevice('curl/8.5.0')).toBe('curl');
+        expect(describeDevice('PostmanRuntime/7.39.0')).toBe('Postman');
+    });
+
+    test('should fall back for missing or unknown user agents', () => {
+        expect(describeDevice(undefined)).toBe('Unknown device');
+        expect(describeDevice('SomethingElse/1.0')).toBe('Unknown device');
+    });
+});
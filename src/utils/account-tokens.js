@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+
+// Purposes an account token can be issued for, with the lifetime of each
+const PURPOSES = {
+    'password-reset': () => config.passwordResetTokenExpiresIn,
+    'email-verification': () => config.emailVerificationTokenExpiresIn,
+    'two-factor-challenge': () => config.twoFactorChallengeExpiresIn,
+};
+
+/**
+ * Fingerprint the user state a token is bound to. Once that state changes
+ * (the password is reset or the email is verified) the token no longer matches,
+ * which makes reset and verification tokens single-use without storing them.
+ * @param {Object} user - User document
+ * @param {string} purpose - Token purpose
+ * @returns {string}
+ */
+const getFingerprint = (user, purpose) => {
+    const state =
+        purpose === 'email-verification'
+            ? `${user.email}:${user.emailVerified ? 'verified' : 'unverified'}`
+            : user.password;
+    return crypto.createHash('sha256').update(String(state)).digest('hex').slice(0, 32);
+};
+
+/**
+ * Create a signed, single-use token for an account action
+ * @param {Object} user - User document the token is issued for
+ * @param {string} purpose - 'password-reset', 'email-verification' or 'two-factor-challenge'
+ * @returns {string} The signed token
+ */
+const createAccountToken = (user, purpose) => {
+    if (!PURPOSES[purpose]) {
+        throw new Error(`Unknown account token purpose: ${purpose}`);
+    }
+
+    return jwt.sign(
+        { sub: String(user._id), purpose, fp: getFingerprint(user, purpose) },
+        config.jwtSecret,
+        { expiresIn: PURPOSES[purpose]() },
+    );
+};
+
+/**
+ * Decode an account token without checking it against the current user state
+ * @param {string} token - Signed token
+ * @param {string} purpose - Expected purpose
+ * @returns {Object|null} The token payload, or null if invalid, expired or for another purpose
+ */
+const decodeAccountToken = (token, purpose) => {
+    try {
+        const payload = jwt.verify(token, config.jwtSecret);
+        return payload && payload.purpose === purpose ? payload : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Check that a decoded token still matches the user's current state
+ * @param {Object} payload - Decoded token payload
+ * @param {Object} user - User document the token was issued for
+ * @returns {boolean}
+ */
+const isAccountTokenCurrent = (payload, user) =>
+    !!user && String(user._id) === payload.sub && getFingerprint(user, payload.purpose) === payload.fp;
+
+module.exports = {
+    createAccountToken,
+    decodeAccountToken,
+    isAccountTokenCurrent,
+};
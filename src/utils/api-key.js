@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+// Number of leading characters kept in plaintext so a key can be recognised
+const API_KEY_PREFIX_LENGTH = 12;
+
+/**
+ * Generate a new API key with a visible type prefix, e.g. `clk_3f9a...`
+ * @param {string} type - Short identifier of the kind of key
+ * @returns {string} The plaintext API key
+ */
+const generateApiKey = type => `${type}_${crypto.randomBytes(32).toString('hex')}`;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plaintext API key
+ * @returns {string} SHA-256 hash of the key
+ */
+const hashApiKey = key => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Get the part of an API key that is safe to store and display
+ * @param {string} key - Plaintext API key
+ * @returns {string} The visible prefix of the key
+ */
+const getApiKeyPrefix = key => String(key).slice(0, API_KEY_PREFIX_LENGTH);
+
+module.exports = {
+    generateApiKey,
+    hashApiKey,
+    getApiKeyPrefix,
+};
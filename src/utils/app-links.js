@@ -0,0 +1,16 @@
+const config = require('../config/config');
+
+/**
+ * Describe how to use a token sent by email, linking to the frontend when `APP_URL` is configured
+ * @param {string} path - Frontend path handling the token, e.g. `verify-email`
+ * @param {string} token - Token to pass on
+ * @returns {string} A link, or an instruction containing the raw token
+ */
+const describeTokenLink = (path, token) =>
+    config.appUrl
+        ? `${config.appUrl.replace(/\/$/, '')}/${path}?token=${encodeURIComponent(token)}`
+        : `Use the following token: ${token}`;
+
+module.exports = {
+    describeTokenLink,
+};
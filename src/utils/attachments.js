@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const Attachment = require('../models/attachment.model');
+const config = require('../config/config');
+const { readOrganizationSetting } = require('./organization-settings');
+const { getStorage } = require('./storage');
+const logger = require('./logger');
+
+/**
+ * Get the upload limits of an organization
+ * @param {Object} organization - Organization document
+ * @returns {Object} `maxBytes` and `allowedTypes`, from the `attachmentMaxBytes` and `attachmentAllowedTypes`
+ *   settings of the organization or the configured defaults
+ */
+const getAttachmentLimits = organization => {
+    const maxBytes = readOrganizationSetting(organization, 'attachmentMaxBytes');
+    const allowedTypes = readOrganizationSetting(organization, 'attachmentAllowedTypes');
+
+    return {
+        maxBytes: Number.isInteger(maxBytes) && maxBytes > 0 ? maxBytes : config.attachmentMaxBytes,
+        allowedTypes: Array.isArray(allowedTypes)
+            ? allowedTypes.map(type => String(type).toLowerCase())
+            : config.attachmentAllowedTypes,
+    };
+};
+
+/**
+ * Check a MIME type against a list of allowed types
+ * @param {string} mimeType - MIME type, without parameters
+ * @param {Array<string>} allowedTypes - Types such as `application/pdf`; `image/*` allows every image and `*\/*` everything
+ * @returns {boolean}
+ */
+const isAllowedType = (mimeType, allowedTypes) => {
+    const [group] = mimeType.split('/');
+    return allowedTypes.some(type => type === '*/*' || type === mimeType || type === `${group}/*`);
+};
+
+/**
+ * Pass the body of an upload request through a size limit
+ * @param {Object} req - Express request
+ * @param {number} maxBytes - Largest accepted body
+ * @returns {Transform} Stream of the body. It fails with a `LIMIT_FILE_SIZE` error once more than `maxBytes`
+ *   bytes arrive, and when the client goes away before the end; its `bytes` property counts the bytes read.
+ */
+const limitUploadSize = (req, maxBytes) => {
+    const limit = new Transform({
+        transform(chunk, encoding, callback) {
+            this.bytes += chunk.length;
+            if (this.bytes > maxBytes) {
+                return callback(Object.assign(new Error('File is too large'), { code: 'LIMIT_FILE_SIZE' }));
+            }
+            callback(null, chunk);
+        },
+    });
+    limit.bytes = 0;
+
+    // Unlike pipeline, pipe leaves the request open, so the client can still be told why the upload failed.
+    // The storage backend reading the stream gets its errors; this listener only stops them from going unhandled.
+    limit.on('error', () => req.unpipe(limit));
+    req.on('close', () => {
+        if (!req.complete) {
+            limit.destroy(new Error('Upload was interrupted'));
+        }
+    });
+    req.pipe(limit);
+
+    return limit;
+};
+
+/**
+ * Permanently delete attachments together with their stored files
+ * @param {Object} filter - Query matching the attachments, such as their chat IDs
+ * @returns {Promise<number>} Number of deleted attachments
+ */
+const removeAttachments = async filter => {
+    const attachments = await Attachment.find(filter);
+    const storage = getStorage();
+
+    for (const attachment of attachments) {
+        try {
+            await storage.remove(attachment.storageKey);
+        } catch (error) {
+            // The record goes anyway; a file left behind only takes up space
+            logger.error(`Attachment file removal error: ${error.message}`);
+        }
+    }
+
+    const result = await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+    return result.deletedCount;
+};
+
+/**
+ * Copy attachments to another chat together with their stored files, so each chat can delete its own
+ * @param {Object} filter - Query matching the attachments, such as their IDs within the source chat
+ * @param {Object} chat - Chat the copies belong to
+ * @returns {Promise<Map<string, Object>>} ID of each copied attachment -> ID of its copy
+ */
+const copyAttachments = async (filter, chat) => {
+    const attachments = await Attachment.find(filter);
+    const storage = getStorage();
+    const copies = new Map();
+
+    for (const attachment of attachments) {
+        const storageKey = `${chat.organizationId}/${chat._id}/${crypto.randomUUID()}`;
+        await storage.save(storageKey, await storage.read(attachment.storageKey));
+
+        const copy = await Attachment.create({
+            chatId: chat._id,
+            organizationId: chat.organizationId,
+            uploadedBy: attachment.uploadedBy,
+            filename: attachment.filename,
+            mimeType: attachment.mimeType,
+            size: attachment.size,
+            storage: storage.name,
+            storageKey,
+        });
+        copies.set(attachment._id.toString(), copy._id);
+    }
+
+    return copies;
+};
+
+module.exports = {
+    getAttachmentLimits,
+    isAllowedType,
+    limitUploadSize,
+    removeAttachments,
+    copyAttachments,
+};
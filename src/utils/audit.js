@@ -0,0 +1,80 @@
+const AuditEvent = require('../models/audit-event.model');
+const logger = require('./logger');
+
+/**
+ * Describe who made a request
+ * @param {Object} req - Express request
+ * @returns {Object} Actor of an audit event
+ */
+const getActor = req => {
+    if (req.user) {
+        return {
+            type: 'user',
+            userId: req.user._id,
+            username: req.user.username || null,
+            role: req.user.role || null,
+            impersonatorId: req.impersonator ? req.impersonator._id : null,
+            apiKeyId: req.apiKey ? req.apiKey._id : null,
+        };
+    }
+
+    return { type: req.organization ? 'organization' : 'anonymous' };
+};
+
+/**
+ * Compare fields of a document before and after a change
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @param {string[]} fields - Fields to compare
+ * @returns {Object|null} Changed fields as { field: { from, to } }, or null when nothing changed
+ */
+const diffFields = (before, after, fields) => {
+    const diff = {};
+
+    fields.forEach(field => {
+        const from = before[field] === undefined ? null : before[field];
+        const to = after[field] === undefined ? null : after[field];
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            diff[field] = { from, to };
+        }
+    });
+
+    return Object.keys(diff).length ? diff : null;
+};
+
+/**
+ * Record an audit event caused by a request. Failures are logged but never fail the request.
+ * @param {Object} req - Express request the actor, IP address and user agent are taken from
+ * @param {Object} event
+ * @param {string} event.action - Dotted event name, e.g. `user.updated`
+ * @param {string} [event.organizationId] - Organization the event belongs to; defaults to the requester's
+ * @param {Object} [event.target] - Affected object as { type, id, label }
+ * @param {Object} [event.diff] - Changed fields, see diffFields()
+ * @param {Object} [event.metadata] - Further details
+ * @returns {Promise<void>}
+ */
+const recordAuditEvent = async (req, { action, organizationId, target = null, diff = null, metadata = null }) => {
+    try {
+        const requestOrganizationId =
+            (req.user && req.user.organizationId) || (req.organization && req.organization._id) || null;
+
+        await AuditEvent.create({
+            organizationId: organizationId || requestOrganizationId,
+            action,
+            actor: getActor(req),
+            target: target && { ...target, id: target.id ? String(target.id) : null },
+            ip: req.ip || null,
+            userAgent: (req.headers && req.headers['user-agent']) || null,
+            diff,
+            metadata,
+        });
+    } catch (error) {
+        logger.error(`Record audit event error (${action}): ${error.message}`);
+    }
+};
+
+module.exports = {
+    getActor,
+    diffFields,
+    recordAuditEvent,
+};
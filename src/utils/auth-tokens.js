@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const RefreshToken = require('../models/refresh-token.model');
+const Session = require('../models/session.model');
+const { describeDevice } = require('./user-agent');
+const logger = require('./logger');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// How often the last activity of a session is written at most
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Sign an access token of a session; `org` is the organization the user acts in
+const signAccessToken = (user, sessionId, organizationId) =>
+    jwt.sign({ userId: user._id, sid: sessionId, org: organizationId }, config.jwtSecret, {
+        expiresIn: config.accessTokenExpiresIn,
+    });
+
+/**
+ * Issue a short-lived access token and a rotating refresh token for a user
+ * @param {Object} user - User document the tokens are issued for
+ * @param {Object} [options]
+ * @param {string} [options.family] - Existing session to continue (used when rotating)
+ * @param {string} [options.ip] - IP address of the client requesting the tokens
+ * @param {string} [options.userAgent] - User-Agent header of the client, recorded for new sessions
+ * @returns {Promise<Object>} The access token, refresh token and stored refresh token record
+ */
+const issueAuthTokens = async (user, { family, ip, userAgent } = {}) => {
+    const sessionId = family || crypto.randomUUID();
+    const refreshToken = RefreshToken.generateToken();
+    const expiresAt = new Date(Date.now() + config.refreshTokenTtlDays * DAY_IN_MS);
+
+    const record = await RefreshToken.create({
+        userId: user._id,
+        tokenHash: RefreshToken.hashToken(refreshToken),
+        family: sessionId,
+        expiresAt,
+        createdByIp: ip || null,
+    });
+
+    // New sessions start in the user's own organization; rotation keeps the one switched to
+    let organizationId = user.organizationId;
+
+    if (family) {
+        const session = await Session.findOneAndUpdate(
+            { sessionId },
+            { lastSeenAt: new Date(), lastSeenIp: ip || null, expiresAt },
+        );
+        if (session && session.organizationId) {
+            organizationId = session.organizationId;
+        }
+    } else {
+        await Session.create({
+            sessionId,
+            userId: user._id,
+            organizationId,
+            device: describeDevice(userAgent),
+            ip: ip || null,
+            userAgent: userAgent || null,
+            lastSeenIp: ip || null,
+            expiresAt,
+        });
+    }
+
+    const token = signAccessToken(user, sessionId, organizationId);
+
+    return {
+        token,
+        refreshToken,
+        expiresIn: config.accessTokenExpiresIn,
+        record,
+    };
+};
+
+/**
+ * Issue a short-lived access token letting a superadmin act as another user
+ *
+ * The token is bound to its own session, which cannot be refreshed, and carries the impersonator
+ * in its `imp` claim so every request made with it can be flagged.
+ * @param {Object} user - User to impersonate
+ * @param {Object} impersonator - User the token is issued to
+ * @param {Object} [options]
+ * @param {string} [options.ip] - IP address of the client requesting the token
+ * @param {string} [options.userAgent] - User-Agent header of the client
+ * @returns {Promise<Object>} The access token, its expiry and the stored session record
+ */
+const issueImpersonationToken = async (user, impersonator, { ip, userAgent } = {}) => {
+    const sessionId = crypto.randomUUID();
+
+    const token = jwt.sign({ userId: user._id, sid: sessionId, imp: impersonator._id }, config.jwtSecret, {
+        expiresIn: config.impersonationTokenExpiresIn,
+    });
+    const expiresAt = new Date(jwt.decode(token).exp * 1000);
+
+    // Nobody ever receives this refresh token, it only keeps the session revocable
+    await RefreshToken.create({
+        userId: user._id,
+        tokenHash: RefreshToken.hashToken(RefreshToken.generateToken()),
+        family: sessionId,
+        expiresAt,
+        createdByIp: ip || null,
+    });
+
+    const record = await Session.create({
+        sessionId,
+        userId: user._id,
+        device: describeDevice(userAgent),
+        ip: ip || null,
+        userAgent: userAgent || null,
+        lastSeenIp: ip || null,
+        expiresAt,
+        impersonatedBy: impersonator._id,
+    });
+
+    return {
+        token,
+        expiresIn: config.impersonationTokenExpiresIn,
+        expiresAt,
+        record,
+    };
+};
+
+/**
+ * Move a session to another organization the user is a member of, and issue an access token
+ * acting in it. Refresh tokens of the session keep working and continue in that organization.
+ * @param {Object} user - User document
+ * @param {string} sessionId - Session identifier
+ * @param {string|Object} organizationId - Organization to switch to; membership must be checked by the caller
+ * @returns {Promise<Object>} The access token and its lifetime
+ */
+const switchSessionOrganization = async (user, sessionId, organizationId) => {
+    await Session.updateOne({ sessionId }, { organizationId });
+
+    return {
+        token: signAccessToken(user, sessionId, organizationId),
+        expiresIn: config.accessTokenExpiresIn,
+    };
+};
+
+/**
+ * Move the sessions of a user acting in an organization back to their own organization, e.g.
+ * after their membership there ended
+ * @param {Object} user - User document
+ * @param {string|Object} organizationId - Organization the user left
+ */
+const resetSessionOrganization = async (user, organizationId) => {
+    await Session.updateMany({ userId: user._id, organizationId }, { organizationId: user.organizationId });
+};
+
+/**
+ * Revoke every refresh token belonging to a single login session
+ * @param {string} family - Session identifier
+ * @param {Object} [options]
+ * @param {string} [options.revokedBy] - Admin ending the session, when it is not the user
+ */
+const revokeSession = async (family, { revokedBy = null } = {}) => {
+    const revokedAt = new Date();
+    await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt });
+    await Session.updateOne({ sessionId: family, revokedAt: null }, { revokedAt, revokedBy });
+};
+
+/**
+ * Revoke every refresh token of a user, ending all of their sessions
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.revokedBy] - Admin ending the sessions, when it is not the user
+ */
+const revokeUserSessions = async (userId, { revokedBy = null } = {}) => {
+    const revokedAt = new Date();
+    await RefreshToken.updateMany({ userId, revokedAt: null }, { revokedAt });
+    await Session.updateMany({ userId, revokedAt: null }, { revokedAt, revokedBy });
+};
+
+/**
+ * Record activity of a session, at most once per minute. Failures are logged but never
+ * affect the request.
+ * @param {string} sessionId - Session identifier
+ * @param {string} [ip] - IP address of the client
+ */
+const touchSession = (sessionId, ip) =>
+    Session.updateOne(
+        { sessionId, lastSeenAt: { $lt: new Date(Date.now() - LAST_SEEN_INTERVAL_MS) } },
+        { lastSeenAt: new Date(), lastSeenIp: ip || null },
+    ).catch(error => {
+        logger.error(`Touch session error: ${error.message}`);
+    });
+
+/**
+ * Check whether a session still has a usable refresh token
+ * @param {string} userId - User ID the session belongs to
+ * @param {string} family - Session identifier
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (userId, family) => {
+    const session = await RefreshToken.exists({
+        userId,
+        family,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+    });
+    return !!session;
+};
+
+module.exports = {
+    issueAuthTokens,
+    issueImpersonationToken,
+    switchSessionOrganization,
+    resetSessionOrganization,
+    revokeSession,
+    revokeUserSessions,
+    touchSession,
+    isSessionActive,
+};
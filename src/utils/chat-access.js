@@ -0,0 +1,66 @@
+const Team = require('../models/team.model');
+const { isChatSharingEnabled } = require('./organization-settings');
+
+/**
+ * Get the ID of the organization a request acts for
+ * @param {Object} req - Express request
+ * @returns {Object} Organization ID
+ */
+const getOrganizationId = req => (req.organization ? req.organization._id : req.user.organizationId);
+
+/**
+ * Get the teams of the organization the requesting user is a member of, caching them on the request
+ * @param {Object} req - Express request
+ * @returns {Promise<Array>} Team IDs
+ */
+const getTeamIds = async req => {
+    if (!req.teamIds) {
+        req.teamIds = await Team.distinct('_id', { organizationId: getOrganizationId(req), members: req.user._id });
+    }
+    return req.teamIds;
+};
+
+/**
+ * Build the query matching the chats the requester may access. Users are limited to their
+ * own chats, and for reading the chats of their teams and those shared with them, unless the
+ * permissions resolved by requirePermission() include `chats:<action>:any`.
+ * @param {Object} req - Express request
+ * @param {string} [action='read'] - 'read' or 'write'
+ * @returns {Promise<Object>} Query conditions for the Chat model
+ */
+const getChatAccessQuery = async (req, action = 'read') => {
+    // Chats in the trash are only reachable through the trash routes, which override `deletedAt`
+    const query = { organizationId: getOrganizationId(req), deletedAt: null };
+
+    // Requests authenticated with an organization API key act as a backend service and
+    // have no user: they may access every chat of the organization
+    if (!req.user || (req.permissions && req.permissions.has(`chats:${action}:any`))) {
+        return query;
+    }
+
+    const conditions = [{ userId: req.user._id }];
+
+    if (action === 'read') {
+        const teamIds = await getTeamIds(req);
+        if (teamIds.length) {
+            conditions.push({ teamId: { $in: teamIds } });
+        }
+        if (isChatSharingEnabled(req.organization)) {
+            conditions.push({ 'sharedWith.userId': req.user._id });
+        }
+    }
+
+    if (conditions.length > 1) {
+        query.$or = conditions;
+    } else {
+        query.userId = req.user._id;
+    }
+
+    return query;
+};
+
+module.exports = {
+    getOrganizationId,
+    getTeamIds,
+    getChatAccessQuery,
+};
@@ -0,0 +1,31 @@
+/**
+ * Escape a value for a CSV field, quoting it when it contains a comma, a double quote or a newline
+ * @param {*} field - Value of the field; plain objects and arrays are written as JSON
+ * @returns {string}
+ */
+const escapeCsvField = field => {
+    if (field === null || field === undefined) {
+        return '';
+    }
+    const isPlainData =
+        Array.isArray(field) || (typeof field === 'object' && Object.getPrototypeOf(field) === Object.prototype);
+    const value = isPlainData ? JSON.stringify(field) : String(field);
+    if (value.includes(',') || value.includes('"') || value.includes('\n')) {
+        return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+};
+
+/**
+ * Convert rows to CSV with a header line
+ * @param {Object[]} rows - Rows to write
+ * @param {string[]} [headers] - Columns to write; defaults to the keys of the first row
+ * @returns {string}
+ */
+const toCsv = (rows, headers = Object.keys(rows[0] || {})) =>
+    [headers.join(','), ...rows.map(row => headers.map(header => escapeCsvField(row[header])).join(','))].join('\n');
+
+module.exports = {
+    escapeCsvField,
+    toCsv,
+};
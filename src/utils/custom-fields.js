@@ -0,0 +1,122 @@
+// Types a custom field of chats can have
+const CUSTOM_FIELD_TYPES = ['string', 'number', 'boolean', 'date'];
+
+// Valid names for custom fields, e.g. `priority` or `ticket_id`; they are stored as keys of chat documents
+const CUSTOM_FIELD_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/;
+
+/**
+ * Read the custom field definitions of an organization
+ * @param {Object} organization - Organization document
+ * @returns {Map<string, Object>} Field name -> definition
+ */
+const getCustomFieldDefinitions = organization =>
+    (organization && organization.customFields) || new Map();
+
+/**
+ * Check a value against the definition of a custom field
+ * @param {Object} definition - Field definition with `type` and `enum`
+ * @param {*} value - Value to check
+ * @param {boolean} [fromString] - Whether the value comes from a query string and still needs converting
+ * @returns {{value: *}|{error: string}} The value to store, or why it is not valid
+ */
+const parseCustomFieldValue = (definition, value, fromString = false) => {
+    let parsed = value;
+
+    switch (definition.type) {
+        case 'number':
+            if (fromString && typeof value === 'string' && value.trim() !== '') parsed = Number(value);
+            if (typeof parsed !== 'number' || !Number.isFinite(parsed)) return { error: 'must be a number' };
+            break;
+        case 'boolean':
+            if (fromString && (value === 'true' || value === 'false')) parsed = value === 'true';
+            if (typeof parsed !== 'boolean') return { error: 'must be a boolean' };
+            break;
+        case 'date':
+            parsed = typeof value === 'string' || value instanceof Date ? new Date(value) : null;
+            if (!parsed || Number.isNaN(parsed.getTime())) return { error: 'must be a date' };
+            break;
+        default:
+            if (typeof parsed !== 'string') return { error: 'must be a string' };
+    }
+
+    if (definition.enum && definition.enum.length && !definition.enum.includes(parsed)) {
+        return { error: `must be one of ${definition.enum.join(', ')}` };
+    }
+
+    return { value: parsed };
+};
+
+/**
+ * Validate the custom field values of a chat against the definitions of its organization.
+ * A null value removes the field; required fields must have a value once the chat is created.
+ * @param {Object} organization - Organization document
+ * @param {Object} values - Field name -> value, as sent by the client
+ * @param {Object} [current] - Values already stored on the chat when updating it
+ * @returns {{customFields: Object, errors: Array<string>}} The values to store and the problems found
+ */
+const validateCustomFields = (organization, values = {}, current = null) => {
+    const definitions = getCustomFieldDefinitions(organization);
+    const customFields = { ...(current || {}) };
+    const errors = [];
+
+    for (const [name, value] of Object.entries(values)) {
+        const definition = definitions.get(name);
+
+        if (!definition) {
+            errors.push(`"${name}" is not a custom field of the organization`);
+        } else if (value === null) {
+            if (definition.required) errors.push(`"${name}" is required`);
+            delete customFields[name];
+        } else {
+            const result = parseCustomFieldValue(definition, value);
+            if (result.error) errors.push(`"${name}" ${result.error}`);
+            else customFields[name] = result.value;
+        }
+    }
+
+    // Chats created before a field became required keep working until the field is set
+    if (!current) {
+        for (const [name, definition] of definitions) {
+            if (definition.required && !(name in values) && customFields[name] === undefined) {
+                errors.push(`"${name}" is required`);
+            }
+        }
+    }
+
+    return { customFields, errors };
+};
+
+/**
+ * Build the chat query matching custom field values given as query string parameters
+ * @param {Object} organization - Organization document
+ * @param {Object} filters - Field name -> value to match, as strings
+ * @returns {{query: Object, errors: Array<string>}} Conditions on `customFields` and the problems found
+ */
+const buildCustomFieldQuery = (organization, filters) => {
+    const definitions = getCustomFieldDefinitions(organization);
+    const query = {};
+    const errors = [];
+
+    for (const [name, value] of Object.entries(filters)) {
+        const definition = definitions.get(name);
+
+        if (!definition) {
+            errors.push(`"${name}" is not a custom field of the organization`);
+            continue;
+        }
+
+        const result = parseCustomFieldValue(definition, value, true);
+        if (result.error) errors.push(`"${name}" ${result.error}`);
+        else query[`customFields.${name}`] = result.value;
+    }
+
+    return { query, errors };
+};
+
+module.exports = {
+    CUSTOM_FIELD_TYPES,
+    CUSTOM_FIELD_NAME_PATTERN,
+    parseCustomFieldValue,
+    validateCustomFields,
+    buildCustomFieldQuery,
+};
@@ -0,0 +1,40 @@
+const { getRolePermissions, includesPermission } = require('./permissions');
+const { recordAuditEvent } = require('./audit');
+const logger = require('./logger');
+
+/**
+ * Check whether a user may impersonate others. Only platform roles grant the permission, so the
+ * user's organization does not need to be loaded.
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+const canImpersonate = user => includesPermission(getRolePermissions(user.role), 'users:impersonate');
+
+/**
+ * Record a request made with an impersonation token in the audit log once its response has been sent
+ * @param {Object} req - Express request with `user`, `impersonator` and `sessionId` set
+ * @param {Object} res - Express response
+ */
+const recordImpersonatedRequest = (req, res) => {
+    const { user, impersonator, sessionId } = req;
+
+    logger.info(`Impersonated request ${req.method} ${req.originalUrl} as ${user._id} by ${impersonator._id}`);
+
+    res.on('finish', () => {
+        recordAuditEvent(req, {
+            action: 'auth.impersonated_request',
+            target: { type: 'user', id: user._id, label: user.username },
+            metadata: {
+                method: req.method,
+                path: req.originalUrl,
+                statusCode: res.statusCode,
+                sessionId,
+            },
+        });
+    });
+};
+
+module.exports = {
+    canImpersonate,
+    recordImpersonatedRequest,
+};
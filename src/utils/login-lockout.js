@@ -0,0 +1,97 @@
+const User = require('../models/user.model');
+const config = require('../config/config');
+
+const MINUTE_IN_MS = 60 * 1000;
+
+/**
+ * Check whether an account is currently locked after too many failed logins
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+const isAccountLocked = user => !!user.lockedUntil && user.lockedUntil.getTime() > Date.now();
+
+/**
+ * Record a failed login. Once the allowed attempts are used up the account is locked,
+ * and every further failure doubles the lockout up to the configured maximum.
+ * The counter is incremented in the database so that concurrent failures all count;
+ * the user document is updated to match and does not need to be saved.
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const recordFailedLogin = async user => {
+    const lastFailedLoginAt = new Date();
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt } },
+        { new: true, projection: { failedLoginAttempts: 1, lockedUntil: 1 } },
+    );
+    if (!updated) return;
+
+    user.failedLoginAttempts = updated.failedLoginAttempts;
+    user.lastFailedLoginAt = lastFailedLoginAt;
+    user.lockedUntil = updated.lockedUntil;
+
+    const excessAttempts = updated.failedLoginAttempts - config.loginMaxAttempts;
+    if (excessAttempts >= 0) {
+        const lockoutMinutes = Math.min(
+            config.loginLockoutMinutes * 2 ** excessAttempts,
+            config.loginMaxLockoutMinutes,
+        );
+        const lockedUntil = new Date(Date.now() + lockoutMinutes * MINUTE_IN_MS);
+
+        // A concurrent failure may already have set a longer lockout
+        await User.updateOne({ _id: user._id }, { $max: { lockedUntil } });
+        if (!user.lockedUntil || user.lockedUntil < lockedUntil) {
+            user.lockedUntil = lockedUntil;
+        }
+    }
+
+    // Saving the document later must not overwrite the counters with these values
+    if (typeof user.unmarkModified === 'function') {
+        ['failedLoginAttempts', 'lastFailedLoginAt', 'lockedUntil'].forEach(path => user.unmarkModified(path));
+    }
+};
+
+/**
+ * Forget failed logins and lift any lockout. The caller must save the user afterwards.
+ * @param {Object} user - User document
+ */
+const clearFailedLogins = user => {
+    user.failedLoginAttempts = 0;
+    user.lockedUntil = null;
+};
+
+/**
+ * Describe the lockout state of an account for admins
+ * @param {Object} user - User document
+ * @returns {Object}
+ */
+const getLockoutStatus = user => ({
+    locked: isAccountLocked(user),
+    lockedUntil: user.lockedUntil || null,
+    failedLoginAttempts: user.failedLoginAttempts || 0,
+    lastFailedLoginAt: user.lastFailedLoginAt || null,
+});
+
+/**
+ * Respond to a login attempt on a locked account
+ * @param {Object} res - Express response
+ * @param {Object} user - Locked user document
+ */
+const sendAccountLocked = (res, user) => {
+    const retryAfterSeconds = Math.ceil((user.lockedUntil.getTime() - Date.now()) / 1000);
+
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(423).json({
+        message: 'Account is temporarily locked due to too many failed login attempts',
+        lockedUntil: user.lockedUntil,
+    });
+};
+
+module.exports = {
+    isAccountLocked,
+    recordFailedLogin,
+    clearFailedLogins,
+    getLockoutStatus,
+    sendAccountLocked,
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+const logger = require('./logger');
+
+// A mail transport is any object with an async `send({ from, to, subject, text })` method
+
+/**
+ * Create a transport delivering mail through an SMTP server
+ * @param {Object} options - SMTP connection settings (host, port, secure, user, pass)
+ * @returns {Object} Mail transport
+ */
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined,
+    });
+
+    return {
+        name: 'smtp',
+        send: message => transporter.sendMail(message),
+    };
+};
+
+/**
+ * Create a transport writing every message to a JSON file, for local development and tests
+ * @param {string} dir - Directory the messages are written to
+ * @returns {Object} Mail transport
+ */
+const createFileTransport = dir => ({
+    name: 'file',
+    send: async message => {
+        await fs.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${crypto.randomUUID()}.json`);
+        await fs.writeFile(file, JSON.stringify(message, null, 2));
+        return { file };
+    },
+});
+
+/**
+ * Create a transport printing every message to the log
+ * @returns {Object} Mail transport
+ */
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async message => {
+        logger.info(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    },
+});
+
+/**
+ * Create the transport selected in the mail configuration
+ * @param {Object} [mailConfig] - Mail configuration, defaults to `config.mail`
+ * @returns {Object} Mail transport
+ */
+const createMailTransport = (mailConfig = config.mail) => {
+    switch (mailConfig.transport) {
+        case 'smtp':
+            return createSmtpTransport(mailConfig.smtp);
+        case 'file':
+            return createFileTransport(mailConfig.fileDir);
+        case 'console':
+            return createConsoleTransport();
+        default:
+            throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+    }
+};
+
+let transport = null;
+
+/**
+ * Replace the transport used by `sendMail`
+ * @param {Object|null} newTransport - Mail transport, or null to fall back to the configured one
+ */
+const setMailTransport = newTransport => {
+    transport = newTransport;
+};
+
+/**
+ * Send an email using the active transport
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ */
+const sendMail = async ({ to, subject, text }) => {
+    if (!transport) {
+        transport = createMailTransport();
+    }
+
+    await transport.send({ from: config.mail.from, to, subject, text });
+    logger.debug(`Sent "${subject}" email via ${transport.name} transport`);
+};
+
+module.exports = {
+    createSmtpTransport,
+    createFileTransport,
+    createConsoleTransport,
+    createMailTransport,
+    setMailTransport,
+    sendMail,
+};
@@ -0,0 +1,48 @@
+const Membership = require('../models/membership.model');
+const { PLATFORM_ROLES } = require('../config/permissions');
+
+/**
+ * Check whether an organization is the user's own organization
+ * @param {Object} user - User document
+ * @param {string|Object} organizationId - Organization ID
+ * @returns {boolean}
+ */
+const isHomeOrganization = (user, organizationId) => String(user.organizationId) === String(organizationId);
+
+/**
+ * Find the membership of a user in an organization
+ * @param {Object} user - User document
+ * @param {string|Object} organizationId - Organization ID
+ * @returns {Promise<Object|null>} The `organizationId` and `role` of the user there, or null when they are not a member
+ */
+const findMembership = async (user, organizationId) => {
+    if (isHomeOrganization(user, organizationId)) {
+        return { organizationId: user.organizationId, role: user.role };
+    }
+    return Membership.findOne({ userId: user._id, organizationId });
+};
+
+/**
+ * Let a loaded user act in another organization they are a member of, with their role there.
+ * Only the loaded document changes: the fields are not marked as modified, so saving it never
+ * moves the user. Platform roles apply in every organization and are kept.
+ * @param {Object} user - User document loaded for the request
+ * @param {Object} membership - Membership in the organization
+ */
+const applyMembership = (user, membership) => {
+    user.organizationId = membership.organizationId;
+    if (!PLATFORM_ROLES.includes(user.role)) {
+        user.role = membership.role;
+    }
+
+    if (typeof user.unmarkModified === 'function') {
+        user.unmarkModified('organizationId');
+        user.unmarkModified('role');
+    }
+};
+
+module.exports = {
+    isHomeOrganization,
+    findMembership,
+    applyMembership,
+};
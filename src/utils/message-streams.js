@@ -0,0 +1,76 @@
+const Message = require('../models/message.model');
+const config = require('../config/config');
+const logger = require('./logger');
+
+const MINUTE_IN_MS = 60 * 1000;
+
+/**
+ * Append a chunk of content to a streaming message in one atomic update, so concurrent appends are not lost
+ * @param {Object} filter - Query matching the message, such as its ID and chat
+ * @param {string} chunk - Content to append
+ * @param {number} [sequence] - Zero-based number of the chunk; when given, it is only appended as the next chunk
+ * @returns {Promise<Object|null>} The updated message, or null when no streaming message matched
+ */
+const appendChunk = (filter, chunk, sequence) =>
+    Message.findOneAndUpdate(
+        {
+            ...filter,
+            status: 'streaming',
+            deletedAt: null,
+            ...(sequence !== undefined && { chunkCount: sequence }),
+        },
+        [
+            {
+                $set: {
+                    // $literal keeps chunks that start with `$` from being read as field paths
+                    content: { $concat: [{ $ifNull: ['$content', ''] }, { $literal: chunk }] },
+                    chunkCount: { $add: [{ $ifNull: ['$chunkCount', 0] }, 1] },
+                    lastChunkAt: '$$NOW',
+                },
+            },
+        ],
+        { new: true },
+    );
+
+/**
+ * Mark messages that stopped streaming without being finalized as incomplete
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<number>} Number of messages marked incomplete
+ */
+const markStaleStreamsIncomplete = async (now = new Date()) => {
+    const result = await Message.updateMany(
+        {
+            status: 'streaming',
+            lastChunkAt: { $lte: new Date(now.getTime() - config.streamTimeoutMinutes * MINUTE_IN_MS) },
+        },
+        { status: 'incomplete' },
+    );
+
+    return result.modifiedCount;
+};
+
+/**
+ * Look for abandoned streams now and then every minute
+ * @returns {Object} The interval timer; it does not keep the process alive
+ */
+const scheduleStreamSweep = () => {
+    const run = async () => {
+        try {
+            const count = await markStaleStreamsIncomplete();
+            if (count) {
+                logger.info(`Marked ${count} abandoned streaming messages as incomplete`);
+            }
+        } catch (error) {
+            logger.error(`Stream sweep error: ${error.message}`);
+        }
+    };
+
+    run();
+    return setInterval(run, MINUTE_IN_MS).unref();
+};
+
+module.exports = {
+    appendChunk,
+    markStaleStreamsIncomplete,
+    scheduleStreamSweep,
+};
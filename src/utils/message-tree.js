@@ -0,0 +1,54 @@
+/**
+ * Arrange the messages of a chat in a tree following their `parentMessageId`.
+ * Messages without a parent, or whose parent is not among `messages` (for example because it is in
+ * the trash), are roots. Siblings keep the order of `messages`.
+ * @param {Array} messages - Messages of one chat, oldest first
+ * @returns {Array} Root nodes, each `{ message, children }`
+ */
+const buildMessageTree = messages => {
+    const nodes = new Map(messages.map(message => [String(message._id), { message, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.message.parentMessageId && nodes.get(String(node.message.parentMessageId));
+
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            roots.push(node);
+        }
+    }
+
+    return roots;
+};
+
+/**
+ * Get the linear conversation that leads to a message: its ancestors from the root, then the message itself
+ * @param {Array} messages - Messages of one chat
+ * @param {string} messageId - ID of the last message of the path
+ * @returns {Array|null} Messages from the root to `messageId`, or null when it is not among `messages`
+ */
+const getMessagePath = (messages, messageId) => {
+    const byId = new Map(messages.map(message => [String(message._id), message]));
+    const path = [];
+
+    let message = byId.get(String(messageId));
+    if (!message) {
+        return null;
+    }
+
+    // Parents always exist before their children, but a corrupted chain must not loop forever
+    const seen = new Set();
+    while (message && !seen.has(String(message._id))) {
+        seen.add(String(message._id));
+        path.unshift(message);
+        message = message.parentMessageId ? byId.get(String(message.parentMessageId)) : null;
+    }
+
+    return path;
+};
+
+module.exports = {
+    buildMessageTree,
+    getMessagePath,
+};
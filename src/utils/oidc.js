@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const { URL, URLSearchParams } = require('url');
+const jwt = require('jsonwebtoken');
+
+// How long discovery documents and signing keys are cached
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const ROLE_PRIORITY = ['user', 'admin'];
+// How long a request to the identity provider may take, including reading its response
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Hosts an issuer may be reached on over plain http, for providers running on the same machine
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// Error raised when the identity provider or its response cannot be trusted
+class OidcError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OidcError';
+    }
+}
+
+const normalizeIssuer = issuer => String(issuer).replace(/\/+$/, '');
+
+// Check that an issuer is an https URL, or an http URL of the local machine, before any request is sent to it
+const checkIssuerUrl = issuerUrl => {
+    let url;
+    try {
+        url = new URL(issuerUrl);
+    } catch {
+        throw new OidcError('Issuer is not a valid URL');
+    }
+
+    const loopback = url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname);
+    if (url.protocol !== 'https:' && !loopback) {
+        throw new OidcError('Issuer must be an https URL');
+    }
+    if (url.username || url.password || url.search || url.hash) {
+        throw new OidcError('Issuer must not contain credentials, a query or a fragment');
+    }
+};
+
+// Request JSON from the identity provider; every failure, including timeouts, is an OidcError
+const fetchJson = async (url, options = {}) => {
+    let response;
+    let text;
+    try {
+        response = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+        text = await response.text();
+    } catch (error) {
+        throw new OidcError(`Request to ${url} failed: ${error.message}`);
+    }
+
+    let body = null;
+    try {
+        body = JSON.parse(text);
+    } catch {
+        // Handled below: error responses may have any body, successful ones must be JSON
+    }
+
+    if (!response.ok) {
+        const reason = body && (body.error_description || body.error);
+        throw new OidcError(`Request to ${url} failed with status ${response.status}${reason ? `: ${reason}` : ''}`);
+    }
+    if (!body) {
+        throw new OidcError(`Request to ${url} did not return JSON`);
+    }
+    return body;
+};
+
+/**
+ * Fetch (and cache) the discovery document of an issuer
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<Object>} The provider metadata
+ */
+const discover = async issuer => {
+    const issuerUrl = normalizeIssuer(issuer);
+    const cached = discoveryCache.get(issuerUrl);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.metadata;
+    }
+
+    checkIssuerUrl(issuerUrl);
+    const metadata = await fetchJson(`${issuerUrl}/.well-known/openid-configuration`);
+    if (!metadata || normalizeIssuer(metadata.issuer) !== issuerUrl) {
+        throw new OidcError('Discovery document issuer does not match the configured issuer');
+    }
+
+    discoveryCache.set(issuerUrl, { metadata, expiresAt: Date.now() + CACHE_TTL_MS });
+    return metadata;
+};
+
+/**
+ * Create a PKCE code verifier and its S256 challenge
+ * @returns {{ codeVerifier: string, codeChallenge: string }}
+ */
+const createPkcePair = () => {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Build the URL the user is sent to in order to log in at the identity provider
+ * @param {Object} metadata - Provider metadata
+ * @param {Object} params
+ * @returns {string}
+ */
+const buildAuthorizationUrl = (metadata, { clientId, redirectUri, scopes, state, nonce, codeChallenge }) => {
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: scopes.join(' '),
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+    }).toString();
+    return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} metadata - Provider metadata
+ * @param {Object} params
+ * @returns {Promise<Object>} The token response, including `id_token`
+ */
+const exchangeCode = async (metadata, { clientId, clientSecret, code, redirectUri, codeVerifier }) => {
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
+        client_id: clientId,
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+    // Client secret basic is the default method when the provider does not list any
+    const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (clientSecret && authMethods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else if (clientSecret) {
+        body.set('client_secret', clientSecret);
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body });
+    if (!tokens || !tokens.id_token) {
+        throw new OidcError('Token response does not contain an ID token');
+    }
+    return tokens;
+};
+
+const fetchSigningKeys = async (jwksUri, { refresh = false } = {}) => {
+    const cached = jwksCache.get(jwksUri);
+    if (!refresh && cached && cached.expiresAt > Date.now()) {
+        return cached.keys;
+    }
+
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, { keys, expiresAt: Date.now() + CACHE_TTL_MS });
+    return keys;
+};
+
+const findSigningKey = (keys, kid) =>
+    keys.find(key => (key.use === undefined || key.use === 'sig') && (!kid || key.kid === kid));
+
+/**
+ * Verify the signature and claims of an ID token
+ * @param {string} idToken - Raw ID token
+ * @param {Object} params
+ * @param {Object} params.metadata - Provider metadata
+ * @param {string} params.clientId - Expected audience
+ * @param {string} params.nonce - Nonce sent in the authorization request
+ * @returns {Promise<Object>} The verified claims
+ */
+const verifyIdToken = async (idToken, { metadata, clientId, nonce }) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+        throw new OidcError('ID token is malformed');
+    }
+
+    // Providers rotate keys, so an unknown key ID triggers one refresh of the key set
+    let jwk = findSigningKey(await fetchSigningKeys(metadata.jwks_uri), decoded.header.kid);
+    if (!jwk) {
+        jwk = findSigningKey(await fetchSigningKeys(metadata.jwks_uri, { refresh: true }), decoded.header.kid);
+    }
+    if (!jwk) {
+        throw new OidcError('ID token is signed with an unknown key');
+    }
+
+    let claims;
+    try {
+        claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+            algorithms: ID_TOKEN_ALGORITHMS,
+            issuer: metadata.issuer,
+            audience: clientId,
+        });
+    } catch (error) {
+        throw new OidcError(`ID token is invalid: ${error.message}`);
+    }
+
+    if (claims.nonce !== nonce) {
+        throw new OidcError('ID token nonce does not match');
+    }
+    if (!claims.sub) {
+        throw new OidcError('ID token has no subject');
+    }
+    return claims;
+};
+
+/**
+ * Derive the role of a user from the ID token claims and the organization's role mapping
+ * @param {Object} claims - Verified ID token claims
+ * @param {Object} oidcConfig - Organization OIDC configuration
+ * @returns {string} The most privileged mapped role, or the default role
+ */
+const mapRole = (claims, { roleClaim, roleMapping, defaultRole = 'user' }) => {
+    const mapping = roleMapping instanceof Map ? roleMapping : new Map(Object.entries(roleMapping || {}));
+    const claimValue = roleClaim ? claims[roleClaim] : undefined;
+    const values = Array.isArray(claimValue) ? claimValue : claimValue !== undefined ? [claimValue] : [];
+
+    return values
+        .map(value => mapping.get(String(value)))
+        .filter(role => ROLE_PRIORITY.includes(role))
+        .reduce(
+            (best, role) => (ROLE_PRIORITY.indexOf(role) > ROLE_PRIORITY.indexOf(best) ? role : best),
+            defaultRole,
+        );
+};
+
+/**
+ * Forget cached discovery documents and signing keys
+ */
+const clearOidcCache = () => {
+    discoveryCache.clear();
+    jwksCache.clear();
+};
+
+module.exports = {
+    OidcError,
+    discover,
+    createPkcePair,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+    mapRole,
+    clearOidcCache,
+};
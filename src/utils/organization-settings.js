@@ -0,0 +1,37 @@
+const Organization = require('../models/organization.model');
+
+/**
+ * Read a single setting of a loaded organization
+ * @param {Object} organization - Organization document
+ * @param {string} name - Setting name
+ * @returns {*} The setting value, or undefined when the organization or setting does not exist
+ */
+const readOrganizationSetting = (organization, name) => {
+    if (!organization || !organization.settings) {
+        return undefined;
+    }
+
+    return organization.settings.get(name);
+};
+
+/**
+ * Read a single setting of an organization
+ * @param {string} organizationId - Organization ID
+ * @param {string} name - Setting name
+ * @returns {Promise<*>} The setting value, or undefined when the organization or setting does not exist
+ */
+const getOrganizationSetting = async (organizationId, name) =>
+    readOrganizationSetting(await Organization.findById(organizationId), name);
+
+/**
+ * Check whether an organization lets its chats be shared with users and through public links
+ * @param {Object} organization - Organization document
+ * @returns {boolean}
+ */
+const isChatSharingEnabled = organization => readOrganizationSetting(organization, 'allowChatSharing') !== false;
+
+module.exports = {
+    readOrganizationSetting,
+    getOrganizationSetting,
+    isChatSharingEnabled,
+};
@@ -0,0 +1,142 @@
+const Organization = require('../models/organization.model');
+const {
+    DEFAULT_ROLE_PERMISSIONS,
+    PLATFORM_ROLES,
+    ORGANIZATION_KEY_PERMISSIONS,
+} = require('../config/permissions');
+
+/**
+ * Check whether a role exists in an organization
+ * @param {string} role - Role name
+ * @param {Object} [organization] - Organization document, for custom roles
+ * @returns {boolean}
+ */
+const roleExists = (role, organization) =>
+    Object.hasOwn(DEFAULT_ROLE_PERMISSIONS, role) ||
+    !!(organization && organization.roles && organization.roles.has(role));
+
+/**
+ * Get the permissions a role grants in an organization
+ * @param {string} role - Role name
+ * @param {Object} [organization] - Organization document, for customized and custom roles
+ * @returns {Set<string>} The granted permissions; empty for unknown roles
+ */
+const getRolePermissions = (role, organization) => {
+    const customized =
+        !PLATFORM_ROLES.includes(role) && organization && organization.roles && organization.roles.get(role);
+
+    if (customized) {
+        return new Set(customized.permissions);
+    }
+    // Role names such as `constructor` must not resolve to members of Object.prototype
+    return new Set(Object.hasOwn(DEFAULT_ROLE_PERMISSIONS, role) ? DEFAULT_ROLE_PERMISSIONS[role] : []);
+};
+
+/**
+ * Check a permission against a set, treating `:any` permissions as implying `:own`
+ * @param {Set<string>} permissions - Granted permissions
+ * @param {string} permission - Required permission
+ * @returns {boolean}
+ */
+const includesPermission = (permissions, permission) =>
+    permissions.has(permission) ||
+    (permission.endsWith(':own') && permissions.has(permission.replace(/:own$/, ':any')));
+
+/**
+ * Resolve the permissions of the requester, caching them on the request
+ * @param {Object} req - Express request
+ * @returns {Promise<Set<string>>}
+ */
+const getRequestPermissions = async req => {
+    if (req.permissions) {
+        return req.permissions;
+    }
+
+    if (!req.user) {
+        req.permissions = new Set(req.organization ? ORGANIZATION_KEY_PERMISSIONS : []);
+        return req.permissions;
+    }
+
+    // Reuse the organization loaded by addOrganizationToRequest when it is the user's own
+    const organization =
+        req.organization && String(req.organization._id) === String(req.user.organizationId)
+            ? req.organization
+            : await Organization.findById(req.user.organizationId);
+
+    req.permissions = getRolePermissions(req.user.role, organization);
+    return req.permissions;
+};
+
+/**
+ * Check whether the requester holds a permission
+ * @param {Object} req - Express request
+ * @param {string} permission - Permission name
+ * @returns {Promise<boolean>}
+ */
+const hasPermission = async (req, permission) => includesPermission(await getRequestPermissions(req), permission);
+
+/**
+ * Check whether the requester may manage an organization: their own, or any with `organizations:manage:any`
+ * @param {Object} req - Express request
+ * @param {string|Object} organizationId - Organization ID
+ * @returns {Promise<boolean>}
+ */
+const canManageOrganization = async (req, organizationId) =>
+    String(req.user.organizationId) === String(organizationId) ||
+    (await hasPermission(req, 'organizations:manage:any'));
+
+/**
+ * Check whether the requester may give a role to a user of an organization. Nobody can hand out
+ * permissions they do not hold themselves, except platform administrators.
+ * @param {Object} req - Express request
+ * @param {string} role - Role to assign
+ * @param {Object} [organization] - Organization the user belongs to
+ * @returns {Promise<Object|null>} The `status` and `message` to refuse the assignment with, or null when it is allowed
+ */
+const checkRoleAssignment = async (req, role, organization) => {
+    if (!roleExists(role, organization)) {
+        return { status: 400, message: `Unknown role: ${role}` };
+    }
+
+    if (PLATFORM_ROLES.includes(role)) {
+        return (await hasPermission(req, 'users:manage:superadmins'))
+            ? null
+            : { status: 403, message: `Access denied: Cannot assign the ${role} role` };
+    }
+
+    if (await hasPermission(req, 'organizations:manage:any')) {
+        return null;
+    }
+
+    const permissions = await getRequestPermissions(req);
+    const exceeding = [...getRolePermissions(role, organization)].filter(
+        permission => !includesPermission(permissions, permission),
+    );
+
+    return exceeding.length
+        ? {
+              status: 403,
+              message: `Access denied: The ${role} role grants permissions you do not have (${exceeding.join(', ')})`,
+          }
+        : null;
+};
+
+/**
+ * Respond with 403 for a missing permission
+ * @param {Object} res - Express response
+ * @param {string} permission - Missing permission
+ * @returns {Object} The response
+ */
+const sendPermissionDenied = (res, permission) =>
+    res.status(403).json({ message: `Access denied: '${permission}' permission required` });
+
+module.exports = {
+    roleExists,
+    getRolePermissions,
+    includesPermission,
+    getRequestPermissions,
+    hasPermission,
+    canManageOrganization,
+    checkRoleAssignment,
+    sendPermissionDenied,
+};
@@ -0,0 +1,55 @@
+const ModelPrice = require('../models/model-price.model');
+
+/**
+ * Find the price of a model in effect at a point in time
+ * @param {string} organizationId - Organization ID
+ * @param {string} model - Model name
+ * @param {Date} [at] - Point in time, defaults to now
+ * @returns {Promise<Object|null>} The entry of the pricing table with the latest `effectiveFrom` not after `at`
+ */
+const findModelPrice = (organizationId, model, at = new Date()) =>
+    ModelPrice.findOne({ organizationId, aiModel: model, effectiveFrom: { $lte: at } }).sort({ effectiveFrom: -1 });
+
+/**
+ * Compute the cost of the tokens of a message
+ * @param {Object} price - Entry of the pricing table
+ * @param {number} [promptTokens] - Input tokens
+ * @param {number} [completionTokens] - Output tokens
+ * @returns {number}
+ */
+const calculateCost = (price, promptTokens = 0, completionTokens = 0) => {
+    const cost = (promptTokens * price.inputPricePer1K + completionTokens * price.outputPricePer1K) / 1000;
+    // Drop the floating point noise of the division
+    return Number(cost.toFixed(10));
+};
+
+/**
+ * Set the `cost` of messages from the pricing table of an organization, looking each model up once
+ * @param {string} organizationId - Organization ID
+ * @param {Array<Object>} messages - Message documents or plain objects with `aiModel`, `promptTokens` and `completionTokens`
+ * @param {Date} [at] - Point in time whose prices apply, defaults to now
+ * @returns {Promise<void>}
+ */
+const applyMessageCosts = async (organizationId, messages, at = new Date()) => {
+    const prices = new Map();
+
+    for (const message of messages) {
+        if (!message.aiModel) {
+            message.cost = null;
+            continue;
+        }
+
+        if (!prices.has(message.aiModel)) {
+            prices.set(message.aiModel, await findModelPrice(organizationId, message.aiModel, at));
+        }
+
+        const price = prices.get(message.aiModel);
+        message.cost = price ? calculateCost(price, message.promptTokens, message.completionTokens) : null;
+    }
+};
+
+module.exports = {
+    findModelPrice,
+    calculateCost,
+    applyMessageCosts,
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const config = require('../config/config');
+
+// A storage backend is any object with async `save(key, stream)`, `read(key)` and `remove(key)` methods.
+// `read` resolves to a readable stream and rejects with a `NotFound` error when nothing is stored under the key.
+
+/**
+ * Create a backend keeping files in a local directory
+ * @param {string} dir - Directory the files are written to
+ * @returns {Object} Storage backend
+ */
+const createLocalStorage = dir => {
+    const root = path.resolve(dir);
+
+    // Keys are generated by the API, but a key must never point outside the storage directory
+    const resolveKey = key => {
+        const file = path.resolve(root, key);
+        if (!file.startsWith(`${root}${path.sep}`)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return file;
+    };
+
+    return {
+        name: 'local',
+        save: async (key, stream) => {
+            const file = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await pipeline(stream, fs.createWriteStream(file));
+        },
+        read: async key => {
+            const file = resolveKey(key);
+            try {
+                await fs.promises.access(file);
+            } catch {
+                throw Object.assign(new Error(`Nothing stored under ${key}`), { name: 'NotFound' });
+            }
+            return fs.createReadStream(file);
+        },
+        remove: key => fs.promises.rm(resolveKey(key), { force: true }),
+    };
+};
+
+/**
+ * Create the backend selected in the storage configuration
+ * @param {Object} [storageConfig] - Storage configuration, defaults to `config.storage`
+ * @returns {Object} Storage backend
+ */
+const createStorage = (storageConfig = config.storage) => {
+    switch (storageConfig.driver) {
+        case 'local':
+            return createLocalStorage(storageConfig.dir);
+        default:
+            throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+    }
+};
+
+let storage = null;
+
+/**
+ * Replace the backend returned by `getStorage`
+ * @param {Object|null} newStorage - Storage backend, or null to fall back to the configured one
+ */
+const setStorage = newStorage => {
+    storage = newStorage;
+};
+
+/**
+ * Get the active storage backend
+ * @returns {Object} Storage backend
+ */
+const getStorage = () => {
+    if (!storage) {
+        storage = createStorage();
+    }
+    return storage;
+};
+
+module.exports = {
+    createLocalStorage,
+    createStorage,
+    setStorage,
+    getStorage,
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const { URLSearchParams } = require('url');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode a buffer as unpadded base32
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = buffer => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = input => {
+    let bits = '';
+    for (const char of input.toUpperCase().replace(/[\s=]/g, '')) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret
+ * @returns {string} Base32 encoded secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step a moment falls in
+ * @param {number} [time] - Time in milliseconds, defaults to now
+ * @returns {number}
+ */
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the code for a time step
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} [step] - Time step, defaults to the current one
+ * @returns {string} Zero-padded numeric code
+ */
+const generateCode = (secret, step = getTimeStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Verify a code, tolerating a little clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Number of steps accepted before and after the current one
+ * @param {number} [options.time] - Time in milliseconds to verify against, defaults to now
+ * @param {number} [options.afterStep] - Only accept codes of later steps, so a code cannot be replayed
+ * @returns {number|null} The matching time step, or null when the code is invalid
+ */
+const verifyCode = (secret, code, { window = 1, time, afterStep } = {}) => {
+    const normalized = String(code).replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+        return null;
+    }
+
+    const currentStep = getTimeStep(time);
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+        if (afterStep !== undefined && afterStep !== null && step <= afterStep) {
+            continue;
+        }
+
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps read from a QR code
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Account shown in the app, usually the email
+ * @param {string} issuer - Name of the service shown in the app
+ * @returns {string}
+ */
+const getOtpauthUri = (secret, accountName, issuer) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    getTimeStep,
+    generateCode,
+    verifyCode,
+    getOtpauthUri,
+};
@@ -0,0 +1,203 @@
+const Chat = require('../models/chat.model');
+const Comment = require('../models/comment.model');
+const Message = require('../models/message.model');
+const MessageVersion = require('../models/message-version.model');
+const Organization = require('../models/organization.model');
+const ShareLink = require('../models/share-link.model');
+const config = require('../config/config');
+const { readOrganizationSetting } = require('./organization-settings');
+const { removeAttachments } = require('./attachments');
+const logger = require('./logger');
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+// Messages purged per query, to keep each query and its `$in` lists small
+const PURGE_BATCH_SIZE = 500;
+
+/**
+ * Get the number of days deleted records of an organization stay in the trash
+ * @param {Object} organization - Organization document
+ * @returns {number} Days before automatic purging; 0 keeps them until they are purged by hand
+ */
+const getTrashRetentionDays = organization => {
+    const days = readOrganizationSetting(organization, 'trashRetentionDays');
+    return Number.isInteger(days) && days >= 0 ? days : config.trashRetentionDays;
+};
+
+/**
+ * Permanently delete chats with their messages, message versions, attachments, comments and share links
+ * @param {Array} chatIds - IDs of the chats
+ * @returns {Promise<number>} Number of deleted chats
+ */
+const purgeChats = async chatIds => {
+    if (!chatIds.length) {
+        return 0;
+    }
+
+    await Message.deleteMany({ chatId: { $in: chatIds } });
+    await MessageVersion.deleteMany({ chatId: { $in: chatIds } });
+    await removeAttachments({ chatId: { $in: chatIds } });
+    await Comment.deleteMany({ chatId: { $in: chatIds } });
+    await ShareLink.deleteMany({ chatId: { $in: chatIds } });
+    const result = await Chat.deleteMany({ _id: { $in: chatIds } });
+
+    return result.deletedCount;
+};
+
+/**
+ * Remove the attachments of permanently deleted messages that no other message of their chat refers to
+ * @param {Array<Object>} messages - Deleted messages with their `chatId` and `contentParts`
+ * @returns {Promise<void>}
+ */
+const removeMessageAttachments = async messages => {
+    const chatIds = [...new Set(messages.map(message => String(message.chatId)))];
+    const attachmentIds = messages.flatMap(message =>
+        (message.contentParts || []).map(part => part.attachmentId).filter(Boolean),
+    );
+    if (!attachmentIds.length) {
+        return;
+    }
+
+    const stillUsed = await Message.distinct('contentParts.attachmentId', {
+        chatId: { $in: chatIds },
+        'contentParts.attachmentId': { $in: attachmentIds },
+    });
+    const used = new Set(stillUsed.map(String));
+    const unused = attachmentIds.filter(id => !used.has(String(id)));
+
+    if (unused.length) {
+        await removeAttachments({ _id: { $in: unused }, chatId: { $in: chatIds } });
+    }
+};
+
+/**
+ * Permanently delete messages with their versions and attachments
+ * @param {Array<Object>} messages - Messages with their `chatId` and `contentParts`
+ * @returns {Promise<number>} Number of deleted messages
+ */
+const purgeMessages = async messages => {
+    if (!messages.length) {
+        return 0;
+    }
+
+    const messageIds = messages.map(message => message._id);
+
+    await MessageVersion.deleteMany({ messageId: { $in: messageIds } });
+    const result = await Message.deleteMany({ _id: { $in: messageIds } });
+    await removeMessageAttachments(messages);
+
+    return result.deletedCount;
+};
+
+/**
+ * Permanently delete messages deleted on their own once they have been in the trash for longer than the
+ * retention period of their organization. Messages are scanned by deletion time in batches, and each batch
+ * looks up the organizations of its chats.
+ * @param {Map<string, number>} retentionDays - Organization ID -> days, for organizations purging automatically
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of purged messages
+ */
+const purgeExpiredMessages = async (retentionDays, now) => {
+    if (!retentionDays.size) {
+        return 0;
+    }
+
+    // No organization purges messages deleted more recently than its shortest retention period
+    const cutoff = new Date(now.getTime() - Math.min(...retentionDays.values()) * DAY_IN_MS);
+    let purged = 0;
+    let last = null;
+
+    for (;;) {
+        // Continue after the last message seen; messages kept for a longer retention period are skipped
+        const query = { deletedAt: { $ne: null, $lte: cutoff } };
+        if (last) {
+            query.$or = [
+                { deletedAt: { $gt: last.deletedAt } },
+                { deletedAt: last.deletedAt, _id: { $gt: last._id } },
+            ];
+        }
+
+        const messages = await Message.find(query)
+            .sort({ deletedAt: 1, _id: 1 })
+            .limit(PURGE_BATCH_SIZE)
+            .select('chatId deletedAt contentParts');
+        if (!messages.length) break;
+        last = messages[messages.length - 1];
+
+        const chatIds = [...new Set(messages.map(message => String(message.chatId)))];
+        const chats = await Chat.find({ _id: { $in: chatIds } }).select('organizationId');
+        const organizationOf = new Map(chats.map(chat => [String(chat._id), String(chat.organizationId)]));
+
+        purged += await purgeMessages(
+            messages.filter(message => {
+                const days = retentionDays.get(organizationOf.get(String(message.chatId)));
+                return days && message.deletedAt.getTime() <= now.getTime() - days * DAY_IN_MS;
+            }),
+        );
+
+        if (messages.length < PURGE_BATCH_SIZE) break;
+    }
+
+    return purged;
+};
+
+/**
+ * Permanently delete the chats and messages that have been in the trash for longer than
+ * the retention period of their organization
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Object>} Number of purged chats and messages
+ */
+const purgeExpiredTrash = async (now = new Date()) => {
+    const organizations = await Organization.find({}).select('settings');
+    const retentionDays = new Map();
+    const purged = { chats: 0, messages: 0 };
+
+    for (const organization of organizations) {
+        const days = getTrashRetentionDays(organization);
+        if (!days) continue;
+        retentionDays.set(String(organization._id), days);
+
+        const expired = { $ne: null, $lte: new Date(now.getTime() - days * DAY_IN_MS) };
+
+        // Chats of the organization that have been in the trash long enough, in batches
+        let chats;
+        do {
+            chats = await Chat.find({ organizationId: organization._id, deletedAt: expired })
+                .select('_id')
+                .limit(PURGE_BATCH_SIZE);
+            purged.chats += await purgeChats(chats.map(chat => chat._id));
+        } while (chats.length === PURGE_BATCH_SIZE);
+    }
+
+    // Messages deleted on their own, from chats that are not in the trash themselves
+    purged.messages = await purgeExpiredMessages(retentionDays, now);
+
+    return purged;
+};
+
+/**
+ * Purge expired trash now and then every `TRASH_PURGE_INTERVAL_MINUTES`
+ * @returns {Object} The interval timer; it does not keep the process alive
+ */
+const scheduleTrashPurge = () => {
+    const run = async () => {
+        try {
+            const purged = await purgeExpiredTrash();
+            if (purged.chats || purged.messages) {
+                logger.info(`Purged ${purged.chats} chats and ${purged.messages} messages from the trash`);
+            }
+        } catch (error) {
+            logger.error(`Trash purge error: ${error.message}`);
+        }
+    };
+
+    run();
+    return setInterval(run, config.trashPurgeIntervalMinutes * 60 * 1000).unref();
+};
+
+module.exports = {
+    getTrashRetentionDays,
+    purgeChats,
+    removeMessageAttachments,
+    purgeExpiredTrash,
+    scheduleTrashPurge,
+};
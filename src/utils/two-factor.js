@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const { verifyCode } = require('./totp');
+const { getOrganizationSetting } = require('./organization-settings');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Hash a recovery code for storage and lookup, ignoring case and separators
+ * @param {string} code - Plaintext recovery code
+ * @returns {string}
+ */
+const hashRecoveryCode = code =>
+    crypto
+        .createHash('sha256')
+        .update(String(code).toLowerCase().replace(/[^0-9a-z]/g, ''))
+        .digest('hex');
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {{ codes: string[], hashes: string[] }} The plaintext codes and the hashes to store
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Check a second factor for a user with two-factor authentication set up. An authenticator
+ * code is consumed on the user document, so the caller must save the user afterwards; a recovery
+ * code is removed from the database right away, so concurrent logins cannot both use it.
+ * @param {Object} user - User document including its two-factor fields
+ * @param {Object} factor
+ * @param {string} [factor.code] - Code from the authenticator app
+ * @param {string} [factor.recoveryCode] - One of the user's recovery codes
+ * @returns {Promise<boolean>} Whether the factor is valid
+ */
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+    if (code && user.twoFactorSecret) {
+        const step = verifyCode(user.twoFactorSecret, code, { afterStep: user.twoFactorLastUsedStep });
+        if (step === null) {
+            return false;
+        }
+        user.twoFactorLastUsedStep = step;
+        return true;
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const codes = user.twoFactorRecoveryCodes || [];
+        if (!codes.includes(hash)) {
+            return false;
+        }
+
+        // Only the request that actually removes the code may use it
+        const result = await User.updateOne(
+            { _id: user._id, twoFactorRecoveryCodes: hash },
+            { $pull: { twoFactorRecoveryCodes: hash } },
+        );
+        if (result.modifiedCount !== 1) {
+            return false;
+        }
+
+        // Reflect the removal without marking the codes modified, so saving the user afterwards cannot
+        // bring back codes other logins used in the meantime
+        user.twoFactorRecoveryCodes = codes.filter(storedHash => storedHash !== hash);
+        if (typeof user.unmarkModified === 'function') {
+            user.unmarkModified('twoFactorRecoveryCodes');
+        }
+        return true;
+    }
+
+    return false;
+};
+
+/**
+ * Check whether the user's organization requires them to use two-factor authentication
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>}
+ */
+const isTwoFactorRequired = async user =>
+    user.role === 'admin' && (await getOrganizationSetting(user.organizationId, 'requireAdminTwoFactor')) === true;
+
+module.exports = {
+    hashRecoveryCode,
+    generateRecoveryCodes,
+    consumeSecondFactor,
+    isTwoFactorRequired,
+};
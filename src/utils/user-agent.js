@@ -0,0 +1,61 @@
+// Checked in order, so more specific tokens come first (Edge and Opera also send "Chrome")
+const CLIENTS = [
+    [/Edg(e|A|iOS)?\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\/|FxiOS\//, 'Firefox'],
+    [/Chrome\/|CriOS\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/PostmanRuntime\//, 'Postman'],
+    [/^curl\//, 'curl'],
+    [/^axios\//, 'axios'],
+    [/node-fetch|^node$|undici/, 'Node.js'],
+    [/python-requests|aiohttp|httpx/i, 'Python'],
+];
+
+const PLATFORMS = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/CrOS/, 'ChromeOS'],
+    [/Linux/, 'Linux'],
+];
+
+const findName = (list, userAgent) => {
+    const match = list.find(([pattern]) => pattern.test(userAgent));
+    return match ? match[1] : null;
+};
+
+/**
+ * Describe the client behind a User-Agent header for people, e.g. "Firefox on Windows"
+ * @param {string} [userAgent] - User-Agent header
+ * @returns {string}
+ */
+const describeDevice = userAgent => {
+    if (!userAgent) {
+        return 'Unknown device';
+    }
+
+    const client = findName(CLIENTS, userAgent);
+    const platform = findName(PLATFORMS, userAgent);
+
+    if (client && platform) {
+        return `${client} on ${platform}`;
+    }
+    return client || platform || 'Unknown device';
+};
+
+/**
+ * Get the client details recorded for a new session
+ * @param {Object} req - Express request
+ * @returns {{ ip: string, userAgent: string }}
+ */
+const getClientInfo = req => ({
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+});
+
+module.exports = {
+    describeDevice,
+    getClientInfo,
+};
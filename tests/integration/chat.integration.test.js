@@ -1,26 +1,20 @@
 const request = require('supertest');
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const app = require('../../src/app');
 const Chat = require('../../src/models/chat.model');
 const User = require('../../src/models/user.model');
 const logger = require('../../src/utils/logger');
+const { issueAuthTokens } = require('../../src/utils/auth-tokens');
 const { setupDatabase, teardownDatabase } = require('../integrationSetup');
 
 // Create actual MongoDB ObjectIds for test user and organization
 const TEST_USER_ID = new mongoose.Types.ObjectId();
 const TEST_ORG_ID = new mongoose.Types.ObjectId();
 
-const generateToken = () => {
-    // Use the JWT_SECRET directly from process.env to ensure it matches what the app uses
-    return jwt.sign(
-        {
-            userId: TEST_USER_ID.toString(),
-            organizationId: TEST_ORG_ID.toString(),
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '1h' },
-    );
+const generateToken = async user => {
+    // Issue a token through the app so it is bound to a real server-side session
+    const { token } = await issueAuthTokens(user);
+    return token;
 };
 
 // Use a single test token
@@ -45,7 +39,7 @@ beforeAll(async () => {
     logger.debug(`Test user created with ID: ${testUser._id}`);
 
     // Generate token after user is created
-    token = generateToken();
+    token = await generateToken(testUser);
     logger.debug('Generated test authentication token');
 });
 
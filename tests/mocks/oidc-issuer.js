@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const http = require('http');
+const { Buffer } = require('buffer');
+const { URL, URLSearchParams } = require('url');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Start a minimal OpenID Connect provider on localhost for tests.
+ *
+ * The authorization endpoint approves every request immediately and redirects back
+ * with a code; the claims of the next login are set with `setNextClaims()`.
+ * The token endpoint enforces PKCE and client authentication like a real provider.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.clientId='chatlogger'] - Registered client ID
+ * @param {string} [options.clientSecret='secret'] - Registered client secret
+ * @returns {Promise<Object>} Handle with `issuer`, `setNextClaims`, `signIdToken`, `rotateKey` and `close`
+ */
+const startMockOidcIssuer = async ({ clientId = 'chatlogger', clientSecret = 'secret' } = {}) => {
+    let signingKey;
+    const codes = new Map();
+    let nextClaims = { sub: 'user-1', email: 'user@example.com', email_verified: true };
+
+    const rotateKey = () => {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const kid = crypto.randomUUID();
+        signingKey = { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' } };
+    };
+    rotateKey();
+
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const issuer = `http://127.0.0.1:${server.address().port}`;
+
+    const signIdToken = (claims, { audience = clientId, expiresIn = '5m' } = {}) =>
+        jwt.sign(claims, signingKey.privateKey, {
+            algorithm: 'RS256',
+            keyid: signingKey.kid,
+            issuer,
+            audience,
+            expiresIn,
+        });
+
+    const sendJson = (res, status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const readForm = req =>
+        new Promise(resolve => {
+            let data = '';
+            req.on('data', chunk => (data += chunk));
+            req.on('end', () => resolve(new URLSearchParams(data)));
+        });
+
+    server.on('request', async (req, res) => {
+        const url = new URL(req.url, issuer);
+
+        if (url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer,
+                authorization_endpoint: `${issuer}/authorize`,
+                token_endpoint: `${issuer}/token`,
+                jwks_uri: `${issuer}/jwks`,
+                response_types_supported: ['code'],
+                code_challenge_methods_supported: ['S256'],
+                token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+            });
+        }
+
+        if (url.pathname === '/jwks') {
+            return sendJson(res, 200, { keys: [signingKey.jwk] });
+        }
+
+        if (url.pathname === '/authorize') {
+            const params = url.searchParams;
+            if (params.get('client_id') !== clientId || params.get('code_challenge_method') !== 'S256') {
+                return sendJson(res, 400, { error: 'invalid_request' });
+            }
+
+            const code = crypto.randomBytes(16).toString('hex');
+            codes.set(code, {
+                claims: { ...nextClaims, nonce: params.get('nonce') },
+                codeChallenge: params.get('code_challenge'),
+                redirectUri: params.get('redirect_uri'),
+            });
+
+            const redirect = new URL(params.get('redirect_uri'));
+            redirect.searchParams.set('code', code);
+            redirect.searchParams.set('state', params.get('state'));
+            res.writeHead(302, { Location: redirect.toString() });
+            return res.end();
+        }
+
+        if (url.pathname === '/token' && req.method === 'POST') {
+            const form = await readForm(req);
+            const [basicId, basicSecret] = req.headers.authorization
+                ? Buffer.from(req.headers.authorization.replace(/^Basic /, ''), 'base64')
+                      .toString()
+                      .split(':')
+                      .map(decodeURIComponent)
+                : [form.get('client_id'), form.get('client_secret')];
+
+            if (basicId !== clientId || basicSecret !== clientSecret) {
+                return sendJson(res, 401, { error: 'invalid_client' });
+            }
+
+            const grant = codes.get(form.get('code'));
+            codes.delete(form.get('code'));
+            const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+
+            if (!grant || grant.redirectUri !== form.get('redirect_uri') || grant.codeChallenge !== challenge) {
+                return sendJson(res, 400, { error: 'invalid_grant' });
+            }
+
+            return sendJson(res, 200, {
+                access_token: crypto.randomBytes(16).toString('hex'),
+                token_type: 'Bearer',
+                expires_in: 300,
+                id_token: signIdToken(grant.claims),
+            });
+        }
+
+        return sendJson(res, 404, { error: 'not_found' });
+    });
+
+    return {
+        issuer,
+        clientId,
+        clientSecret,
+        setNextClaims: claims => {
+            nextClaims = claims;
+        },
+        signIdToken,
+        rotateKey,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+};
+
+module.exports = { startMockOidcIssuer };